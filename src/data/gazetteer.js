@@ -0,0 +1,590 @@
+/**
+ * Offline Gazetteer
+ *
+ * A deliberately coarse list of places used to describe GPS coordinates in
+ * words without any network lookup. Suburbs are listed for Australian
+ * capitals (where most of our users are); elsewhere only cities and towns.
+ * Coordinates are place centres, rounded to about 1 km.
+ *
+ * Row format: [name, city, country, latitude, longitude]
+ * `city` is empty when the place is itself a city or town.
+ *
+ * @module data/gazetteer
+ */
+
+export const PLACES = [
+  // Sydney
+  ['Sydney CBD', 'Sydney', 'Australia', -33.869, 151.209],
+  ['Surry Hills', 'Sydney', 'Australia', -33.886, 151.211],
+  ['Darlinghurst', 'Sydney', 'Australia', -33.879, 151.220],
+  ['Potts Point', 'Sydney', 'Australia', -33.870, 151.225],
+  ['Newtown', 'Sydney', 'Australia', -33.898, 151.179],
+  ['Erskineville', 'Sydney', 'Australia', -33.902, 151.186],
+  ['Redfern', 'Sydney', 'Australia', -33.893, 151.204],
+  ['Waterloo', 'Sydney', 'Australia', -33.900, 151.207],
+  ['Alexandria', 'Sydney', 'Australia', -33.904, 151.195],
+  ['Glebe', 'Sydney', 'Australia', -33.880, 151.186],
+  ['Pyrmont', 'Sydney', 'Australia', -33.870, 151.194],
+  ['Ultimo', 'Sydney', 'Australia', -33.879, 151.197],
+  ['Marrickville', 'Sydney', 'Australia', -33.911, 151.156],
+  ['Leichhardt', 'Sydney', 'Australia', -33.884, 151.157],
+  ['Balmain', 'Sydney', 'Australia', -33.859, 151.180],
+  ['Ashfield', 'Sydney', 'Australia', -33.889, 151.125],
+  ['Paddington', 'Sydney', 'Australia', -33.885, 151.227],
+  ['Bondi Junction', 'Sydney', 'Australia', -33.893, 151.247],
+  ['Bondi', 'Sydney', 'Australia', -33.892, 151.277],
+  ['Coogee', 'Sydney', 'Australia', -33.920, 151.255],
+  ['Randwick', 'Sydney', 'Australia', -33.915, 151.242],
+  ['Maroubra', 'Sydney', 'Australia', -33.950, 151.243],
+  ['Mascot', 'Sydney', 'Australia', -33.929, 151.188],
+  ['Rockdale', 'Sydney', 'Australia', -33.953, 151.137],
+  ['Kogarah', 'Sydney', 'Australia', -33.963, 151.133],
+  ['Hurstville', 'Sydney', 'Australia', -33.967, 151.102],
+  ['Sutherland', 'Sydney', 'Australia', -34.031, 151.058],
+  ['Cronulla', 'Sydney', 'Australia', -34.058, 151.152],
+  ['North Sydney', 'Sydney', 'Australia', -33.839, 151.207],
+  ['Mosman', 'Sydney', 'Australia', -33.829, 151.244],
+  ['Manly', 'Sydney', 'Australia', -33.797, 151.288],
+  ['Dee Why', 'Sydney', 'Australia', -33.751, 151.286],
+  ['Chatswood', 'Sydney', 'Australia', -33.797, 151.180],
+  ['Lane Cove', 'Sydney', 'Australia', -33.815, 151.166],
+  ['Ryde', 'Sydney', 'Australia', -33.815, 151.103],
+  ['Epping', 'Sydney', 'Australia', -33.773, 151.082],
+  ['Hornsby', 'Sydney', 'Australia', -33.704, 151.099],
+  ['Strathfield', 'Sydney', 'Australia', -33.873, 151.094],
+  ['Burwood', 'Sydney', 'Australia', -33.877, 151.104],
+  ['Auburn', 'Sydney', 'Australia', -33.849, 151.033],
+  ['Parramatta', 'Sydney', 'Australia', -33.815, 151.001],
+  ['Castle Hill', 'Sydney', 'Australia', -33.731, 151.004],
+  ['Blacktown', 'Sydney', 'Australia', -33.771, 150.906],
+  ['Penrith', 'Sydney', 'Australia', -33.751, 150.694],
+  ['Fairfield', 'Sydney', 'Australia', -33.872, 150.956],
+  ['Bankstown', 'Sydney', 'Australia', -33.918, 151.035],
+  ['Liverpool', 'Sydney', 'Australia', -33.920, 150.923],
+  ['Campbelltown', 'Sydney', 'Australia', -34.065, 150.814],
+
+  // Melbourne
+  ['Melbourne CBD', 'Melbourne', 'Australia', -37.814, 144.963],
+  ['Southbank', 'Melbourne', 'Australia', -37.823, 144.964],
+  ['Docklands', 'Melbourne', 'Australia', -37.815, 144.946],
+  ['Carlton', 'Melbourne', 'Australia', -37.800, 144.967],
+  ['Fitzroy', 'Melbourne', 'Australia', -37.798, 144.978],
+  ['Collingwood', 'Melbourne', 'Australia', -37.802, 144.988],
+  ['Abbotsford', 'Melbourne', 'Australia', -37.804, 144.999],
+  ['Richmond', 'Melbourne', 'Australia', -37.823, 144.998],
+  ['South Yarra', 'Melbourne', 'Australia', -37.838, 144.992],
+  ['Prahran', 'Melbourne', 'Australia', -37.850, 144.993],
+  ['St Kilda', 'Melbourne', 'Australia', -37.867, 144.980],
+  ['Elwood', 'Melbourne', 'Australia', -37.882, 144.984],
+  ['Brighton', 'Melbourne', 'Australia', -37.906, 145.000],
+  ['Port Melbourne', 'Melbourne', 'Australia', -37.839, 144.942],
+  ['Williamstown', 'Melbourne', 'Australia', -37.863, 144.894],
+  ['Footscray', 'Melbourne', 'Australia', -37.800, 144.900],
+  ['Sunshine', 'Melbourne', 'Australia', -37.788, 144.833],
+  ['Essendon', 'Melbourne', 'Australia', -37.749, 144.919],
+  ['Brunswick', 'Melbourne', 'Australia', -37.767, 144.960],
+  ['Coburg', 'Melbourne', 'Australia', -37.744, 144.966],
+  ['Northcote', 'Melbourne', 'Australia', -37.770, 144.999],
+  ['Thornbury', 'Melbourne', 'Australia', -37.756, 145.004],
+  ['Preston', 'Melbourne', 'Australia', -37.742, 145.010],
+  ['Broadmeadows', 'Melbourne', 'Australia', -37.680, 144.920],
+  ['Hawthorn', 'Melbourne', 'Australia', -37.822, 145.034],
+  ['Camberwell', 'Melbourne', 'Australia', -37.838, 145.070],
+  ['Box Hill', 'Melbourne', 'Australia', -37.819, 145.122],
+  ['Glen Waverley', 'Melbourne', 'Australia', -37.878, 145.165],
+  ['Ringwood', 'Melbourne', 'Australia', -37.815, 145.229],
+  ['Dandenong', 'Melbourne', 'Australia', -37.987, 145.215],
+  ['Frankston', 'Melbourne', 'Australia', -38.144, 145.126],
+  ['Werribee', 'Melbourne', 'Australia', -37.900, 144.660],
+
+  // Brisbane, Gold Coast and Sunshine Coast
+  ['Brisbane City', 'Brisbane', 'Australia', -27.470, 153.025],
+  ['Fortitude Valley', 'Brisbane', 'Australia', -27.457, 153.034],
+  ['New Farm', 'Brisbane', 'Australia', -27.467, 153.049],
+  ['South Brisbane', 'Brisbane', 'Australia', -27.480, 153.020],
+  ['West End', 'Brisbane', 'Australia', -27.482, 153.012],
+  ['Woolloongabba', 'Brisbane', 'Australia', -27.490, 153.036],
+  ['Paddington', 'Brisbane', 'Australia', -27.460, 152.999],
+  ['Toowong', 'Brisbane', 'Australia', -27.485, 152.993],
+  ['Indooroopilly', 'Brisbane', 'Australia', -27.499, 152.974],
+  ['Chermside', 'Brisbane', 'Australia', -27.385, 153.031],
+  ['Carindale', 'Brisbane', 'Australia', -27.503, 153.101],
+  ['Sunnybank', 'Brisbane', 'Australia', -27.580, 153.060],
+  ['Logan Central', 'Brisbane', 'Australia', -27.639, 153.109],
+  ['Redcliffe', 'Brisbane', 'Australia', -27.230, 153.100],
+  ['Ipswich', '', 'Australia', -27.614, 152.758],
+  ['Southport', 'Gold Coast', 'Australia', -27.967, 153.400],
+  ['Surfers Paradise', 'Gold Coast', 'Australia', -28.003, 153.430],
+  ['Burleigh Heads', 'Gold Coast', 'Australia', -28.090, 153.450],
+  ['Coolangatta', 'Gold Coast', 'Australia', -28.168, 153.536],
+  ['Maroochydore', 'Sunshine Coast', 'Australia', -26.660, 153.100],
+  ['Noosa Heads', 'Sunshine Coast', 'Australia', -26.394, 153.090],
+  ['Caloundra', 'Sunshine Coast', 'Australia', -26.800, 153.133],
+
+  // Perth
+  ['Perth CBD', 'Perth', 'Australia', -31.951, 115.861],
+  ['Northbridge', 'Perth', 'Australia', -31.947, 115.857],
+  ['Leederville', 'Perth', 'Australia', -31.936, 115.842],
+  ['Subiaco', 'Perth', 'Australia', -31.949, 115.827],
+  ['Victoria Park', 'Perth', 'Australia', -31.976, 115.905],
+  ['Fremantle', 'Perth', 'Australia', -32.056, 115.747],
+  ['Scarborough', 'Perth', 'Australia', -31.894, 115.758],
+  ['Joondalup', 'Perth', 'Australia', -31.745, 115.766],
+  ['Midland', 'Perth', 'Australia', -31.888, 116.010],
+  ['Cannington', 'Perth', 'Australia', -32.017, 115.936],
+  ['Armadale', 'Perth', 'Australia', -32.153, 116.015],
+  ['Rockingham', 'Perth', 'Australia', -32.277, 115.729],
+  ['Mandurah', '', 'Australia', -32.529, 115.723],
+
+  // Adelaide
+  ['Adelaide CBD', 'Adelaide', 'Australia', -34.929, 138.601],
+  ['North Adelaide', 'Adelaide', 'Australia', -34.907, 138.593],
+  ['Prospect', 'Adelaide', 'Australia', -34.883, 138.595],
+  ['Norwood', 'Adelaide', 'Australia', -34.921, 138.630],
+  ['Unley', 'Adelaide', 'Australia', -34.950, 138.607],
+  ['Glenelg', 'Adelaide', 'Australia', -34.980, 138.515],
+  ['Marion', 'Adelaide', 'Australia', -35.010, 138.556],
+  ['Port Adelaide', 'Adelaide', 'Australia', -34.846, 138.503],
+  ['Salisbury', 'Adelaide', 'Australia', -34.758, 138.641],
+  ['Elizabeth', 'Adelaide', 'Australia', -34.716, 138.669],
+  ['Mount Barker', '', 'Australia', -35.069, 138.860],
+
+  // Canberra
+  ['Civic', 'Canberra', 'Australia', -35.281, 149.130],
+  ['Braddon', 'Canberra', 'Australia', -35.272, 149.136],
+  ['Kingston', 'Canberra', 'Australia', -35.315, 149.144],
+  ['Belconnen', 'Canberra', 'Australia', -35.238, 149.065],
+  ['Gungahlin', 'Canberra', 'Australia', -35.186, 149.133],
+  ['Woden', 'Canberra', 'Australia', -35.345, 149.088],
+  ['Tuggeranong', 'Canberra', 'Australia', -35.415, 149.068],
+  ['Queanbeyan', '', 'Australia', -35.354, 149.232],
+
+  // Hobart and Tasmania
+  ['Hobart CBD', 'Hobart', 'Australia', -42.882, 147.327],
+  ['North Hobart', 'Hobart', 'Australia', -42.870, 147.317],
+  ['Sandy Bay', 'Hobart', 'Australia', -42.900, 147.325],
+  ['Moonah', 'Hobart', 'Australia', -42.846, 147.300],
+  ['Glenorchy', 'Hobart', 'Australia', -42.833, 147.275],
+  ['Kingston', 'Hobart', 'Australia', -42.976, 147.308],
+  ['Launceston', '', 'Australia', -41.433, 147.144],
+  ['Devonport', '', 'Australia', -41.177, 146.351],
+  ['Burnie', '', 'Australia', -41.055, 145.903],
+
+  // Darwin and the Northern Territory
+  ['Darwin CBD', 'Darwin', 'Australia', -12.463, 130.846],
+  ['Nightcliff', 'Darwin', 'Australia', -12.383, 130.853],
+  ['Casuarina', 'Darwin', 'Australia', -12.374, 130.882],
+  ['Palmerston', 'Darwin', 'Australia', -12.480, 130.983],
+  ['Katherine', '', 'Australia', -14.465, 132.264],
+  ['Alice Springs', '', 'Australia', -23.698, 133.881],
+
+  // Regional New South Wales
+  ['Newcastle', '', 'Australia', -32.928, 151.782],
+  ['Maitland', '', 'Australia', -32.733, 151.557],
+  ['Gosford', '', 'Australia', -33.426, 151.342],
+  ['The Entrance', '', 'Australia', -33.339, 151.497],
+  ['Wollongong', '', 'Australia', -34.428, 150.893],
+  ['Nowra', '', 'Australia', -34.883, 150.600],
+  ['Batemans Bay', '', 'Australia', -35.708, 150.174],
+  ['Katoomba', '', 'Australia', -33.712, 150.311],
+  ['Goulburn', '', 'Australia', -34.754, 149.718],
+  ['Byron Bay', '', 'Australia', -28.647, 153.602],
+  ['Lismore', '', 'Australia', -28.813, 153.277],
+  ['Tweed Heads', '', 'Australia', -28.176, 153.542],
+  ['Coffs Harbour', '', 'Australia', -30.296, 153.114],
+  ['Port Macquarie', '', 'Australia', -31.430, 152.908],
+  ['Tamworth', '', 'Australia', -31.090, 150.929],
+  ['Armidale', '', 'Australia', -30.512, 151.665],
+  ['Dubbo', '', 'Australia', -32.256, 148.601],
+  ['Orange', '', 'Australia', -33.283, 149.101],
+  ['Bathurst', '', 'Australia', -33.419, 149.578],
+  ['Wagga Wagga', '', 'Australia', -35.118, 147.369],
+  ['Griffith', '', 'Australia', -34.289, 146.051],
+  ['Albury', '', 'Australia', -36.080, 146.916],
+  ['Broken Hill', '', 'Australia', -31.953, 141.453],
+
+  // Regional Victoria
+  ['Geelong', '', 'Australia', -38.150, 144.362],
+  ['Torquay', '', 'Australia', -38.331, 144.326],
+  ['Lorne', '', 'Australia', -38.541, 143.975],
+  ['Ballarat', '', 'Australia', -37.562, 143.850],
+  ['Bendigo', '', 'Australia', -36.757, 144.279],
+  ['Shepparton', '', 'Australia', -36.382, 145.399],
+  ['Wodonga', '', 'Australia', -36.121, 146.888],
+  ['Traralgon', '', 'Australia', -38.195, 146.540],
+  ['Warrnambool', '', 'Australia', -38.383, 142.484],
+  ['Mildura', '', 'Australia', -34.185, 142.162],
+
+  // Regional Queensland
+  ['Toowoomba', '', 'Australia', -27.561, 151.954],
+  ['Hervey Bay', '', 'Australia', -25.288, 152.840],
+  ['Bundaberg', '', 'Australia', -24.866, 152.350],
+  ['Gladstone', '', 'Australia', -23.843, 151.256],
+  ['Rockhampton', '', 'Australia', -23.378, 150.510],
+  ['Mackay', '', 'Australia', -21.141, 149.186],
+  ['Townsville', '', 'Australia', -19.259, 146.817],
+  ['Cairns', '', 'Australia', -16.919, 145.778],
+  ['Mount Isa', '', 'Australia', -20.725, 139.497],
+
+  // Regional Western Australia
+  ['Bunbury', '', 'Australia', -33.327, 115.641],
+  ['Busselton', '', 'Australia', -33.653, 115.345],
+  ['Margaret River', '', 'Australia', -33.955, 115.075],
+  ['Albany', '', 'Australia', -35.023, 117.881],
+  ['Kalgoorlie', '', 'Australia', -30.749, 121.466],
+  ['Geraldton', '', 'Australia', -28.774, 114.615],
+  ['Karratha', '', 'Australia', -20.736, 116.846],
+  ['Port Hedland', '', 'Australia', -20.310, 118.601],
+  ['Broome', '', 'Australia', -17.961, 122.236],
+
+  // Regional South Australia
+  ['Victor Harbor', '', 'Australia', -35.552, 138.617],
+  ['Murray Bridge', '', 'Australia', -35.120, 139.273],
+  ['Mount Gambier', '', 'Australia', -37.829, 140.783],
+  ['Port Augusta', '', 'Australia', -32.492, 137.765],
+  ['Whyalla', '', 'Australia', -33.033, 137.565],
+  ['Port Lincoln', '', 'Australia', -34.726, 135.873],
+
+  // New Zealand
+  ['Auckland CBD', 'Auckland', 'New Zealand', -36.849, 174.763],
+  ['Ponsonby', 'Auckland', 'New Zealand', -36.854, 174.745],
+  ['Whangarei', '', 'New Zealand', -35.725, 174.324],
+  ['Hamilton', '', 'New Zealand', -37.787, 175.279],
+  ['Tauranga', '', 'New Zealand', -37.688, 176.165],
+  ['Rotorua', '', 'New Zealand', -38.137, 176.250],
+  ['Napier', '', 'New Zealand', -39.493, 176.912],
+  ['New Plymouth', '', 'New Zealand', -39.056, 174.075],
+  ['Palmerston North', '', 'New Zealand', -40.352, 175.608],
+  ['Wellington', '', 'New Zealand', -41.287, 174.776],
+  ['Nelson', '', 'New Zealand', -41.271, 173.284],
+  ['Christchurch', '', 'New Zealand', -43.532, 172.636],
+  ['Queenstown', '', 'New Zealand', -45.031, 168.663],
+  ['Dunedin', '', 'New Zealand', -45.879, 170.503],
+  ['Invercargill', '', 'New Zealand', -46.413, 168.354],
+
+  // Pacific
+  ['Port Moresby', '', 'Papua New Guinea', -9.444, 147.180],
+  ['Dili', '', 'Timor-Leste', -8.557, 125.560],
+  ['Suva', '', 'Fiji', -18.125, 178.450],
+  ['Nadi', '', 'Fiji', -17.777, 177.436],
+  ['Nouméa', '', 'New Caledonia', -22.276, 166.458],
+  ['Port Vila', '', 'Vanuatu', -17.733, 168.327],
+  ['Apia', '', 'Samoa', -13.851, -171.751],
+  ['Nukuʻalofa', '', 'Tonga', -21.139, -175.205],
+  ['Papeete', '', 'French Polynesia', -17.552, -149.559],
+  ['Honolulu', '', 'United States', 21.307, -157.858],
+
+  // Asia
+  ['Singapore', '', 'Singapore', 1.352, 103.820],
+  ['Kuala Lumpur', '', 'Malaysia', 3.139, 101.687],
+  ['George Town', '', 'Malaysia', 5.414, 100.329],
+  ['Jakarta', '', 'Indonesia', -6.209, 106.846],
+  ['Bandung', '', 'Indonesia', -6.918, 107.619],
+  ['Surabaya', '', 'Indonesia', -7.258, 112.752],
+  ['Denpasar', 'Bali', 'Indonesia', -8.671, 115.213],
+  ['Kuta', 'Bali', 'Indonesia', -8.718, 115.169],
+  ['Ubud', 'Bali', 'Indonesia', -8.507, 115.263],
+  ['Bangkok', '', 'Thailand', 13.756, 100.502],
+  ['Chiang Mai', '', 'Thailand', 18.788, 98.985],
+  ['Phuket', '', 'Thailand', 7.880, 98.392],
+  ['Ho Chi Minh City', '', 'Vietnam', 10.823, 106.630],
+  ['Hanoi', '', 'Vietnam', 21.028, 105.834],
+  ['Phnom Penh', '', 'Cambodia', 11.556, 104.928],
+  ['Vientiane', '', 'Laos', 17.976, 102.633],
+  ['Yangon', '', 'Myanmar', 16.841, 96.174],
+  ['Manila', '', 'Philippines', 14.600, 120.984],
+  ['Cebu', '', 'Philippines', 10.316, 123.885],
+  ['Hong Kong', '', 'China', 22.319, 114.169],
+  ['Macau', '', 'China', 22.199, 113.544],
+  ['Shenzhen', '', 'China', 22.543, 114.058],
+  ['Guangzhou', '', 'China', 23.129, 113.264],
+  ['Shanghai', '', 'China', 31.230, 121.474],
+  ['Hangzhou', '', 'China', 30.274, 120.155],
+  ['Nanjing', '', 'China', 32.060, 118.797],
+  ['Wuhan', '', 'China', 30.593, 114.306],
+  ['Chengdu', '', 'China', 30.573, 104.067],
+  ['Chongqing', '', 'China', 29.432, 106.912],
+  ["Xi'an", '', 'China', 34.342, 108.940],
+  ['Beijing', '', 'China', 39.904, 116.407],
+  ['Taipei', '', 'Taiwan', 25.033, 121.565],
+  ['Seoul', '', 'South Korea', 37.567, 126.978],
+  ['Busan', '', 'South Korea', 35.180, 129.076],
+  ['Tokyo', '', 'Japan', 35.676, 139.650],
+  ['Yokohama', '', 'Japan', 35.444, 139.638],
+  ['Nagoya', '', 'Japan', 35.182, 136.907],
+  ['Kyoto', '', 'Japan', 35.012, 135.768],
+  ['Osaka', '', 'Japan', 34.694, 135.502],
+  ['Fukuoka', '', 'Japan', 33.590, 130.402],
+  ['Sapporo', '', 'Japan', 43.062, 141.355],
+  ['Ulaanbaatar', '', 'Mongolia', 47.886, 106.906],
+  ['Delhi', '', 'India', 28.704, 77.103],
+  ['Jaipur', '', 'India', 26.912, 75.787],
+  ['Mumbai', '', 'India', 19.076, 72.878],
+  ['Pune', '', 'India', 18.520, 73.857],
+  ['Ahmedabad', '', 'India', 23.023, 72.571],
+  ['Panaji', 'Goa', 'India', 15.491, 73.828],
+  ['Bengaluru', '', 'India', 12.972, 77.595],
+  ['Chennai', '', 'India', 13.083, 80.271],
+  ['Hyderabad', '', 'India', 17.385, 78.487],
+  ['Kolkata', '', 'India', 22.573, 88.364],
+  ['Kathmandu', '', 'Nepal', 27.717, 85.324],
+  ['Dhaka', '', 'Bangladesh', 23.810, 90.413],
+  ['Colombo', '', 'Sri Lanka', 6.927, 79.861],
+  ['Karachi', '', 'Pakistan', 24.861, 67.001],
+  ['Lahore', '', 'Pakistan', 31.520, 74.359],
+  ['Islamabad', '', 'Pakistan', 33.684, 73.048],
+  ['Kabul', '', 'Afghanistan', 34.555, 69.208],
+  ['Tashkent', '', 'Uzbekistan', 41.300, 69.240],
+  ['Almaty', '', 'Kazakhstan', 43.222, 76.851],
+  ['Astana', '', 'Kazakhstan', 51.169, 71.449],
+
+  // Middle East
+  ['Tehran', '', 'Iran', 35.689, 51.389],
+  ['Baghdad', '', 'Iraq', 33.315, 44.366],
+  ['Riyadh', '', 'Saudi Arabia', 24.714, 46.675],
+  ['Jeddah', '', 'Saudi Arabia', 21.486, 39.193],
+  ['Dubai', '', 'United Arab Emirates', 25.205, 55.271],
+  ['Abu Dhabi', '', 'United Arab Emirates', 24.454, 54.377],
+  ['Doha', '', 'Qatar', 25.285, 51.531],
+  ['Manama', '', 'Bahrain', 26.229, 50.586],
+  ['Kuwait City', '', 'Kuwait', 29.376, 47.977],
+  ['Muscat', '', 'Oman', 23.588, 58.383],
+  ['Tel Aviv', '', 'Israel', 32.085, 34.782],
+  ['Jerusalem', '', 'Israel', 31.768, 35.214],
+  ['Amman', '', 'Jordan', 31.945, 35.928],
+  ['Beirut', '', 'Lebanon', 33.894, 35.502],
+  ['Damascus', '', 'Syria', 33.514, 36.277],
+  ['Tbilisi', '', 'Georgia', 41.715, 44.827],
+  ['Yerevan', '', 'Armenia', 40.179, 44.499],
+  ['Baku', '', 'Azerbaijan', 40.409, 49.867],
+
+  // Europe
+  ['London', '', 'United Kingdom', 51.507, -0.128],
+  ['Camden', 'London', 'United Kingdom', 51.539, -0.143],
+  ['Hackney', 'London', 'United Kingdom', 51.545, -0.055],
+  ['Brixton', 'London', 'United Kingdom', 51.461, -0.116],
+  ['Brighton', '', 'United Kingdom', 50.823, -0.137],
+  ['Bristol', '', 'United Kingdom', 51.455, -2.588],
+  ['Cardiff', '', 'United Kingdom', 51.482, -3.179],
+  ['Birmingham', '', 'United Kingdom', 52.486, -1.890],
+  ['Nottingham', '', 'United Kingdom', 52.955, -1.158],
+  ['Manchester', '', 'United Kingdom', 53.481, -2.243],
+  ['Liverpool', '', 'United Kingdom', 53.408, -2.992],
+  ['Leeds', '', 'United Kingdom', 53.801, -1.549],
+  ['Sheffield', '', 'United Kingdom', 53.381, -1.470],
+  ['Newcastle upon Tyne', '', 'United Kingdom', 54.978, -1.618],
+  ['Glasgow', '', 'United Kingdom', 55.864, -4.252],
+  ['Edinburgh', '', 'United Kingdom', 55.953, -3.188],
+  ['Belfast', '', 'United Kingdom', 54.597, -5.930],
+  ['Dublin', '', 'Ireland', 53.350, -6.260],
+  ['Cork', '', 'Ireland', 51.899, -8.476],
+  ['Reykjavik', '', 'Iceland', 64.147, -21.943],
+  ['Paris', '', 'France', 48.857, 2.352],
+  ['Lille', '', 'France', 50.629, 3.057],
+  ['Strasbourg', '', 'France', 48.573, 7.752],
+  ['Nantes', '', 'France', 47.218, -1.554],
+  ['Bordeaux', '', 'France', 44.838, -0.579],
+  ['Lyon', '', 'France', 45.764, 4.836],
+  ['Toulouse', '', 'France', 43.605, 1.444],
+  ['Marseille', '', 'France', 43.297, 5.370],
+  ['Nice', '', 'France', 43.710, 7.262],
+  ['Brussels', '', 'Belgium', 50.850, 4.352],
+  ['Antwerp', '', 'Belgium', 51.219, 4.403],
+  ['Ghent', '', 'Belgium', 51.054, 3.717],
+  ['Luxembourg', '', 'Luxembourg', 49.612, 6.132],
+  ['Amsterdam', '', 'Netherlands', 52.368, 4.904],
+  ['Utrecht', '', 'Netherlands', 52.091, 5.121],
+  ['The Hague', '', 'Netherlands', 52.071, 4.301],
+  ['Rotterdam', '', 'Netherlands', 51.924, 4.478],
+  ['Berlin', '', 'Germany', 52.520, 13.405],
+  ['Hamburg', '', 'Germany', 53.551, 9.994],
+  ['Hanover', '', 'Germany', 52.376, 9.732],
+  ['Leipzig', '', 'Germany', 51.340, 12.373],
+  ['Dresden', '', 'Germany', 51.050, 13.737],
+  ['Cologne', '', 'Germany', 50.938, 6.960],
+  ['Düsseldorf', '', 'Germany', 51.228, 6.774],
+  ['Frankfurt', '', 'Germany', 50.111, 8.682],
+  ['Nuremberg', '', 'Germany', 49.452, 11.077],
+  ['Stuttgart', '', 'Germany', 48.776, 9.183],
+  ['Munich', '', 'Germany', 48.135, 11.582],
+  ['Vienna', '', 'Austria', 48.208, 16.374],
+  ['Graz', '', 'Austria', 47.071, 15.440],
+  ['Zurich', '', 'Switzerland', 47.377, 8.542],
+  ['Basel', '', 'Switzerland', 47.560, 7.589],
+  ['Bern', '', 'Switzerland', 46.948, 7.447],
+  ['Geneva', '', 'Switzerland', 46.204, 6.143],
+  ['Madrid', '', 'Spain', 40.417, -3.704],
+  ['Barcelona', '', 'Spain', 41.385, 2.173],
+  ['Valencia', '', 'Spain', 39.470, -0.376],
+  ['Bilbao', '', 'Spain', 43.263, -2.935],
+  ['Seville', '', 'Spain', 37.389, -5.985],
+  ['Málaga', '', 'Spain', 36.721, -4.421],
+  ['Palma', '', 'Spain', 39.570, 2.650],
+  ['Ibiza', '', 'Spain', 38.907, 1.421],
+  ['Lisbon', '', 'Portugal', 38.722, -9.139],
+  ['Porto', '', 'Portugal', 41.158, -8.629],
+  ['Milan', '', 'Italy', 45.464, 9.190],
+  ['Turin', '', 'Italy', 45.070, 7.687],
+  ['Venice', '', 'Italy', 45.441, 12.316],
+  ['Bologna', '', 'Italy', 44.495, 11.343],
+  ['Florence', '', 'Italy', 43.770, 11.256],
+  ['Rome', '', 'Italy', 41.903, 12.496],
+  ['Naples', '', 'Italy', 40.852, 14.268],
+  ['Valletta', '', 'Malta', 35.899, 14.515],
+  ['Copenhagen', '', 'Denmark', 55.676, 12.568],
+  ['Aarhus', '', 'Denmark', 56.163, 10.204],
+  ['Oslo', '', 'Norway', 59.914, 10.752],
+  ['Bergen', '', 'Norway', 60.391, 5.322],
+  ['Stockholm', '', 'Sweden', 59.329, 18.069],
+  ['Gothenburg', '', 'Sweden', 57.709, 11.975],
+  ['Malmö', '', 'Sweden', 55.605, 13.004],
+  ['Helsinki', '', 'Finland', 60.170, 24.938],
+  ['Tallinn', '', 'Estonia', 59.437, 24.754],
+  ['Riga', '', 'Latvia', 56.950, 24.105],
+  ['Vilnius', '', 'Lithuania', 54.687, 25.280],
+  ['Warsaw', '', 'Poland', 52.230, 21.012],
+  ['Gdańsk', '', 'Poland', 54.352, 18.647],
+  ['Wrocław', '', 'Poland', 51.108, 17.039],
+  ['Kraków', '', 'Poland', 50.065, 19.945],
+  ['Prague', '', 'Czechia', 50.076, 14.438],
+  ['Brno', '', 'Czechia', 49.195, 16.607],
+  ['Bratislava', '', 'Slovakia', 48.149, 17.108],
+  ['Budapest', '', 'Hungary', 47.498, 19.040],
+  ['Ljubljana', '', 'Slovenia', 46.057, 14.506],
+  ['Zagreb', '', 'Croatia', 45.815, 15.982],
+  ['Belgrade', '', 'Serbia', 44.787, 20.449],
+  ['Sarajevo', '', 'Bosnia and Herzegovina', 43.856, 18.413],
+  ['Sofia', '', 'Bulgaria', 42.698, 23.322],
+  ['Bucharest', '', 'Romania', 44.427, 26.103],
+  ['Chișinău', '', 'Moldova', 47.011, 28.864],
+  ['Athens', '', 'Greece', 37.984, 23.728],
+  ['Thessaloniki', '', 'Greece', 40.640, 22.944],
+  ['Nicosia', '', 'Cyprus', 35.186, 33.382],
+  ['Istanbul', '', 'Türkiye', 41.008, 28.978],
+  ['Ankara', '', 'Türkiye', 39.933, 32.860],
+  ['Izmir', '', 'Türkiye', 38.424, 27.143],
+  ['Kyiv', '', 'Ukraine', 50.450, 30.523],
+  ['Lviv', '', 'Ukraine', 49.840, 24.030],
+  ['Minsk', '', 'Belarus', 53.901, 27.559],
+  ['Moscow', '', 'Russia', 55.756, 37.617],
+  ['Saint Petersburg', '', 'Russia', 59.931, 30.361],
+
+  // Africa
+  ['Cairo', '', 'Egypt', 30.044, 31.236],
+  ['Alexandria', '', 'Egypt', 31.200, 29.919],
+  ['Khartoum', '', 'Sudan', 15.501, 32.560],
+  ['Tunis', '', 'Tunisia', 36.807, 10.182],
+  ['Algiers', '', 'Algeria', 36.754, 3.059],
+  ['Rabat', '', 'Morocco', 34.021, -6.842],
+  ['Casablanca', '', 'Morocco', 33.573, -7.590],
+  ['Marrakesh', '', 'Morocco', 31.630, -7.981],
+  ['Dakar', '', 'Senegal', 14.717, -17.468],
+  ['Abidjan', '', "Côte d'Ivoire", 5.360, -4.008],
+  ['Accra', '', 'Ghana', 5.604, -0.187],
+  ['Lagos', '', 'Nigeria', 6.524, 3.379],
+  ['Abuja', '', 'Nigeria', 9.077, 7.399],
+  ['Addis Ababa', '', 'Ethiopia', 9.030, 38.740],
+  ['Kampala', '', 'Uganda', 0.348, 32.583],
+  ['Nairobi', '', 'Kenya', -1.292, 36.822],
+  ['Mombasa', '', 'Kenya', -4.044, 39.668],
+  ['Kigali', '', 'Rwanda', -1.944, 30.062],
+  ['Dar es Salaam', '', 'Tanzania', -6.792, 39.208],
+  ['Kinshasa', '', 'DR Congo', -4.442, 15.266],
+  ['Luanda', '', 'Angola', -8.839, 13.289],
+  ['Lusaka', '', 'Zambia', -15.388, 28.323],
+  ['Harare', '', 'Zimbabwe', -17.825, 31.034],
+  ['Maputo', '', 'Mozambique', -25.969, 32.573],
+  ['Windhoek', '', 'Namibia', -22.561, 17.066],
+  ['Gaborone', '', 'Botswana', -24.628, 25.923],
+  ['Pretoria', '', 'South Africa', -25.748, 28.229],
+  ['Johannesburg', '', 'South Africa', -26.204, 28.047],
+  ['Durban', '', 'South Africa', -29.859, 31.022],
+  ['Cape Town', '', 'South Africa', -33.925, 18.424],
+  ['Antananarivo', '', 'Madagascar', -18.879, 47.508],
+  ['Port Louis', '', 'Mauritius', -20.161, 57.501],
+
+  // North America
+  ['Anchorage', '', 'United States', 61.218, -149.900],
+  ['Seattle', '', 'United States', 47.606, -122.332],
+  ['Portland', '', 'United States', 45.515, -122.678],
+  ['Sacramento', '', 'United States', 38.582, -121.494],
+  ['San Francisco', '', 'United States', 37.775, -122.419],
+  ['Oakland', '', 'United States', 37.804, -122.271],
+  ['San Jose', '', 'United States', 37.338, -121.886],
+  ['Los Angeles', '', 'United States', 34.052, -118.244],
+  ['San Diego', '', 'United States', 32.716, -117.161],
+  ['Las Vegas', '', 'United States', 36.170, -115.140],
+  ['Phoenix', '', 'United States', 33.448, -112.074],
+  ['Salt Lake City', '', 'United States', 40.761, -111.891],
+  ['Denver', '', 'United States', 39.739, -104.990],
+  ['Albuquerque', '', 'United States', 35.084, -106.650],
+  ['Dallas', '', 'United States', 32.777, -96.797],
+  ['Austin', '', 'United States', 30.267, -97.743],
+  ['San Antonio', '', 'United States', 29.424, -98.494],
+  ['Houston', '', 'United States', 29.760, -95.370],
+  ['New Orleans', '', 'United States', 29.951, -90.072],
+  ['Kansas City', '', 'United States', 39.100, -94.579],
+  ['Minneapolis', '', 'United States', 44.978, -93.265],
+  ['St. Louis', '', 'United States', 38.627, -90.199],
+  ['Chicago', '', 'United States', 41.878, -87.630],
+  ['Indianapolis', '', 'United States', 39.768, -86.158],
+  ['Nashville', '', 'United States', 36.163, -86.782],
+  ['Detroit', '', 'United States', 42.331, -83.046],
+  ['Columbus', '', 'United States', 39.961, -82.999],
+  ['Cleveland', '', 'United States', 41.499, -81.694],
+  ['Pittsburgh', '', 'United States', 40.441, -79.996],
+  ['Atlanta', '', 'United States', 33.749, -84.388],
+  ['Charlotte', '', 'United States', 35.227, -80.843],
+  ['Orlando', '', 'United States', 28.538, -81.379],
+  ['Tampa', '', 'United States', 27.951, -82.457],
+  ['Miami', '', 'United States', 25.762, -80.192],
+  ['Washington', '', 'United States', 38.907, -77.037],
+  ['Baltimore', '', 'United States', 39.290, -76.612],
+  ['Philadelphia', '', 'United States', 39.953, -75.165],
+  ['New York', '', 'United States', 40.713, -74.006],
+  ['Brooklyn', 'New York', 'United States', 40.678, -73.944],
+  ['Boston', '', 'United States', 42.360, -71.059],
+  ['Vancouver', '', 'Canada', 49.283, -123.121],
+  ['Victoria', '', 'Canada', 48.428, -123.366],
+  ['Calgary', '', 'Canada', 51.045, -114.072],
+  ['Edmonton', '', 'Canada', 53.546, -113.494],
+  ['Winnipeg', '', 'Canada', 49.895, -97.138],
+  ['Toronto', '', 'Canada', 43.653, -79.383],
+  ['Ottawa', '', 'Canada', 45.422, -75.697],
+  ['Montreal', '', 'Canada', 45.502, -73.567],
+  ['Quebec City', '', 'Canada', 46.814, -71.208],
+  ['Halifax', '', 'Canada', 44.649, -63.575],
+  ['Tijuana', '', 'Mexico', 32.515, -117.038],
+  ['Monterrey', '', 'Mexico', 25.687, -100.316],
+  ['Guadalajara', '', 'Mexico', 20.660, -103.350],
+  ['Mexico City', '', 'Mexico', 19.433, -99.133],
+  ['Cancún', '', 'Mexico', 21.162, -86.852],
+  ['Havana', '', 'Cuba', 23.114, -82.367],
+  ['Kingston', '', 'Jamaica', 17.971, -76.794],
+  ['Guatemala City', '', 'Guatemala', 14.635, -90.507],
+  ['San José', '', 'Costa Rica', 9.928, -84.091],
+  ['Panama City', '', 'Panama', 8.982, -79.520],
+
+  // South America
+  ['Bogotá', '', 'Colombia', 4.711, -74.072],
+  ['Medellín', '', 'Colombia', 6.244, -75.581],
+  ['Cali', '', 'Colombia', 3.452, -76.532],
+  ['Caracas', '', 'Venezuela', 10.481, -66.904],
+  ['Quito', '', 'Ecuador', -0.181, -78.468],
+  ['Guayaquil', '', 'Ecuador', -2.171, -79.922],
+  ['Lima', '', 'Peru', -12.046, -77.043],
+  ['La Paz', '', 'Bolivia', -16.490, -68.119],
+  ['Santiago', '', 'Chile', -33.449, -70.669],
+  ['Buenos Aires', '', 'Argentina', -34.604, -58.382],
+  ['Rosario', '', 'Argentina', -32.944, -60.651],
+  ['Córdoba', '', 'Argentina', -31.420, -64.189],
+  ['Montevideo', '', 'Uruguay', -34.901, -56.165],
+  ['Asunción', '', 'Paraguay', -25.264, -57.576],
+  ['São Paulo', '', 'Brazil', -23.551, -46.633],
+  ['Rio de Janeiro', '', 'Brazil', -22.907, -43.173],
+  ['Belo Horizonte', '', 'Brazil', -19.917, -43.935],
+  ['Brasília', '', 'Brazil', -15.827, -47.922],
+  ['Salvador', '', 'Brazil', -12.978, -38.502],
+  ['Recife', '', 'Brazil', -8.048, -34.877],
+  ['Porto Alegre', '', 'Brazil', -30.035, -51.218],
+];
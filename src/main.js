@@ -15,19 +15,56 @@
 import './styles/main.css';
 import { setupCanvases, clearCanvasRectCache } from './utils/canvas.js';
 import { setCursor, clearCursorCache } from './modules/drawing.js';
-import { saveImage } from './modules/imageProcessing.js';
+import {
+  saveImage,
+  encodeImage,
+  downloadBlob,
+  getOutputFilename,
+  getUniqueFilename,
+  formatFileSize,
+} from './modules/imageProcessing.js';
+import { setupExportDialog } from './modules/exportDialog.js';
+import { renderFullResolution } from './modules/fullResExport.js';
 import { loadImage, setupDragAndDrop } from './modules/imageLoader.js';
 import { rotateCanvas } from './modules/rotation.js';
 import { createEventHandlers } from './modules/eventHandlers.js';
+import { createHistory, captureCanvasState, createSnapshotEntry } from './modules/history.js';
+import { renderHistoryPanel, setupHistoryPanel } from './modules/historyPanel.js';
+import { createRedactionDocument, rotateRegion } from './modules/redactionDocument.js';
+import { createRegionRenderer } from './modules/regionRenderer.js';
+import { createRegionSelection } from './modules/regionSelection.js';
+import { createRedactionAuditor } from './modules/redactionAudit.js';
+import { createViewport } from './modules/viewport.js';
+import { createLoupe } from './modules/loupe.js';
+import { createBatchQueue } from './modules/batchQueue.js';
+import { renderQueuePanel, setupQueuePanel } from './modules/queuePanel.js';
+import { verifyExport } from './modules/exportVerifier.js';
+import { buildCoarseFields, applyCoarseMetadata } from './modules/coarseMetadata.js';
+import { inspectMetadata } from './modules/metadataInspector.js';
+import {
+  renderVerificationReceipt,
+  hideVerificationReceipt,
+  setupVerificationReceipt,
+} from './modules/verificationReceipt.js';
+import { createZip } from './utils/zip.js';
+import { isSecureRandomAvailable } from './utils/crypto.js';
 import { createFocusTrap, addKeyboardActivation } from './utils/focusTrap.js';
-import { showLoading, hideLoading, showError, addBannerCloseButton } from './utils/dom.js';
+import { showLoading, hideLoading, showError, addBannerCloseButton, isAbortError } from './utils/dom.js';
 import {
   DEFAULT_BRUSH_SIZE,
   DEFAULT_BLUR_AMOUNT,
+  WAND_TOLERANCE_DEFAULT,
+  INVERT_MARGIN_DEFAULT,
+  REDACTION_STYLES,
+  DEFAULT_REDACTION_STYLE,
   DEFAULT_PAINTING_MODE,
   DEFAULT_BRUSH_TYPE,
   DEFAULT_PAINT_COLOR,
-  BRUSH_ADJUSTMENT_FACTOR
+  BRUSH_ADJUSTMENT_FACTOR,
+  OUTPUT_FORMATS,
+  BATCH_ZIP_FILENAME,
+  BATCH_DOWNLOAD_DELAY_MS,
+  PAN_KEY_STEP
 } from './utils/constants.js';
 import jscolor from '@eastdesire/jscolor';
 
@@ -43,22 +80,60 @@ import jscolor from '@eastdesire/jscolor';
  * 
  * @property {string} filename - Current loaded image filename
  * @property {number} brushSize - Current brush radius in pixels
- * @property {number} blurAmount - Current blur radius (0-150)
+ * @property {number} blurAmount - Strength of the current redaction style (blur radius for the default style)
+ * @property {string} redactionStyle - Redaction style used in blur mode (see REDACTION_STYLES)
+ * @property {Object<string, number>} styleStrengths - Last strength chosen for each redaction style
+ * @property {string} feather - Region edges: 'hard' or 'soft'
+ * @property {number} wandTolerance - Colour tolerance of the magic wand and colour range tools (0-255)
+ * @property {boolean} invert - "Keep inside" mode: new regions cover everything outside the shape drawn
+ * @property {number} invertMargin - Soft margin around kept areas (slider units, scaled like the brush size)
+ * @property {boolean} pressure - Stylus pressure sets the round brush's radius (up to brushSize)
  * @property {number} brushAdjustment - Factor for calculating brush size from slider
  * @property {string} painting - Current mode: 'blur', 'paint', or 'undo'
- * @property {string} brush - Current brush type: 'round', 'area', or 'tap'
+ * @property {string} brush - Current brush type: 'round', 'area', 'tap', 'polygon', 'lasso', 'ellipse', 'wand', 'colorRange', or 'select'
  * @property {string} paintColor - Current paint color (hex format)
  * @property {Object|null} imageMeta - Metadata about loaded image
+ * @property {File|null} sourceFile - Original file, re-decoded at full resolution on export
+ * @property {number} quarterTurns - Number of 90° clockwise rotations applied to the image
+ * @property {number} imageGeneration - Bumped whenever the original image is replaced, rotated or restored; work started on an older image is dropped
+ * @property {Object|null} history - Undo/redo history stack (see modules/history)
+ * @property {Object|null} redactionDocument - Editable redaction regions (see modules/redactionDocument)
+ * @property {Object|null} renderer - Renders the regions onto the canvas (see modules/regionRenderer)
+ * @property {Object|null} selection - Select tool controller (see modules/regionSelection)
+ * @property {Object|null} auditor - Flags regions that may still be readable (see modules/redactionAudit)
+ * @property {Object|null} queue - Photos loaded in this session (see modules/batchQueue)
+ * @property {Object|null} canvasHandlers - Canvas event handlers (see modules/eventHandlers)
+ * @property {Object|null} viewport - Zoom and pan of the visible canvas (see modules/viewport)
  */
 const state = {
   filename: '',
   brushSize: DEFAULT_BRUSH_SIZE,
   blurAmount: DEFAULT_BLUR_AMOUNT,
+  redactionStyle: DEFAULT_REDACTION_STYLE,
+  styleStrengths: Object.fromEntries(
+    Object.entries(REDACTION_STYLES).map(([id, style]) => [id, style.default])
+  ),
+  feather: 'hard',
+  wandTolerance: WAND_TOLERANCE_DEFAULT,
+  invert: false,
+  invertMargin: INVERT_MARGIN_DEFAULT,
+  pressure: false,
   brushAdjustment: BRUSH_ADJUSTMENT_FACTOR,
   painting: DEFAULT_PAINTING_MODE,
   brush: DEFAULT_BRUSH_TYPE,
   paintColor: DEFAULT_PAINT_COLOR,
   imageMeta: null,
+  sourceFile: null,
+  quarterTurns: 0,
+  imageGeneration: 0,
+  history: null,
+  redactionDocument: null,
+  renderer: null,
+  selection: null,
+  auditor: null,
+  queue: null,
+  canvasHandlers: null,
+  viewport: null,
   // NOTE: Focus traps for accessibility (modal focus management)
   aboutModalTrap: null,
   exifModalTrap: null,
@@ -88,18 +163,102 @@ function init() {
     setupNetworkBanner();
     setupAccessibleControls();
 
+    // Blur shuffles with secure randomness and refuses to run without it
+    if (!isSecureRandomAvailable()) {
+      showError(
+        'Secure Randomness Unavailable',
+        'This browser cannot generate secure random numbers, so Blur will not work. Use Paint, or open Substance Scrubber in an up-to-date browser.'
+      );
+    }
+
+  // Setup undo/redo history
+  state.history = createHistory({
+    onChange: () => renderHistoryPanel(state.history),
+  });
+  setupHistoryPanel(state.history, (message) => {
+    // Canvas size may change when undoing/redoing a rotation
+    setCursor(canvas, state.brushSize, state.brush);
+    announceToScreenReader(message);
+  });
+
+  // Setup the redaction document: strokes are stored as editable regions
+  // and rendered on top of the original image whenever they change, then
+  // new and edited regions are checked for anything still readable
+  state.redactionDocument = createRedactionDocument({
+    onChange: () => state.renderer.requestRender().then(() => state.auditor.audit()),
+  });
+  state.renderer = createRegionRenderer(canvases, state.redactionDocument, {
+    drawOverlay: (ctx) => {
+      state.auditor.drawOverlay(ctx);
+      state.selection.drawOverlay(ctx);
+      state.viewport?.updateMinimap();
+    },
+  });
+  state.auditor = createRedactionAuditor({
+    rotationCanvas: canvases.rotationCanvas,
+    redactionDocument: state.redactionDocument,
+    renderArea: (rect, scale) => state.renderer.renderArea(rect, scale),
+    onFlag: (region, { reasons, suggestion }) => {
+      showStatus(`This redaction may still be readable: ${reasons.join(', and ')}. ${suggestion}`, 'warning');
+    },
+    onChange: () => state.renderer.requestRender(),
+  });
+  state.selection = createRegionSelection({
+    canvas,
+    redactionDocument: state.redactionDocument,
+    history: state.history,
+    requestRender: () => state.renderer.requestRender(),
+  });
+
+  // Setup the batch queue: every loaded photo keeps its own regions
+  state.queue = createBatchQueue({
+    onChange: () => renderQueuePanel(state.queue),
+  });
+  setupQueuePanel(state.queue, {
+    onOpen: (id) => openQueueItem(id, canvases),
+    onRemove: (id) => removeQueueItem(id, canvases),
+    onSaveAll: () => exportDialog.open((options) => exportQueue(canvases, options, false)),
+    onSaveZip: () => exportDialog.open((options) => exportQueue(canvases, options, true)),
+  });
+
   // Setup event handlers
-  const handlers = createEventHandlers(canvases, state);
+  const handlers = createEventHandlers(canvases, state, {
+    history: state.history,
+    redactionDocument: state.redactionDocument,
+    selection: state.selection,
+    loupe: createLoupe({
+      element: document.getElementById('loupe'),
+      canvas,
+      holderCanvas: canvases.holderCanvas,
+    }),
+    renderer: state.renderer,
+    notify: showStatus,
+  });
+  state.canvasHandlers = handlers;
+
+  // Setup zoom and pan. A pinch drops the stroke its first finger started.
+  state.viewport = createViewport({
+    canvas,
+    minimap: document.getElementById('minimap'),
+    minimapCanvas: document.getElementById('minimapCanvas'),
+    zoomLabel: document.getElementById('zoomLevel'),
+    onChange: () => {
+      setCursor(canvas, state.brushSize, state.brush);
+      // Selection handles keep the same size on screen
+      if (state.brush === 'select') {
+        state.renderer.requestRender();
+      }
+    },
+    onGestureStart: () => handlers.cancelStroke(),
+  });
+  document.getElementById('zoomFitButton')?.addEventListener('click', () => state.viewport.reset());
 
   // Attach canvas event listeners
-  canvas.addEventListener('mousedown', handlers.handleMouseDown);
-  canvas.addEventListener('mousemove', handlers.handleMouseMove);
-  canvas.addEventListener('mouseup', handlers.handleMouseUp);
-  canvas.addEventListener('mouseout', handlers.handleMouseOut);
-  canvas.addEventListener('touchstart', handlers.handleTouchStart);
-  canvas.addEventListener('touchmove', handlers.handleTouchMove);
-  canvas.addEventListener('touchend', handlers.handleMouseUp);
-  canvas.addEventListener('touchcancel', handlers.handleMouseUp);
+  canvas.addEventListener('pointerdown', handlers.handlePointerDown);
+  canvas.addEventListener('pointermove', handlers.handlePointerMove);
+  canvas.addEventListener('pointerup', handlers.handlePointerUp);
+  canvas.addEventListener('pointercancel', handlers.handlePointerUp);
+  canvas.addEventListener('pointerleave', handlers.handlePointerLeave);
 
   // Setup brush size slider
   const brushSizeSlider = document.getElementById('brushSizeSlider');
@@ -128,8 +287,63 @@ function init() {
     });
     blurAmountSlider.addEventListener('change', () => {
       state.blurAmount = Math.floor(blurAmountSlider.value);
+      state.styleStrengths[state.redactionStyle] = state.blurAmount;
+      // Build the new strength's layer now, so strokes can preview it
+      state.canvasHandlers.preparePreview();
       // Announce to screen readers
-      announceToScreenReader(`Blur radius set to ${blurAmountSlider.value}`);
+      const { strengthLabel } = REDACTION_STYLES[state.redactionStyle];
+      announceToScreenReader(`${strengthLabel} set to ${blurAmountSlider.value}`);
+    });
+  }
+
+  // Setup redaction style picker; the strength slider follows the style
+  const redactionStyleSelect = document.getElementById('redactionStyle');
+  if (redactionStyleSelect) {
+    Object.entries(REDACTION_STYLES).forEach(([id, style]) => {
+      redactionStyleSelect.add(new Option(style.label, id, false, id === state.redactionStyle));
+    });
+    redactionStyleSelect.addEventListener('change', () => {
+      state.redactionStyle = redactionStyleSelect.value;
+      const style = REDACTION_STYLES[state.redactionStyle];
+      state.blurAmount = state.styleStrengths[state.redactionStyle];
+
+      if (blurAmountSlider) {
+        blurAmountSlider.min = style.min;
+        blurAmountSlider.max = style.max;
+        blurAmountSlider.value = state.blurAmount;
+        blurAmountSlider.setAttribute('aria-valuemin', style.min);
+        blurAmountSlider.setAttribute('aria-valuemax', style.max);
+        blurAmountSlider.setAttribute('aria-valuenow', state.blurAmount);
+        blurAmountSlider.setAttribute('aria-label', `${style.strengthLabel} slider`);
+      }
+      const blurAmountLabel = document.getElementById('blurAmountLabel');
+      if (blurAmountLabel) blurAmountLabel.textContent = style.strengthLabel;
+
+      // Picking a style implies blur mode
+      document.getElementById('Blur')?.click();
+      announceToScreenReader(`${style.label} style selected`);
+    });
+  }
+
+  // Setup hard/soft edge picker
+  const featherSelect = document.getElementById('featherMode');
+  if (featherSelect) {
+    featherSelect.value = state.feather;
+    featherSelect.addEventListener('change', () => {
+      state.feather = featherSelect.value;
+      announceToScreenReader(`${state.feather === 'soft' ? 'Soft' : 'Hard'} edges`);
+    });
+  }
+
+  // Setup colour tolerance slider (magic wand and colour range tools)
+  const wandToleranceSlider = document.getElementById('wandToleranceSlider');
+  if (wandToleranceSlider) {
+    wandToleranceSlider.addEventListener('input', () => {
+      wandToleranceSlider.setAttribute('aria-valuenow', wandToleranceSlider.value);
+    });
+    wandToleranceSlider.addEventListener('change', () => {
+      state.wandTolerance = Math.floor(wandToleranceSlider.value);
+      announceToScreenReader(`Colour tolerance set to ${wandToleranceSlider.value}`);
     });
   }
 
@@ -144,9 +358,44 @@ function init() {
     }
     radio.addEventListener('click', () => {
       state.painting = radio.value;
+      state.canvasHandlers.preparePreview();
     });
   });
 
+  // Setup pen pressure toggle
+  const pressureToggle = document.getElementById('pressureMode');
+  if (pressureToggle) {
+    pressureToggle.checked = state.pressure;
+    pressureToggle.addEventListener('change', () => {
+      state.pressure = pressureToggle.checked;
+      announceToScreenReader(state.pressure
+        ? 'Pen pressure on: press lightly with a stylus for a thinner stroke'
+        : 'Pen pressure off');
+    });
+  }
+
+  // Setup "keep inside" toggle and its soft margin slider
+  const invertToggle = document.getElementById('invertMode');
+  if (invertToggle) {
+    invertToggle.checked = state.invert;
+    invertToggle.addEventListener('change', () => {
+      state.invert = invertToggle.checked;
+      announceToScreenReader(state.invert
+        ? 'Keep inside on: the area you mark is kept, everything else is redacted'
+        : 'Keep inside off');
+    });
+  }
+  const invertMarginSlider = document.getElementById('invertMarginSlider');
+  if (invertMarginSlider) {
+    invertMarginSlider.addEventListener('input', () => {
+      invertMarginSlider.setAttribute('aria-valuenow', invertMarginSlider.value);
+    });
+    invertMarginSlider.addEventListener('change', () => {
+      state.invertMargin = Math.floor(invertMarginSlider.value);
+      announceToScreenReader(`Keep margin set to ${invertMarginSlider.value}`);
+    });
+  }
+
   // Setup brush type radio buttons
   const brushFormElements = document.querySelectorAll('input[name="useBrush"]');
   brushFormElements.forEach((radio) => {
@@ -155,7 +404,12 @@ function init() {
       state.brush = 'round';
     }
     radio.addEventListener('click', () => {
+      // An unfinished polygon belongs to the tool being left
+      handlers.cancelPolygon();
       state.brush = radio.value;
+      if (state.brush !== 'select') {
+        state.selection.clearSelection();
+      }
       const biggerDimension = Math.max(canvas.width, canvas.height);
       state.brushSize = Math.floor(
         (brushSizeSlider.value * biggerDimension) / state.brushAdjustment
@@ -205,52 +459,143 @@ function init() {
   const fileInput = document.getElementById('file-input');
   if (fileInput) {
     fileInput.addEventListener('change', async (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        await handleFileLoad(file, canvases);
+      const files = Array.from(e.target.files);
+      // Reset so choosing the same files again still fires 'change'
+      e.target.value = '';
+      if (files.length) {
+        await handleFilesAdded(files, canvases);
       }
     });
   }
 
-  // Setup save button
-  const saveButton = document.getElementById('saveButton');
-  if (saveButton) {
-    saveButton.addEventListener('click', async () => {
-      if (!state.filename) {
-        showError('No Image Loaded', 'Please load an image before attempting to save.');
-        return;
-      }
-      
+  // Setup export dialog and save button
+  setupVerificationReceipt();
+  const exportDialog = setupExportDialog({
+    getPhotoMetadata: () => state.imageMeta?.metadata || null,
+    onExport: async (options) => {
+      const controller = new AbortController();
+      const onCancel = () => controller.abort();
       try {
-        showLoading('Saving anonymized image...');
-        await saveImage(canvas, state.filename);
+        showLoading('Saving anonymized image...', { onCancel });
+        hideVerificationReceipt();
+        const { output, fullResolution } = await renderExportCanvas(canvas, options.maxDimension, {
+          signal: controller.signal,
+          onProgress: (progress) => showLoading('Saving anonymized image...', { progress, onCancel }),
+        });
+        const result = await saveImage(output, state.filename, {
+          ...options,
+          signal: controller.signal,
+          coarseFields: buildCoarseFields(options.coarse, state.imageMeta?.metadata),
+          verify: (blob, written) => {
+            showLoading('Verifying the file is clean...', { onCancel });
+            return verifyExport(blob, { ...getActiveVerificationSource(canvases), allowedMetadata: written });
+          },
+        });
         hideLoading();
-        showStatus('Image saved successfully! All metadata has been removed.', 'success');
-        announceToScreenReader('Image saved successfully');
+        renderVerificationReceipt([{ name: result.filename, verification: result.verification }]);
+
+        if (!result.downloaded) {
+          showStatus(
+            'Download blocked: the saved file did not pass the clean check. See the details below, then try again or choose another format.',
+            'error'
+          );
+          announceToScreenReader('Download blocked, verification failed');
+          return;
+        }
+
+        const { label } = OUTPUT_FORMATS[result.format];
+        const details = [
+          formatFileSize(result.bytes),
+          result.quality !== null ? `${Math.round(result.quality * 100)}% quality` : null,
+          `${result.width}×${result.height}${fullResolution && !options.maxDimension ? ', full resolution' : ''}`,
+        ].filter(Boolean).join(', ');
+        const cleanNote = describeCoarseResult(options.coarse, result.coarseMetadata);
+
+        if (!result.metTarget) {
+          showStatus(
+            `Saved as ${label} (${details}), but it could not be made smaller than ${formatFileSize(options.targetBytes)}. Try a smaller maximum size. ${cleanNote}`,
+            'warning'
+          );
+        } else {
+          showStatus(`Image saved as ${label} (${details}). ${cleanNote}`, 'success');
+        }
+        announceToScreenReader(`Image saved as ${label}`);
       } catch (error) {
         hideLoading();
+        if (isAbortError(error)) {
+          showStatus('Save cancelled. Nothing was downloaded.', 'info');
+          announceToScreenReader('Save cancelled');
+          return;
+        }
         showError(
           'Failed to Save Image',
           error.message || 'An unexpected error occurred while saving the image. Please try again.',
           error
         );
       }
+    },
+  });
+
+  const saveButton = document.getElementById('saveButton');
+  if (saveButton) {
+    saveButton.addEventListener('click', () => {
+      if (!state.filename) {
+        showError('No Image Loaded', 'Please load an image before attempting to save.');
+        return;
+      }
+
+      exportDialog.open();
     });
   }
 
   // Setup rotate button
   const rotateButton = document.getElementById('rotate');
   if (rotateButton) {
-    rotateButton.addEventListener('click', () => {
+    rotateButton.addEventListener('click', async () => {
       if (!state.imageMeta) {
         showError('No Image Loaded', 'Please load an image before attempting to rotate.');
         return;
       }
       
       try {
+        // Rotation can't be cancelled: the canvas copies are made synchronously
         showLoading('Rotating image...');
-        rotateCanvas(canvases);
+        const before = captureCanvasState(canvases, state.redactionDocument, state.quarterTurns);
+        const oldHeight = canvas.height;
+        const rotated = await rotateCanvas(canvases);
+        if (rotated) {
+          state.quarterTurns = (state.quarterTurns + 1) % 4;
+          state.imageGeneration++;
+          // The original image changed, so cached blur layers are stale
+          state.renderer.invalidateLayers();
+          state.canvasHandlers.preparePreview();
+          state.viewport.reset();
+          state.redactionDocument.replaceAll(
+            state.redactionDocument.getRegions().map((region) => rotateRegion(region, oldHeight))
+          );
+          const after = captureCanvasState(canvases, state.redactionDocument, state.quarterTurns);
+          state.history.push(
+            createSnapshotEntry({
+              canvases,
+              redactionDocument: state.redactionDocument,
+              before,
+              after,
+              label: 'Rotate 90°',
+              onRestore: (snapshot) => {
+                state.quarterTurns = snapshot.quarterTurns;
+                state.imageGeneration++;
+                state.renderer.invalidateLayers();
+                state.viewport.reset();
+                setCursor(canvas, state.brushSize, state.brush);
+              },
+            })
+          );
+        }
         hideLoading();
+        if (!rotated) {
+          showError('Failed to Rotate Image', 'The image could not be rotated. It has been left as it was.');
+          return;
+        }
         showStatus('Image rotated 90° clockwise.', 'info');
         announceToScreenReader('Image rotated');
       } catch (error) {
@@ -318,7 +663,7 @@ function init() {
   }
 
   // Setup drag and drop
-  setupDragAndDrop((file) => handleFileLoad(file, canvases));
+  setupDragAndDrop((files) => handleFilesAdded(files, canvases));
 
   // Hide info panel on start
   const info = document.getElementById('imageScrubberInfo');
@@ -364,6 +709,15 @@ function init() {
           clearSession(canvases);
           state.filename = '';
           state.imageMeta = null;
+          state.sourceFile = null;
+          state.quarterTurns = 0;
+          state.selection.clearSelection();
+          state.redactionDocument.clear();
+          state.renderer.invalidateLayers();
+          state.viewport.reset();
+          state.history.clear();
+          state.queue.clear();
+          hideVerificationReceipt();
           showStatus('Session cleared successfully. All image data has been removed from memory.', 'success');
           updateCanvasGuidance(state, canvas);
           announceToScreenReader('Session cleared');
@@ -610,6 +964,7 @@ function updateCanvasGuidance(currentState, canvas) {
  */
 function clearSession(canvases) {
   // TODO: Add confirmation dialog if there are unsaved changes
+  state.imageGeneration++;
   
   const canvasList = [
     canvases.canvas,
@@ -706,12 +1061,23 @@ function closeModal(modal, trigger, focusTrap) {
  * - Ctrl/Cmd+S: Save image
  * - Ctrl/Cmd+O: Open image
  * - Ctrl/Cmd+R: Rotate image
+ * - Ctrl/Cmd+Z: Undo last edit
+ * - Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y: Redo edit
  * - B: Switch to Blur mode
  * - P: Switch to Paint mode
  * - U: Switch to Undo mode
+ * - I: Toggle "keep inside" (redact everything outside what you mark)
  * - 1: Round brush
  * - 2: Rectangle tool
  * - 3: Tap tool
+ * - 4: Polygon tool
+ * - 5: Lasso tool
+ * - 6: Ellipse tool
+ * - 7: Magic wand
+ * - 8: Colour range
+ * - Enter/Escape: Finish/cancel the polygon being drawn
+ * - V: Select tool
+ * - Delete/Backspace: Delete selected region
  * - [/]: Decrease/increase brush size
  * - ?/F1: Open help/about
  * 
@@ -762,6 +1128,20 @@ function setupKeyboardShortcuts() {
       return;
     }
 
+    // Redo: Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y
+    if (ctrlOrCmd && ((e.shiftKey && e.key.toLowerCase() === 'z') || e.key.toLowerCase() === 'y')) {
+      e.preventDefault();
+      document.getElementById('historyRedo')?.click();
+      return;
+    }
+
+    // Undo: Ctrl/Cmd+Z (Caps Lock reports 'Z')
+    if (ctrlOrCmd && !e.shiftKey && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      document.getElementById('historyUndo')?.click();
+      return;
+    }
+
     // Don't process other shortcuts if Ctrl/Cmd is held
     if (ctrlOrCmd) return;
 
@@ -782,6 +1162,10 @@ function setupKeyboardShortcuts() {
         document.getElementById('Undo')?.click();
         announceToScreenReader('Undo mode activated');
         break;
+      case 'i':
+        e.preventDefault();
+        document.getElementById('invertMode')?.click();
+        break;
       case '1':
         e.preventDefault();
         document.getElementById('Round')?.click();
@@ -797,10 +1181,87 @@ function setupKeyboardShortcuts() {
         document.getElementById('Tap')?.click();
         announceToScreenReader('Tap tool selected');
         break;
+      case '4':
+        e.preventDefault();
+        document.getElementById('Polygon')?.click();
+        announceToScreenReader('Polygon tool selected');
+        break;
+      case '5':
+        e.preventDefault();
+        document.getElementById('Lasso')?.click();
+        announceToScreenReader('Lasso tool selected');
+        break;
+      case '6':
+        e.preventDefault();
+        document.getElementById('Ellipse')?.click();
+        announceToScreenReader('Ellipse tool selected');
+        break;
+      case '7':
+        e.preventDefault();
+        document.getElementById('Wand')?.click();
+        announceToScreenReader('Magic wand selected');
+        break;
+      case '8':
+        e.preventDefault();
+        document.getElementById('ColorRange')?.click();
+        announceToScreenReader('Colour range tool selected');
+        break;
+      case 'enter':
+        if (state.canvasHandlers?.finishPolygon()) {
+          e.preventDefault();
+          announceToScreenReader('Polygon finished');
+        }
+        break;
+      case 'escape':
+        if (state.canvasHandlers?.cancelPolygon()) {
+          e.preventDefault();
+          announceToScreenReader('Polygon cancelled');
+        }
+        break;
+      case 'v':
+        e.preventDefault();
+        document.getElementById('Select')?.click();
+        announceToScreenReader('Select tool selected');
+        break;
+      case 'delete':
+      case 'backspace':
+        if (state.brush === 'select' && state.selection?.deleteSelected()) {
+          e.preventDefault();
+          announceToScreenReader('Region deleted');
+        }
+        break;
       case '[':
         e.preventDefault();
         adjustBrushSize(-5);
         break;
+      case '+':
+      case '=':
+        e.preventDefault();
+        state.viewport?.zoomIn();
+        announceToScreenReader(`Zoom ${Math.round(state.viewport.getZoom() * 100)}%`);
+        break;
+      case '-':
+        e.preventDefault();
+        state.viewport?.zoomOut();
+        announceToScreenReader(`Zoom ${Math.round(state.viewport.getZoom() * 100)}%`);
+        break;
+      case '0':
+        e.preventDefault();
+        state.viewport?.reset();
+        announceToScreenReader('Image fitted to window');
+        break;
+      case 'arrowleft':
+      case 'arrowright':
+      case 'arrowup':
+      case 'arrowdown': {
+        // Arrows only pan while zoomed in
+        if (!state.viewport || state.viewport.getZoom() === 1) break;
+        e.preventDefault();
+        const dx = { arrowleft: PAN_KEY_STEP, arrowright: -PAN_KEY_STEP }[e.key.toLowerCase()] || 0;
+        const dy = { arrowup: PAN_KEY_STEP, arrowdown: -PAN_KEY_STEP }[e.key.toLowerCase()] || 0;
+        state.viewport.panBy(dx, dy);
+        break;
+      }
       case ']':
         e.preventDefault();
         adjustBrushSize(5);
@@ -902,30 +1363,426 @@ function announceToScreenReader(message, priority = 'polite') {
   }, 100);
 }
 
+/**
+ * Render the image to export
+ *
+ * Photos larger than the working copy are re-rendered from the original
+ * file at full resolution, unless the export is capped at a size the working
+ * copy already covers. If that fails (e.g. the browser can't allocate a
+ * canvas that large) the working copy is exported instead.
+ *
+ * @param {HTMLCanvasElement} canvas - Visible canvas (working copy)
+ * @param {number} [maxDimension=0] - Maximum width/height of the export (0 = no limit)
+ * @param {Object} [options] - Progress and cancel options
+ * @param {AbortSignal} [options.signal] - Cancels the render (the canvases are left as they were)
+ * @param {Function} [options.onProgress] - Called with the fraction done
+ * @returns {Promise<{output: HTMLCanvasElement, fullResolution: boolean}>} Canvas to save
+ * @throws {DOMException} AbortError if cancelled
+ */
+async function renderExportCanvas(canvas, maxDimension = 0, { signal = null, onProgress = null } = {}) {
+  const { imageMeta, sourceFile } = state;
+  const downscaled =
+    imageMeta && sourceFile && imageMeta.originalWidth > imageMeta.width;
+  const workingCopyIsEnough =
+    maxDimension > 0 && maxDimension <= Math.max(canvas.width, canvas.height);
+
+  if (downscaled && !workingCopyIsEnough) {
+    try {
+      const output = await renderFullResolution({
+        file: sourceFile,
+        regions: state.redactionDocument.getRegions(),
+        workingWidth: canvas.width,
+        quarterTurns: state.quarterTurns,
+        signal,
+        onProgress: onProgress && ((done, total) => onProgress(done / total)),
+      });
+      return { output, fullResolution: true };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn('Full-resolution export failed, saving working copy instead:', error);
+    }
+  }
+
+  return { output: await state.renderer.renderToCanvas({ signal, onProgress }), fullResolution: false };
+}
+
+/**
+ * Check whether a file looks like an image the browser can decode
+ * @param {File} file - File to check
+ * @returns {boolean} True for image MIME types or image file extensions
+ */
+function isSupportedImageFile(file) {
+  const isImageType = file && file.type && file.type.startsWith('image/');
+  const isImageName = file && /\.(png|jpe?g|gif|webp|bmp)$/i.test(file.name || '');
+  return Boolean(isImageType || isImageName);
+}
+
+/**
+ * Add chosen or dropped files to the queue and open the first new photo
+ * @param {File[]} files - Files to add
+ * @param {Object} canvases - Canvas objects
+ */
+async function handleFilesAdded(files, canvases) {
+  if (!files || files.length === 0) {
+    showError('No File Selected', 'Please choose an image file to anonymize.');
+    return;
+  }
+
+  const images = files.filter(isSupportedImageFile);
+  const skipped = files.length - images.length;
+
+  if (images.length === 0) {
+    showError(
+      'Unsupported File Type',
+      files.length === 1
+        ? `The file "${files[0].name}" is not a supported image format. Please choose a PNG, JPEG, GIF, WebP, or BMP image.`
+        : 'None of the dropped files are supported images. Please choose PNG, JPEG, GIF, WebP, or BMP images.'
+    );
+    return;
+  }
+
+  const added = state.queue.addFiles(images);
+  const opened = await openQueueItem(added[0].id, canvases);
+
+  if (opened && (skipped > 0 || added.length > 1)) {
+    const skippedNote = skipped > 0
+      ? ` ${skipped} file(s) were skipped because they are not supported images.`
+      : '';
+    showStatus(
+      `${added.length} photo(s) added to the queue. Click a thumbnail to switch photos; each keeps its own redactions.${skippedNote}`,
+      skipped > 0 ? 'warning' : 'success'
+    );
+  }
+}
+
+/**
+ * Remember the open photo's regions and rotation in its queue item
+ * @param {HTMLCanvasElement} canvas - Main canvas (working copy size)
+ */
+function saveActiveQueueItem(canvas) {
+  const active = state.queue.getActive();
+  if (!active) return;
+
+  state.queue.updateItem(active.id, {
+    regions: state.redactionDocument.getRegions(),
+    quarterTurns: state.quarterTurns,
+    workingWidth: canvas.width,
+  });
+}
+
+// Tail of the queue switching chain: photos are opened one at a time, so a
+// second thumbnail click waits for the first photo to finish restoring
+let queueSwitch = Promise.resolve(true);
+
+/**
+ * Open a queued photo in the editor, restoring its rotation and regions
+ *
+ * NOTE: Undo history is per visit - switching photos starts a fresh history.
+ *
+ * @param {number} id - Queue item id
+ * @param {Object} canvases - Canvas objects
+ * @returns {Promise<boolean>} True if the photo was opened
+ */
+function openQueueItem(id, canvases) {
+  const job = queueSwitch.then(() => switchToQueueItem(id, canvases));
+  queueSwitch = job.catch(() => false);
+  return job;
+}
+
+/**
+ * Load a queued photo and apply its saved rotation and regions
+ * The regions are only restored once every rotation has succeeded: they
+ * were saved in rotated coordinates, and on an unrotated image they would
+ * leave the areas they cover readable.
+ * @param {Object} item - Queue item
+ * @param {Object} canvases - Canvas objects
+ * @returns {Promise<boolean>} True if the photo is fully restored
+ */
+async function restoreQueueItem(item, canvases) {
+  const loaded = await handleFileLoad(item.file, canvases);
+  if (!loaded) return false;
+
+  try {
+    for (let turn = 0; turn < item.quarterTurns; turn++) {
+      const rotated = await rotateCanvas(canvases);
+      if (!rotated) {
+        throw new Error('The saved rotation could not be applied.');
+      }
+      // Keep track of the turns actually applied, for export
+      state.quarterTurns = turn + 1;
+      state.imageGeneration++;
+    }
+    state.renderer.invalidateLayers();
+    state.viewport.reset();
+    state.redactionDocument.replaceAll(item.regions);
+    setCursor(canvases.canvas, state.brushSize, state.brush);
+    return true;
+  } catch (error) {
+    state.renderer.invalidateLayers();
+    state.viewport.reset();
+    showError('Failed to Restore Photo', error.message || 'The saved rotation could not be applied.', error);
+    return false;
+  }
+}
+
+/**
+ * Switch the editor to a queued photo (see openQueueItem)
+ * @private
+ */
+async function switchToQueueItem(id, canvases, { fallback = true } = {}) {
+  const item = state.queue.getItem(id);
+  const previous = state.queue.getActive();
+  if (!item) return false;
+  if (previous && previous.id === id) return true;
+
+  saveActiveQueueItem(canvases.canvas);
+  // Nothing is active while the photo loads, so a half-restored editor is
+  // never saved over a queue item
+  state.queue.setActive(null);
+
+  if (await restoreQueueItem(item, canvases)) {
+    state.queue.setActive(id);
+    announceToScreenReader(`Opened ${item.file.name}`);
+    return true;
+  }
+
+  // Go back to the photo that was open; its regions were saved above
+  if (previous && fallback && state.queue.getItem(previous.id)) {
+    await switchToQueueItem(previous.id, canvases, { fallback: false });
+  }
+  return false;
+}
+
+/**
+ * Remove a photo from the queue, opening a neighbour if it was open
+ * @param {number} id - Queue item id
+ * @param {Object} canvases - Canvas objects
+ */
+async function removeQueueItem(id, canvases) {
+  const items = state.queue.getItems();
+  const index = items.findIndex((item) => item.id === id);
+  const active = state.queue.getActive();
+  const removed = state.queue.remove(id);
+  if (!removed) return;
+
+  announceToScreenReader(`Removed ${removed.file.name} from the queue`);
+
+  if (active && active.id === id) {
+    const remaining = state.queue.getItems();
+    const next = remaining[Math.min(index, remaining.length - 1)];
+    if (next) {
+      await openQueueItem(next.id, canvases);
+    }
+  }
+}
+
+/**
+ * Describe what a save wrote, for the status message
+ * @param {Object|null} coarse - Coarse options from the export dialog
+ * @param {Object[]} written - Coarse entries actually written
+ * @returns {string} Status text
+ */
+function describeCoarseResult(coarse, written) {
+  if (written.length) {
+    return 'Verified clean apart from the region/month you chose to add.';
+  }
+  if (coarse) {
+    return 'Verified clean. No region/month was added - this photo or format has none to add.';
+  }
+  return 'Verified clean.';
+}
+
+/**
+ * Pixel check options for verifying the photo open in the editor
+ * @param {Object} canvases - Canvas objects
+ * @returns {Object} Options for verifyExport()
+ */
+function getActiveVerificationSource(canvases) {
+  return {
+    original: canvases.rotationCanvas,
+    regions: state.redactionDocument.getRegions(),
+    width: canvases.canvas.width,
+    height: canvases.canvas.height,
+  };
+}
+
+/**
+ * Pixel check options for verifying a queued photo that isn't open
+ *
+ * The original is decoded again (rotated, without regions) and compared in
+ * the working-copy coordinates its regions were drawn in.
+ *
+ * @param {Object} item - Queue item
+ * @returns {Promise<Object>} Options for verifyExport()
+ */
+async function getQueueItemVerificationSource(item) {
+  if (item.regions.length === 0) return {};
+
+  const original = await renderFullResolution({
+    file: item.file,
+    regions: [],
+    quarterTurns: item.quarterTurns,
+  });
+  return {
+    original,
+    regions: item.regions,
+    width: item.workingWidth,
+    height: Math.round((item.workingWidth * original.height) / original.width),
+  };
+}
+
+/**
+ * Save every queued photo, as separate downloads or one ZIP archive
+ *
+ * The open photo is rendered like a normal save; the others are rendered
+ * from their original files at full resolution with their saved regions.
+ * Every file is verified, and files that fail verification are left out.
+ *
+ * @param {Object} canvases - Canvas objects
+ * @param {Object} options - Export options from the export dialog
+ * @param {boolean} asZip - Bundle the photos into a single ZIP archive
+ */
+async function exportQueue(canvases, options, asZip) {
+  const { canvas } = canvases;
+  saveActiveQueueItem(canvas);
+  hideVerificationReceipt();
+
+  const items = state.queue.getItems();
+  const active = state.queue.getActive();
+  const usedNames = new Set();
+  const outputs = [];
+  const failed = [];
+  const receipts = [];
+  const controller = new AbortController();
+  const { signal } = controller;
+  const onCancel = () => controller.abort();
+
+  for (const [index, item] of items.entries()) {
+    if (signal.aborted) break;
+    const message = `Saving image ${index + 1} of ${items.length}...`;
+    const onProgress = (fraction) => showLoading(message, { progress: (index + fraction) / items.length, onCancel });
+    onProgress(0);
+    try {
+      const isActive = active && item.id === active.id;
+      const output = isActive
+        ? (await renderExportCanvas(canvas, options.maxDimension, { signal, onProgress })).output
+        : await renderFullResolution({
+          file: item.file,
+          regions: item.regions,
+          workingWidth: item.workingWidth,
+          quarterTurns: item.quarterTurns,
+          signal,
+          onProgress: (done, total) => onProgress(done / total),
+        });
+      const result = await encodeImage(output, options);
+      const name = getUniqueFilename(getOutputFilename(item.file.name, result.extension), usedNames);
+
+      // Each photo's own GPS and capture month go into its coarse fields
+      let coarseFields = [];
+      if (options.coarse) {
+        const report = isActive ? state.imageMeta?.metadata : await inspectMetadata(item.file);
+        coarseFields = buildCoarseFields(options.coarse, report);
+      }
+      const { blob, entries } = await applyCoarseMetadata(result.blob, result.format, coarseFields);
+
+      showLoading(`Verifying image ${index + 1} of ${items.length}...`, { progress: (index + 1) / items.length, onCancel });
+      const source = isActive
+        ? getActiveVerificationSource(canvases)
+        : await getQueueItemVerificationSource(item);
+      const verification = await verifyExport(blob, { ...source, allowedMetadata: entries });
+      receipts.push({ name, verification });
+
+      if (verification.passed) {
+        outputs.push({ name, blob, redacted: item.regions.length > 0 });
+      } else {
+        failed.push(item.file.name);
+      }
+    } catch (error) {
+      if (isAbortError(error)) break;
+      console.error(`Failed to export ${item.file.name}:`, error);
+      failed.push(item.file.name);
+    }
+  }
+
+  // Nothing is downloaded until every photo is done, so a cancel loses nothing
+  if (signal.aborted) {
+    hideLoading();
+    showStatus('Save cancelled. Nothing was downloaded.', 'info');
+    announceToScreenReader('Save cancelled');
+    return;
+  }
+
+  if (receipts.length) {
+    renderVerificationReceipt(receipts);
+  }
+
+  try {
+    if (asZip && outputs.length) {
+      showLoading('Creating ZIP archive...');
+      const entries = await Promise.all(
+        outputs.map(async ({ name, blob }) => ({
+          name,
+          data: new Uint8Array(await blob.arrayBuffer()),
+        }))
+      );
+      const zip = createZip(entries);
+      downloadBlob(new Blob([zip], { type: 'application/zip' }), BATCH_ZIP_FILENAME);
+    } else {
+      for (const [index, { name, blob }] of outputs.entries()) {
+        if (index > 0) {
+          await new Promise((resolve) => setTimeout(resolve, BATCH_DOWNLOAD_DELAY_MS));
+        }
+        downloadBlob(blob, name);
+      }
+    }
+    hideLoading();
+  } catch (error) {
+    hideLoading();
+    showError(
+      'Failed to Save Images',
+      error.message || 'An unexpected error occurred while saving the images. Please try again.',
+      error
+    );
+    return;
+  }
+
+  const unredacted = outputs.filter((output) => !output.redacted).length;
+  const notes = [
+    failed.length ? `Not saved (failed or blocked by verification): ${failed.join(', ')}.` : null,
+    unredacted ? `${unredacted} photo(s) had no redactions - check them before sharing.` : null,
+  ].filter(Boolean).join(' ');
+
+  showStatus(
+    `Saved ${outputs.length} of ${items.length} photo(s)${asZip ? ` as ${BATCH_ZIP_FILENAME}` : ''}. Each saved file was verified clean.${notes ? ` ${notes}` : ''}`,
+    notes ? 'warning' : 'success'
+  );
+  announceToScreenReader(`Saved ${outputs.length} photos`);
+}
+
 /**
  * Handle file loading
  * @param {File} file - File to load
  * @param {Object} canvases - Canvas objects
+ * @returns {Promise<boolean>} True if the image was loaded
  */
 async function handleFileLoad(file, canvases) {
   if (!file) {
     showError('No File Selected', 'Please choose an image file to anonymize.');
-    return;
+    return false;
   }
 
-  const isImageType = file && file.type && file.type.startsWith('image/');
-  const isImageName = file && /\.(png|jpe?g|gif|webp|bmp)$/i.test(file.name || '');
-
-  if (!isImageType && !isImageName) {
+  if (!isSupportedImageFile(file)) {
     showError(
       'Unsupported File Type',
       `The file "${file.name}" is not a supported image format. Please choose a PNG, JPEG, GIF, WebP, or BMP image.`
     );
-    return;
+    return false;
   }
 
   try {
     showLoading('Loading image and extracting metadata...');
+    // Work still running on the previous image must not land on this one
+    state.imageGeneration++;
     const imageMeta = await loadImage(file, canvases, () => {
       // Update brush size after image is loaded
       const brushSizeSlider = document.getElementById('brushSizeSlider');
@@ -943,11 +1800,21 @@ async function handleFileLoad(file, canvases) {
     });
     state.filename = imageMeta.filename;
     state.imageMeta = imageMeta;
+    state.sourceFile = file;
+    state.quarterTurns = 0;
+    // Edits from the previous image can't be applied to the new one
+    state.selection.clearSelection();
+    state.renderer.invalidateLayers();
+    state.canvasHandlers.preparePreview();
+    state.viewport.reset();
+    state.redactionDocument.clear();
+    state.history.clear();
     updateCanvasGuidance(state, canvases.canvas);
     showStatus(
       'Image loaded successfully. Use blur or paint to anonymize sensitive areas.',
       'success'
     );
+    return true;
   } catch (error) {
     hideLoading();
     showError(
@@ -955,6 +1822,7 @@ async function handleFileLoad(file, canvases) {
       error.message || 'An unexpected error occurred while loading the image. Please try again with a different file.',
       error
     );
+    return false;
   }
 }
 
@@ -0,0 +1,120 @@
+/**
+ * Batch Queue Module
+ *
+ * Holds the list of photos in the current session. A drug-checking
+ * submission is usually several photos (front, back, edge, bag, reagent
+ * test), so users can load them all at once and work through them.
+ *
+ * Each item keeps its own redaction state (regions and rotation) while
+ * another photo is open in the editor, so switching back and forth never
+ * loses work.
+ *
+ * @module modules/batchQueue
+ */
+
+/**
+ * Create a batch queue
+ *
+ * Item shape:
+ * - `id`: unique id
+ * - `file`: the original File
+ * - `thumbnailUrl`: object URL used for the queue thumbnail
+ * - `regions`: saved redaction regions (see modules/redactionDocument)
+ * - `quarterTurns`: saved rotation (number of 90° clockwise turns)
+ * - `workingWidth`: width of the editor's working copy the regions were drawn on (null until opened)
+ *
+ * @param {Object} [options] - Queue options
+ * @param {Function} [options.onChange] - Called whenever items or the active item change
+ * @returns {Object} Queue API
+ *
+ * @example
+ * const queue = createBatchQueue({ onChange: () => renderQueuePanel(queue) });
+ * const [first] = queue.addFiles(fileInput.files);
+ * queue.setActive(first.id);
+ */
+export function createBatchQueue({ onChange = null } = {}) {
+  let items = [];
+  let activeId = null;
+  let nextId = 1;
+
+  const notify = () => {
+    if (typeof onChange === 'function') {
+      onChange();
+    }
+  };
+
+  /**
+   * Add files to the end of the queue
+   * @param {File[]|FileList} files - Image files (already validated)
+   * @returns {Object[]} The new items
+   */
+  const addFiles = (files) => {
+    const added = Array.from(files).map((file) => ({
+      id: nextId++,
+      file,
+      thumbnailUrl: URL.createObjectURL(file),
+      regions: [],
+      quarterTurns: 0,
+      workingWidth: null,
+    }));
+
+    items = [...items, ...added];
+    notify();
+    return added;
+  };
+
+  /**
+   * Update the saved state of an item
+   * @param {number} id - Item id
+   * @param {Object} changes - Fields to update (regions, quarterTurns, workingWidth)
+   */
+  const updateItem = (id, changes) => {
+    items = items.map((item) => (item.id === id ? { ...item, ...changes } : item));
+    notify();
+  };
+
+  /**
+   * Remove an item and release its thumbnail
+   * @param {number} id - Item id
+   * @returns {Object|null} The removed item
+   */
+  const remove = (id) => {
+    const item = items.find((entry) => entry.id === id);
+    if (!item) return null;
+
+    URL.revokeObjectURL(item.thumbnailUrl);
+    items = items.filter((entry) => entry.id !== id);
+    if (activeId === id) {
+      activeId = null;
+    }
+    notify();
+    return item;
+  };
+
+  /**
+   * Remove all items and release their thumbnails
+   * Drops every reference to the original files (session hygiene).
+   */
+  const clear = () => {
+    items.forEach((item) => URL.revokeObjectURL(item.thumbnailUrl));
+    items = [];
+    activeId = null;
+    notify();
+  };
+
+  const setActive = (id) => {
+    activeId = id;
+    notify();
+  };
+
+  return {
+    addFiles,
+    updateItem,
+    remove,
+    clear,
+    setActive,
+    getItems: () => items,
+    getItem: (id) => items.find((item) => item.id === id) || null,
+    getActive: () => items.find((item) => item.id === activeId) || null,
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * Coarse Metadata Module
+ *
+ * Optionally writes a rough region and capture month back into a scrubbed
+ * file, for drug alerts where "Sydney area, May 2024" is useful but an
+ * exact address and timestamp would not be safe. Nothing is written unless
+ * the user opts in on the save dialog.
+ *
+ * Only two fields exist, both coarsened before they are written:
+ * - Region: typed by the user, or the photo's GPS rounded to a grid
+ * - Month: the capture date cut down to year and month
+ *
+ * PNG files get one tEXt chunk per field. JPEG files get a minimal EXIF
+ * segment with a single ImageDescription tag. Other formats (WebP) get
+ * nothing. The exact entries written are passed to the export verifier,
+ * which allows those and nothing else.
+ *
+ * @module modules/coarseMetadata
+ */
+
+import { crc32 } from '../utils/zip.js';
+import { COARSE_REGION_MAX_LENGTH } from '../utils/constants.js';
+
+/**
+ * PNG tEXt keywords for each field
+ * "Creation Time" is a registered PNG keyword; "Region" is not, but
+ * keywords are free-form.
+ * @private
+ */
+const PNG_KEYWORDS = {
+  region: 'Region',
+  month: 'Creation Time',
+};
+
+/**
+ * Labels used inside the JPEG ImageDescription text
+ * @private
+ */
+const FIELD_LABELS = {
+  region: 'Region',
+  month: 'Month',
+};
+
+/**
+ * Metadata fields that can hold the capture date, most specific first
+ * @private
+ */
+const CAPTURE_DATE_FIELDS = ['DateTimeOriginal', 'CreateDate', 'DateTimeDigitized', 'DateCreated', 'Date Created', 'DateTime'];
+
+/**
+ * EXIF ImageDescription tag and ASCII type
+ * @private
+ */
+const EXIF_IMAGE_DESCRIPTION = 0x010e;
+const EXIF_TYPE_ASCII = 2;
+
+/**
+ * Reduce text to printable ASCII
+ *
+ * Accents are dropped ("Nouméa" becomes "Noumea") because EXIF text is
+ * ASCII and PNG tEXt is Latin-1; control characters and anything else
+ * outside printable ASCII are removed.
+ *
+ * @param {string} text - Text typed by the user
+ * @param {number} [maxLength=COARSE_REGION_MAX_LENGTH] - Maximum length
+ * @returns {string} Cleaned text
+ */
+export function toPlainText(text, maxLength = COARSE_REGION_MAX_LENGTH) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength)
+    .trim();
+}
+
+/**
+ * Round a GPS position to a grid and format it
+ *
+ * @param {{latitude: number, longitude: number}} gps - Signed decimal degrees
+ * @param {number} grid - Grid size in degrees (e.g. 0.5)
+ * @returns {string} Rounded position, e.g. '-34.0, 151.0'
+ *
+ * @example
+ * roundToGrid({ latitude: -33.898, longitude: 151.179 }, 0.5); // '-34.0, 151.0'
+ */
+export function roundToGrid({ latitude, longitude }, grid) {
+  const decimals = grid < 1 ? Math.max(1, Math.ceil(-Math.log10(grid))) : 0;
+  const round = (value) => {
+    const rounded = Math.round(value / grid) * grid;
+    // Avoid '-0.0' for positions that round to zero
+    return (rounded === 0 ? 0 : rounded).toFixed(decimals);
+  };
+  return `${round(latitude)}, ${round(longitude)}`;
+}
+
+/**
+ * Find the month the photo was taken in
+ *
+ * @param {{groups: Object[]}} report - Metadata report (see modules/metadataInspector)
+ * @returns {string|null} 'YYYY-MM', or null if the photo has no capture date
+ */
+export function findCaptureMonth(report) {
+  const entries = (report?.groups || []).flatMap((group) => group.entries);
+
+  for (const name of CAPTURE_DATE_FIELDS) {
+    const entry = entries.find((candidate) => candidate.name === name);
+    const match = entry && /^(\d{4})[:-]?(\d{2})/.exec(entry.value);
+    if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+      return `${match[1]}-${match[2]}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Work out the coarse fields for one photo
+ *
+ * @param {Object|null} options - Coarse metadata options from the save dialog (null = off)
+ * @param {string} options.region - 'none', 'typed' or 'gps'
+ * @param {string} [options.regionText] - Region typed by the user
+ * @param {number} [options.gpsGrid] - Grid size for rounding GPS (degrees)
+ * @param {boolean} [options.includeMonth] - Add the capture month
+ * @param {Object} [report] - The photo's metadata report (for GPS and capture date)
+ * @returns {{id: string, value: string}[]} Fields to write; fields the photo can't supply are left out
+ */
+export function buildCoarseFields(options, report) {
+  if (!options) return [];
+  const fields = [];
+
+  if (options.region === 'typed') {
+    const value = toPlainText(options.regionText);
+    if (value) fields.push({ id: 'region', value });
+  } else if (options.region === 'gps' && report?.gps && options.gpsGrid > 0) {
+    fields.push({ id: 'region', value: roundToGrid(report.gps, options.gpsGrid) });
+  }
+
+  if (options.includeMonth) {
+    const month = findCaptureMonth(report);
+    if (month) fields.push({ id: 'month', value: month });
+  }
+
+  return fields;
+}
+
+/**
+ * List exactly what will be written for a format
+ *
+ * @param {{id: string, value: string}[]} fields - Result of buildCoarseFields()
+ * @param {string} format - Output MIME type
+ * @returns {{container: string, name: string, value: string}[]} Entries as stored in the file (empty if the format can't carry them)
+ *
+ * @example
+ * getCoarseEntries([{ id: 'month', value: '2024-05' }], 'image/png');
+ * // [{ container: 'PNG tEXt', name: 'Creation Time', value: '2024-05' }]
+ */
+export function getCoarseEntries(fields, format) {
+  if (!fields.length) return [];
+
+  if (format === 'image/png') {
+    return fields.map(({ id, value }) => ({ container: 'PNG tEXt', name: PNG_KEYWORDS[id], value }));
+  }
+  if (format === 'image/jpeg') {
+    const value = fields.map(({ id, value: fieldValue }) => `${FIELD_LABELS[id]}: ${fieldValue}`).join('; ');
+    return [{ container: 'EXIF', name: 'ImageDescription', value }];
+  }
+
+  return [];
+}
+
+/**
+ * Encode a Latin-1/ASCII string
+ * @private
+ */
+function encodeText(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Build a complete PNG tEXt chunk (length, type, data, CRC)
+ *
+ * @param {string} keyword - Chunk keyword
+ * @param {string} text - Chunk text
+ * @returns {Uint8Array} Chunk bytes
+ */
+export function buildPngTextChunk(keyword, text) {
+  const data = encodeText(`tEXt${keyword}\0${text}`);
+  const chunk = new Uint8Array(data.length + 8);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length - 4);
+  chunk.set(data, 4);
+  view.setUint32(chunk.length - 4, crc32(data));
+  return chunk;
+}
+
+/**
+ * Build a JPEG APP1 segment holding a one-tag EXIF block
+ *
+ * Layout: APP1 marker and length, 'Exif\0\0', a little-endian TIFF header,
+ * IFD0 with a single ImageDescription entry, then the NUL-terminated text.
+ *
+ * @param {string} description - ImageDescription text (ASCII)
+ * @returns {Uint8Array} Segment bytes, starting with FF E1
+ */
+export function buildExifSegment(description) {
+  const text = encodeText(`${description}\0`);
+  const ifdOffset = 8;
+  const ifdSize = 2 + 12 + 4;
+  const inline = text.length <= 4;
+  const tiffSize = ifdOffset + ifdSize + (inline ? 0 : text.length);
+  const segment = new Uint8Array(4 + 6 + tiffSize);
+  const view = new DataView(segment.buffer);
+
+  view.setUint16(0, 0xffe1);
+  view.setUint16(2, segment.length - 2);
+  segment.set(encodeText('Exif\0\0'), 4);
+
+  const tiff = 10;
+  segment.set(encodeText('II'), tiff);
+  view.setUint16(tiff + 2, 42, true);
+  view.setUint32(tiff + 4, ifdOffset, true);
+
+  const ifd = tiff + ifdOffset;
+  view.setUint16(ifd, 1, true);
+  view.setUint16(ifd + 2, EXIF_IMAGE_DESCRIPTION, true);
+  view.setUint16(ifd + 4, EXIF_TYPE_ASCII, true);
+  view.setUint32(ifd + 6, text.length, true);
+  if (inline) {
+    segment.set(text, ifd + 10);
+  } else {
+    view.setUint32(ifd + 10, ifdOffset + ifdSize, true);
+    segment.set(text, ifd + ifdSize);
+  }
+  // Next IFD offset stays 0: no thumbnail IFD
+
+  return segment;
+}
+
+/**
+ * Join byte arrays
+ * @private
+ */
+function concatBytes(parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+/**
+ * Find the offset of the PNG IEND chunk
+ * @private
+ */
+function findPngIend(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    if (view.getUint32(offset + 4) === 0x49454e44) return offset;
+    offset += 12 + view.getUint32(offset);
+  }
+  return -1;
+}
+
+/**
+ * Write coarse entries into an encoded image
+ *
+ * @param {Uint8Array} bytes - Encoded PNG or JPEG file
+ * @param {Object[]} entries - Result of getCoarseEntries() for the file's format
+ * @returns {Uint8Array} New file bytes (the input is returned unchanged when there is nothing to write)
+ * @throws {Error} If the file isn't a PNG or JPEG the entries were built for
+ */
+export function embedCoarseMetadata(bytes, entries) {
+  if (!entries.length) return bytes;
+  const { container } = entries[0];
+
+  if (container === 'PNG tEXt') {
+    const iend = findPngIend(bytes);
+    if (iend < 0) throw new Error('Could not add region/month: PNG end not found');
+    const chunks = entries.map(({ name, value }) => buildPngTextChunk(name, value));
+    return concatBytes([bytes.subarray(0, iend), ...chunks, bytes.subarray(iend)]);
+  }
+
+  if (container === 'EXIF') {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+      throw new Error('Could not add region/month: not a JPEG file');
+    }
+    // Keep a leading JFIF APP0 segment first, as most readers expect
+    let insertAt = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) {
+      insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+    return concatBytes([bytes.subarray(0, insertAt), buildExifSegment(entries[0].value), bytes.subarray(insertAt)]);
+  }
+
+  throw new Error(`Could not add region/month: unsupported container ${container}`);
+}
+
+/**
+ * Add coarse fields to an encoded image blob
+ *
+ * @param {Blob} blob - Encoded image
+ * @param {string} format - The blob's MIME type
+ * @param {{id: string, value: string}[]} fields - Result of buildCoarseFields()
+ * @returns {Promise<{blob: Blob, entries: Object[]}>} The new blob and the entries written (the original blob and [] if nothing was written)
+ *
+ * @example
+ * const { blob, entries } = await applyCoarseMetadata(encoded.blob, encoded.format, fields);
+ * await verifyExport(blob, { allowedMetadata: entries });
+ */
+export async function applyCoarseMetadata(blob, format, fields) {
+  const entries = getCoarseEntries(fields, format);
+  if (!entries.length) {
+    return { blob, entries };
+  }
+
+  const bytes = embedCoarseMetadata(new Uint8Array(await blob.arrayBuffer()), entries);
+  return { blob: new Blob([bytes], { type: format }), entries };
+}
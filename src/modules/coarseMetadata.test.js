@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toPlainText,
+  roundToGrid,
+  findCaptureMonth,
+  buildCoarseFields,
+  getCoarseEntries,
+  embedCoarseMetadata,
+} from './coarseMetadata.js';
+import { scanContainer } from './exportVerifier.js';
+
+// SOI, a JFIF APP0 header, EOI
+const JPEG = new Uint8Array([
+  0xff, 0xd8,
+  0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  0xff, 0xd9,
+]);
+
+describe('Coarse Metadata', () => {
+  describe('toPlainText', () => {
+    it('should drop accents, control characters and extra spaces', () => {
+      expect(toPlainText('  Nouméa\n  area\u0000 ')).toBe('Noumea area');
+      expect(toPlainText('x'.repeat(100))).toHaveLength(60);
+    });
+  });
+
+  describe('roundToGrid', () => {
+    it('should round both coordinates to the grid', () => {
+      expect(roundToGrid({ latitude: -33.898, longitude: 151.179 }, 0.5)).toBe('-34.0, 151.0');
+      expect(roundToGrid({ latitude: -33.898, longitude: 151.179 }, 0.1)).toBe('-33.9, 151.2');
+      expect(roundToGrid({ latitude: -0.2, longitude: 36.82 }, 1)).toBe('0, 37');
+    });
+  });
+
+  describe('findCaptureMonth', () => {
+    it('should prefer the original capture date', () => {
+      const report = {
+        groups: [{
+          entries: [
+            { name: 'DateTime', value: '2025:01:02 09:00:00' },
+            { name: 'DateTimeOriginal', value: '2024:05:17 22:41:09' },
+          ],
+        }],
+      };
+
+      expect(findCaptureMonth(report)).toBe('2024-05');
+      expect(findCaptureMonth({ groups: [] })).toBeNull();
+    });
+  });
+
+  describe('buildCoarseFields', () => {
+    const report = {
+      gps: { latitude: -37.8, longitude: 144.98 },
+      groups: [{ entries: [{ name: 'DateTimeOriginal', value: '2024:05:17 22:41:09' }] }],
+    };
+
+    it('should build the region and month the user asked for', () => {
+      expect(buildCoarseFields({ region: 'gps', gpsGrid: 1, includeMonth: true }, report)).toEqual([
+        { id: 'region', value: '-38, 145' },
+        { id: 'month', value: '2024-05' },
+      ]);
+      expect(buildCoarseFields({ region: 'typed', regionText: 'Inner Melbourne', includeMonth: false }, report)).toEqual([
+        { id: 'region', value: 'Inner Melbourne' },
+      ]);
+    });
+
+    it('should write nothing when turned off or when the photo has no data', () => {
+      expect(buildCoarseFields(null, report)).toEqual([]);
+      expect(buildCoarseFields({ region: 'gps', gpsGrid: 1, includeMonth: true }, { groups: [] })).toEqual([]);
+    });
+  });
+
+  describe('embedCoarseMetadata', () => {
+    it('should put one ImageDescription after the JFIF header that the verifier accepts', () => {
+      const entries = getCoarseEntries([{ id: 'region', value: 'Sydney' }, { id: 'month', value: '2024-05' }], 'image/jpeg');
+      const output = embedCoarseMetadata(JPEG, entries);
+
+      expect(entries).toEqual([{ container: 'EXIF', name: 'ImageDescription', value: 'Region: Sydney; Month: 2024-05' }]);
+      expect(Array.from(output.subarray(20, 22))).toEqual([0xff, 0xe1]);
+      expect(scanContainer(output, entries).findings).toEqual([]);
+      expect(scanContainer(output).findings).toEqual(['JPEG APP1 segment (Exif)']);
+    });
+
+    it('should not write anything for WebP', () => {
+      expect(getCoarseEntries([{ id: 'month', value: '2024-05' }], 'image/webp')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Colour Selection Module
+ *
+ * Builds pixel masks for the magic wand and colour range tools, so a
+ * uniformly coloured background (a patterned rug, a distinctive tablecloth)
+ * can be covered in one click instead of many brush strokes.
+ *
+ * - Magic wand: the clicked pixel and every connected pixel of a similar
+ *   colour (4-way flood fill, so diagonal gaps stop it)
+ * - Colour range: every pixel of a similar colour anywhere in the image
+ *
+ * Colours are compared to the clicked pixel, not to their neighbours, so a
+ * slow gradient doesn't let the fill creep across the whole photo. The
+ * distance is the largest difference of any channel (R, G, B or alpha).
+ *
+ * Masks are cropped to the selected pixels and returned as region geometry
+ * for the 'mask' shape (see modules/redactionDocument).
+ *
+ * @module modules/colorSelection
+ */
+
+/**
+ * Read the colour at a pixel
+ * @private
+ */
+function readSeed(imageData, x, y) {
+  const px = Math.floor(x);
+  const py = Math.floor(y);
+  if (px < 0 || py < 0 || px >= imageData.width || py >= imageData.height) {
+    return null;
+  }
+  const offset = (py * imageData.width + px) * 4;
+  return { x: px, y: py, color: imageData.data.subarray(offset, offset + 4) };
+}
+
+/**
+ * Check whether the pixel at an index is within tolerance of a colour
+ * @private
+ */
+function isSimilar(data, index, color, tolerance) {
+  const offset = index * 4;
+  return (
+    Math.abs(data[offset] - color[0]) <= tolerance &&
+    Math.abs(data[offset + 1] - color[1]) <= tolerance &&
+    Math.abs(data[offset + 2] - color[2]) <= tolerance &&
+    Math.abs(data[offset + 3] - color[3]) <= tolerance
+  );
+}
+
+/**
+ * Crop a full-image mask to its selected pixels
+ *
+ * @param {Uint8Array} mask - One byte per image pixel (1 = selected)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object|null} Mask geometry {x, y, width, height, maskWidth, maskHeight, data}, or null if nothing is selected
+ */
+export function cropMask(mask, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      if (mask[row + x]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) return null;
+
+  const maskWidth = maxX - minX + 1;
+  const maskHeight = maxY - minY + 1;
+  const data = new Uint8Array(maskWidth * maskHeight);
+  for (let y = 0; y < maskHeight; y++) {
+    const start = (minY + y) * width + minX;
+    data.set(mask.subarray(start, start + maskWidth), y * maskWidth);
+  }
+
+  return { x: minX, y: minY, width: maskWidth, height: maskHeight, maskWidth, maskHeight, data };
+}
+
+/**
+ * Select the connected area of similar colour around a point (magic wand)
+ *
+ * @param {ImageData} imageData - Pixels of the original image
+ * @param {number} x - Clicked X coordinate (canvas pixels)
+ * @param {number} y - Clicked Y coordinate (canvas pixels)
+ * @param {number} tolerance - Largest per-channel difference to include (0-255)
+ * @returns {Object|null} Mask geometry (see cropMask()), or null if the point is outside the image
+ *
+ * @example
+ * const imageData = rotationCtx.getImageData(0, 0, width, height);
+ * const geometry = floodSelect(imageData, pos.x, pos.y, 32);
+ */
+export function floodSelect(imageData, x, y, tolerance) {
+  const seed = readSeed(imageData, x, y);
+  if (!seed) return null;
+
+  const { width, height, data } = imageData;
+  const color = Uint8ClampedArray.from(seed.color);
+  const mask = new Uint8Array(width * height);
+  const stack = [seed.y * width + seed.x];
+  mask[stack[0]] = 1;
+
+  const visit = (next) => {
+    if (!mask[next] && isSimilar(data, next, color, tolerance)) {
+      mask[next] = 1;
+      stack.push(next);
+    }
+  };
+
+  while (stack.length) {
+    const index = stack.pop();
+    const px = index % width;
+
+    if (px > 0) visit(index - 1);
+    if (px < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < width * (height - 1)) visit(index + width);
+  }
+
+  return cropMask(mask, width, height);
+}
+
+/**
+ * Select every pixel of similar colour in the image (colour range)
+ *
+ * @param {ImageData} imageData - Pixels of the original image
+ * @param {number} x - Clicked X coordinate (canvas pixels)
+ * @param {number} y - Clicked Y coordinate (canvas pixels)
+ * @param {number} tolerance - Largest per-channel difference to include (0-255)
+ * @returns {Object|null} Mask geometry (see cropMask()), or null if the point is outside the image
+ */
+export function colorRangeSelect(imageData, x, y, tolerance) {
+  const seed = readSeed(imageData, x, y);
+  if (!seed) return null;
+
+  const { width, height, data } = imageData;
+  const color = Uint8ClampedArray.from(seed.color);
+  const mask = new Uint8Array(width * height);
+  for (let index = 0; index < mask.length; index++) {
+    if (isSimilar(data, index, color, tolerance)) {
+      mask[index] = 1;
+    }
+  }
+
+  return cropMask(mask, width, height);
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { floodSelect, colorRangeSelect, cropMask } from './colorSelection.js';
+
+/**
+ * Build image data from rows of grey levels
+ */
+function greyImage(rows) {
+  const height = rows.length;
+  const width = rows[0].length;
+  const data = new Uint8ClampedArray(width * height * 4);
+  rows.flat().forEach((level, index) => {
+    data.set([level, level, level, 255], index * 4);
+  });
+  return { width, height, data };
+}
+
+// Two dark patches split by a light column, plus a dark pixel touching only diagonally
+const IMAGE = greyImage([
+  [10, 12, 200, 10],
+  [14, 10, 200, 10],
+  [200, 200, 11, 200],
+]);
+
+describe('Colour Selection', () => {
+  describe('floodSelect', () => {
+    it('should select connected pixels within tolerance, cropped to their bounds', () => {
+      const mask = floodSelect(IMAGE, 0.5, 0.5, 8);
+
+      expect(mask).toMatchObject({ x: 0, y: 0, width: 2, height: 2, maskWidth: 2, maskHeight: 2 });
+      expect(Array.from(mask.data)).toEqual([1, 1, 1, 1]);
+    });
+
+    it('should respect the tolerance', () => {
+      const mask = floodSelect(IMAGE, 0, 0, 2);
+      expect(Array.from(mask.data)).toEqual([1, 1, 0, 1]);
+    });
+
+    it('should return null outside the image', () => {
+      expect(floodSelect(IMAGE, -1, 0, 8)).toBeNull();
+      expect(floodSelect(IMAGE, 4, 0, 8)).toBeNull();
+    });
+  });
+
+  describe('colorRangeSelect', () => {
+    it('should select similar pixels anywhere in the image', () => {
+      const mask = colorRangeSelect(IMAGE, 0, 0, 8);
+
+      expect(mask).toMatchObject({ x: 0, y: 0, width: 4, height: 3 });
+      expect(Array.from(mask.data)).toEqual([
+        1, 1, 0, 1,
+        1, 1, 0, 1,
+        0, 0, 1, 0,
+      ]);
+    });
+  });
+
+  describe('cropMask', () => {
+    it('should return null for an empty mask', () => {
+      expect(cropMask(new Uint8Array(6), 3, 2)).toBeNull();
+    });
+  });
+});
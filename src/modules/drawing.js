@@ -3,12 +3,22 @@
  * 
  * Provides the core drawing functions for painting, blurring, and undoing
  * operations on the canvas. Supports multiple brush types: round (freehand),
- * area (rectangle), and tap (single click).
+ * area (rectangle), tap (single click), polygon (click to place points),
+ * lasso (freehand closed outline) and ellipse, plus the pixel masks built by
+ * the magic wand and colour range tools.
  * 
  * @module modules/drawing
  */
 
-import { BRUSH_TYPES, CURSOR_SIZE_SCALE, CURSOR_BORDER_OFFSET, TAP_MODE_SIZE_MULTIPLIER } from '../utils/constants.js';
+import {
+  BRUSH_TYPES,
+  CURSOR_SIZE_SCALE,
+  CURSOR_BORDER_OFFSET,
+  CURSOR_MAX_SIZE,
+  TAP_MODE_SIZE_MULTIPLIER,
+  PRESSURE_MIN_SCALE,
+} from '../utils/constants.js';
+import { getRegionBounds } from './redactionDocument.js';
 
 /**
  * Cache for generated cursor images
@@ -17,6 +27,58 @@ import { BRUSH_TYPES, CURSOR_SIZE_SCALE, CURSOR_BORDER_OFFSET, TAP_MODE_SIZE_MUL
  */
 const cursorCache = new Map();
 
+/**
+ * Hotspot of the shape tool cursors (centre of the crosshair)
+ * @private
+ */
+const SHAPE_CURSOR_HOTSPOT = 9;
+
+/**
+ * Small icons drawn next to the crosshair for each shape tool
+ * Coordinates are in a 32×32 cursor image.
+ * @private
+ */
+const SHAPE_CURSOR_ICONS = {
+  [BRUSH_TYPES.POLYGON]: (ctx) => {
+    ctx.moveTo(21, 16);
+    ctx.lineTo(29, 19);
+    ctx.lineTo(27, 29);
+    ctx.lineTo(18, 28);
+    ctx.lineTo(17, 21);
+    ctx.closePath();
+  },
+  [BRUSH_TYPES.LASSO]: (ctx) => {
+    ctx.ellipse(24, 21, 6, 4, 0, 0, Math.PI * 2);
+    ctx.moveTo(20, 24);
+    ctx.quadraticCurveTo(17, 28, 20, 30);
+  },
+  [BRUSH_TYPES.ELLIPSE]: (ctx) => {
+    ctx.ellipse(23, 23, 7, 5, 0, 0, Math.PI * 2);
+  },
+  [BRUSH_TYPES.WAND]: (ctx) => {
+    ctx.moveTo(17, 30);
+    ctx.lineTo(26, 21);
+    ctx.moveTo(28, 14);
+    ctx.lineTo(28, 20);
+    ctx.moveTo(25, 17);
+    ctx.lineTo(31, 17);
+  },
+  [BRUSH_TYPES.COLOR_RANGE]: (ctx) => {
+    // Droplet
+    ctx.moveTo(24, 15);
+    ctx.bezierCurveTo(28, 21, 30, 29, 24, 29);
+    ctx.bezierCurveTo(18, 29, 20, 21, 24, 15);
+  },
+};
+
+/**
+ * Mask bitmaps drawn as canvases, by bitmap and then by color
+ * Mask regions share their bitmap between copies, so a moved or resized
+ * region reuses the canvas.
+ * @private
+ */
+const maskCanvases = new WeakMap();
+
 /**
  * Clear the cursor cache (useful when memory needs to be freed)
  * 
@@ -41,12 +103,14 @@ export function clearCursorCache() {
  * @param {number} y2 - Ending Y coordinate (current position)
  * @param {number} r - Brush radius in pixels
  * @param {string} paintColor - Color to paint (hex, rgb, or named color)
+ * @param {number} [startRadius] - Radius at the starting point, if it differs
+ *   (stylus pressure); the segment then tapers from one radius to the other
  * 
  * @example
  * // Draw a stroke from previous mouse position to current
  * interpolatePath(ctx, lastX, lastY, currentX, currentY, 25, '#000000');
  */
-export function interpolatePath(pathCtx, x1, y1, x2, y2, r, paintColor) {
+export function interpolatePath(pathCtx, x1, y1, x2, y2, r, paintColor, startRadius = r) {
   // Validate context
   if (!pathCtx || typeof pathCtx.strokeStyle === 'undefined') {
     console.error('interpolatePath: Invalid canvas context');
@@ -62,7 +126,8 @@ export function interpolatePath(pathCtx, x1, y1, x2, y2, r, paintColor) {
   }
   
   // Validate radius
-  if (typeof r !== 'number' || isNaN(r) || r <= 0) {
+  if (typeof r !== 'number' || isNaN(r) || r <= 0 ||
+      typeof startRadius !== 'number' || isNaN(startRadius) || startRadius <= 0) {
     console.warn('interpolatePath: Brush radius must be a positive number');
     return;
   }
@@ -78,6 +143,11 @@ export function interpolatePath(pathCtx, x1, y1, x2, y2, r, paintColor) {
   pathCtx.strokeStyle = validatedColor;
   pathCtx.fillStyle = validatedColor;
 
+  if (startRadius !== r) {
+    taperedSegment(pathCtx, x1, y1, startRadius, x2, y2, r);
+    return;
+  }
+
   // Draw line segment connecting the two points
   pathCtx.beginPath();
   pathCtx.moveTo(x1, y1);
@@ -94,6 +164,53 @@ export function interpolatePath(pathCtx, x1, y1, x2, y2, r, paintColor) {
   pathCtx.fill();
 }
 
+/**
+ * Fill the outline of two circles and the band joining them (a segment
+ * whose width changes from one end to the other)
+ * Each part is filled on its own: in a single path their windings could
+ * cancel out and leave holes.
+ * @private
+ */
+function taperedSegment(pathCtx, x1, y1, r1, x2, y2, r2) {
+  pathCtx.beginPath();
+  pathCtx.arc(x1, y1, r1, 0, Math.PI * 2);
+  pathCtx.fill();
+  pathCtx.beginPath();
+  pathCtx.arc(x2, y2, r2, 0, Math.PI * 2);
+  pathCtx.fill();
+
+  // One circle inside the other: there is no band
+  const distance = Math.hypot(x2 - x1, y2 - y1);
+  if (distance <= Math.abs(r1 - r2)) return;
+
+  // The band's sides touch both circles where their radii make this angle
+  // with the line between the centres
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const spread = Math.acos((r1 - r2) / distance);
+  pathCtx.beginPath();
+  pathCtx.moveTo(x1 + r1 * Math.cos(angle + spread), y1 + r1 * Math.sin(angle + spread));
+  pathCtx.lineTo(x2 + r2 * Math.cos(angle + spread), y2 + r2 * Math.sin(angle + spread));
+  pathCtx.lineTo(x2 + r2 * Math.cos(angle - spread), y2 + r2 * Math.sin(angle - spread));
+  pathCtx.lineTo(x1 + r1 * Math.cos(angle - spread), y1 + r1 * Math.sin(angle - spread));
+  pathCtx.closePath();
+  pathCtx.fill();
+}
+
+/**
+ * Brush radius for a stylus pressure reading
+ *
+ * @param {number} radius - Brush radius at full pressure
+ * @param {number} pressure - Pointer pressure (0-1)
+ * @returns {number} Radius, from PRESSURE_MIN_SCALE × radius (lightest) to radius
+ *
+ * @example
+ * getPressureRadius(40, e.pressure); // 10 to 40
+ */
+export function getPressureRadius(radius, pressure) {
+  const amount = Math.min(1, Math.max(0, pressure || 0));
+  return radius * (PRESSURE_MIN_SCALE + (1 - PRESSURE_MIN_SCALE) * amount);
+}
+
 /**
  * Draw a single circular stamp at a point (tap mode)
  * 
@@ -232,6 +349,304 @@ export function areaDraw(
   pathCtx.stroke();
 }
 
+/**
+ * Fill the shape of a redaction region (see modules/redactionDocument)
+ * 
+ * Draws the region's full outline in a single solid color. Used both to paint
+ * solid-color regions and to build the alpha mask that blur/undo regions are
+ * composited through.
+ * 
+ * @param {CanvasRenderingContext2D} pathCtx - Canvas context to draw on
+ * @param {Object} region - Region with shape and geometry
+ * @param {string} paintColor - Fill color
+ * 
+ * @example
+ * fillRegion(ctx, { shape: 'circle', geometry: { x: 50, y: 50, radius: 20 } }, '#000000');
+ */
+export function fillRegion(pathCtx, region, paintColor) {
+  if (!pathCtx || !region || !region.geometry) {
+    console.error('fillRegion: Invalid context or region');
+    return;
+  }
+
+  const { geometry } = region;
+
+  pathCtx.fillStyle = paintColor;
+  pathCtx.strokeStyle = paintColor;
+
+  switch (region.shape) {
+    case 'rect':
+      pathCtx.fillRect(geometry.x, geometry.y, geometry.width, geometry.height);
+      break;
+    case 'circle':
+      tapDraw(pathCtx, geometry.x, geometry.y, geometry.radius, paintColor);
+      break;
+    case 'ellipse':
+      pathCtx.beginPath();
+      pathCtx.ellipse(geometry.x, geometry.y, geometry.radiusX, geometry.radiusY, 0, 0, Math.PI * 2);
+      pathCtx.fill();
+      break;
+    case 'mask':
+      pathCtx.save();
+      // Nearest-neighbour scaling keeps covered pixels fully covered when a
+      // mask is stretched (resized or replayed on a larger export)
+      pathCtx.imageSmoothingEnabled = false;
+      pathCtx.drawImage(getMaskCanvas(geometry, paintColor), geometry.x, geometry.y, geometry.width, geometry.height);
+      pathCtx.restore();
+      break;
+    case 'polygon': {
+      const [first, ...rest] = geometry.points;
+      if (!first) return;
+
+      // Default 'nonzero' fill: self-crossing lasso loops are filled, not left as holes
+      pathCtx.beginPath();
+      pathCtx.moveTo(first.x, first.y);
+      rest.forEach((point) => pathCtx.lineTo(point.x, point.y));
+      pathCtx.closePath();
+      pathCtx.fill();
+      break;
+    }
+    case 'path': {
+      const [first, ...rest] = geometry.points;
+      if (!first) return;
+
+      // Pressure strokes change width along the way, so they are drawn
+      // segment by segment, as they were previewed
+      if (geometry.points.some((point) => point.r !== undefined)) {
+        tapDraw(pathCtx, first.x, first.y, first.r ?? geometry.radius, paintColor);
+        rest.forEach((point, i) => {
+          const previous = geometry.points[i];
+          interpolatePath(
+            pathCtx,
+            previous.x,
+            previous.y,
+            point.x,
+            point.y,
+            point.r ?? geometry.radius,
+            paintColor,
+            previous.r ?? geometry.radius
+          );
+        });
+        break;
+      }
+
+      // A single stroked polyline with round caps/joins matches the
+      // segment-by-segment result of interpolatePath()
+      pathCtx.beginPath();
+      pathCtx.moveTo(first.x, first.y);
+      rest.forEach((point) => pathCtx.lineTo(point.x, point.y));
+      pathCtx.lineWidth = 2 * geometry.radius;
+      pathCtx.lineCap = 'round';
+      pathCtx.lineJoin = 'round';
+      pathCtx.stroke();
+
+      // Strokes of zero length don't render, so stamp the start point too
+      tapDraw(pathCtx, first.x, first.y, geometry.radius, paintColor);
+      break;
+    }
+    default:
+      console.error('fillRegion: Unknown region shape:', region.shape);
+  }
+}
+
+/**
+ * Fill a region's shape with a soft edge that fades outwards
+ *
+ * The shape itself is filled solid; a blurred copy drawn as a shadow adds a
+ * fade of about `softness` pixels outside it. The copy is moved off the
+ * canvas and its shadow offset back into place, so only the blurred shadow
+ * lands (shadows work in every browser, unlike the canvas filter property).
+ *
+ * @param {CanvasRenderingContext2D} pathCtx - Canvas context to draw on
+ * @param {Object} region - Region with shape and geometry
+ * @param {string} paintColor - Fill color
+ * @param {number} softness - Width of the fade in canvas pixels (0 = hard edge)
+ */
+export function fillRegionSoft(pathCtx, region, paintColor, softness) {
+  fillRegion(pathCtx, region, paintColor);
+  if (!(softness > 0)) return;
+
+  // Far enough left that no part of the moved copy (or its blur) is visible
+  const offset = Math.ceil(getRegionBounds(region).maxX + pathCtx.getTransform().e + softness * 3 + 1);
+
+  pathCtx.save();
+  pathCtx.translate(-offset, 0);
+  pathCtx.shadowColor = paintColor;
+  pathCtx.shadowBlur = softness;
+  pathCtx.shadowOffsetX = offset;
+  fillRegion(pathCtx, region, paintColor);
+  pathCtx.restore();
+}
+
+/**
+ * Draw the area a region covers
+ *
+ * Normal regions cover their shape, plus a fade outside it when they have
+ * a soft edge (`feather`). Inverted regions ("keep inside") cover the whole
+ * image except their shape and its soft margin, which fades from kept to
+ * covered.
+ *
+ * @param {CanvasRenderingContext2D} pathCtx - Canvas context to draw on
+ * @param {Object} region - Region (see modules/redactionDocument)
+ * @param {string} paintColor - Fill color
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ */
+export function fillCoverage(pathCtx, region, paintColor, width, height) {
+  if (!region.invert) {
+    fillRegionSoft(pathCtx, region, paintColor, region.feather || 0);
+    return;
+  }
+
+  // Built on a scratch canvas so the result composites with whatever
+  // operation pathCtx is using (the export verifier subtracts undo regions)
+  const scratch = document.createElement('canvas');
+  scratch.width = pathCtx.canvas.width;
+  scratch.height = pathCtx.canvas.height;
+  const scratchCtx = scratch.getContext('2d');
+  scratchCtx.setTransform(pathCtx.getTransform());
+  scratchCtx.fillStyle = paintColor;
+  scratchCtx.fillRect(0, 0, width, height);
+  scratchCtx.globalCompositeOperation = 'destination-out';
+  fillRegionSoft(scratchCtx, region, paintColor, region.margin || 0);
+
+  pathCtx.save();
+  pathCtx.setTransform(1, 0, 0, 1, 0, 0);
+  pathCtx.drawImage(scratch, 0, 0);
+  pathCtx.restore();
+
+  // Release the buffer straight away rather than waiting for GC
+  scratch.width = 0;
+  scratch.height = 0;
+}
+
+/**
+ * Get a canvas with a mask bitmap filled in a color
+ * @private
+ */
+function getMaskCanvas(geometry, paintColor) {
+  const { data, maskWidth, maskHeight } = geometry;
+  let byColor = maskCanvases.get(data);
+  if (!byColor) {
+    byColor = new Map();
+    maskCanvases.set(data, byColor);
+  }
+
+  if (!byColor.has(paintColor)) {
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = maskWidth;
+    maskCanvas.height = maskHeight;
+    const maskCtx = maskCanvas.getContext('2d');
+    const image = maskCtx.createImageData(maskWidth, maskHeight);
+    for (let i = 0; i < data.length; i++) {
+      if (data[i]) image.data[i * 4 + 3] = 255;
+    }
+    maskCtx.putImageData(image, 0, 0);
+    maskCtx.globalCompositeOperation = 'source-in';
+    maskCtx.fillStyle = paintColor;
+    maskCtx.fillRect(0, 0, maskWidth, maskHeight);
+    byColor.set(paintColor, maskCanvas);
+  }
+
+  return byColor.get(paintColor);
+}
+
+/**
+ * Draw a live preview of a shape over the image (ellipse and lasso tools)
+ *
+ * Like areaDraw(), the canvas is restored from the holder canvas first so
+ * only the current shape is shown.
+ *
+ * @param {CanvasRenderingContext2D} pathCtx - Canvas context to draw on
+ * @param {Object} region - Region-like object with shape and geometry (see modules/redactionDocument)
+ * @param {string} paintColor - Fill color
+ * @param {HTMLCanvasElement} canvas - Main canvas (for dimensions)
+ * @param {HTMLCanvasElement} holderCanvas - Canvas with image state before the shape started
+ *
+ * @example
+ * shapeDraw(ctx, { shape: 'ellipse', geometry: { x: 50, y: 40, radiusX: 30, radiusY: 20 } }, '#000', canvas, holderCanvas);
+ */
+export function shapeDraw(pathCtx, region, paintColor, canvas, holderCanvas) {
+  if (!pathCtx || !canvas) {
+    console.error('shapeDraw: Invalid canvas context or element');
+    return;
+  }
+
+  pathCtx.clearRect(0, 0, canvas.width, canvas.height);
+  if (holderCanvas) {
+    pathCtx.drawImage(holderCanvas, 0, 0);
+  }
+  fillRegion(pathCtx, region, paintColor);
+}
+
+/**
+ * Draw an unfinished polygon: the filled outline so far, a rubber-band edge
+ * to the pointer, and a marker on each placed point
+ *
+ * @param {CanvasRenderingContext2D} pathCtx - Canvas context to draw on
+ * @param {{x: number, y: number}[]} points - Points placed so far
+ * @param {{x: number, y: number}|null} pointer - Current pointer position (null to omit the rubber band)
+ * @param {string} paintColor - Fill color
+ * @param {HTMLCanvasElement} canvas - Main canvas (for dimensions)
+ * @param {HTMLCanvasElement} holderCanvas - Canvas with image state before the polygon started
+ * @param {number} markerRadius - Radius of the point markers (canvas pixels)
+ */
+export function polygonDraw(pathCtx, points, pointer, paintColor, canvas, holderCanvas, markerRadius) {
+  if (!points.length) return;
+
+  const outline = pointer ? [...points, pointer] : points;
+  shapeDraw(pathCtx, { shape: 'polygon', geometry: { points: outline } }, paintColor, canvas, holderCanvas);
+
+  // Black and white outline so the edges show on any background
+  pathCtx.save();
+  pathCtx.lineJoin = 'round';
+  [['#000000', markerRadius], ['#ffffff', markerRadius / 2]].forEach(([color, width]) => {
+    pathCtx.strokeStyle = color;
+    pathCtx.lineWidth = width;
+    pathCtx.beginPath();
+    outline.forEach((point, index) => (index ? pathCtx.lineTo(point.x, point.y) : pathCtx.moveTo(point.x, point.y)));
+    pathCtx.stroke();
+  });
+
+  pathCtx.fillStyle = '#ffffff';
+  pathCtx.strokeStyle = '#000000';
+  pathCtx.lineWidth = markerRadius / 2;
+  points.forEach((point) => {
+    pathCtx.beginPath();
+    pathCtx.arc(point.x, point.y, markerRadius, 0, Math.PI * 2);
+    pathCtx.fill();
+    pathCtx.stroke();
+  });
+  pathCtx.restore();
+}
+
+/**
+ * Build the cursor for a shape tool: a crosshair with a small shape icon
+ * @private
+ */
+function createShapeCursor(brush) {
+  const cursorCanvas = document.createElement('canvas');
+  cursorCanvas.width = 32;
+  cursorCanvas.height = 32;
+  const cursorCtx = cursorCanvas.getContext('2d');
+  const h = SHAPE_CURSOR_HOTSPOT;
+
+  // Black under white, like the brush cursor, so it shows on any background
+  [['#000000', 3], ['#ffffff', 1]].forEach(([color, width]) => {
+    cursorCtx.strokeStyle = color;
+    cursorCtx.lineWidth = width;
+    cursorCtx.beginPath();
+    cursorCtx.moveTo(h, 1);
+    cursorCtx.lineTo(h, 2 * h - 1);
+    cursorCtx.moveTo(1, h);
+    cursorCtx.lineTo(2 * h - 1, h);
+    SHAPE_CURSOR_ICONS[brush](cursorCtx);
+    cursorCtx.stroke();
+  });
+
+  return `url(${cursorCanvas.toDataURL()}) ${h} ${h}, crosshair`;
+}
+
 /**
  * Create and set a custom cursor matching the brush size
  * 
@@ -240,11 +655,14 @@ export function areaDraw(
  * The cursor includes both black and white circles for visibility on any background.
  * 
  * For area/rectangle mode, uses the standard crosshair cursor.
+ * For polygon, lasso, ellipse, magic wand and colour range modes, uses a
+ * crosshair with a small icon of the tool.
+ * For select mode, uses the default arrow cursor.
  * For tap mode, shows a larger cursor to indicate the increased size.
  * 
  * @param {HTMLCanvasElement} canvas - Main canvas element (for cursor attachment and scaling)
  * @param {number} brushSize - Brush radius in canvas pixels
- * @param {string} brush - Brush type ('round', 'area', or 'tap')
+ * @param {string} brush - Brush type (see BRUSH_TYPES)
  * 
  * @example
  * // Update cursor when brush size changes
@@ -264,6 +682,22 @@ export function setCursor(canvas, brushSize, brush) {
     return;
   }
 
+  // Shape tools don't depend on the brush size, so one cursor each is cached
+  if (SHAPE_CURSOR_ICONS[brush]) {
+    const cacheKey = `shape_${brush}`;
+    if (!cursorCache.has(cacheKey)) {
+      cursorCache.set(cacheKey, createShapeCursor(brush));
+    }
+    canvas.style.cursor = cursorCache.get(cacheKey);
+    return;
+  }
+
+  // Region editing uses the standard arrow (updated to move/resize on hover)
+  if (brush === BRUSH_TYPES.SELECT) {
+    canvas.style.cursor = 'default';
+    return;
+  }
+
   // Apply size multiplier for tap mode
   const effectiveBrushSize = brush === BRUSH_TYPES.TAP 
     ? brushSize * TAP_MODE_SIZE_MULTIPLIER 
@@ -283,9 +717,17 @@ export function setCursor(canvas, brushSize, brush) {
     return;
   }
   
+  const cursorSize = effectiveBrushSize * CURSOR_SIZE_SCALE * scaleX;
+
+  // Browsers silently ignore oversized cursor images, so big outlines
+  // (large brushes, or zoomed in) fall back to a crosshair
+  if (cursorSize > CURSOR_MAX_SIZE) {
+    canvas.style.cursor = 'crosshair';
+    return;
+  }
+
   // Generate new cursor if not in cache
   const cursorCanvas = document.createElement('canvas');
-  const cursorSize = effectiveBrushSize * CURSOR_SIZE_SCALE * scaleX;
   
   cursorCanvas.width = cursorSize;
   cursorCanvas.height = cursorSize;
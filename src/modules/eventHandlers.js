@@ -1,20 +1,107 @@
 /**
- * Event handlers for mouse and touch interactions
+ * Event handlers for pointer (mouse, pen and touch) interactions
  */
 
-import { getMousePos } from '../utils/canvas.js';
-import { interpolatePath, tapDraw, areaDraw } from './drawing.js';
-import { pixelateCanvas } from './pixelation.js';
-import { canvasRGBA } from 'stackblur-canvas';
-import { TAP_MODE_SIZE_MULTIPLIER } from '../utils/constants.js';
+import { getMousePos, clampBounds } from '../utils/canvas.js';
+import { interpolatePath, tapDraw, areaDraw, shapeDraw, polygonDraw, getPressureRadius } from './drawing.js';
+import { createAddRegionEntry } from './history.js';
+import { floodSelect, colorRangeSelect } from './colorSelection.js';
+import { sampleAverageColor } from './redactionStyles.js';
+import { inpaintRegion } from './inpainting.js';
+import {
+  TAP_MODE_SIZE_MULTIPLIER,
+  POLYGON_CLOSE_DISTANCE,
+  LASSO_MIN_POINT_SPACING,
+  FEATHER_SOFT_FRACTION,
+  REDACTION_STYLES,
+  PALM_REJECTION_DELAY,
+} from '../utils/constants.js';
+
+/**
+ * Labels used to describe strokes in the history panel
+ * @private
+ */
+const MODE_LABELS = { blur: 'Blur', paint: 'Paint', undo: 'Restore' };
+const BRUSH_LABELS = {
+  round: 'brush stroke',
+  area: 'rectangle',
+  tap: 'tap',
+  polygon: 'polygon',
+  lasso: 'lasso',
+  ellipse: 'ellipse',
+  wand: 'magic wand area',
+  colorRange: 'colour range',
+};
+
+/**
+ * Half the width of the rectangle tool's outline (areaDraw uses lineWidth 10)
+ * The outline is part of the covered area, so rectangle regions include it.
+ * @private
+ */
+const AREA_OUTLINE_PADDING = 5;
+
+/**
+ * Radius of the polygon tool's point markers, in screen pixels
+ * @private
+ */
+const POLYGON_MARKER_RADIUS = 4;
+
+/**
+ * Ellipse geometry filling the box between two corners
+ * @private
+ */
+function ellipseFromCorners(start, end) {
+  return {
+    x: (start.x + end.x) / 2,
+    y: (start.y + end.y) / 2,
+    radiusX: Math.abs(end.x - start.x) / 2,
+    radiusY: Math.abs(end.y - start.y) / 2,
+  };
+}
 
 /**
  * Create event handlers for the canvas
+ *
+ * While a stroke is in progress a preview is drawn straight onto the
+ * visible canvas. Blur strokes reveal the renderer's cached layer for the
+ * current style and strength through the stroke's shape, and restore
+ * strokes the original image, so the preview is the real effect; when the
+ * layer isn't built yet (or for "keep inside" and the colour-sampling
+ * styles) the preview is a flat colour. When the stroke ends it is turned
+ * into a region of the redaction document, which re-renders the canvas.
+ *
+ * The polygon tool works differently: each click places a point, and the
+ * shape is finished by clicking the first point, double-clicking the last
+ * one, or calling finishPolygon() (Enter). cancelPolygon() (Escape) drops it.
+ * The magic wand and colour range tools add a mask region straight away on
+ * click, built from the colours of the original image.
+ *
+ * With "keep inside" on (state.invert), every tool marks the area to keep:
+ * regions are stored inverted and cover everything outside the shape.
+ *
+ * Input comes from pointer events. The pointer that starts a stroke is
+ * captured, so a stroke can run off the edge of the canvas and still cover
+ * the border pixels, and other pointers are ignored until it ends. Touches
+ * are ignored while a pen is in use (palm rejection), and a pen landing
+ * during a touch stroke replaces it. With state.pressure on, the round
+ * brush's radius follows the pen's pressure.
+ *
  * @param {Object} canvases - Canvas objects
  * @param {Object} state - Application state
+ * @param {Object} [options] - Optional collaborators
+ * @param {Object} [options.history] - History stack from createHistory(); each finished stroke is pushed to it
+ * @param {Object} [options.redactionDocument] - Document from createRedactionDocument(); finished strokes become regions
+ * @param {Object} [options.selection] - Region selection from createRegionSelection(); used by the select tool
+ * @param {Object} [options.loupe] - Magnifier from createLoupe(); shown under touch strokes
+ * @param {Object} [options.renderer] - Renderer from createRegionRenderer(); its blur layers are previewed while drawing
+ * @param {Function} [options.notify] - Shows a status message (message, type)
  * @returns {Object} Event handler functions
  */
-export function createEventHandlers(canvases, state) {
+export function createEventHandlers(
+  canvases,
+  state,
+  { history = null, redactionDocument = null, selection = null, loupe = null, renderer = null, notify = null } = {}
+) {
   const {
     canvas,
     ctx,
@@ -23,230 +110,658 @@ export function createEventHandlers(canvases, state) {
     holderCanvas,
     holderCtx,
     rotationCanvas,
-    blurredCanvas,
-    blurredCtx,
-    offscreenCanvas,
-    offscreenCtx,
+    rotationCtx,
   } = canvases;
 
   let isDown = false;
+  // Pointer drawing the current stroke, and its type ('mouse', 'pen' or 'touch')
+  let activePointer = null;
+  let activePointerType = null;
+  // Whether the current stroke's radius follows the pen's pressure
+  let usePressure = false;
+  // When a pen was last seen over the canvas (event timeStamp)
+  let lastPenTime = -Infinity;
   let lastPos = null;
   let mouseX_start = 0;
   let mouseY_start = 0;
+  // Geometry of the current stroke, turned into a region on mouseup
+  let strokePoints = [];
+  let areaEnd = null;
+  // Points of an unfinished polygon (the polygon tool spans several clicks)
+  let polygonPoints = [];
+  // Image revealed through the stroke while it is drawn (null: flat preview),
+  // and the stroke's shape so far, drawn on strokeMask
+  let revealSource = null;
+  const strokeMask = document.createElement('canvas');
+  const strokeMaskCtx = strokeMask.getContext('2d');
 
-  const handleMouseDown = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
+  const isSelecting = () => state.brush === 'select' && selection;
+
+  /**
+   * Whether a touch should be ignored because a pen is in use: it is most
+   * likely the hand holding the pen
+   * @private
+   */
+  const isPalm = (e) =>
+    e.pointerType === 'touch' &&
+    (activePointerType === 'pen' || e.timeStamp - lastPenTime < PALM_REJECTION_DELAY);
 
+  /**
+   * Stroke point for a pointer event, with its own radius when the stroke
+   * follows pen pressure
+   * @private
+   */
+  const getStrokePoint = (e) => {
     const pos = getMousePos(canvas, e);
-    mouseX_start = pos.x;
-    mouseY_start = pos.y;
+    return usePressure ? { ...pos, r: getPressureRadius(state.brushSize, e.pressure) } : pos;
+  };
+
+  /**
+   * Canvas pixels per screen pixel, for distances that should feel the
+   * same whatever the image size
+   * @private
+   */
+  const getCanvasScale = () => {
+    const rect = canvas.getBoundingClientRect();
+    return rect.width > 0 ? canvas.width / rect.width : 1;
+  };
 
+  /**
+   * Copy the visible canvas to the holder canvas so previews can be drawn
+   * over it and undone
+   * @private
+   */
+  const snapshotCanvas = () => {
     holderCtx.save();
     holderCtx.clearRect(0, 0, holderCanvas.width, holderCanvas.height);
     holderCtx.drawImage(canvas, 0, 0);
     holderCtx.restore();
+  };
 
-    tempCtx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
-    isDown = true;
-    lastPos = pos;
+  /**
+   * Image showing the real effect of a new stroke, if one is at hand
+   * @returns {HTMLCanvasElement|null} Canvas to reveal through the stroke
+   * @private
+   */
+  const getRevealSource = () => {
+    // Inverted regions cover what is outside the stroke; keep those flat
+    if (state.invert) return null;
+    if (state.painting === 'undo') return rotationCanvas;
+    if (state.painting !== 'blur' || !renderer) return null;
+    return renderer.getReadyLayer(getRegionSettings());
+  };
 
-    if (state.brush === 'tap') {
-      handleMouseMove(e);
+  /**
+   * Start building the blur layer new strokes will preview, so it is ready
+   * by the time the user draws
+   * Call after the image or the redaction settings change.
+   */
+  const preparePreview = () => {
+    if (renderer && state.painting === 'blur' && !state.invert) {
+      renderer.prepareLayer(getRegionSettings());
     }
   };
 
-  const handleMouseOut = (e) => {
-    e.preventDefault();
-    e.stopPropagation();
+  /**
+   * Show the reveal source through the stroke mask within a rectangle of
+   * the visible canvas
+   * @private
+   */
+  const revealStroke = (bounds) => {
+    const rect = clampBounds(bounds, canvas.width, canvas.height);
+    if (!rect) return;
+    const { x, y, width, height } = rect;
 
-    if (isDown) {
-      handleMouseUp(e);
+    // tempCanvas is free during a stroke: the renderer only uses it inside a
+    // synchronous composite
+    tempCtx.save();
+    tempCtx.clearRect(x, y, width, height);
+    tempCtx.drawImage(strokeMask, x, y, width, height, x, y, width, height);
+    tempCtx.globalCompositeOperation = 'source-in';
+    tempCtx.drawImage(revealSource, x, y, width, height, x, y, width, height);
+    tempCtx.restore();
+
+    ctx.clearRect(x, y, width, height);
+    ctx.drawImage(holderCanvas, x, y, width, height, x, y, width, height);
+    ctx.drawImage(tempCanvas, x, y, width, height, x, y, width, height);
+    tempCtx.clearRect(x, y, width, height);
+  };
+
+  /**
+   * Mode, style, color, edge and inversion settings shared by every new region
+   * @private
+   */
+  const getRegionSettings = () => {
+    const biggerDimension = Math.max(canvas.width, canvas.height);
+    const settings = {
+      mode: state.painting,
+      blurAmount: state.blurAmount,
+      color: state.paintColor,
+    };
+    if (state.painting === 'blur') {
+      settings.style = state.redactionStyle;
     }
+    if (state.feather === 'soft') {
+      settings.feather = Math.max(1, Math.round(biggerDimension * FEATHER_SOFT_FRACTION));
+    }
+    // Content-aware fill rebuilds an area from its surroundings, so it
+    // can't keep the inside and rebuild the rest of the photo
+    if (!state.invert || settings.style === 'inpaint') return settings;
+
+    // The margin slider scales with the image, like the brush size
+    return {
+      ...settings,
+      invert: true,
+      margin: Math.floor((state.invertMargin * biggerDimension) / state.brushAdjustment),
+    };
   };
 
-  const handleMouseMove = (e) => {
-    const pos = getMousePos(canvas, e);
+  /**
+   * Add a finished region to the document and the history
+   * @private
+   */
+  const commitRegion = (newRegion) => {
+    if (!newRegion || !redactionDocument) return;
 
-    if (!isDown) return;
+    // Content-aware fill regions are added once their fill is ready
+    if (newRegion.style === 'inpaint' && !newRegion.fill) {
+      commitInpaintRegion(newRegion);
+      return;
+    }
 
-    e.preventDefault();
-    e.stopPropagation();
+    // 'average' regions are filled with the colour of where they were drawn
+    // NOTE: The colour is kept if the region is moved later
+    const region = newRegion.style === 'average'
+      ? { ...newRegion, color: sampleAverageColor(rotationCanvas, newRegion, newRegion.blurAmount) || newRegion.color }
+      : newRegion;
 
-    drawMousePath(pos.x, pos.y);
-    lastPos = pos;
+    // Adding the region re-renders the canvas with the real effect
+    const stored = redactionDocument.add(region);
+
+    if (history) {
+      const brushLabel = BRUSH_LABELS[state.brush] || 'stroke';
+      // Blur regions in another style are named after it ("Pixelate rectangle")
+      const modeLabel = region.style && region.style !== 'shuffle'
+        ? REDACTION_STYLES[region.style].label
+        : MODE_LABELS[state.painting] || 'Edit';
+      const label = `${modeLabel} ${region.invert ? `outside ${brushLabel}` : brushLabel}`;
+      history.push(createAddRegionEntry(redactionDocument, stored, label));
+    }
   };
 
-  const handleMouseUp = async (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    isDown = false;
-    lastPos = null;
+  /**
+   * Rebuild the area under a content-aware fill region in the worker, then
+   * add it
+   * If that fails the area is filled with its average colour instead, so
+   * it is never left unredacted.
+   * @private
+   */
+  const commitInpaintRegion = async (newRegion) => {
+    const generation = state.imageGeneration;
+    let fill = null;
+    try {
+      fill = await inpaintRegion(rotationCanvas, newRegion, redactionDocument.getRegions());
+    } catch (error) {
+      console.error('Content-aware fill failed, using the average colour instead:', error);
+    }
 
-    if (state.painting !== 'paint') {
-      const tempBlurAmount = state.blurAmount;
-      if (state.painting === 'undo') {
-        state.blurAmount = 0;
+    // A new photo may have been opened (or this one rotated or restored)
+    // while the worker was running: the region and its fill belong to the
+    // old image. Photos from one camera share a size, so compare generations.
+    if (state.imageGeneration !== generation) {
+      if (typeof notify === 'function') {
+        notify('The image changed before content-aware fill finished, so that fill was discarded. Draw it again if you still need it.', 'warning');
       }
+      return;
+    }
 
-      blurredCtx.drawImage(rotationCanvas, 0, 0);
-
-      // Pixelate if not undoing (now async with Web Worker)
-      if (state.painting !== 'undo') {
-        try {
-          await pixelateCanvas(
-            blurredCanvas,
-            blurredCtx,
-            offscreenCanvas,
-            offscreenCtx,
-            canvas
-          );
-        } catch (error) {
-          console.error('Pixelation failed:', error);
-          // Continue with blur even if pixelation fails
-        }
-      }
+    if (fill) {
+      commitRegion({ ...newRegion, fill });
+    } else {
+      commitRegion({ ...newRegion, style: 'average', blurAmount: REDACTION_STYLES.average.default });
+    }
+  };
+
+  /**
+   * Cover the pixels matching the colour under a click (magic wand and
+   * colour range tools)
+   * @private
+   */
+  const selectByColor = (pos) => {
+    const { width, height } = rotationCanvas;
+    if (!width || !height) return;
+
+    // Colours come from the original image, so earlier redactions don't
+    // change what is matched
+    const imageData = rotationCtx.getImageData(0, 0, width, height);
+    const select = state.brush === 'wand' ? floodSelect : colorRangeSelect;
+    const geometry = select(imageData, pos.x, pos.y, state.wandTolerance);
+    if (!geometry) return;
+
+    commitRegion({ ...getRegionSettings(), shape: 'mask', geometry });
+  };
+
+  /**
+   * Redraw the unfinished polygon, with a rubber-band edge to the pointer
+   * @private
+   */
+  const drawPolygonPreview = (pointer = null) => {
+    polygonDraw(
+      ctx,
+      polygonPoints,
+      pointer,
+      getPreviewColor(),
+      canvas,
+      holderCanvas,
+      POLYGON_MARKER_RADIUS * getCanvasScale()
+    );
+  };
+
+  /**
+   * Place a polygon point, or finish the polygon when the click lands on
+   * the first point (close) or the last one (double click)
+   * @private
+   */
+  const addPolygonPoint = (pos) => {
+    if (!polygonPoints.length) {
+      snapshotCanvas();
+      polygonPoints = [pos];
+      drawPolygonPreview();
+      return;
+    }
 
-      // Apply blur
-      canvasRGBA(
-        blurredCanvas,
-        0,
-        0,
-        blurredCanvas.width,
-        blurredCanvas.height,
-        state.blurAmount
-      );
+    const closeDistance = POLYGON_CLOSE_DISTANCE * getCanvasScale();
+    const isNear = (point) => Math.hypot(point.x - pos.x, point.y - pos.y) <= closeDistance;
+    if (polygonPoints.length >= 3 && (isNear(polygonPoints[0]) || isNear(polygonPoints[polygonPoints.length - 1]))) {
+      finishPolygon();
+      return;
+    }
+
+    // Ignore repeat clicks on the same spot before there are enough points
+    if (isNear(polygonPoints[polygonPoints.length - 1])) return;
+
+    polygonPoints.push(pos);
+    drawPolygonPreview(pos);
+  };
+
+  /**
+   * Finish the polygon in progress
+   * Polygons with fewer than three points are dropped.
+   * @returns {boolean} True if a polygon was in progress
+   */
+  const finishPolygon = () => {
+    if (!polygonPoints.length) return false;
+    if (polygonPoints.length < 3) return cancelPolygon();
+
+    const points = polygonPoints;
+    polygonPoints = [];
+    commitRegion({ ...getRegionSettings(), shape: 'polygon', geometry: { points } });
+    return true;
+  };
+
+  /**
+   * Drop the polygon in progress and remove its preview
+   * @returns {boolean} True if a polygon was in progress
+   */
+  const cancelPolygon = () => {
+    if (!polygonPoints.length) return false;
+
+    polygonPoints = [];
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(holderCanvas, 0, 0);
+    return true;
+  };
 
-      tempCtx.save();
-      tempCtx.globalCompositeOperation = 'source-in';
-      tempCtx.drawImage(blurredCanvas, 0, 0);
-      tempCtx.restore();
+  /**
+   * Drop the stroke in progress without adding a region (a second finger
+   * turned it into a pinch, or it was started by the palm holding a pen)
+   * @returns {boolean} True if a stroke was in progress
+   */
+  const cancelStroke = () => {
+    if (!isDown) return false;
 
-      ctx.save();
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(tempCanvas, 0, 0);
-      ctx.globalCompositeOperation = 'destination-over';
-      ctx.drawImage(holderCanvas, 0, 0);
-      ctx.restore();
+    isDown = false;
+    activePointer = null;
+    activePointerType = null;
+    lastPos = null;
+    strokePoints = [];
+    areaEnd = null;
+    revealSource = null;
+    strokeMask.width = 0;
+    strokeMask.height = 0;
+    loupe?.hide();
 
-      state.blurAmount = tempBlurAmount;
+    if (isSelecting()) {
+      selection.pointerUp();
+      return true;
     }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(holderCanvas, 0, 0);
+    return true;
   };
 
-  const handleTouchStart = (e) => {
+  const handlePointerDown = (e) => {
+    // Only the primary button draws (the viewport pans with the middle one)
+    if (e.button !== 0) return;
+
     e.preventDefault();
     e.stopPropagation();
 
-    if (e.touches.length > 1) {
-      return; // Ignore multi-touch
+    if (e.pointerType === 'pen') {
+      lastPenTime = e.timeStamp;
+    } else if (isPalm(e)) {
+      return;
     }
 
-    const touch = e.changedTouches[0];
-    const mouseEvent = new MouseEvent('mousedown', {
-      view: e.target.ownerDocument.defaultView,
-      bubbles: true,
-      cancelable: true,
-      screenX: touch.screenX,
-      screenY: touch.screenY,
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-    });
-    touch.target.dispatchEvent(mouseEvent);
+    if (isDown) {
+      // A pen replaces a stroke the palm holding it started; any other
+      // pointer waits for the stroke to end
+      if (e.pointerType !== 'pen' || activePointerType !== 'touch') return;
+      cancelStroke();
+    }
+
+    const pos = getMousePos(canvas, e);
+
+    // The polygon tool places points on click instead of dragging
+    if (state.brush === 'polygon') {
+      addPolygonPoint(pos);
+      return;
+    }
+
+    if (state.brush === 'wand' || state.brush === 'colorRange') {
+      selectByColor(pos);
+      return;
+    }
+
+    mouseX_start = pos.x;
+    mouseY_start = pos.y;
+    isDown = true;
+    activePointer = e.pointerId;
+    activePointerType = e.pointerType;
+    usePressure = state.pressure && e.pointerType === 'pen' && state.brush === 'round';
+
+    // Keep getting this pointer's events when it leaves the canvas, so the
+    // stroke carries on over the edge instead of ending there
+    canvas.setPointerCapture(e.pointerId);
+
+    if (isSelecting()) {
+      selection.pointerDown(pos);
+      return;
+    }
+
+    snapshotCanvas();
+
+    revealSource = getRevealSource();
+    if (revealSource) {
+      strokeMask.width = canvas.width;
+      strokeMask.height = canvas.height;
+    }
+
+    const point = getStrokePoint(e);
+    lastPos = point;
+    strokePoints = [point];
+    areaEnd = null;
+
+    if (state.brush === 'tap') {
+      drawMousePath(point);
+    }
+    updateLoupe(e);
+  };
+
+  const handlePointerLeave = () => {
+    // Leaving the canvas hides the rubber band but keeps the points placed
+    if (!isDown && polygonPoints.length) {
+      drawPolygonPreview();
+    }
   };
 
-  const handleTouchMove = (e) => {
-    if (e.touches.length > 1) {
-      return; // Ignore multi-touch
+  const handlePointerMove = (e) => {
+    if (e.pointerType === 'pen') {
+      lastPenTime = e.timeStamp;
     }
+    // Other pointers (a palm, a second finger) don't disturb the stroke
+    if (isDown ? e.pointerId !== activePointer : isPalm(e)) return;
 
-    const touch = e.changedTouches[0];
-    const mouseEvent = new MouseEvent('mousemove', {
-      view: e.target.ownerDocument.defaultView,
-      bubbles: true,
-      cancelable: true,
-      screenX: touch.screenX,
-      screenY: touch.screenY,
-      clientX: touch.clientX,
-      clientY: touch.clientY,
+    const pos = getMousePos(canvas, e);
+
+    if (isSelecting()) {
+      // Hover updates the cursor even when no drag is in progress
+      selection.pointerMove(pos, isDown);
+      return;
+    }
+
+    if (polygonPoints.length) {
+      drawPolygonPreview(pos);
+      return;
+    }
+
+    if (!isDown) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    // Fast pen and touch moves arrive batched; the brush follows all of them
+    const moves = state.brush === 'round' && e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    (moves.length ? moves : [e]).forEach((move) => {
+      const point = getStrokePoint(move);
+      drawMousePath(point);
+      lastPos = point;
     });
-    touch.target.dispatchEvent(mouseEvent);
+    updateLoupe(e);
   };
 
-  const drawMousePath = (mouseX, mouseY) => {
-    let paintColor = state.paintColor;
+  const handlePointerUp = (e) => {
+    if (e.pointerType === 'pen') {
+      lastPenTime = e.timeStamp;
+    }
+    // Ignore pointers that aren't drawing the stroke
+    if (!isDown || e.pointerId !== activePointer) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    isDown = false;
+    activePointer = null;
+    activePointerType = null;
+    lastPos = null;
+    loupe?.hide();
+
+    if (isSelecting()) {
+      selection.pointerUp();
+      return;
+    }
 
-    if (state.painting === 'undo') {
-      paintColor = '#ffffff';
-    } else if (state.painting === 'blur') {
-      paintColor = '#000000';
-    } else if (state.painting === 'paint') {
-      // Use the color from state which is updated by jscolor onChange
-      paintColor = state.paintColor;
+    const region = buildRegion();
+    strokePoints = [];
+    areaEnd = null;
+    if (revealSource) {
+      // Don't keep a copy of the stroke shape around
+      revealSource = null;
+      strokeMask.width = 0;
+      strokeMask.height = 0;
     }
 
+    commitRegion(region);
+  };
+
+  /**
+   * Turn the finished stroke into a region description
+   * @returns {Object|null} Region, or null if nothing was drawn
+   * @private
+   */
+  const buildRegion = () => {
+    const base = getRegionSettings();
+
     switch (state.brush) {
       case 'round':
-        interpolatePath(
-          ctx,
-          lastPos.x,
-          lastPos.y,
-          mouseX,
-          mouseY,
-          state.brushSize,
-          paintColor
-        );
-        interpolatePath(
-          tempCtx,
-          lastPos.x,
-          lastPos.y,
-          mouseX,
-          mouseY,
-          state.brushSize,
-          paintColor
-        );
+        // A click without movement draws nothing with the round brush
+        if (strokePoints.length < 2) return null;
+        return {
+          ...base,
+          shape: 'path',
+          geometry: { points: strokePoints, radius: state.brushSize },
+        };
+      case 'area': {
+        if (!areaEnd) return null;
+        const width = Math.abs(areaEnd.x - mouseX_start);
+        const height = Math.abs(areaEnd.y - mouseY_start);
+        if (width === 0 && height === 0) return null;
+        return {
+          ...base,
+          shape: 'rect',
+          geometry: {
+            x: Math.min(areaEnd.x, mouseX_start) - AREA_OUTLINE_PADDING,
+            y: Math.min(areaEnd.y, mouseY_start) - AREA_OUTLINE_PADDING,
+            width: width + 2 * AREA_OUTLINE_PADDING,
+            height: height + 2 * AREA_OUTLINE_PADDING,
+          },
+        };
+      }
+      case 'tap':
+        return {
+          ...base,
+          shape: 'circle',
+          geometry: {
+            x: mouseX_start,
+            y: mouseY_start,
+            radius: state.brushSize * TAP_MODE_SIZE_MULTIPLIER,
+          },
+        };
+      case 'lasso':
+        // The outline is closed from the last point back to the first
+        if (strokePoints.length < 3) return null;
+        return {
+          ...base,
+          shape: 'polygon',
+          geometry: { points: strokePoints },
+        };
+      case 'ellipse': {
+        if (!areaEnd) return null;
+        const geometry = ellipseFromCorners({ x: mouseX_start, y: mouseY_start }, areaEnd);
+        if (geometry.radiusX === 0 || geometry.radiusY === 0) return null;
+        return { ...base, shape: 'ellipse', geometry };
+      }
+      default:
+        return null;
+    }
+  };
+
+  /**
+   * Show the loupe under the finger while a touch stroke is drawn
+   * @private
+   */
+  const updateLoupe = (e) => {
+    if (!loupe || !isDown || e.pointerType !== 'touch' || isSelecting()) return;
+
+    let radius = 0;
+    if (state.brush === 'round') radius = lastPos.r ?? state.brushSize;
+    if (state.brush === 'tap') radius = state.brushSize * TAP_MODE_SIZE_MULTIPLIER;
+    loupe.show(e, getMousePos(canvas, e), radius);
+  };
+
+  /**
+   * Flat color used for live previews in the current mode
+   * @private
+   */
+  function getPreviewColor() {
+    if (state.painting === 'undo') return '#ffffff';
+    if (state.painting === 'blur') return '#000000';
+    // Use the color from state which is updated by jscolor onChange
+    return state.paintColor;
+  }
+
+  /**
+   * Draw the live stroke preview onto the visible canvas
+   * When the stroke reveals an image, the shape goes onto the stroke mask
+   * instead, and only the part of the canvas it changed is redrawn.
+   * @private
+   */
+  const drawMousePath = (point) => {
+    const { x: mouseX, y: mouseY } = point;
+    const paintColor = getPreviewColor();
+    const target = revealSource ? strokeMaskCtx : ctx;
+    // The stroke mask holds only the shape, so shapes don't restore the image onto it
+    const holder = revealSource ? null : holderCanvas;
+    // Area of the canvas the preview changed (shapes redraw all of it)
+    let changed = { minX: 0, minY: 0, maxX: canvas.width, maxY: canvas.height };
+
+    switch (state.brush) {
+      case 'round': {
+        const radius = point.r ?? state.brushSize;
+        const startRadius = lastPos.r ?? state.brushSize;
+        interpolatePath(target, lastPos.x, lastPos.y, mouseX, mouseY, radius, paintColor, startRadius);
+        strokePoints.push(point);
+        // One extra pixel for antialiasing
+        const reach = Math.max(radius, startRadius) + 1;
+        changed = {
+          minX: Math.min(lastPos.x, mouseX) - reach,
+          minY: Math.min(lastPos.y, mouseY) - reach,
+          maxX: Math.max(lastPos.x, mouseX) + reach,
+          maxY: Math.max(lastPos.y, mouseY) + reach,
+        };
         break;
+      }
       case 'area':
         areaDraw(
-          ctx,
-          mouseX,
-          mouseY,
-          mouseX_start,
-          mouseY_start,
-          true,
-          paintColor,
-          canvas,
-          holderCanvas
-        );
-        areaDraw(
-          tempCtx,
+          target,
           mouseX,
           mouseY,
           mouseX_start,
           mouseY_start,
-          false,
+          !revealSource,
           paintColor,
           canvas,
-          holderCanvas
+          holder
         );
+        areaEnd = { x: mouseX, y: mouseY };
         break;
       case 'tap': {
+        // Tap stamps a single circle where the pointer went down
+        if (mouseX !== mouseX_start || mouseY !== mouseY_start) return;
         // Use larger brush size for tap mode to make it more distinct
         const tapSize = state.brushSize * TAP_MODE_SIZE_MULTIPLIER;
-        tapDraw(ctx, mouseX, mouseY, tapSize, paintColor);
-        tapDraw(tempCtx, mouseX, mouseY, tapSize, paintColor);
+        tapDraw(target, mouseX, mouseY, tapSize, paintColor);
+        const reach = tapSize + 1;
+        changed = { minX: mouseX - reach, minY: mouseY - reach, maxX: mouseX + reach, maxY: mouseY + reach };
         break;
       }
+      case 'lasso': {
+        const last = strokePoints[strokePoints.length - 1];
+        if (Math.hypot(mouseX - last.x, mouseY - last.y) >= LASSO_MIN_POINT_SPACING) {
+          strokePoints.push({ x: mouseX, y: mouseY });
+        }
+        shapeDraw(target, { shape: 'polygon', geometry: { points: strokePoints } }, paintColor, canvas, holder);
+        break;
+      }
+      case 'ellipse':
+        areaEnd = { x: mouseX, y: mouseY };
+        shapeDraw(
+          target,
+          { shape: 'ellipse', geometry: ellipseFromCorners({ x: mouseX_start, y: mouseY_start }, areaEnd) },
+          paintColor,
+          canvas,
+          holder
+        );
+        break;
       default:
         console.error('Unknown brush type:', state.brush);
+        return;
+    }
+
+    if (revealSource) {
+      revealStroke(changed);
     }
   };
 
   return {
-    handleMouseDown,
-    handleMouseOut,
-    handleMouseMove,
-    handleMouseUp,
-    handleTouchStart,
-    handleTouchMove,
+    handlePointerDown,
+    handlePointerMove,
+    handlePointerUp,
+    handlePointerLeave,
+    finishPolygon,
+    cancelPolygon,
+    cancelStroke,
+    preparePreview,
   };
 }
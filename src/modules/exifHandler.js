@@ -1,7 +1,9 @@
 /**
  * EXIF Metadata Extraction and Display Module
  * 
- * Handles extraction and user-friendly display of EXIF metadata from images.
+ * Handles extraction and user-friendly display of metadata from images.
+ * Fields are shown in plain-language categories ranked by identification
+ * risk (see modules/metadataRisk), so GPS and serial numbers come first.
  * This is a critical privacy feature that shows users exactly what metadata
  * is embedded in their images before it gets stripped during the save process.
  * 
@@ -12,13 +14,30 @@
  * @see {@link https://github.com/mattiasw/ExifReader}
  */
 
-import ExifReader from 'exifreader';
 import { createFocusTrap } from '../utils/focusTrap.js';
 import { hideLoading } from '../utils/dom.js';
+import { inspectMetadata } from './metadataInspector.js';
+import { rankMetadata, fieldMatches, RISK_LABELS } from './metadataRisk.js';
+import { describePlace } from './gazetteer.js';
 
 // NOTE: Store focus trap instance for EXIF modal
 let exifModalTrap = null;
 
+// Object URL of the thumbnail preview currently shown (revoked on close)
+let thumbnailUrl = null;
+
+/**
+ * Report returned when a file has no readable metadata
+ * @private
+ */
+const EMPTY_REPORT = Object.freeze({ groups: [], thumbnail: null, gps: null, fieldCount: 0 });
+
+/**
+ * Longest value shown in the modal (XMP history can run to pages)
+ * @private
+ */
+const MAX_VALUE_LENGTH = 300;
+
 /**
  * Escape HTML special characters to prevent XSS attacks
  * 
@@ -38,77 +57,173 @@ function escapeHtml(str) {
 }
 
 /**
- * Extract EXIF metadata from an image file
+ * Extract metadata from an image file
  * 
- * Uses the ExifReader library to parse embedded metadata from image files.
- * Common EXIF data includes: GPS coordinates, camera make/model, timestamps,
- * software used, and device settings.
+ * Delegates to modules/metadataInspector, which reports EXIF tags plus the
+ * payloads a plain EXIF reader misses: XMP edit history, IPTC contact
+ * fields, ICC device names, maker notes, the embedded thumbnail, C2PA
+ * manifests and data hidden after the end of the image.
  * 
- * NOTE: EXIF extraction does NOT modify the file - it only reads metadata.
+ * NOTE: Extraction does NOT modify the file - it only reads metadata.
  * The actual stripping happens when saving via canvas.toBlob() which creates
  * a new image without any metadata.
  * 
- * @param {File} file - Image file to extract EXIF data from
- * @returns {Promise<Object>} Object containing EXIF tags, or empty object if none found
- * @returns {Object} returns.tag - Each EXIF tag with value and description
+ * @param {File} file - Image file to extract metadata from
+ * @returns {Promise<Object>} Metadata report ({groups, thumbnail, gps, fieldCount}), empty if none found
  * 
  * @example
- * const exifData = await extractExifData(imageFile);
- * if (exifData.GPSLatitude) {
- *   console.log('Image contains GPS data:', exifData.GPSLatitude.description);
+ * const report = await extractExifData(imageFile);
+ * if (report.groups.some((group) => group.id === 'trailer')) {
+ *   console.log('Image hides data after the picture');
  * }
  */
 export async function extractExifData(file) {
   // TODO: Add file validation
   if (!file) {
     console.error('extractExifData: No file provided');
-    return {};
+    return EMPTY_REPORT;
   }
   
   try {
-    const tags = await ExifReader.load(file);
+    const report = await inspectMetadata(file);
     
-    // Log privacy-critical tags for debugging
-    const privacyCriticalTags = ['GPSLatitude', 'GPSLongitude', 'GPSAltitude', 'Make', 'Model'];
-    const foundCriticalTags = privacyCriticalTags.filter(tag => tags[tag]);
-    
-    if (foundCriticalTags.length > 0) {
-      console.info('Found privacy-sensitive EXIF tags:', foundCriticalTags.join(', '));
+    if (report.groups.length > 0) {
+      console.info('Found metadata in:', report.groups.map((group) => group.label).join(', '));
     }
     
-    return tags;
+    return report;
   } catch (error) {
-    // Not finding EXIF data is normal for many images (PNGs, edited photos, etc.)
-    console.info('No EXIF data found or error reading EXIF:', error.message || error);
-    return {};
+    console.info('Could not inspect metadata:', error.message || error);
+    return EMPTY_REPORT;
   }
 }
 
 /**
- * Display EXIF data to the user in a modal dialog
+ * Shorten long values for display
+ * @private
+ */
+function truncate(value) {
+  return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+}
+
+/**
+ * Build the HTML for one risk category
+ * @private
+ */
+function renderCategory(category) {
+  const fields = category.fields
+    .map((field, index) => {
+      const preview = field.sourceId === 'thumbnail' && thumbnailUrl
+        ? `<img class="metadata-thumbnail" src="${thumbnailUrl}" alt="Embedded thumbnail preview - this is what the camera saved, before any edits">`
+        : '';
+      return `
+        <li class="metadata-field risk-${field.risk}" data-field-index="${index}">
+          <span class="metadata-field-name">${escapeHtml(field.name)}</span>
+          <span class="risk-badge risk-${field.risk}">${RISK_LABELS[field.risk]}</span>
+          <p class="metadata-explanation">${escapeHtml(field.explanation)}</p>
+          ${preview}
+          <p class="metadata-value"><span class="sr-only">Value: </span>${escapeHtml(truncate(field.value))} <span class="metadata-source">(${escapeHtml(field.source)})</span></p>
+        </li>
+      `;
+    })
+    .join('');
+
+  // Low-risk settings start collapsed so they don't bury the important fields
+  return `
+    <details class="metadata-category" data-category="${category.id}" ${category.risk > 1 ? 'open' : ''}>
+      <summary>
+        <span class="risk-badge risk-${category.risk}">${RISK_LABELS[category.risk]} risk</span>
+        <strong>${escapeHtml(category.label)}</strong>
+        <span class="metadata-count">(${category.fields.length})</span>
+      </summary>
+      <p class="metadata-group-description">${escapeHtml(category.description)}</p>
+      <ul>${fields}</ul>
+    </details>
+  `;
+}
+
+/**
+ * Build the callout saying in words where the photo was taken
+ *
+ * The place name comes from the offline gazetteer - the coordinates never
+ * leave the device.
+ * @private
+ */
+function renderLocationCallout(gps) {
+  const place = gps ? describePlace(gps.latitude, gps.longitude) : null;
+  if (!place) return '';
+
+  return `
+    <p class="metadata-location">
+      <strong>This photo reveals where it was taken:</strong> ${escapeHtml(place)}.
+      <span class="metadata-location-note">Worked out on this device from the photo's GPS tags - nothing was looked up online.</span>
+    </p>
+  `;
+}
+
+/**
+ * Wire up the search box that filters the metadata list
+ * @private
+ */
+function setupMetadataSearch(categories) {
+  const searchInput = document.getElementById('exifSearch');
+  const noMatches = document.getElementById('exifNoMatches');
+  if (!searchInput) return;
+
+  searchInput.addEventListener('input', () => {
+    const query = searchInput.value;
+    let visible = 0;
+
+    categories.forEach((category) => {
+      const section = document.querySelector(`.metadata-category[data-category="${category.id}"]`);
+      if (!section) return;
+
+      let matches = 0;
+      section.querySelectorAll('.metadata-field').forEach((item) => {
+        const field = category.fields[Number(item.dataset.fieldIndex)];
+        const match = fieldMatches(field, query);
+        item.hidden = !match;
+        if (match) matches++;
+      });
+
+      section.hidden = matches === 0;
+      // Expand collapsed categories while searching so matches are visible
+      if (query.trim() && matches > 0) section.open = true;
+      visible += matches;
+    });
+
+    if (noMatches) noMatches.hidden = visible > 0;
+  });
+}
+
+/**
+ * Display metadata to the user in a modal dialog
  * 
- * Shows all extracted EXIF metadata in a user-friendly modal, allowing users
- * to review what metadata will be removed. This transparency is important for
- * user trust and understanding of the privacy features.
+ * Shows the metadata report in risk-ranked categories, each field with a
+ * plain-language explanation, the GPS position in words (see
+ * modules/gazetteer), a preview of any embedded thumbnail and a
+ * search box for long lists, allowing users to review what will be removed. This
+ * transparency is important for user trust and understanding of the
+ * privacy features.
  * 
  * The modal is blocking (user must acknowledge) to ensure they're aware of
  * what metadata was in their image.
  * 
- * @param {Object} exifData - EXIF data object from extractExifData
+ * @param {Object} exifData - Metadata report from extractExifData
  * @param {Function} onContinue - Callback invoked when user clicks continue button
  * 
  * @example
- * displayExifData(exifData, () => {
+ * displayExifData(report, () => {
  *   console.log('User acknowledged EXIF data');
  *   proceedWithImageEditing();
  * });
  */
 export function displayExifData(exifData, onContinue) {
   // Use local variable to avoid parameter reassignment
-  const validatedExifData = (!exifData || typeof exifData !== 'object')
+  const validatedExifData = (!exifData || !Array.isArray(exifData.groups))
     ? (() => {
         console.warn('displayExifData: Invalid exifData parameter');
-        return {};
+        return EMPTY_REPORT;
       })()
     : exifData;
 
@@ -126,47 +241,56 @@ export function displayExifData(exifData, onContinue) {
     return;
   }
 
-  const exifKeys = Object.keys(validatedExifData);
+  const { groups, thumbnail, gps, fieldCount } = validatedExifData;
 
-  // Filter to only keys with readable descriptions
-  const readableKeys = exifKeys.filter(
-    (key) => validatedExifData[key] && validatedExifData[key].description
-  );
+  if (thumbnailUrl) {
+    URL.revokeObjectURL(thumbnailUrl);
+  }
+  thumbnailUrl = thumbnail ? URL.createObjectURL(thumbnail) : null;
+
+  const categories = rankMetadata(validatedExifData);
 
   // Build the modal content
-  if (readableKeys.length === 0) {
+  if (groups.length === 0) {
     // No EXIF data found - still show modal to inform user
     exifHolder.innerHTML = `
       <div role="dialog" aria-labelledby="exif-title" aria-describedby="exif-desc">
-        <h3 id="exif-title">No EXIF Data Found</h3>
+        <h3 id="exif-title">No Hidden Metadata Found</h3>
         <p id="exif-desc">This image contains no metadata to remove. You can proceed to edit and save the image.</p>
         <button id="continueButtonExif" type="button" aria-label="Continue to image editor">Continue</button>
       </div>
     `;
   } else {
-    // Display all found EXIF data
-    // OPTIMIZE: For very long lists, consider pagination or grouping by category
-    const exifList = readableKeys
-      .map((key) => {
-        // Escape HTML in both key and description to prevent XSS
-        const safeKey = escapeHtml(String(key));
-        const safeDescription = escapeHtml(String(validatedExifData[key].description || ''));
-        return `<li><strong>${safeKey}:</strong> ${safeDescription}</li>`;
-      })
-      .join('');
+    // Display every category; all names and values are escaped to prevent XSS
+    const highRisk = categories
+      .flatMap((category) => category.fields)
+      .filter((field) => field.risk === 3).length;
+    const summary = highRisk > 0
+      ? `${highRisk} of them could identify you or where you were.`
+      : 'None of them are high risk.';
 
     exifHolder.innerHTML = `
       <div role="dialog" aria-labelledby="exif-title" aria-describedby="exif-desc">
-        <h3 id="exif-title">EXIF Data Found (Will Be Removed)</h3>
-        <p id="exif-desc">Your image contains ${readableKeys.length} metadata field(s). These will be automatically removed when you save the anonymized image.</p>
-        <div id="exifScrollDiv" role="region" aria-label="EXIF metadata list" tabindex="0">
-          <ul>${exifList}</ul>
+        <h3 id="exif-title">Hidden Metadata Found (Will Be Removed)</h3>
+        <p id="exif-desc">Your image contains ${fieldCount} metadata field(s). ${summary} All of it will be removed when you save the anonymized image.</p>
+        ${renderLocationCallout(gps)}
+        <label class="metadata-search">
+          <span class="sr-only">Search metadata</span>
+          <input id="exifSearch" type="search" placeholder="Search fields, e.g. GPS or serial" autocomplete="off">
+        </label>
+        <div id="exifScrollDiv" role="region" aria-label="Metadata list, highest risk first" tabindex="0">
+          ${categories.map(renderCategory).join('')}
+          <p id="exifNoMatches" class="metadata-group-description" hidden>No fields match your search.</p>
         </div>
         <button id="continueButtonExif" type="button" aria-label="Remove EXIF data and continue to editor">Remove EXIF Data and Continue</button>
       </div>
     `;
   }
 
+  if (groups.length > 0) {
+    setupMetadataSearch(categories);
+  }
+
   // Create focus trap for EXIF modal (handles Escape key)
   if (!exifModalTrap) {
     exifModalTrap = createFocusTrap(exifHolder, () => {
@@ -186,6 +310,12 @@ export function displayExifData(exifData, onContinue) {
       
       exifHolder.style.display = 'none';
       exifHolder.setAttribute('aria-modal', 'false');
+
+      // The thumbnail may show the unredacted photo - don't keep it around
+      if (thumbnailUrl) {
+        URL.revokeObjectURL(thumbnailUrl);
+        thumbnailUrl = null;
+      }
       
       // Restore background content for screen readers
       const mainContent = document.getElementById('topBar');
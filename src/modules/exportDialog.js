@@ -0,0 +1,250 @@
+/**
+ * Export Dialog Module
+ *
+ * Lets the user choose how the scrubbed image is saved: PNG, JPEG or WebP,
+ * the quality for lossy formats, a maximum width/height, and an optional
+ * "fit under N KB" target for sites that reject large uploads.
+ *
+ * It also holds the opt-in coarse region/month for drug alerts, with a
+ * preview of exactly what will be written (see modules/coarseMetadata).
+ *
+ * @module modules/exportDialog
+ */
+
+import { createFocusTrap } from '../utils/focusTrap.js';
+import { buildCoarseFields, getCoarseEntries, findCaptureMonth } from './coarseMetadata.js';
+import {
+  OUTPUT_FORMATS,
+  OUTPUT_IMAGE_FORMAT,
+  OUTPUT_IMAGE_QUALITY,
+  COARSE_GPS_GRIDS,
+  COARSE_GPS_GRID_DEFAULT,
+} from '../utils/constants.js';
+
+/**
+ * Read the coarse region/month options
+ * @private
+ */
+function getCoarseOptions() {
+  const enabledInput = document.getElementById('exportCoarseEnabled');
+  if (!enabledInput?.checked) return null;
+
+  const regionInput = document.querySelector('input[name="coarseRegion"]:checked');
+  const textInput = document.getElementById('exportCoarseRegionText');
+  const gridInput = document.getElementById('exportCoarseGrid');
+  const monthInput = document.getElementById('exportCoarseMonth');
+
+  return {
+    region: regionInput ? regionInput.value : 'none',
+    regionText: textInput ? textInput.value : '',
+    gpsGrid: Number(gridInput?.value) || COARSE_GPS_GRID_DEFAULT,
+    includeMonth: Boolean(monthInput?.checked),
+  };
+}
+
+/**
+ * Read the export options currently selected in the dialog
+ *
+ * @returns {{format: string, quality: number, maxDimension: number, targetBytes: number, coarse: Object|null}} Options for saveImage(); coarse is null unless the user opted in (see buildCoarseFields in modules/coarseMetadata)
+ */
+export function getExportOptions() {
+  const formatInput = document.querySelector('input[name="exportFormat"]:checked');
+  const qualityInput = document.getElementById('exportQuality');
+  const maxDimensionInput = document.getElementById('exportMaxDimension');
+  const fitSizeInput = document.getElementById('exportFitSize');
+  const targetSizeInput = document.getElementById('exportTargetSize');
+
+  const format = formatInput && OUTPUT_FORMATS[formatInput.value]
+    ? formatInput.value
+    : OUTPUT_IMAGE_FORMAT;
+  const quality = qualityInput
+    ? Number(qualityInput.value) / 100
+    : OUTPUT_IMAGE_QUALITY;
+  const maxDimension = Math.max(0, parseInt(maxDimensionInput?.value, 10) || 0);
+  const targetKB = parseInt(targetSizeInput?.value, 10) || 0;
+  const fitSize = Boolean(fitSizeInput?.checked) && OUTPUT_FORMATS[format].lossy;
+
+  return {
+    format,
+    quality,
+    maxDimension,
+    targetBytes: fitSize && targetKB > 0 ? targetKB * 1024 : 0,
+    coarse: getCoarseOptions(),
+  };
+}
+
+/**
+ * Show exactly what the coarse options will write for the open photo
+ * @private
+ */
+function updateCoarsePreview(report) {
+  const enabledInput = document.getElementById('exportCoarseEnabled');
+  const optionsEl = document.getElementById('exportCoarseOptions');
+  const gpsInput = document.getElementById('exportCoarseRegionGps');
+  const monthInput = document.getElementById('exportCoarseMonth');
+  const preview = document.getElementById('exportCoarsePreview');
+  if (!enabledInput || !optionsEl || !preview) return;
+
+  optionsEl.hidden = !enabledInput.checked;
+
+  // Only offer what this photo can supply
+  if (gpsInput) {
+    gpsInput.disabled = !report?.gps;
+    gpsInput.parentElement.title = report?.gps ? '' : 'This photo has no GPS position';
+  }
+  if (monthInput) {
+    monthInput.disabled = !findCaptureMonth(report);
+    monthInput.parentElement.title = monthInput.disabled ? 'This photo has no capture date' : '';
+  }
+
+  const { format, coarse } = getExportOptions();
+  const entries = getCoarseEntries(buildCoarseFields(coarse, report), format);
+
+  preview.replaceChildren();
+  const addLine = (text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    preview.appendChild(item);
+  };
+
+  if (entries.length) {
+    entries.forEach(({ container, name, value }) => addLine(`${container} ${name}: "${value}"`));
+  } else if (coarse && format !== 'image/png' && format !== 'image/jpeg') {
+    addLine(`Nothing - ${OUTPUT_FORMATS[format].label} files can't carry these details. Choose PNG or JPEG.`);
+  } else {
+    addLine('Nothing - choose a region or the month above.');
+  }
+}
+
+/**
+ * Enable/disable controls that only apply to lossy formats
+ * @private
+ */
+function updateFormatControls() {
+  const { format } = getExportOptions();
+  const { lossy, label } = OUTPUT_FORMATS[format];
+  const qualityInput = document.getElementById('exportQuality');
+  const fitSizeInput = document.getElementById('exportFitSize');
+  const targetSizeInput = document.getElementById('exportTargetSize');
+  const hint = document.getElementById('exportHint');
+
+  if (qualityInput) qualityInput.disabled = !lossy;
+  if (fitSizeInput) fitSizeInput.disabled = !lossy;
+  if (targetSizeInput) targetSizeInput.disabled = !lossy || !fitSizeInput?.checked;
+
+  if (hint) {
+    hint.textContent = lossy
+      ? `${label} is smaller but slightly lossy. With "Fit under" on, quality is lowered until the file fits.`
+      : 'PNG is lossless, so quality and target size don\'t apply. Choose JPEG or WebP for smaller files.';
+  }
+}
+
+/**
+ * Wire up the export dialog
+ *
+ * @param {Object} options - Dialog options
+ * @param {Function} options.onExport - Called with the chosen options (see getExportOptions) when the user confirms
+ * @param {Function} [options.getPhotoMetadata] - Returns the open photo's metadata report, used to preview the coarse region/month
+ * @returns {{open: Function, close: Function}} Dialog controls; open() accepts a one-off export handler (e.g. for batch export)
+ *
+ * @example
+ * const exportDialog = setupExportDialog({ onExport: (options) => exportImage(options) });
+ * saveButton.addEventListener('click', exportDialog.open);
+ */
+export function setupExportDialog({ onExport, getPhotoMetadata = () => null }) {
+  const dialog = document.getElementById('exportDialog');
+  const form = document.getElementById('exportForm');
+  const cancelButton = document.getElementById('cancelExportButton');
+  const qualityInput = document.getElementById('exportQuality');
+  const qualityValue = document.getElementById('exportQualityValue');
+  const fitSizeInput = document.getElementById('exportFitSize');
+  const gridInput = document.getElementById('exportCoarseGrid');
+
+  if (!dialog || !form) {
+    console.error('setupExportDialog: Export dialog markup not found');
+    return { open: (handler = onExport) => handler(getExportOptions()), close: () => {} };
+  }
+
+  const mainContent = document.getElementById('topBar');
+  const canvas = document.getElementById('imageCanvas');
+
+  const close = () => {
+    trap.deactivate();
+    dialog.style.display = 'none';
+    dialog.setAttribute('aria-modal', 'false');
+
+    // Restore background content for screen readers
+    if (mainContent) mainContent.removeAttribute('aria-hidden');
+    if (canvas) canvas.removeAttribute('aria-hidden');
+  };
+
+  const trap = createFocusTrap(dialog, close);
+  let pendingExport = onExport;
+  const refreshCoarsePreview = () => updateCoarsePreview(getPhotoMetadata());
+
+  if (gridInput) {
+    COARSE_GPS_GRIDS.forEach(({ degrees, label }) => {
+      gridInput.add(new Option(label, String(degrees), false, degrees === COARSE_GPS_GRID_DEFAULT));
+    });
+  }
+
+  const open = (handler = onExport) => {
+    pendingExport = handler;
+    updateFormatControls();
+    refreshCoarsePreview();
+
+    // Hide background content from screen readers
+    if (mainContent) mainContent.setAttribute('aria-hidden', 'true');
+    if (canvas) canvas.setAttribute('aria-hidden', 'true');
+
+    dialog.style.display = 'block';
+    dialog.setAttribute('aria-modal', 'true');
+    setTimeout(() => trap.activate(), 50);
+  };
+
+  document.querySelectorAll('input[name="exportFormat"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      updateFormatControls();
+      refreshCoarsePreview();
+    });
+  });
+
+  const coarseFieldset = document.querySelector('.export-coarse');
+  if (coarseFieldset) {
+    coarseFieldset.addEventListener('input', refreshCoarsePreview);
+    coarseFieldset.addEventListener('change', refreshCoarsePreview);
+  }
+
+  // Typing a region selects the "Region:" option
+  const regionTextInput = document.getElementById('exportCoarseRegionText');
+  const typedRadio = document.querySelector('input[name="coarseRegion"][value="typed"]');
+  if (regionTextInput && typedRadio) {
+    // Runs before the fieldset's listener, so the preview sees the new choice
+    regionTextInput.addEventListener('input', () => {
+      typedRadio.checked = true;
+    });
+  }
+
+  if (fitSizeInput) {
+    fitSizeInput.addEventListener('change', updateFormatControls);
+  }
+
+  if (qualityInput && qualityValue) {
+    qualityInput.addEventListener('input', () => {
+      qualityValue.textContent = `${qualityInput.value}%`;
+    });
+  }
+
+  if (cancelButton) {
+    cancelButton.addEventListener('click', close);
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const options = getExportOptions();
+    close();
+    pendingExport(options);
+  });
+
+  return { open, close };
+}
@@ -0,0 +1,469 @@
+/**
+ * Export Verification Module
+ *
+ * Re-reads the file that is about to be downloaded and checks that it
+ * really is clean, instead of trusting that canvas.toBlob() strips
+ * everything:
+ *
+ * 1. Metadata: the blob is parsed again with ExifReader, which must not
+ *    find any EXIF, GPS, XMP, IPTC or other identifying tags
+ * 2. File structure: PNG chunks (tEXt/iTXt/zTXt/eXIf/tIME), JPEG segments
+ *    (APPn/COM) and WebP chunks (EXIF/XMP) are walked byte by byte, so
+ *    anything ExifReader doesn't understand is still caught
+ * 3. Pixels: the file is decoded and every redacted region is compared
+ *    with the original photo to confirm it actually changed
+ *
+ * NOTE: Colour profiles (PNG iCCP, JPEG APP2 ICC_PROFILE, WebP ICCP) are
+ * allowed. Browsers may embed the canvas colour space, which describes the
+ * colours rather than the camera or the person who took the photo.
+ *
+ * When the user opts in to a coarse region/month (modules/coarseMetadata),
+ * the exact entries written are allowed too: PNG tEXt chunks must match an
+ * entry's keyword and text, and a JPEG EXIF segment must be byte-for-byte
+ * the one coarseMetadata builds. Anything else still fails.
+ *
+ * @module modules/exportVerifier
+ */
+
+import ExifReader from 'exifreader';
+import { fillCoverage } from './drawing.js';
+import { getCoverageBounds } from './redactionDocument.js';
+import { clampBounds } from '../utils/canvas.js';
+import { buildExifSegment } from './coarseMetadata.js';
+import { readAscii, readCString } from '../utils/bytes.js';
+import {
+  VERIFY_MIN_PIXEL_DIFFERENCE,
+  VERIFY_MIN_REGION_DETAIL,
+} from '../utils/constants.js';
+
+/**
+ * ExifReader tag groups (expanded mode) that hold identifying metadata
+ * File structure groups (file, jfif, pngFile, png, riff, gif) are allowed;
+ * the container scan checks those byte by byte.
+ * @private
+ */
+const METADATA_GROUPS = {
+  exif: 'EXIF',
+  gps: 'GPS',
+  iptc: 'IPTC',
+  xmp: 'XMP',
+  photoshop: 'Photoshop',
+  makerNotes: 'Maker notes',
+  mpf: 'Multi-picture',
+  pngText: 'PNG text',
+  Thumbnail: 'Embedded thumbnail',
+};
+
+/**
+ * Where coarse entries (see modules/coarseMetadata) appear in ExifReader's groups
+ * @private
+ */
+const ALLOWED_CONTAINERS = {
+  exif: 'EXIF',
+  pngText: 'PNG tEXt',
+};
+
+/**
+ * PNG chunk types that carry text, EXIF, timestamps or C2PA manifests (caBX)
+ * @private
+ */
+const PNG_METADATA_CHUNKS = ['tEXt', 'iTXt', 'zTXt', 'eXIf', 'tIME', 'caBX'];
+
+/**
+ * WebP chunk types that carry EXIF or XMP
+ * @private
+ */
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+/**
+ * Mask color used when drawing region shapes (only the alpha matters)
+ * @private
+ */
+const MASK_COLOR = '#000000';
+
+/**
+ * Check whether a PNG tEXt chunk is one of the allowed coarse entries
+ * @private
+ */
+function isAllowedTextChunk(bytes, dataStart, length, allowed) {
+  const keyword = readCString(bytes, dataStart, 80);
+  const textStart = dataStart + keyword.length + 1;
+  const text = readAscii(bytes, textStart, dataStart + length - textStart);
+  return allowed.some((entry) => entry.container === 'PNG tEXt' && entry.name === keyword && entry.value === text);
+}
+
+/**
+ * Check whether a JPEG APP1 segment is exactly the allowed coarse EXIF block
+ * @private
+ */
+function isAllowedExifSegment(bytes, offset, length, allowed) {
+  const entry = allowed.find((candidate) => candidate.container === 'EXIF');
+  if (!entry) return false;
+  const expected = buildExifSegment(entry.value);
+  if (expected.length !== length + 2) return false;
+  return expected.every((byte, index) => bytes[offset + index] === byte);
+}
+
+/**
+ * Walk the chunks of a PNG file
+ * @private
+ */
+function scanPng(bytes, view, allowedEntries) {
+  const findings = [];
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    const next = offset + 12 + length;
+
+    if (next > bytes.length) {
+      findings.push(`Truncated ${type} chunk`);
+      return findings;
+    }
+    const allowedText = type === 'tEXt' && isAllowedTextChunk(bytes, offset + 8, length, allowedEntries);
+    if (PNG_METADATA_CHUNKS.includes(type) && !allowedText) {
+      findings.push(`PNG ${type} chunk`);
+    }
+    if (type === 'IEND') {
+      if (next < bytes.length) {
+        findings.push(`${bytes.length - next} bytes after the end of the image`);
+      }
+      return findings;
+    }
+    offset = next;
+  }
+
+  findings.push('Missing IEND chunk');
+  return findings;
+}
+
+/**
+ * Walk the segments of a JPEG file up to the image data
+ * @private
+ */
+function scanJpeg(bytes, view, allowedEntries) {
+  const findings = [];
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      findings.push(`Unexpected data at byte ${offset}`);
+      return findings;
+    }
+
+    const marker = bytes[offset + 1];
+    // Fill bytes and standalone markers have no length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = view.getUint16(offset + 2);
+    const dataStart = offset + 4;
+
+    if (marker >= 0xe0 && marker <= 0xef) {
+      const identifier = readCString(bytes, dataStart, 32);
+      // Xthumbnail/Ythumbnail follow identifier, version, units and density
+      const jfifThumbnail = bytes[dataStart + 12] || bytes[dataStart + 13];
+      const allowed =
+        (marker === 0xe0 && identifier === 'JFIF' && !jfifThumbnail) ||
+        (marker === 0xe2 && identifier === 'ICC_PROFILE') ||
+        (marker === 0xe1 && isAllowedExifSegment(bytes, offset, length, allowedEntries));
+      if (!allowed) {
+        findings.push(`JPEG APP${marker - 0xe0} segment (${identifier || 'unnamed'})`);
+      }
+    } else if (marker === 0xfe) {
+      findings.push('JPEG COM (comment) segment');
+    } else if (marker === 0xda) {
+      // Start of scan: compressed image data follows until EOI
+      break;
+    }
+
+    offset += 2 + length;
+  }
+
+  if (bytes[bytes.length - 2] !== 0xff || bytes[bytes.length - 1] !== 0xd9) {
+    findings.push('Data after the end of the image');
+  }
+
+  return findings;
+}
+
+/**
+ * Walk the chunks of a WebP (RIFF) file
+ * @private
+ */
+function scanWebp(bytes, view) {
+  const findings = [];
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const type = readAscii(bytes, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    if (WEBP_METADATA_CHUNKS.includes(type)) {
+      findings.push(`WebP ${type.trim()} chunk`);
+    }
+    // Chunks are padded to an even length
+    offset += 8 + length + (length % 2);
+  }
+
+  const riffEnd = 8 + view.getUint32(4, true);
+  if (riffEnd < bytes.length) {
+    findings.push(`${bytes.length - riffEnd} bytes after the end of the image`);
+  }
+
+  return findings;
+}
+
+/**
+ * Check the container structure of an encoded image for metadata
+ *
+ * @param {Uint8Array} bytes - Encoded image file
+ * @param {Object[]} [allowed=[]] - Coarse entries the user chose to add (see modules/coarseMetadata)
+ * @returns {{format: string, findings: string[]}} Detected format ('png', 'jpeg', 'webp' or 'unknown') and anything that looks like metadata
+ *
+ * @example
+ * const { findings } = scanContainer(new Uint8Array(await blob.arrayBuffer()));
+ * if (findings.length) console.warn('Metadata left in file:', findings);
+ */
+export function scanContainer(bytes, allowed = []) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length >= 8 && readAscii(bytes, 1, 3) === 'PNG' && bytes[0] === 0x89) {
+    return { format: 'png', findings: scanPng(bytes, view, allowed) };
+  }
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    return { format: 'jpeg', findings: scanJpeg(bytes, view, allowed) };
+  }
+  if (bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+    return { format: 'webp', findings: scanWebp(bytes, view) };
+  }
+
+  return { format: 'unknown', findings: ['Unrecognised file format'] };
+}
+
+/**
+ * Parse the file with ExifReader and list any identifying tag groups
+ *
+ * @param {Uint8Array} bytes - Encoded image file
+ * @param {Object[]} [allowed=[]] - Coarse entries the user chose to add; tags matching one by name and value are ignored
+ * @returns {string[]} Descriptions of the metadata found (empty if clean)
+ */
+export function findMetadataTags(bytes, allowed = []) {
+  let tags;
+  try {
+    tags = ExifReader.load(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), {
+      expanded: true,
+    });
+  } catch (error) {
+    if (error.name === 'MetadataMissingError') {
+      return [];
+    }
+    return [`Could not be parsed: ${error.message}`];
+  }
+
+  const isAllowed = (group, name, tag) => allowed.some((entry) =>
+    entry.container === ALLOWED_CONTAINERS[group] && entry.name === name && entry.value === tag.description);
+
+  return Object.entries(METADATA_GROUPS)
+    .map(([group, label]) => {
+      const names = Object.keys(tags[group] || {}).filter((name) => !isAllowed(group, name, tags[group][name]));
+      return { label, names };
+    })
+    .filter(({ names }) => names.length > 0)
+    .map(({ label, names }) => `${label} (${names.slice(0, 3).join(', ')})`);
+}
+
+/**
+ * Measure how much the pixels under a mask changed
+ *
+ * @param {Uint8ClampedArray} original - Original RGBA pixels
+ * @param {Uint8ClampedArray} output - Exported RGBA pixels (same size)
+ * @param {Uint8ClampedArray} mask - RGBA mask; pixels with alpha > 0 are measured
+ * @returns {{pixels: number, difference: number, detail: number}} Pixel count, mean per-channel difference, and mean per-channel deviation of the original
+ */
+export function measureRegionChange(original, output, mask) {
+  const sums = [0, 0, 0];
+  let pixels = 0;
+  let difference = 0;
+
+  for (let i = 0; i < mask.length; i += 4) {
+    if (mask[i + 3] === 0) continue;
+    pixels++;
+    for (let c = 0; c < 3; c++) {
+      sums[c] += original[i + c];
+      difference += Math.abs(original[i + c] - output[i + c]);
+    }
+  }
+
+  if (pixels === 0) {
+    return { pixels: 0, difference: 0, detail: 0 };
+  }
+
+  const means = sums.map((sum) => sum / pixels);
+  let deviation = 0;
+  for (let i = 0; i < mask.length; i += 4) {
+    if (mask[i + 3] === 0) continue;
+    for (let c = 0; c < 3; c++) {
+      deviation += Math.abs(original[i + c] - means[c]);
+    }
+  }
+
+  return {
+    pixels,
+    difference: difference / (pixels * 3),
+    detail: deviation / (pixels * 3),
+  };
+}
+
+/**
+ * Decide whether a measured region counts as redacted
+ *
+ * @param {{pixels: number, difference: number, detail: number}} measurement - Result of measureRegionChange()
+ * @returns {boolean} True if the region changed, or has nothing in it to reveal
+ */
+export function isRegionRedacted({ pixels, difference, detail }) {
+  return (
+    pixels === 0 ||
+    difference >= VERIFY_MIN_PIXEL_DIFFERENCE ||
+    detail < VERIFY_MIN_REGION_DETAIL
+  );
+}
+
+/**
+ * Draw an image source scaled onto a new canvas
+ * @private
+ */
+function drawScaled(source, width, height) {
+  const canvasEl = document.createElement('canvas');
+  canvasEl.width = width;
+  canvasEl.height = height;
+  const ctx = canvasEl.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  return ctx;
+}
+
+/**
+ * Compare every redacted region in the exported file with the original
+ * @private
+ */
+async function findUnchangedRegions(blob, { original, regions, width, height }) {
+  const bitmap = await createImageBitmap(blob);
+  const originalCtx = drawScaled(original, width, height);
+  const outputCtx = drawScaled(bitmap, width, height);
+  bitmap.close();
+
+  const failures = [];
+  regions.forEach((region, index) => {
+    if (region.mode === 'undo') return;
+
+    const rect = clampBounds(getCoverageBounds(region, width, height), width, height);
+    if (!rect) return;
+
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = rect.width;
+    maskCanvas.height = rect.height;
+    const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+    maskCtx.translate(-rect.x, -rect.y);
+    fillCoverage(maskCtx, region, MASK_COLOR, width, height);
+
+    // Later undo regions deliberately restore the original, so skip those pixels
+    maskCtx.globalCompositeOperation = 'destination-out';
+    regions.slice(index + 1)
+      .filter((later) => later.mode === 'undo')
+      .forEach((later) => fillCoverage(maskCtx, later, MASK_COLOR, width, height));
+
+    const measurement = measureRegionChange(
+      originalCtx.getImageData(rect.x, rect.y, rect.width, rect.height).data,
+      outputCtx.getImageData(rect.x, rect.y, rect.width, rect.height).data,
+      maskCtx.getImageData(0, 0, rect.width, rect.height).data
+    );
+
+    if (!isRegionRedacted(measurement)) {
+      failures.push(`Region ${index + 1} (${region.mode}) looks the same as the original`);
+    }
+  });
+
+  return failures;
+}
+
+/**
+ * Verify an exported image before it is downloaded
+ *
+ * @param {Blob} blob - Encoded image about to be downloaded
+ * @param {Object} [options] - Pixel check options (omit to check metadata only)
+ * @param {CanvasImageSource} [options.original] - Original photo, in the same orientation as the regions
+ * @param {Object[]} [options.regions] - Redaction regions (see modules/redactionDocument)
+ * @param {number} [options.width] - Width of the coordinate space the regions use
+ * @param {number} [options.height] - Height of the coordinate space the regions use
+ * @param {Object[]} [options.allowedMetadata] - Coarse entries written on purpose (see modules/coarseMetadata)
+ * @returns {Promise<{passed: boolean, format: string, checks: Object[]}>} Overall result and each check's {id, label, passed, details}
+ *
+ * @example
+ * const verification = await verifyExport(blob, { original: rotationCanvas, regions, width, height });
+ * if (!verification.passed) throw new Error('Export failed verification');
+ */
+export async function verifyExport(blob, {
+  original = null,
+  regions = [],
+  width = 0,
+  height = 0,
+  allowedMetadata = [],
+} = {}) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const { format, findings } = scanContainer(bytes, allowedMetadata);
+  const tags = findMetadataTags(bytes, allowedMetadata);
+
+  let metadataLabel = 'No EXIF, GPS, XMP or IPTC metadata';
+  if (tags.length) {
+    metadataLabel = 'Metadata found when re-reading the file';
+  } else if (allowedMetadata.length) {
+    metadataLabel = 'Only the region/month you chose - no other metadata';
+  }
+
+  const checks = [
+    {
+      id: 'metadata',
+      label: metadataLabel,
+      passed: tags.length === 0,
+      details: tags.length ? tags : allowedMetadata.map((entry) => `Added on purpose: ${entry.name} = ${entry.value}`),
+    },
+    {
+      id: 'structure',
+      label: findings.length
+        ? 'Unexpected data in the file structure'
+        : `No metadata ${format === 'jpeg' ? 'segments' : 'chunks'} in the ${format.toUpperCase()} file`,
+      passed: findings.length === 0,
+      details: findings,
+    },
+  ];
+
+  const redactions = regions.filter((region) => region.mode !== 'undo');
+  if (original && redactions.length && width && height) {
+    let failures;
+    try {
+      failures = await findUnchangedRegions(blob, { original, regions, width, height });
+    } catch (error) {
+      failures = [`Could not compare pixels: ${error.message}`];
+    }
+    checks.push({
+      id: 'pixels',
+      label: failures.length
+        ? 'Some redacted areas look unchanged'
+        : `All ${redactions.length} redacted area(s) differ from the original`,
+      passed: failures.length === 0,
+      details: failures,
+    });
+  }
+
+  return {
+    passed: checks.every((check) => check.passed),
+    format,
+    checks,
+  };
+}
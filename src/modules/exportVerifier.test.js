@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import {
+  scanContainer,
+  findMetadataTags,
+  measureRegionChange,
+  isRegionRedacted,
+} from './exportVerifier.js';
+import { buildExifSegment } from './coarseMetadata.js';
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+/**
+ * Build a PNG chunk (CRC left as zero - the verifier doesn't check it)
+ */
+function pngChunk(type, data = []) {
+  const length = data.length;
+  return [
+    (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+    ...ascii(type),
+    ...data,
+    0, 0, 0, 0,
+  ];
+}
+
+function buildPng(extraChunks = []) {
+  const ihdr = [0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0];
+  return new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...pngChunk('IHDR', ihdr),
+    ...extraChunks.flat(),
+    ...pngChunk('IDAT', [0x78, 0x9c, 0x63, 0x60, 0, 0, 0, 5, 0, 1]),
+    ...pngChunk('IEND'),
+  ]);
+}
+
+/**
+ * Build a JPEG segment with a 2-byte length
+ */
+function jpegSegment(marker, data) {
+  const length = data.length + 2;
+  return [0xff, marker, length >> 8, length & 0xff, ...data];
+}
+
+function buildJpeg(segments) {
+  return new Uint8Array([
+    0xff, 0xd8,
+    ...segments.flat(),
+    ...jpegSegment(0xda, [1, 1, 0, 0, 0x3f, 0]),
+    0x12, 0x34,
+    0xff, 0xd9,
+  ]);
+}
+
+const JFIF = [...ascii('JFIF'), 0, 1, 1, 0, 0, 1, 0, 1, 0, 0];
+
+describe('Export Verifier', () => {
+  describe('scanContainer', () => {
+    it('should pass a PNG with only image chunks', () => {
+      expect(scanContainer(buildPng())).toEqual({ format: 'png', findings: [] });
+    });
+
+    it('should flag PNG text chunks and trailing data', () => {
+      const png = buildPng([pngChunk('tEXt', [...ascii('Author'), 0, ...ascii('Bob')])]);
+      const withTrailer = new Uint8Array([...png, 1, 2, 3]);
+
+      expect(scanContainer(withTrailer).findings).toEqual([
+        'PNG tEXt chunk',
+        '3 bytes after the end of the image',
+      ]);
+    });
+
+    it('should allow a plain JFIF header but flag APP1 and comments', () => {
+      expect(scanContainer(buildJpeg([jpegSegment(0xe0, JFIF)])).findings).toEqual([]);
+
+      const jpeg = buildJpeg([
+        jpegSegment(0xe0, JFIF),
+        jpegSegment(0xe1, [...ascii('Exif'), 0, 0]),
+        jpegSegment(0xfe, ascii('taken at home')),
+      ]);
+      expect(scanContainer(jpeg)).toEqual({
+        format: 'jpeg',
+        findings: ['JPEG APP1 segment (Exif)', 'JPEG COM (comment) segment'],
+      });
+    });
+
+    it('should flag a JFIF thumbnail', () => {
+      const withThumbnail = [...JFIF.slice(0, 12), 1, 1, 0, 0, 0];
+      expect(scanContainer(buildJpeg([jpegSegment(0xe0, withThumbnail)])).findings).toEqual([
+        'JPEG APP0 segment (JFIF)',
+      ]);
+    });
+
+    it('should allow only the exact coarse entries the user chose', () => {
+      const allowed = [{ container: 'PNG tEXt', name: 'Region', value: 'Sydney' }];
+      const png = buildPng([
+        pngChunk('tEXt', [...ascii('Region'), 0, ...ascii('Sydney')]),
+        pngChunk('tEXt', [...ascii('Region'), 0, ...ascii('12 High St, Newtown')]),
+      ]);
+
+      expect(scanContainer(png, allowed).findings).toEqual(['PNG tEXt chunk']);
+    });
+
+    it('should allow the coarse EXIF segment byte for byte', () => {
+      const allowed = [{ container: 'EXIF', name: 'ImageDescription', value: 'Month: 2024-05' }];
+      const segment = Array.from(buildExifSegment('Month: 2024-05'));
+      const jpeg = buildJpeg([jpegSegment(0xe0, JFIF), segment]);
+
+      expect(scanContainer(jpeg, allowed).findings).toEqual([]);
+      expect(findMetadataTags(jpeg, allowed)).toEqual([]);
+
+      const tampered = buildJpeg([jpegSegment(0xe0, JFIF), Array.from(buildExifSegment('Month: 2024-05-17'))]);
+      expect(scanContainer(tampered, allowed).findings).toEqual(['JPEG APP1 segment (Exif)']);
+      expect(findMetadataTags(tampered, allowed)).toEqual(['EXIF (ImageDescription)']);
+    });
+
+    it('should fail unknown formats', () => {
+      expect(scanContainer(new Uint8Array([1, 2, 3, 4])).findings).toEqual(['Unrecognised file format']);
+    });
+  });
+
+  describe('findMetadataTags', () => {
+    it('should report PNG text found by ExifReader', () => {
+      const png = buildPng([pngChunk('tEXt', [...ascii('Author'), 0, ...ascii('Bob')])]);
+      expect(findMetadataTags(png)).toEqual(['PNG text (Author)']);
+    });
+
+    it('should pass a file without metadata', () => {
+      expect(findMetadataTags(buildPng())).toEqual([]);
+    });
+  });
+
+  describe('measureRegionChange', () => {
+    const pixels = (...values) => new Uint8ClampedArray(values.flatMap((v) => [v, v, v, 255]));
+    const mask = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 0]);
+
+    it('should only measure pixels inside the mask', () => {
+      const result = measureRegionChange(pixels(0, 100, 50), pixels(50, 50, 255), mask);
+
+      expect(result.pixels).toBe(2);
+      expect(result.difference).toBe(50);
+      expect(result.detail).toBe(50);
+    });
+
+    it('should flag detailed areas that did not change', () => {
+      const unchanged = measureRegionChange(pixels(0, 100, 0), pixels(1, 99, 0), mask);
+      expect(isRegionRedacted(unchanged)).toBe(false);
+    });
+
+    it('should accept featureless areas that did not change', () => {
+      const plainWall = measureRegionChange(pixels(200, 201, 0), pixels(200, 201, 0), mask);
+      expect(isRegionRedacted(plainWall)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,419 @@
+/**
+ * Full-Resolution Export Module
+ *
+ * The editor works on a copy of the photo scaled down to MAX_IMAGE_DIMENSION
+ * so drawing stays fast. At export time the redaction regions are replayed
+ * onto the full-size decoded original instead, so labs receive every pixel
+ * of detail (pill imprints, score lines) outside the redacted areas.
+ *
+ * Process:
+ * 1. Decode the original file at full size (createImageBitmap)
+ * 2. Draw it, rotated to match the editor, onto the output canvas
+ * 3. Split the output into tiles and skip tiles without regions
+ * 4. For each remaining tile, build blur layers - the default style in a
+ *    Web Worker pool (pixelate → shuffle → stackblur), other redaction
+ *    styles on the tile directly - and composite the regions in order.
+ *    Content-aware fill regions bring their own pixels, scaled up
+ *
+ * Only the output canvas is full size; everything else is tile sized, and
+ * at most one tile per worker is in flight at a time.
+ *
+ * @module modules/fullResExport
+ */
+
+import { fillRegionSoft, fillCoverage } from './drawing.js';
+import { getLayerKey, getRegionStyle, usesStyleLayer, buildStyleLayer, getStylePadding } from './redactionStyles.js';
+import { getFillCanvas } from './inpainting.js';
+import { getCoverageBounds, scaleRegion } from './redactionDocument.js';
+import { clampBounds } from '../utils/canvas.js';
+import { getBlurReach } from '../utils/blur.js';
+import { scale } from '../utils/crypto.js';
+import {
+  EXPORT_TILE_SIZE,
+  EXPORT_MAX_PIXELS,
+  EXPORT_MAX_WORKERS,
+  PIXELATION_MIN_DIMENSION,
+  PIXELATION_BASE_DIMENSION,
+  MIN_PIXELATION_SCALE,
+  MAX_PIXELATION_SCALE,
+  PIXEL_NOISE_RANGE,
+  PIXEL_NOISE_DISTRIBUTION,
+  SHUFFLE_TILE_SIZE,
+} from '../utils/constants.js';
+
+import ExportTileWorker from '../workers/exportTile.worker.js?worker';
+
+/**
+ * Mask color used when drawing region shapes (only the alpha matters)
+ * @private
+ */
+const MASK_COLOR = '#000000';
+
+/**
+ * Create a small pool of export tile workers
+ * @param {number} size - Number of workers
+ * @returns {{size: number, run: Function, terminate: Function}} Pool API
+ * @private
+ */
+function createTileWorkerPool(size) {
+  const idle = [];
+  const queue = [];
+  const workers = [];
+  // Rejecters of the jobs sent to a worker and not answered yet
+  const running = new Set();
+  let nextId = 1;
+
+  const dispatch = () => {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const { job, resolve, reject } = queue.shift();
+      const id = nextId++;
+      running.add(reject);
+
+      const finish = () => {
+        worker.removeEventListener('message', handleMessage);
+        worker.removeEventListener('error', handleError);
+        running.delete(reject);
+        idle.push(worker);
+        dispatch();
+      };
+
+      const handleMessage = (event) => {
+        if (event.data.id !== id) return;
+        finish();
+        if (event.data.success) {
+          resolve(new Uint8ClampedArray(event.data.pixelData));
+        } else {
+          reject(new Error(event.data.error || 'Worker processing failed'));
+        }
+      };
+
+      const handleError = (error) => {
+        finish();
+        reject(new Error(`Worker error: ${error.message}`));
+      };
+
+      worker.addEventListener('message', handleMessage);
+      worker.addEventListener('error', handleError);
+      worker.postMessage({ ...job, id }, [job.pixelData.buffer]);
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    const worker = new ExportTileWorker();
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  return {
+    size,
+    run: (job) =>
+      new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject });
+        dispatch();
+      }),
+    // Jobs still queued or running are rejected with reason, if given
+    terminate: (reason = null) => {
+      workers.forEach((worker) => worker.terminate());
+      if (reason) {
+        [...queue.splice(0).map(({ reject }) => reject), ...running].forEach((reject) => reject(reason));
+      }
+      running.clear();
+    },
+  };
+}
+
+/**
+ * Create a canvas of the given size
+ * @private
+ */
+function createCanvas(width, height) {
+  const canvasEl = document.createElement('canvas');
+  canvasEl.width = width;
+  canvasEl.height = height;
+  return canvasEl;
+}
+
+/**
+ * Split an area into a grid of tiles
+ *
+ * @param {number} width - Area width
+ * @param {number} height - Area height
+ * @param {number} tileSize - Tile edge length
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} Tiles
+ */
+export function getTileGrid(width, height, tileSize) {
+  const tiles = [];
+  for (let y = 0; y < height; y += tileSize) {
+    for (let x = 0; x < width; x += tileSize) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(tileSize, width - x),
+        height: Math.min(tileSize, height - y),
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Render the redaction regions onto the full-resolution original
+ *
+ * @param {Object} options - Export options
+ * @param {Blob} options.file - The original image file
+ * @param {Object[]} options.regions - Regions from the redaction document (working-copy coordinates)
+ * @param {number} [options.workingWidth] - Width of the working copy, as currently rotated (required when there are regions)
+ * @param {number} options.quarterTurns - Number of 90° clockwise rotations applied in the editor
+ * @param {Function} [options.onProgress] - Called with (tilesDone, tilesTotal)
+ * @param {AbortSignal} [options.signal] - Aborting terminates the tile workers
+ * @returns {Promise<HTMLCanvasElement>} Canvas containing the full-resolution result
+ * @throws {Error} If the image cannot be decoded or the output canvas cannot be created, or an AbortError if cancelled
+ *
+ * @example
+ * const output = await renderFullResolution({ file, regions, workingWidth: 2500, quarterTurns: 0 });
+ * await saveImage(output, file.name);
+ */
+export async function renderFullResolution({
+  file,
+  regions,
+  workingWidth,
+  quarterTurns = 0,
+  onProgress = null,
+  signal = null,
+}) {
+  if (!file || !Array.isArray(regions) || (regions.length > 0 && !workingWidth)) {
+    throw new Error('renderFullResolution: file, regions and workingWidth are required');
+  }
+
+  // Decode with EXIF orientation applied, matching how <img> loaded the working copy
+  signal?.throwIfAborted();
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  if (signal?.aborted) {
+    bitmap.close();
+    throw signal.reason;
+  }
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  const sideways = turns % 2 === 1;
+
+  // Keep within the largest canvas browsers will reliably allocate
+  const sourcePixels = bitmap.width * bitmap.height;
+  const capScale = Math.min(1, Math.sqrt(EXPORT_MAX_PIXELS / sourcePixels));
+  const drawWidth = Math.floor(bitmap.width * capScale);
+  const drawHeight = Math.floor(bitmap.height * capScale);
+  const outWidth = sideways ? drawHeight : drawWidth;
+  const outHeight = sideways ? drawWidth : drawHeight;
+
+  const output = createCanvas(outWidth, outHeight);
+  const outputCtx = output.getContext('2d');
+  if (!outputCtx) {
+    bitmap.close();
+    throw new Error(`Unable to create a ${outWidth}×${outHeight} canvas for export`);
+  }
+
+  /**
+   * Draw part of the rotated original onto a tile-sized context
+   * Mirrors rotateCanvas(): each turn maps (x, y) to (height - y, x).
+   */
+  const drawSource = (targetCtx, area) => {
+    targetCtx.save();
+    targetCtx.translate(-area.x, -area.y);
+    if (turns === 1) {
+      targetCtx.translate(outWidth, 0);
+      targetCtx.rotate(Math.PI / 2);
+    } else if (turns === 2) {
+      targetCtx.translate(outWidth, outHeight);
+      targetCtx.rotate(Math.PI);
+    } else if (turns === 3) {
+      targetCtx.translate(0, outHeight);
+      targetCtx.rotate(-Math.PI / 2);
+    }
+    targetCtx.drawImage(bitmap, 0, 0, drawWidth, drawHeight);
+    targetCtx.restore();
+  };
+
+  // Pixelation settings matching modules/pixelation on the working copy
+  // Photos that were never opened have no regions, and nothing to scale
+  const factor = workingWidth ? outWidth / workingWidth : 1;
+  const workingBigger = Math.max(outWidth, outHeight) / factor;
+  const pixelationSize = scale(
+    workingBigger,
+    PIXELATION_MIN_DIMENSION,
+    PIXELATION_BASE_DIMENSION,
+    MAX_PIXELATION_SCALE,
+    MIN_PIXELATION_SCALE
+  );
+  const blockSize = Math.max(1, Math.round(factor / pixelationSize));
+
+  const scaledRegions = regions.map((region) => {
+    const scaled = scaleRegion(region, factor);
+    return { region: scaled, bounds: getCoverageBounds(scaled, outWidth, outHeight) };
+  });
+
+  const tiles = getTileGrid(outWidth, outHeight, EXPORT_TILE_SIZE)
+    .map((tile) => ({
+      tile,
+      regions: scaledRegions
+        .filter(({ bounds }) =>
+          bounds.maxX > tile.x &&
+          bounds.minX < tile.x + tile.width &&
+          bounds.maxY > tile.y &&
+          bounds.minY < tile.y + tile.height
+        )
+        .map(({ region }) => region),
+    }))
+    // Tiles without regions are just the original image
+    .filter(({ regions: tileRegions }) => tileRegions.length > 0);
+
+  const workerCount = Math.max(
+    1,
+    Math.min(EXPORT_MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1, tiles.length)
+  );
+  const pool = createTileWorkerPool(workerCount);
+  let tilesDone = 0;
+
+  const renderTile = async ({ tile, regions: tileRegions }) => {
+    signal?.throwIfAborted();
+
+    // One layer per style and strength used in this tile
+    const layerRegions = new Map();
+    tileRegions.filter(usesStyleLayer).forEach((region) => {
+      layerRegions.set(getLayerKey(region), region);
+    });
+    const margin = Math.max(0, ...[...layerRegions.values()].map((region) => {
+      const style = getRegionStyle(region);
+      if (style !== 'shuffle') {
+        return getStylePadding(style, region.blurAmount, factor);
+      }
+      return blockSize + getBlurReach(region.blurAmount * factor);
+    }));
+
+    // The margin pads the tile so blur and pixelation see the same
+    // neighbours they would on the full image, avoiding seams between tiles
+    const area = clampBounds(
+      {
+        minX: tile.x - margin,
+        minY: tile.y - margin,
+        maxX: tile.x + tile.width + margin,
+        maxY: tile.y + tile.height + margin,
+      },
+      outWidth,
+      outHeight
+    );
+
+    const source = createCanvas(area.width, area.height);
+    const sourceCtx = source.getContext('2d');
+    drawSource(sourceCtx, area);
+
+    // Build the layers; the default shuffle style runs in the worker pool
+    const layers = new Map();
+    for (const [key, region] of layerRegions) {
+      const style = getRegionStyle(region);
+      if (style !== 'shuffle') {
+        const layer = createCanvas(area.width, area.height);
+        layer.getContext('2d').drawImage(source, 0, 0);
+        buildStyleLayer(layer, style, region.blurAmount, { factor, originX: area.x, originY: area.y });
+        layers.set(key, layer);
+        continue;
+      }
+
+      const imageData = sourceCtx.getImageData(0, 0, area.width, area.height);
+      const pixelData = await pool.run({
+        pixelData: imageData.data,
+        width: area.width,
+        height: area.height,
+        originX: area.x,
+        originY: area.y,
+        blockSize,
+        blurRadius: region.blurAmount * factor,
+        tileSize: SHUFFLE_TILE_SIZE,
+        noiseRange: PIXEL_NOISE_RANGE,
+        noiseDistribution: PIXEL_NOISE_DISTRIBUTION,
+      });
+      const layer = createCanvas(area.width, area.height);
+      layer.getContext('2d').putImageData(new ImageData(pixelData, area.width, area.height), 0, 0);
+      layers.set(key, layer);
+    }
+
+    // Composite the regions in stacking order, like the region renderer
+    const tileCanvas = createCanvas(area.width, area.height);
+    const tileCtx = tileCanvas.getContext('2d');
+    const mask = createCanvas(area.width, area.height);
+    const maskCtx = mask.getContext('2d');
+    tileCtx.drawImage(source, 0, 0);
+
+    tileRegions.forEach((region) => {
+      // Content-aware fill regions carry their own pixels; paint and
+      // 'average' regions are a flat color
+      const { fill } = region.mode === 'blur' ? region : {};
+      const isFill = !fill && (region.mode === 'paint' || (region.mode === 'blur' && !usesStyleLayer(region)));
+      if (isFill && !region.invert) {
+        tileCtx.save();
+        tileCtx.translate(-area.x, -area.y);
+        fillRegionSoft(tileCtx, region, region.color, region.feather || 0);
+        tileCtx.restore();
+        return;
+      }
+
+      const layer = region.mode === 'blur' ? layers.get(getLayerKey(region)) : source;
+      maskCtx.save();
+      maskCtx.globalCompositeOperation = 'source-over';
+      maskCtx.clearRect(0, 0, area.width, area.height);
+      maskCtx.translate(-area.x, -area.y);
+      // Inverted flat-color regions only need the mask, drawn in their color
+      fillCoverage(maskCtx, region, isFill ? region.color : MASK_COLOR, outWidth, outHeight);
+      if (fill) {
+        // NOTE: Fills are rebuilt on the working copy and scaled up here
+        maskCtx.globalCompositeOperation = 'source-in';
+        maskCtx.drawImage(getFillCanvas(fill), fill.x, fill.y, fill.width, fill.height);
+      }
+      maskCtx.setTransform(1, 0, 0, 1, 0, 0);
+      if (!isFill && !fill) {
+        maskCtx.globalCompositeOperation = 'source-in';
+        maskCtx.drawImage(layer, 0, 0);
+      }
+      maskCtx.restore();
+      tileCtx.drawImage(mask, 0, 0);
+    });
+
+    outputCtx.drawImage(
+      tileCanvas,
+      tile.x - area.x, tile.y - area.y, tile.width, tile.height,
+      tile.x, tile.y, tile.width, tile.height
+    );
+
+    // Release tile buffers straight away rather than waiting for GC
+    [source, tileCanvas, mask, ...layers.values()].forEach((canvasEl) => {
+      canvasEl.width = 0;
+      canvasEl.height = 0;
+    });
+
+    tilesDone++;
+    if (typeof onProgress === 'function') {
+      onProgress(tilesDone, tiles.length);
+    }
+  };
+
+  // Rejects the jobs in the pool, so the tile runners stop straight away
+  const handleAbort = () => pool.terminate(signal.reason);
+  signal?.addEventListener('abort', handleAbort);
+
+  try {
+    drawSource(outputCtx, { x: 0, y: 0 });
+
+    // One tile per worker in flight keeps peak memory bounded
+    const queue = [...tiles];
+    const runners = Array.from({ length: pool.size }, async () => {
+      while (queue.length) {
+        await renderTile(queue.shift());
+      }
+    });
+    await Promise.all(runners);
+  } finally {
+    signal?.removeEventListener('abort', handleAbort);
+    pool.terminate();
+    bitmap.close();
+  }
+
+  return output;
+}
@@ -0,0 +1,93 @@
+/**
+ * Gazetteer Module
+ *
+ * Turns GPS coordinates into a coarse place description ("near Newtown,
+ * Sydney") using the bundled list in data/gazetteer. Everything runs
+ * offline: coordinates from a photo must never be sent to a geocoding
+ * service, since that would leak the very location we are warning about.
+ *
+ * The list is small on purpose. The answer only needs to be close enough
+ * for someone to recognise the place, not to find the building.
+ *
+ * @module modules/gazetteer
+ */
+
+import { PLACES } from '../data/gazetteer.js';
+import { GAZETTEER_NEAR_KM, GAZETTEER_MAX_KM } from '../utils/constants.js';
+
+/**
+ * Mean radius of the Earth (km)
+ * @private
+ */
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @private
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Find the nearest listed place to a coordinate
+ *
+ * @param {number} latitude - Signed decimal degrees (south is negative)
+ * @param {number} longitude - Signed decimal degrees (west is negative)
+ * @returns {{name: string, city: string, country: string, distanceKm: number}|null} Nearest place, or null for invalid coordinates
+ *
+ * @example
+ * reverseGeocode(-33.898, 151.179);
+ * // { name: 'Newtown', city: 'Sydney', country: 'Australia', distanceKm: 0 }
+ */
+export function reverseGeocode(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    console.error('reverseGeocode: Invalid coordinates', latitude, longitude);
+    return null;
+  }
+
+  let nearest = null;
+  PLACES.forEach(([name, city, country, lat, lon]) => {
+    const distance = distanceKm(latitude, longitude, lat, lon);
+    if (!nearest || distance < nearest.distanceKm) {
+      nearest = { name, city, country, distanceKm: distance };
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Describe a coordinate in words
+ *
+ * Suburbs are named with their city ("near Newtown, Sydney"); towns and
+ * cities with their country ("near Lyon, France").
+ *
+ * @param {number} latitude - Signed decimal degrees
+ * @param {number} longitude - Signed decimal degrees
+ * @returns {string|null} Description, or null for invalid coordinates
+ *
+ * @example
+ * describePlace(-37.8, 144.98); // 'near Fitzroy, Melbourne'
+ * describePlace(-31.5, 131.0);  // 'far from any town in the offline list'
+ */
+export function describePlace(latitude, longitude) {
+  const place = reverseGeocode(latitude, longitude);
+  if (!place) return null;
+
+  if (place.distanceKm > GAZETTEER_MAX_KM) {
+    return 'far from any town in the offline list';
+  }
+
+  const label = `${place.name}, ${place.city || place.country}`;
+  if (place.distanceKm <= GAZETTEER_NEAR_KM) {
+    return `near ${label}`;
+  }
+  return `about ${Math.round(place.distanceKm)} km from ${label}`;
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from 'vitest';
+import { reverseGeocode, describePlace } from './gazetteer.js';
+
+describe('Gazetteer', () => {
+  describe('reverseGeocode', () => {
+    it('should find the nearest suburb', () => {
+      const place = reverseGeocode(-33.897, 151.180);
+
+      expect(place).toMatchObject({ name: 'Newtown', city: 'Sydney', country: 'Australia' });
+      expect(place.distanceKm).toBeLessThan(1);
+    });
+
+    it('should handle coordinates either side of the antimeridian', () => {
+      expect(reverseGeocode(-18.1, 179.9).name).toBe('Suva');
+      expect(reverseGeocode(-13.8, -171.7).name).toBe('Apia');
+    });
+
+    it('should reject invalid coordinates', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(reverseGeocode(NaN, 151)).toBeNull();
+      expect(reverseGeocode(-95, 151)).toBeNull();
+
+      error.mockRestore();
+    });
+  });
+
+  describe('describePlace', () => {
+    it('should name suburbs with their city and towns with their country', () => {
+      expect(describePlace(-37.799, 144.978)).toBe('near Fitzroy, Melbourne');
+      expect(describePlace(45.76, 4.84)).toBe('near Lyon, France');
+    });
+
+    it('should give a distance when the nearest place is not close', () => {
+      expect(describePlace(-33.0, 146.0)).toMatch(/^about \d+ km from /);
+    });
+
+    it('should not guess in remote areas', () => {
+      expect(describePlace(-25.0, -130.0)).toBe('far from any town in the offline list');
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Undo/Redo History Module
+ *
+ * Keeps a linear stack of reversible edits (blur, paint, undo-brush strokes,
+ * region moves/resizes/deletions and rotations) so users can step backwards and forwards through their work
+ * instead of reloading the photo after a mistake.
+ *
+ * Each entry knows how to undo and redo itself. Stroke entries only store the
+ * pixels inside the stroke's bounding box, while rotations store full
+ * snapshots. The stack is trimmed from the oldest end whenever it exceeds
+ * either the entry limit or the memory budget.
+ *
+ * @module modules/history
+ */
+
+import { HISTORY_MAX_ENTRIES, HISTORY_MEMORY_BUDGET } from '../utils/constants.js';
+
+/**
+ * Create an undo/redo history stack
+ *
+ * @param {Object} [options] - History options
+ * @param {number} [options.maxEntries=HISTORY_MAX_ENTRIES] - Maximum number of entries kept
+ * @param {number} [options.memoryBudget=HISTORY_MEMORY_BUDGET] - Maximum bytes of stored snapshots
+ * @param {Function} [options.onChange] - Called whenever the stack or position changes
+ * @returns {Object} History API (push, undo, redo, jumpTo, clear, getEntries, ...)
+ *
+ * @example
+ * const history = createHistory({ onChange: () => renderHistoryPanel(history) });
+ * history.push({ label: 'Blur stroke', bytes: 1024, undo: () => {...}, redo: () => {...} });
+ * await history.undo();
+ */
+export function createHistory({
+  maxEntries = HISTORY_MAX_ENTRIES,
+  memoryBudget = HISTORY_MEMORY_BUDGET,
+  onChange = null,
+} = {}) {
+  let entries = [];
+  // Index of the most recently applied entry (-1 = nothing applied)
+  let position = -1;
+  // Prevents overlapping undo/redo calls while an async entry is restoring
+  let busy = false;
+
+  const notify = () => {
+    if (typeof onChange === 'function') {
+      onChange();
+    }
+  };
+
+  const getMemoryUsage = () =>
+    entries.reduce((total, entry) => total + (entry.bytes || 0), 0);
+
+  /**
+   * Drop the oldest entries until the stack fits its limits.
+   * The newest entry is always kept, even if it alone exceeds the budget.
+   */
+  const trim = () => {
+    while (
+      entries.length > 1 &&
+      (entries.length > maxEntries || getMemoryUsage() > memoryBudget)
+    ) {
+      entries.shift();
+      position--;
+    }
+  };
+
+  /**
+   * Add a new entry that has already been applied to the canvas
+   * Any redo entries after the current position are discarded.
+   *
+   * @param {Object} entry - History entry
+   * @param {string} entry.label - Human readable description for the history panel
+   * @param {Function} entry.undo - Reverts the edit (may return a Promise)
+   * @param {Function} entry.redo - Re-applies the edit (may return a Promise)
+   * @param {number} [entry.bytes=0] - Approximate memory held by the entry
+   */
+  const push = (entry) => {
+    if (!entry || typeof entry.undo !== 'function' || typeof entry.redo !== 'function') {
+      console.error('history.push: Entry must provide undo and redo functions');
+      return;
+    }
+
+    entries = entries.slice(0, position + 1);
+    entries.push(entry);
+    position = entries.length - 1;
+    trim();
+    notify();
+  };
+
+  const undo = async () => {
+    if (busy || position < 0) return false;
+
+    busy = true;
+    try {
+      await entries[position].undo();
+      position--;
+    } finally {
+      busy = false;
+      notify();
+    }
+    return true;
+  };
+
+  const redo = async () => {
+    if (busy || position >= entries.length - 1) return false;
+
+    busy = true;
+    try {
+      await entries[position + 1].redo();
+      position++;
+    } finally {
+      busy = false;
+      notify();
+    }
+    return true;
+  };
+
+  /**
+   * Step backwards or forwards until the given entry is the current one
+   *
+   * @param {number} index - Target entry index (-1 = before the first entry)
+   */
+  const jumpTo = async (index) => {
+    const target = Math.max(-1, Math.min(index, entries.length - 1));
+
+    while (position > target) {
+      if (!(await undo())) break;
+    }
+    while (position < target) {
+      if (!(await redo())) break;
+    }
+  };
+
+  const clear = () => {
+    entries = [];
+    position = -1;
+    notify();
+  };
+
+  /**
+   * Describe all entries for display
+   * @returns {Array<{label: string, applied: boolean, current: boolean}>}
+   */
+  const getEntries = () =>
+    entries.map((entry, index) => ({
+      label: entry.label,
+      applied: index <= position,
+      current: index === position,
+    }));
+
+  return {
+    push,
+    undo,
+    redo,
+    jumpTo,
+    clear,
+    getEntries,
+    getMemoryUsage,
+    canUndo: () => !busy && position >= 0,
+    canRedo: () => !busy && position < entries.length - 1,
+  };
+}
+
+/**
+ * Rough memory estimate for a region kept in a history entry
+ * @private
+ */
+function estimateRegionBytes(region) {
+  const points = region.shape === 'path' ? region.geometry.points.length : 1;
+  // Mask regions carry a bitmap of up to one byte per image pixel
+  const mask = region.geometry.data?.byteLength || 0;
+  // Content-aware fill regions carry their rebuilt RGBA pixels
+  const fill = region.fill?.data?.byteLength || 0;
+  return 128 + points * 16 + mask + fill;
+}
+
+/**
+ * Create a history entry for a region that was added to the document
+ *
+ * @param {Object} redactionDocument - Document from createRedactionDocument()
+ * @param {Object} region - The stored region (with id)
+ * @param {string} label - Label shown in the history panel
+ * @returns {Object} History entry
+ */
+export function createAddRegionEntry(redactionDocument, region, label) {
+  const index = redactionDocument.getRegions().findIndex((item) => item.id === region.id);
+
+  return {
+    label,
+    bytes: estimateRegionBytes(region),
+    undo: () => redactionDocument.remove(region.id),
+    redo: () => redactionDocument.insert(region, index),
+  };
+}
+
+/**
+ * Create a history entry for a region that was removed from the document
+ *
+ * @param {Object} redactionDocument - Document from createRedactionDocument()
+ * @param {Object} region - The removed region
+ * @param {number} index - Stacking position the region was removed from
+ * @param {string} label - Label shown in the history panel
+ * @returns {Object} History entry
+ */
+export function createRemoveRegionEntry(redactionDocument, region, index, label) {
+  return {
+    label,
+    bytes: estimateRegionBytes(region),
+    undo: () => redactionDocument.insert(region, index),
+    redo: () => redactionDocument.remove(region.id),
+  };
+}
+
+/**
+ * Create a history entry for a region that was moved or resized
+ *
+ * @param {Object} redactionDocument - Document from createRedactionDocument()
+ * @param {Object} before - Region before the edit
+ * @param {Object} after - Region after the edit (same id)
+ * @param {string} label - Label shown in the history panel
+ * @returns {Object} History entry
+ */
+export function createUpdateRegionEntry(redactionDocument, before, after, label) {
+  return {
+    label,
+    bytes: estimateRegionBytes(before) + estimateRegionBytes(after),
+    undo: () => redactionDocument.replace(before),
+    redo: () => redactionDocument.replace(after),
+  };
+}
+
+/**
+ * Capture a snapshot of the original image and the redaction regions
+ *
+ * Used for operations such as rotation that change canvas dimensions.
+ * The visible image is not stored - it is re-rendered from the regions.
+ *
+ * @param {Object} canvases - Canvas objects from setupCanvases()
+ * @param {Object} redactionDocument - Document from createRedactionDocument()
+ * @param {number} [quarterTurns=0] - Rotation applied in the editor (needed by full-resolution export)
+ * @returns {Object} Snapshot that can be passed to restoreCanvasState()
+ */
+export function captureCanvasState(canvases, redactionDocument, quarterTurns = 0) {
+  const { canvas, rotationCtx } = canvases;
+  const { width, height } = canvas;
+
+  return {
+    width,
+    height,
+    quarterTurns,
+    original: rotationCtx.getImageData(0, 0, width, height),
+    regions: redactionDocument.getRegions(),
+  };
+}
+
+/**
+ * Restore the canvases from a snapshot taken with captureCanvasState()
+ *
+ * NOTE: All working canvases are resized to the snapshot dimensions, as the
+ * drawing pipeline requires every canvas to share the same size. Regions are
+ * restored separately (see createSnapshotEntry) once cached layers are dropped.
+ *
+ * @param {Object} canvases - Canvas objects from setupCanvases()
+ * @param {Object} snapshot - Snapshot from captureCanvasState()
+ */
+export function restoreCanvasState(canvases, snapshot) {
+  const { canvas, tempCanvas, holderCanvas, rotationCanvas, rotationCtx, blurredCanvas } = canvases;
+
+  [canvas, tempCanvas, holderCanvas, rotationCanvas, blurredCanvas].forEach((canvasEl) => {
+    canvasEl.width = snapshot.width;
+    canvasEl.height = snapshot.height;
+  });
+
+  rotationCtx.putImageData(snapshot.original, 0, 0);
+}
+
+/**
+ * Create a history entry from two full snapshots
+ *
+ * @param {Object} options - Entry options
+ * @param {Object} options.canvases - Canvas objects from setupCanvases()
+ * @param {Object} options.redactionDocument - Document from createRedactionDocument()
+ * @param {Object} options.before - Snapshot taken before the operation
+ * @param {Object} options.after - Snapshot taken after the operation
+ * @param {string} options.label - Label shown in the history panel
+ * @param {Function} [options.onRestore] - Called with the snapshot after the pixels are restored and before the regions are (e.g. to drop cached layers)
+ * @returns {Object} History entry
+ */
+export function createSnapshotEntry({ canvases, redactionDocument, before, after, label, onRestore }) {
+  const restore = (snapshot) => {
+    restoreCanvasState(canvases, snapshot);
+    if (typeof onRestore === 'function') {
+      onRestore(snapshot);
+    }
+    // Restoring the regions triggers the re-render
+    redactionDocument.replaceAll(snapshot.regions);
+  };
+
+  return {
+    label,
+    bytes: before.original.data.byteLength + after.original.data.byteLength,
+    undo: () => restore(before),
+    redo: () => restore(after),
+  };
+}
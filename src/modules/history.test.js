@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { createHistory, createAddRegionEntry } from './history.js';
+import { createRedactionDocument } from './redactionDocument.js';
+
+/**
+ * Create a fake entry that records undo/redo calls in a shared log
+ */
+function fakeEntry(label, log, bytes = 0) {
+  return {
+    label,
+    bytes,
+    undo: () => log.push(`undo ${label}`),
+    redo: () => log.push(`redo ${label}`),
+  };
+}
+
+describe('History', () => {
+  describe('undo/redo', () => {
+    it('should undo and redo entries in order', async () => {
+      const log = [];
+      const history = createHistory();
+      history.push(fakeEntry('a', log));
+      history.push(fakeEntry('b', log));
+
+      await history.undo();
+      await history.undo();
+      await history.redo();
+
+      expect(log).toEqual(['undo b', 'undo a', 'redo a']);
+      expect(history.canUndo()).toBe(true);
+      expect(history.canRedo()).toBe(true);
+    });
+
+    it('should return false when there is nothing to undo or redo', async () => {
+      const history = createHistory();
+      expect(await history.undo()).toBe(false);
+      expect(await history.redo()).toBe(false);
+    });
+
+    it('should discard redo entries when a new entry is pushed', async () => {
+      const log = [];
+      const history = createHistory();
+      history.push(fakeEntry('a', log));
+      history.push(fakeEntry('b', log));
+      await history.undo();
+      history.push(fakeEntry('c', log));
+
+      expect(history.getEntries().map((entry) => entry.label)).toEqual(['a', 'c']);
+      expect(history.canRedo()).toBe(false);
+    });
+  });
+
+  describe('jumpTo', () => {
+    it('should step to the requested entry', async () => {
+      const log = [];
+      const history = createHistory();
+      ['a', 'b', 'c'].forEach((label) => history.push(fakeEntry(label, log)));
+
+      await history.jumpTo(-1);
+      expect(log).toEqual(['undo c', 'undo b', 'undo a']);
+
+      await history.jumpTo(1);
+      expect(history.getEntries().map((entry) => entry.current)).toEqual([false, true, false]);
+    });
+  });
+
+  describe('limits', () => {
+    it('should drop the oldest entries beyond maxEntries', () => {
+      const history = createHistory({ maxEntries: 2 });
+      ['a', 'b', 'c'].forEach((label) => history.push(fakeEntry(label, [])));
+
+      expect(history.getEntries().map((entry) => entry.label)).toEqual(['b', 'c']);
+    });
+
+    it('should drop the oldest entries beyond the memory budget', () => {
+      const history = createHistory({ memoryBudget: 100 });
+      history.push(fakeEntry('a', [], 60));
+      history.push(fakeEntry('b', [], 60));
+
+      expect(history.getEntries().map((entry) => entry.label)).toEqual(['b']);
+      expect(history.getMemoryUsage()).toBe(60);
+    });
+
+    it('should count mask bitmaps towards the memory budget', () => {
+      const doc = createRedactionDocument();
+      const mask = doc.add({
+        shape: 'mask',
+        geometry: { x: 0, y: 0, width: 100, height: 100, maskWidth: 100, maskHeight: 100, data: new Uint8Array(10000) },
+        mode: 'blur',
+      });
+
+      expect(createAddRegionEntry(doc, mask, 'Magic wand').bytes).toBeGreaterThan(10000);
+    });
+
+    it('should count content-aware fill pixels towards the memory budget', () => {
+      const doc = createRedactionDocument();
+      const filled = doc.add({
+        shape: 'rect',
+        geometry: { x: 0, y: 0, width: 50, height: 50 },
+        mode: 'blur',
+        style: 'inpaint',
+        fill: { x: 0, y: 0, width: 50, height: 50, fillWidth: 50, fillHeight: 50, data: new Uint8ClampedArray(50 * 50 * 4) },
+      });
+
+      expect(createAddRegionEntry(doc, filled, 'Content-aware fill rectangle').bytes).toBeGreaterThan(10000);
+    });
+
+    it('should always keep the newest entry', () => {
+      const history = createHistory({ memoryBudget: 10 });
+      history.push(fakeEntry('huge', [], 1000));
+
+      expect(history.getEntries()).toHaveLength(1);
+    });
+  });
+});
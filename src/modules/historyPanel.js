@@ -0,0 +1,129 @@
+/**
+ * History Panel Module
+ *
+ * Renders the undo/redo history as a list next to the canvas and wires up
+ * the panel's Undo/Redo buttons. Clicking an entry jumps straight to that
+ * point in the history.
+ *
+ * @module modules/historyPanel
+ */
+
+import { formatFileSize } from './imageProcessing.js';
+
+/**
+ * Render the history entries into the history panel
+ *
+ * @param {Object} history - History stack from createHistory()
+ *
+ * @example
+ * const history = createHistory({ onChange: () => renderHistoryPanel(history) });
+ */
+export function renderHistoryPanel(history) {
+  const list = document.getElementById('historyList');
+  const undoButton = document.getElementById('historyUndo');
+  const redoButton = document.getElementById('historyRedo');
+  const usage = document.getElementById('historyUsage');
+
+  if (!list || !history) return;
+
+  const entries = history.getEntries();
+  const hasCurrent = entries.some((entry) => entry.current);
+
+  list.innerHTML = '';
+
+  // First row represents the image as it was loaded
+  list.appendChild(createHistoryItem('Original image', -1, !hasCurrent, true));
+
+  entries.forEach((entry, index) => {
+    list.appendChild(createHistoryItem(entry.label, index, entry.current, entry.applied));
+  });
+
+  if (undoButton) undoButton.disabled = !history.canUndo();
+  if (redoButton) redoButton.disabled = !history.canRedo();
+  if (usage) {
+    usage.textContent = entries.length
+      ? `${entries.length} step(s), ${formatFileSize(history.getMemoryUsage())}`
+      : 'No edits yet';
+  }
+}
+
+/**
+ * Create a single history list item
+ *
+ * @param {string} label - Entry label
+ * @param {number} index - Entry index (-1 for the original image)
+ * @param {boolean} current - Whether this is the current state
+ * @param {boolean} applied - Whether this entry is applied (false = can be redone)
+ * @returns {HTMLLIElement} List item element
+ * @private
+ */
+function createHistoryItem(label, index, current, applied) {
+  const item = document.createElement('li');
+  const button = document.createElement('button');
+
+  button.type = 'button';
+  button.className = 'history-item';
+  button.dataset.historyIndex = String(index);
+  button.textContent = label;
+  if (current) {
+    button.classList.add('current');
+    button.setAttribute('aria-current', 'step');
+  }
+  if (!applied) {
+    button.classList.add('undone');
+  }
+
+  item.appendChild(button);
+  return item;
+}
+
+/**
+ * Attach click handlers to the history panel controls
+ *
+ * @param {Object} history - History stack from createHistory()
+ * @param {Function} [onNavigate] - Called with a short description after each undo/redo/jump
+ *
+ * @example
+ * setupHistoryPanel(history, (message) => announceToScreenReader(message));
+ */
+export function setupHistoryPanel(history, onNavigate) {
+  const list = document.getElementById('historyList');
+  const undoButton = document.getElementById('historyUndo');
+  const redoButton = document.getElementById('historyRedo');
+
+  if (!history) {
+    console.error('setupHistoryPanel: history is required');
+    return;
+  }
+
+  const report = (message) => {
+    if (typeof onNavigate === 'function') {
+      onNavigate(message);
+    }
+  };
+
+  if (undoButton) {
+    undoButton.addEventListener('click', async () => {
+      if (await history.undo()) report('Undid last edit');
+    });
+  }
+
+  if (redoButton) {
+    redoButton.addEventListener('click', async () => {
+      if (await history.redo()) report('Redid edit');
+    });
+  }
+
+  if (list) {
+    // Event delegation: list items are re-rendered on every change
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-history-index]');
+      if (!button) return;
+
+      await history.jumpTo(Number(button.dataset.historyIndex));
+      report(`Jumped to: ${button.textContent}`);
+    });
+  }
+
+  renderHistoryPanel(history);
+}
@@ -32,6 +32,7 @@ import { MAX_IMAGE_DIMENSION, MAX_FILE_SIZE } from '../utils/constants.js';
  * @returns {number} returns.originalHeight - Original image height before scaling
  * @returns {number} returns.width - Scaled/final width used in canvas
  * @returns {number} returns.height - Scaled/final height used in canvas
+ * @returns {Object|null} returns.metadata - Metadata report (see modules/metadataInspector), null if extraction failed
  * @throws {Error} If file cannot be read or image is corrupted
  * 
  * @example
@@ -69,11 +70,12 @@ export async function loadImage(file, canvases, onImageLoaded) {
 
   // Step 1: Extract and display EXIF metadata
   // This shows users what metadata will be removed from their image
+  let metadata = null;
   try {
-    const exifData = await extractExifData(file);
+    metadata = await extractExifData(file);
     
     // Display EXIF modal and wait for user to acknowledge
-    displayExifData(exifData, () => {
+    displayExifData(metadata, () => {
       if (onImageLoaded && typeof onImageLoaded === 'function') {
         onImageLoaded();
       }
@@ -157,6 +159,7 @@ export async function loadImage(file, canvases, onImageLoaded) {
             originalHeight,
             width,
             height,
+            metadata,
           });
         } catch (processingError) {
           reject(processingError);
@@ -184,16 +187,16 @@ export async function loadImage(file, canvases, onImageLoaded) {
  * Features:
  * - Prevents default browser behavior (opening file in new tab)
  * - Visual feedback via CSS class when dragging over window
- * - Only accepts the first file if multiple files are dropped
+ * - Accepts several files and whole folders (searched recursively)
  * - Works on entire body for better UX (drop anywhere)
  * 
- * @param {Function} onFileDropped - Callback function called with the dropped file
- * @param {File} onFileDropped.file - The dropped file object
+ * @param {Function} onFileDropped - Callback function called with the dropped files
+ * @param {File[]} onFileDropped.files - The dropped files, folders expanded
  * 
  * @example
- * setupDragAndDrop((file) => {
- *   console.log('Dropped:', file.name);
- *   loadImage(file, canvases);
+ * setupDragAndDrop((files) => {
+ *   console.log(`Dropped ${files.length} file(s)`);
+ *   queue.addFiles(files);
  * });
  */
 export function setupDragAndDrop(onFileDropped) {
@@ -254,25 +257,28 @@ export function setupDragAndDrop(onFileDropped) {
 
   /**
    * Handle file drop event
-   * Extracts the first file from the drop and passes it to the callback
+   * Expands dropped folders and passes all files to the callback
    */
-  function handleDrop(e) {
+  async function handleDrop(e) {
     const dt = e.dataTransfer;
-    const files = dt ? dt.files : null;
+    if (!dt) return;
 
-    if (!files || files.length === 0) {
-      console.warn('No files in drop event');
-      return;
+    let files;
+    try {
+      files = await getDroppedFiles(dt);
+    } catch (error) {
+      console.warn('Failed to read dropped folder, using plain files:', error);
+      files = Array.from(dt.files || []);
     }
 
-    // TODO: Add file type validation here before calling callback
-    // TODO: Show warning if multiple files were dropped
-    if (files.length > 1) {
-      console.info(`${files.length} files dropped, using only the first one`);
+    if (files.length === 0) {
+      console.warn('No files in drop event');
+      return;
     }
 
-    // Only process the first file
-    onFileDropped(files[0]);
+    // NOTE: File type validation is left to the callback, which reports
+    // unsupported files to the user
+    onFileDropped(files);
   }
 
   // Attach drop handlers to body and drop zone
@@ -283,3 +289,58 @@ export function setupDragAndDrop(onFileDropped) {
     console.warn('Drop zone element not found - drag-and-drop will still work on body');
   }
 }
+
+/**
+ * Collect all files from a drop, expanding folders recursively
+ *
+ * Uses the (widely supported) webkitGetAsEntry() API to walk dropped
+ * directories. Browsers without it only get the plain file list.
+ *
+ * NOTE: Entries must be requested synchronously inside the drop event, as
+ * the DataTransfer is emptied once the event handler returns.
+ *
+ * @param {DataTransfer} dataTransfer - DataTransfer from the drop event
+ * @returns {Promise<File[]>} All dropped files
+ * @private
+ */
+function getDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter((item) => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map((item) => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Promise.resolve(Array.from(dataTransfer.files || []));
+  }
+
+  return Promise.all(entries.map(readEntry)).then((groups) => groups.flat());
+}
+
+/**
+ * Read a file system entry, recursing into directories
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @returns {Promise<File[]>} Files contained in the entry
+ * @private
+ */
+function readEntry(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => entry.file((file) => resolve([file]), reject));
+  }
+
+  if (!entry.isDirectory) {
+    return Promise.resolve([]);
+  }
+
+  const reader = entry.createReader();
+
+  // readEntries() returns results in batches, so keep reading until empty
+  const readBatch = (collected) =>
+    new Promise((resolve, reject) => reader.readEntries(resolve, reject)).then((batch) =>
+      batch.length === 0 ? collected : readBatch([...collected, ...batch])
+    );
+
+  return readBatch([])
+    .then((children) => Promise.all(children.map(readEntry)))
+    .then((groups) => groups.flat());
+}
@@ -1,15 +1,23 @@
 /**
  * Image Processing and Export Module
  * 
- * Handles saving the processed canvas as a downloadable image file.
- * This is where the actual privacy protection happens - when converting
+ * Handles saving the processed canvas as a downloadable PNG, JPEG or WebP
+ * file. This is where the actual privacy protection happens - when converting
  * the canvas to a blob, all EXIF metadata is stripped automatically by
  * the canvas API.
  * 
  * @module modules/imageProcessing
  */
 
-import { OUTPUT_FILE_SUFFIX, OUTPUT_IMAGE_FORMAT, OUTPUT_IMAGE_QUALITY } from '../utils/constants.js';
+import {
+  OUTPUT_FILE_SUFFIX,
+  OUTPUT_IMAGE_FORMAT,
+  OUTPUT_IMAGE_QUALITY,
+  OUTPUT_FORMATS,
+  OUTPUT_MIN_QUALITY,
+  OUTPUT_SIZE_SEARCH_STEPS,
+} from '../utils/constants.js';
+import { applyCoarseMetadata } from './coarseMetadata.js';
 
 /**
  * Sanitize a filename by removing invalid characters
@@ -42,40 +50,248 @@ function sanitizeFilename(filename) {
 }
 
 /**
- * Save the processed canvas as a PNG file
+ * Build the output filename for a saved image
+ *
+ * Strips any path and extension from the original filename, sanitizes it and
+ * appends the "_scrubbed" suffix and the extension of the chosen format.
+ *
+ * @param {string} filename - Original filename
+ * @param {string} extension - Extension of the output format (without dot)
+ * @returns {string} Output filename, e.g. "photo_scrubbed.jpg"
+ *
+ * @example
+ * getOutputFilename('C:\\photos\\IMG_1234.HEIC', 'jpg'); // "IMG_1234_scrubbed.jpg"
+ */
+export function getOutputFilename(filename, extension) {
+  // Extract filename without path (in case full path was provided)
+  // Regex handles both forward slashes (Unix) and backslashes (Windows)
+  const nameWithoutPath = String(filename || '').replace(/.*[\\/]([^\\/]+)$/, '$1');
+
+  // Remove file extension from the filename
+  const nameWithoutExtension = nameWithoutPath.replace(/\.[^.]*$/, '');
+
+  return `${sanitizeFilename(nameWithoutExtension)}${OUTPUT_FILE_SUFFIX}.${extension}`;
+}
+
+/**
+ * Make a filename unique within a set of names already used
+ *
+ * Photos from different folders can share a name (IMG_0001.jpg); inside a
+ * ZIP archive or the downloads folder they would overwrite each other.
+ *
+ * @param {string} filename - Desired filename
+ * @param {Set<string>} usedNames - Names already taken (the result is added)
+ * @returns {string} The filename, with "_2", "_3", ... inserted before the extension if needed
+ *
+ * @example
+ * const used = new Set();
+ * getUniqueFilename('a_scrubbed.png', used); // 'a_scrubbed.png'
+ * getUniqueFilename('a_scrubbed.png', used); // 'a_scrubbed_2.png'
+ */
+export function getUniqueFilename(filename, usedNames) {
+  const dot = filename.lastIndexOf('.');
+  const base = dot > 0 ? filename.slice(0, dot) : filename;
+  const extension = dot > 0 ? filename.slice(dot) : '';
+
+  let candidate = filename;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base}_${n}${extension}`;
+  }
+
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Encode a canvas to a Blob
+ *
+ * This is where EXIF stripping happens - the canvas API creates a brand new
+ * image file without any of the original metadata.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} format - MIME type
+ * @param {number} quality - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>} Encoded image
+ * @private
+ */
+function canvasToBlob(canvas, format, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('Failed to create image data from canvas. The canvas may be empty or corrupted.'));
+          return;
+        }
+        resolve(blob);
+      },
+      format,
+      quality
+    );
+  });
+}
+
+/**
+ * Search for the highest quality whose encoded size fits a byte budget
+ *
+ * Binary search between minQuality and maxQuality. If even minQuality is too
+ * big, the smallest result is returned with metTarget set to false so the
+ * caller can warn the user.
+ *
+ * @param {Function} encode - Encodes at a given quality: (quality) => Promise<Blob>
+ * @param {number} targetBytes - Maximum file size in bytes
+ * @param {Object} [options] - Search options
+ * @param {number} [options.minQuality=OUTPUT_MIN_QUALITY] - Lowest quality to try
+ * @param {number} [options.maxQuality=1] - Highest quality to try
+ * @param {number} [options.steps=OUTPUT_SIZE_SEARCH_STEPS] - Number of bisection steps
+ * @returns {Promise<{blob: Blob, quality: number, metTarget: boolean}>} Best result found
+ *
+ * @example
+ * const { blob, quality } = await findQualityForSize(
+ *   (q) => canvasToBlob(canvas, 'image/jpeg', q),
+ *   500 * 1024
+ * );
+ */
+export async function findQualityForSize(
+  encode,
+  targetBytes,
+  { minQuality = OUTPUT_MIN_QUALITY, maxQuality = 1, steps = OUTPUT_SIZE_SEARCH_STEPS } = {}
+) {
+  const top = await encode(maxQuality);
+  if (top.size <= targetBytes) {
+    return { blob: top, quality: maxQuality, metTarget: true };
+  }
+
+  const bottom = await encode(minQuality);
+  if (bottom.size > targetBytes) {
+    return { blob: bottom, quality: minQuality, metTarget: false };
+  }
+
+  let best = { blob: bottom, quality: minQuality, metTarget: true };
+  let low = minQuality;
+  let high = maxQuality;
+
+  for (let i = 0; i < steps; i++) {
+    const quality = (low + high) / 2;
+    const blob = await encode(quality);
+    if (blob.size <= targetBytes) {
+      best = { blob, quality, metTarget: true };
+      low = quality;
+    } else {
+      high = quality;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Prepare the canvas that will be encoded
+ *
+ * Downscales to maxDimension if needed, and flattens onto white for formats
+ * without transparency (JPEG would otherwise turn transparent areas black).
+ *
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @param {string} format - Output MIME type
+ * @param {number} maxDimension - Maximum width/height (0 = no limit)
+ * @returns {HTMLCanvasElement} Canvas to encode (the source if nothing changed)
+ * @private
+ */
+function prepareOutputCanvas(canvas, format, maxDimension) {
+  const biggerDimension = Math.max(canvas.width, canvas.height);
+  const resizeScale = maxDimension > 0 && biggerDimension > maxDimension
+    ? maxDimension / biggerDimension
+    : 1;
+  const needsFlatten = format === 'image/jpeg';
+
+  if (resizeScale === 1 && !needsFlatten) {
+    return canvas;
+  }
+
+  const output = document.createElement('canvas');
+  output.width = Math.max(1, Math.round(canvas.width * resizeScale));
+  output.height = Math.max(1, Math.round(canvas.height * resizeScale));
+
+  const outputCtx = output.getContext('2d');
+  if (needsFlatten) {
+    outputCtx.fillStyle = '#ffffff';
+    outputCtx.fillRect(0, 0, output.width, output.height);
+  }
+  outputCtx.imageSmoothingQuality = 'high';
+  outputCtx.drawImage(canvas, 0, 0, output.width, output.height);
+
+  return output;
+}
+
+/**
+ * Trigger a download of a blob
+ * @param {Blob} blob - File contents
+ * @param {string} downloadName - Name of the downloaded file
+ *
+ * @example
+ * downloadBlob(new Blob([zipBytes], { type: 'application/zip' }), 'photos.zip');
+ */
+export function downloadBlob(blob, downloadName) {
+  // Create a temporary download link
+  const link = document.createElement('a');
+  link.download = downloadName;
+
+  // Create object URL for the blob
+  link.href = URL.createObjectURL(blob);
+
+  // Programmatically trigger download
+  link.click();
+
+  // Clean up the object URL to prevent memory leaks
+  // NOTE: Small delay ensures download starts before URL is revoked
+  setTimeout(() => {
+    URL.revokeObjectURL(link.href);
+  }, 100);
+}
+
+/**
+ * Save the processed canvas as an image file
  * 
- * This function performs the actual EXIF stripping by converting the canvas
- * to a blob/PNG. Canvas-generated images never contain EXIF metadata, so
- * this effectively removes all metadata from the original image.
+ * This function performs the actual EXIF stripping by re-encoding the canvas.
+ * Canvas-generated images never contain EXIF metadata, so this effectively
+ * removes all metadata from the original image, whichever format is chosen.
  * 
  * The saved file will have "_scrubbed" appended to the original filename
  * to avoid overwriting the original and to clearly indicate it has been processed.
  * 
  * Process:
- * 1. Convert canvas to blob (EXIF metadata is automatically stripped)
- * 2. Create object URL from blob
- * 3. Trigger download via programmatic link click
- * 4. Clean up object URL to prevent memory leaks
+ * 1. Downscale to the maximum dimension (and flatten for JPEG) if needed
+ * 2. Encode the canvas (EXIF metadata is automatically stripped), searching
+ *    for a quality that fits the target size if one is set
+ * 3. If the user opted in, write the coarse region/month back
+ *    (see modules/coarseMetadata)
+ * 4. If a verify callback is given, check the encoded file and stop if it fails
+ * 5. Trigger download via programmatic link click
+ * 
+ * NOTE: Browsers that can't encode the requested format (e.g. WebP on older
+ * Safari) silently fall back to PNG - the extension follows the actual format.
  * 
  * @param {HTMLCanvasElement} canvas - The canvas containing the processed image
  * @param {string} filename - Original filename (used to generate output filename)
- * @returns {Promise<void>} Resolves when save is complete
- * @throws {Error} If canvas is invalid or blob creation fails
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format=OUTPUT_IMAGE_FORMAT] - Output MIME type (see OUTPUT_FORMATS)
+ * @param {number} [options.quality=OUTPUT_IMAGE_QUALITY] - Quality for lossy formats (0-1)
+ * @param {number} [options.maxDimension=0] - Maximum width/height in pixels (0 = no limit)
+ * @param {number} [options.targetBytes=0] - Fit the file under this size (lossy formats only, 0 = off)
+ * @param {Object[]} [options.coarseFields=[]] - Coarse region/month to write (see buildCoarseFields in modules/coarseMetadata)
+ * @param {Function} [options.verify] - Async check of the final blob, called with the blob and the coarse entries written (see modules/exportVerifier); the download is blocked unless it resolves with passed: true
+ * @param {AbortSignal} [options.signal] - Cancels the save before anything is downloaded
+ * @returns {Promise<Object>} Details of the file: filename, format, quality, bytes, width, height, metTarget, coarseMetadata, verification, downloaded
+ * @throws {Error} If canvas is invalid or blob creation fails, or an AbortError if cancelled
  * 
  * @example
  * try {
- *   await saveImage(canvas, 'photo.jpg');
- *   console.log('Image saved successfully');
+ *   const result = await saveImage(canvas, 'photo.jpg', { format: 'image/jpeg', targetBytes: 500 * 1024 });
+ *   console.log(`Saved ${result.filename} (${formatFileSize(result.bytes)})`);
  * } catch (error) {
  *   console.error('Save failed:', error);
  * }
  */
-export function saveImage(canvas, filename) {
-  // Input validation
-  if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
-    throw new Error('Invalid canvas element provided');
-  }
-
+export async function saveImage(canvas, filename, { verify = null, coarseFields = [], signal = null, ...options } = {}) {
   // Use local variable to avoid parameter reassignment
   let processedFilename = filename;
   if (!processedFilename || typeof processedFilename !== 'string') {
@@ -83,58 +299,89 @@ export function saveImage(canvas, filename) {
     processedFilename = 'image';
   }
 
-  // Return promise for async operation
-  return new Promise((resolve, reject) => {
-    // Convert canvas to blob - this is where EXIF stripping happens!
-    // The canvas API creates a new image without any metadata
-    canvas.toBlob(
-      (blob) => {
-        if (!blob) {
-          reject(new Error('Failed to create image data from canvas. The canvas may be empty or corrupted.'));
-          return;
-        }
-        
-        try {
-        // Create a temporary download link
-        const link = document.createElement('a');
-
-        // Extract filename without path (in case full path was provided)
-        // Regex handles both forward slashes (Unix) and backslashes (Windows)
-        const nameWithoutPath = processedFilename.replace(/.*[\\/]([^\\/]+)$/, '$1');
-        
-        // Remove file extension from the filename
-        const nameWithoutExtension = nameWithoutPath.replace(/\.[^.]*$/, '');
-        
-        // Sanitize filename to remove invalid characters
-        const sanitizedName = sanitizeFilename(nameWithoutExtension);
-
-        // Construct output filename with suffix
-        link.download = `${sanitizedName}${OUTPUT_FILE_SUFFIX}.png`;
-        
-        // Create object URL for the blob
-        link.href = URL.createObjectURL(blob);
-        
-        // Programmatically trigger download
-        link.click();
-
-        // Clean up the object URL to prevent memory leaks
-        // NOTE: Small delay ensures download starts before URL is revoked
-        setTimeout(() => {
-          URL.revokeObjectURL(link.href);
-        }, 100);
-        
-        console.info(`Image saved as: ${link.download}`);
-        resolve();
-      } catch (error) {
-        console.error('Error during image save:', error);
-        reject(new Error(`Failed to save image: ${error.message || 'Unknown error'}`));
-      }
-    },
-    OUTPUT_IMAGE_FORMAT,
-    OUTPUT_IMAGE_QUALITY
-  );
-  })
-;}
+  const encoded = await encodeImage(canvas, options);
+  const downloadName = getOutputFilename(processedFilename, encoded.extension);
+  const { blob, entries } = await applyCoarseMetadata(encoded.blob, encoded.format, coarseFields);
+  const verification = verify ? await verify(blob, entries) : null;
+  // Last point a cancel can stop the download
+  signal?.throwIfAborted();
+  const downloaded = !verification || verification.passed;
+
+  if (downloaded) {
+    try {
+      downloadBlob(blob, downloadName);
+    } catch (error) {
+      console.error('Error during image save:', error);
+      throw new Error(`Failed to save image: ${error.message || 'Unknown error'}`);
+    }
+    console.info(`Image saved as: ${downloadName}`);
+  } else {
+    console.warn(`Download of ${downloadName} blocked: verification failed`, verification);
+  }
+
+  return {
+    filename: downloadName,
+    format: encoded.format,
+    quality: encoded.quality,
+    bytes: blob.size,
+    width: encoded.width,
+    height: encoded.height,
+    metTarget: encoded.metTarget,
+    coarseMetadata: entries,
+    verification,
+    downloaded,
+  };
+}
+
+/**
+ * Encode a canvas with the given export options, without downloading it
+ *
+ * Used by saveImage() and by batch export, which collects several files.
+ * See saveImage() for the options.
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas containing the processed image
+ * @param {Object} [options] - Export options (format, quality, maxDimension, targetBytes)
+ * @returns {Promise<Object>} blob, extension, format, quality, bytes, width, height, metTarget
+ * @throws {Error} If canvas is invalid or blob creation fails
+ */
+export async function encodeImage(canvas, {
+  format = OUTPUT_IMAGE_FORMAT,
+  quality = OUTPUT_IMAGE_QUALITY,
+  maxDimension = 0,
+  targetBytes = 0,
+} = {}) {
+  // Input validation
+  if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
+    throw new Error('Invalid canvas element provided');
+  }
+
+  const requestedFormat = OUTPUT_FORMATS[format] ? format : OUTPUT_IMAGE_FORMAT;
+  const { lossy } = OUTPUT_FORMATS[requestedFormat];
+  const output = prepareOutputCanvas(canvas, requestedFormat, maxDimension);
+  const encode = (q) => canvasToBlob(output, requestedFormat, q);
+
+  let result;
+  if (lossy && targetBytes > 0) {
+    result = await findQualityForSize(encode, targetBytes, { maxQuality: quality });
+  } else {
+    result = { blob: await encode(quality), quality, metTarget: true };
+  }
+
+  const { blob } = result;
+  // The browser may have fallen back to PNG if it can't encode the format
+  const actualFormat = OUTPUT_FORMATS[blob.type] ? blob.type : OUTPUT_IMAGE_FORMAT;
+
+  return {
+    blob,
+    extension: OUTPUT_FORMATS[actualFormat].extension,
+    format: actualFormat,
+    quality: OUTPUT_FORMATS[actualFormat].lossy ? result.quality : null,
+    bytes: blob.size,
+    width: output.width,
+    height: output.height,
+    metTarget: result.metTarget,
+  };
+}
 
 /**
  * Validate if a file is a supported image type
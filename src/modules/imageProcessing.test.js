@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { getOutputFilename, getUniqueFilename, findQualityForSize, formatFileSize } from './imageProcessing.js';
+
+/**
+ * Fake encoder whose output size grows linearly with quality
+ */
+function fakeEncoder(bytesAtFullQuality, calls = []) {
+  return async (quality) => {
+    calls.push(quality);
+    return { size: Math.round(bytesAtFullQuality * quality) };
+  };
+}
+
+describe('Image Processing', () => {
+  describe('getOutputFilename', () => {
+    it('should replace the extension and add the suffix', () => {
+      expect(getOutputFilename('IMG_1234.HEIC', 'jpg')).toBe('IMG_1234_scrubbed.jpg');
+    });
+
+    it('should strip paths and invalid characters', () => {
+      expect(getOutputFilename('C:\\photos\\my:pill?.png', 'webp')).toBe('mypill_scrubbed.webp');
+    });
+  });
+
+  describe('getUniqueFilename', () => {
+    it('should number repeated names before the extension', () => {
+      const used = new Set();
+      expect(getUniqueFilename('IMG_0001_scrubbed.jpg', used)).toBe('IMG_0001_scrubbed.jpg');
+      expect(getUniqueFilename('IMG_0001_scrubbed.jpg', used)).toBe('IMG_0001_scrubbed_2.jpg');
+      expect(getUniqueFilename('img_0001_SCRUBBED.jpg', used)).toBe('img_0001_SCRUBBED_3.jpg');
+    });
+  });
+
+  describe('findQualityForSize', () => {
+    it('should keep the requested quality when it already fits', async () => {
+      const calls = [];
+      const result = await findQualityForSize(fakeEncoder(1000, calls), 2000, { maxQuality: 0.8 });
+
+      expect(result.quality).toBe(0.8);
+      expect(result.metTarget).toBe(true);
+      expect(calls).toHaveLength(1);
+    });
+
+    it('should find the highest quality under the target', async () => {
+      const result = await findQualityForSize(fakeEncoder(1000), 500, { steps: 10 });
+
+      expect(result.metTarget).toBe(true);
+      expect(result.blob.size).toBeLessThanOrEqual(500);
+      expect(result.quality).toBeGreaterThan(0.49);
+    });
+
+    it('should report when the target cannot be met', async () => {
+      const result = await findQualityForSize(fakeEncoder(1000), 50, { minQuality: 0.1 });
+
+      expect(result.metTarget).toBe(false);
+      expect(result.quality).toBe(0.1);
+    });
+  });
+
+  describe('formatFileSize', () => {
+    it('should format bytes with units', () => {
+      expect(formatFileSize(0)).toBe('0 B');
+      expect(formatFileSize(1536)).toBe('1.5 KB');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Content-Aware Fill Module
+ *
+ * Removes what is under a region by rebuilding it from the texture around
+ * it ('inpaint' redaction style), so a hand or a card edge disappears from a
+ * plain table surface instead of leaving a blurred patch.
+ *
+ * The region's covered area plus some surrounding context is sent to a Web
+ * Worker (see workers/inpaint.worker.js), which fills the covered pixels by
+ * patch-based synthesis. Pixels under other redactions are left out of the
+ * texture, since the context comes from the original image and would
+ * otherwise copy what they hide into the fill. The result is cropped to the
+ * covered area and
+ * stored on the region as its `fill`:
+ *
+ *   { x, y, width, height, fillWidth, fillHeight, data }
+ *
+ * an RGBA bitmap of fillWidth × fillHeight pixels stretched over the
+ * x/y/width/height box, like a 'mask' shape's bitmap. Storing the pixels
+ * keeps regions self-contained, so queued photos and full-resolution
+ * exports can be rendered without the working copy.
+ *
+ * NOTE: The fill is synthesized once, on the working copy. Full-resolution
+ * exports scale it up, and a moved or resized region keeps its fill.
+ *
+ * @module modules/inpainting
+ */
+
+import { fillCoverage } from './drawing.js';
+import { getCoverageBounds } from './redactionDocument.js';
+import { clampBounds } from '../utils/canvas.js';
+import { INPAINT_CONTEXT_FRACTION, INPAINT_CONTEXT_MIN_PATCHES } from '../utils/constants.js';
+
+// Import Web Worker for content-aware fill
+import InpaintWorker from '../workers/inpaint.worker.js?worker';
+
+/**
+ * Mask color used when drawing region shapes (only the alpha matters)
+ * @private
+ */
+const MASK_COLOR = '#000000';
+
+// Worker instance (reused across calls), and the id of the next job
+let inpaintWorker = null;
+let nextJobId = 1;
+
+// fill data -> canvas holding it
+const fillCanvases = new WeakMap();
+
+/**
+ * Get or create the inpaint worker instance
+ * @returns {Worker} Worker instance
+ * @private
+ */
+function getInpaintWorker() {
+  if (!inpaintWorker) {
+    inpaintWorker = new InpaintWorker();
+  }
+  return inpaintWorker;
+}
+
+/**
+ * Run one fill in the worker
+ * Several regions can be in flight at once, so replies are matched by id.
+ * @returns {Promise<Uint8ClampedArray>} Filled pixels
+ * @private
+ */
+function inpaintAsync(job) {
+  return new Promise((resolve, reject) => {
+    const worker = getInpaintWorker();
+    const id = nextJobId++;
+
+    const cleanup = () => {
+      worker.removeEventListener('message', handleMessage);
+      worker.removeEventListener('error', handleError);
+    };
+
+    const handleMessage = (event) => {
+      if (event.data.id !== id) return;
+      cleanup();
+      if (event.data.success) {
+        resolve(new Uint8ClampedArray(event.data.pixelData));
+      } else {
+        reject(new Error(event.data.error || 'Worker processing failed'));
+      }
+    };
+
+    const handleError = (error) => {
+      cleanup();
+      reject(new Error(`Worker error: ${error.message}`));
+    };
+
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    worker.postMessage({ ...job, id }, [job.pixelData.buffer, job.mask.buffer]);
+  });
+}
+
+/**
+ * Rebuild the area under a region from its surroundings
+ *
+ * @param {HTMLCanvasElement} source - Original image
+ * @param {Object} region - Region (see modules/redactionDocument); blurAmount is the patch size
+ * @param {Object[]} [others=[]] - Regions already on the image; their covered pixels are never copied
+ * @returns {Promise<Object|null>} Fill for the region, or null if it is outside the image
+ * @throws {Error} If the worker fails
+ *
+ * @example
+ * const fill = await inpaintRegion(rotationCanvas, region, redactionDocument.getRegions());
+ * redactionDocument.add({ ...region, fill });
+ */
+export async function inpaintRegion(source, region, others = []) {
+  const { width, height } = source;
+  const rect = clampBounds(getCoverageBounds(region, width, height), width, height);
+  if (!rect) return null;
+
+  const patchSize = Math.max(1, Math.round(region.blurAmount));
+  const context = Math.ceil(Math.max(
+    patchSize * INPAINT_CONTEXT_MIN_PATCHES,
+    Math.max(rect.width, rect.height) * INPAINT_CONTEXT_FRACTION
+  ));
+  const area = clampBounds(
+    {
+      minX: rect.x - context,
+      minY: rect.y - context,
+      maxX: rect.x + rect.width + context,
+      maxY: rect.y + rect.height + context,
+    },
+    width,
+    height
+  );
+
+  // Anything the region touches, even faintly at a soft edge, is rebuilt
+  const maskCanvas = document.createElement('canvas');
+  maskCanvas.width = area.width;
+  maskCanvas.height = area.height;
+  const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+  maskCtx.translate(-area.x, -area.y);
+  fillCoverage(maskCtx, region, MASK_COLOR, width, height);
+  const maskPixels = maskCtx.getImageData(0, 0, area.width, area.height).data;
+
+  // Pixels under other redactions are neither rebuilt nor used as texture
+  const excludeCanvas = document.createElement('canvas');
+  excludeCanvas.width = area.width;
+  excludeCanvas.height = area.height;
+  const excludeCtx = excludeCanvas.getContext('2d', { willReadFrequently: true });
+  excludeCtx.translate(-area.x, -area.y);
+  others.forEach((other) => {
+    if (other.mode !== 'undo') fillCoverage(excludeCtx, other, MASK_COLOR, width, height);
+  });
+  const excludePixels = excludeCtx.getImageData(0, 0, area.width, area.height).data;
+
+  // 1 = known, 0 = to fill, 2 = excluded (see workers/inpaint.worker)
+  const known = new Uint8Array(area.width * area.height);
+  for (let i = 0; i < known.length; i++) {
+    if (maskPixels[i * 4 + 3] !== 0) known[i] = 0;
+    else known[i] = excludePixels[i * 4 + 3] === 0 ? 1 : 2;
+  }
+
+  const pixels = source.getContext('2d', { willReadFrequently: true })
+    .getImageData(area.x, area.y, area.width, area.height).data;
+  const filled = await inpaintAsync({
+    pixelData: pixels,
+    mask: known,
+    width: area.width,
+    height: area.height,
+    patchRadius: Math.floor(patchSize / 2),
+  });
+
+  // Keep only the covered area
+  const data = new Uint8ClampedArray(rect.width * rect.height * 4);
+  for (let y = 0; y < rect.height; y++) {
+    const start = ((rect.y - area.y + y) * area.width + (rect.x - area.x)) * 4;
+    data.set(filled.subarray(start, start + rect.width * 4), y * rect.width * 4);
+  }
+
+  return {
+    x: rect.x,
+    y: rect.y,
+    width: rect.width,
+    height: rect.height,
+    fillWidth: rect.width,
+    fillHeight: rect.height,
+    data,
+  };
+}
+
+/**
+ * Get a canvas holding a region's fill pixels
+ *
+ * @param {Object} fill - Fill from inpaintRegion()
+ * @returns {HTMLCanvasElement} Canvas of fillWidth × fillHeight (cached per fill)
+ */
+export function getFillCanvas(fill) {
+  let fillCanvas = fillCanvases.get(fill.data);
+  if (!fillCanvas) {
+    fillCanvas = document.createElement('canvas');
+    fillCanvas.width = fill.fillWidth;
+    fillCanvas.height = fill.fillHeight;
+    fillCanvas.getContext('2d').putImageData(new ImageData(fill.data, fill.fillWidth, fill.fillHeight), 0, 0);
+    fillCanvases.set(fill.data, fillCanvas);
+  }
+  return fillCanvas;
+}
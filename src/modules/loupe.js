@@ -0,0 +1,145 @@
+/**
+ * Loupe Module
+ *
+ * A round magnifier shown above the finger while drawing on a touch screen.
+ * The finger covers the exact spot being redacted, so the loupe shows the
+ * pixels under it, enlarged, with the brush outline on top, and edges
+ * around faces and text can be followed precisely.
+ *
+ * The loupe shows the image as it was before the stroke (the holder
+ * canvas) with the stroke so far drawn over it half transparent, so the
+ * preview doesn't hide what is being traced.
+ *
+ * @module modules/loupe
+ */
+
+import { LOUPE_SIZE, LOUPE_MAGNIFICATION, LOUPE_OFFSET } from '../utils/constants.js';
+
+/**
+ * Opacity of the stroke preview inside the loupe
+ * @private
+ */
+const PREVIEW_ALPHA = 0.5;
+
+/**
+ * Arm length of the crosshair drawn for tools without a round brush, in
+ * loupe pixels
+ * @private
+ */
+const CROSSHAIR_SIZE = 8;
+
+/**
+ * Work out where the loupe goes for a touch point
+ * It sits above the finger, or below it when there is no room at the top,
+ * and is kept inside the window horizontally.
+ *
+ * @param {number} clientX - Touch point (screen pixels)
+ * @param {number} clientY - Touch point (screen pixels)
+ * @param {number} viewWidth - Window width
+ * @param {number} viewHeight - Window height
+ * @param {number} [size] - Loupe diameter
+ * @param {number} [offset] - Gap between the finger and the loupe
+ * @returns {{left: number, top: number}} Position of the loupe's top-left corner
+ */
+export function getLoupePlacement(clientX, clientY, viewWidth, viewHeight, size = LOUPE_SIZE, offset = LOUPE_OFFSET) {
+  const left = Math.min(Math.max(0, clientX - size / 2), Math.max(0, viewWidth - size));
+
+  let top = clientY - offset - size;
+  if (top < 0) {
+    top = Math.min(clientY + offset, Math.max(0, viewHeight - size));
+  }
+
+  return { left, top };
+}
+
+/**
+ * Create the touch loupe
+ *
+ * @param {Object} options - Loupe options
+ * @param {HTMLCanvasElement} options.element - Canvas the loupe is drawn on (positioned fixed)
+ * @param {HTMLCanvasElement} options.canvas - Visible image canvas, with the stroke preview
+ * @param {HTMLCanvasElement} options.holderCanvas - Copy of the visible canvas from before the stroke
+ * @returns {Object} Loupe API: show, hide
+ *
+ * @example
+ * const loupe = createLoupe({ element: loupeCanvas, canvas, holderCanvas });
+ * loupe.show({ clientX, clientY }, pos, state.brushSize);
+ */
+export function createLoupe({ element, canvas, holderCanvas }) {
+  /**
+   * Show the loupe for a touch point, or move it there
+   *
+   * @param {{clientX: number, clientY: number}} point - Touch point on screen
+   * @param {{x: number, y: number}} pos - The same point in canvas pixels
+   * @param {number} [radius] - Brush radius in canvas pixels; 0 draws a crosshair
+   */
+  const show = (point, pos, radius = 0) => {
+    if (!element || !canvas.width || !canvas.height) return;
+
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width) return;
+
+    // Loupe pixels per canvas pixel, relative to what is on screen
+    const dpr = window.devicePixelRatio || 1;
+    const size = Math.round(LOUPE_SIZE * dpr);
+    const scale = (rect.width / canvas.width) * LOUPE_MAGNIFICATION * dpr;
+    if (element.width !== size || element.height !== size) {
+      element.width = size;
+      element.height = size;
+    }
+
+    const loupeCtx = element.getContext('2d');
+    loupeCtx.save();
+    loupeCtx.fillStyle = '#000000';
+    loupeCtx.fillRect(0, 0, size, size);
+
+    // Put pos in the centre; crisp pixels show edges better than smoothing
+    loupeCtx.imageSmoothingEnabled = false;
+    loupeCtx.translate(size / 2, size / 2);
+    loupeCtx.scale(scale, scale);
+    loupeCtx.translate(-pos.x, -pos.y);
+    loupeCtx.drawImage(holderCanvas, 0, 0);
+    loupeCtx.globalAlpha = PREVIEW_ALPHA;
+    loupeCtx.drawImage(canvas, 0, 0);
+    loupeCtx.restore();
+
+    // Brush outline, dark under light so it shows on any background
+    loupeCtx.save();
+    loupeCtx.beginPath();
+    if (radius > 0) {
+      loupeCtx.arc(size / 2, size / 2, radius * scale, 0, Math.PI * 2);
+    } else {
+      const arm = CROSSHAIR_SIZE * dpr;
+      loupeCtx.moveTo(size / 2 - arm, size / 2);
+      loupeCtx.lineTo(size / 2 + arm, size / 2);
+      loupeCtx.moveTo(size / 2, size / 2 - arm);
+      loupeCtx.lineTo(size / 2, size / 2 + arm);
+    }
+    loupeCtx.lineWidth = 3 * dpr;
+    loupeCtx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    loupeCtx.stroke();
+    loupeCtx.lineWidth = 1.5 * dpr;
+    loupeCtx.strokeStyle = '#ffffff';
+    loupeCtx.stroke();
+    loupeCtx.restore();
+
+    const { left, top } = getLoupePlacement(point.clientX, point.clientY, window.innerWidth, window.innerHeight);
+    element.style.left = `${left}px`;
+    element.style.top = `${top}px`;
+    element.hidden = false;
+  };
+
+  /**
+   * Hide the loupe
+   */
+  const hide = () => {
+    if (!element || element.hidden) return;
+
+    element.hidden = true;
+    // Don't keep a copy of the photo around while the loupe is hidden
+    element.width = 0;
+    element.height = 0;
+  };
+
+  return { show, hide };
+}
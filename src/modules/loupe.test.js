@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { getLoupePlacement } from './loupe.js';
+
+describe('Loupe', () => {
+  it('should sit above the finger, centred on it', () => {
+    expect(getLoupePlacement(300, 400, 800, 600, 100, 40)).toEqual({ left: 250, top: 260 });
+  });
+
+  it('should move below the finger near the top of the window', () => {
+    expect(getLoupePlacement(300, 80, 800, 600, 100, 40)).toEqual({ left: 250, top: 120 });
+  });
+
+  it('should stay inside the window at the sides', () => {
+    expect(getLoupePlacement(10, 400, 800, 600, 100, 40).left).toBe(0);
+    expect(getLoupePlacement(790, 400, 800, 600, 100, 40).left).toBe(700);
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * Metadata Inspector Module
+ *
+ * Goes beyond the basic EXIF tag list and reports every hidden payload we
+ * know how to find, grouped by where it lives in the file:
+ *
+ * - EXIF (camera settings, dates, GPS) and maker notes (serial numbers)
+ * - The embedded EXIF thumbnail, which editing apps often leave untouched,
+ *   so it can show the original, unredacted picture
+ * - XMP (editing history, software, document IDs) and IPTC (creator,
+ *   contact details), Photoshop and PNG text blocks
+ * - ICC profile device names
+ * - C2PA/JUMBF content credential manifests
+ * - Data appended after the end of the image, such as the videos that
+ *   Google and Samsung motion photos hide behind the JPEG
+ *
+ * Tag parsing is done by ExifReader; C2PA manifests and trailing data are
+ * found by walking the file bytes directly.
+ *
+ * @module modules/metadataInspector
+ * @see {@link https://github.com/mattiasw/ExifReader}
+ * @see {@link https://c2pa.org/specifications/}
+ */
+
+import ExifReader from 'exifreader';
+import { readAscii, readCString, findBytes } from '../utils/bytes.js';
+
+/**
+ * ICC profile tags that name a device, vendor or person
+ * The remaining ICC tags are colour science and identify nothing.
+ * @private
+ */
+const ICC_IDENTIFYING_TAGS = [
+  'ICC Description',
+  'ICC Copyright',
+  'ICC Device Model Description',
+  'ICC Device Manufacturer for Display',
+  'Device Manufacturer',
+  'Device Model Number',
+  'Profile Creator',
+  'ICC Profile Date',
+];
+
+/**
+ * EXIF tags that hold serial numbers, shown with the maker notes
+ * @private
+ */
+const SERIAL_NUMBER_TAGS = [
+  'BodySerialNumber',
+  'CameraSerialNumber',
+  'LensSerialNumber',
+  'SerialNumber',
+  'InternalSerialNumber',
+];
+
+/**
+ * How far into trailing data to look for a video header
+ * @private
+ */
+const VIDEO_HEADER_SEARCH_BYTES = 64 * 1024;
+
+/**
+ * Plain-language descriptions of each metadata source
+ * @private
+ */
+const SOURCES = {
+  exif: {
+    label: 'EXIF',
+    description: 'Camera settings, dates and GPS location written by the camera or phone.',
+  },
+  makerNotes: {
+    label: 'Maker notes',
+    description: 'Manufacturer-specific data. Often includes the camera or lens serial number.',
+  },
+  thumbnail: {
+    label: 'Embedded thumbnail',
+    description: 'A small preview saved by the camera. Other apps often don\'t update it when you edit, so it can show the original, unedited picture.',
+  },
+  xmp: {
+    label: 'XMP',
+    description: 'Metadata added by editing software: edit history, software used and document IDs.',
+  },
+  iptc: {
+    label: 'IPTC',
+    description: 'Captions, creator name and contact details added by photo management software.',
+  },
+  photoshop: {
+    label: 'Photoshop',
+    description: 'Settings saved by Adobe Photoshop.',
+  },
+  icc: {
+    label: 'ICC colour profile',
+    description: 'The colour profile. Its device names can reveal the camera, phone or monitor model.',
+  },
+  pngText: {
+    label: 'PNG text',
+    description: 'Text fields in the PNG file, such as author, software or comments.',
+  },
+  mpf: {
+    label: 'Multi-picture',
+    description: 'Extra images stored in the file, such as depth maps or previews.',
+  },
+  c2pa: {
+    label: 'Content Credentials (C2PA)',
+    description: 'A signed provenance manifest. It can record the device, software, edits and sometimes the author.',
+  },
+  trailer: {
+    label: 'Data after the image',
+    description: 'Bytes appended after the end of the picture that image viewers don\'t show, such as motion photo videos.',
+  },
+};
+
+/**
+ * Convert an ExifReader tag group into display entries
+ * @private
+ */
+function toEntries(group, filter = null) {
+  if (!group) return [];
+
+  return Object.entries(group)
+    .filter(([name, tag]) => tag && (!filter || filter(name)))
+    .map(([name, tag]) => ({
+      name,
+      value: String(tag.description ?? tag.value ?? ''),
+    }))
+    .filter((entry) => entry.value !== '');
+}
+
+/**
+ * Find where the JPEG image data ends (just after the EOI marker)
+ *
+ * @param {Uint8Array} bytes - JPEG file
+ * @returns {number} Offset after EOI, or -1 if it can't be found
+ */
+export function findJpegEnd(bytes) {
+  let offset = 2;
+
+  while (offset + 1 < bytes.length) {
+    if (bytes[offset] !== 0xff) return -1;
+
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9) {
+      return offset + 2;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (offset + 4 > bytes.length) return -1;
+
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+
+    if (marker === 0xda) {
+      // Entropy-coded data: stuffed FF00 bytes and restart markers don't end it
+      while (offset + 1 < bytes.length) {
+        const next = bytes[offset + 1];
+        if (bytes[offset] === 0xff && next !== 0 && !(next >= 0xd0 && next <= 0xd7)) break;
+        offset++;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Find where the PNG image data ends (just after the IEND chunk)
+ *
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {number} Offset after IEND, or -1 if it can't be found
+ */
+export function findPngEnd(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const next = offset + 12 + view.getUint32(offset);
+    if (readAscii(bytes, offset + 4, 4) === 'IEND') return next;
+    offset = next;
+  }
+
+  return -1;
+}
+
+/**
+ * Find data appended after the end of a JPEG or PNG image
+ *
+ * @param {Uint8Array} bytes - Image file
+ * @returns {{offset: number, length: number, kind: string}|null} The trailing data, or null if there is none
+ *
+ * @example
+ * const trailer = findTrailingData(bytes);
+ * if (trailer) console.warn(`${trailer.kind}: ${trailer.length} bytes`);
+ */
+export function findTrailingData(bytes) {
+  let end = -1;
+  if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+    end = findJpegEnd(bytes);
+  } else if (bytes[0] === 0x89 && readAscii(bytes, 1, 3) === 'PNG') {
+    end = findPngEnd(bytes);
+  }
+
+  if (end < 0 || end >= bytes.length) return null;
+
+  const trailer = bytes.subarray(end);
+  let kind = 'Unknown data';
+  if (findBytes(trailer, 'MotionPhoto_Data') >= 0) {
+    kind = 'Samsung motion photo video';
+  } else if (findBytes(trailer.subarray(0, VIDEO_HEADER_SEARCH_BYTES), 'ftyp') >= 0) {
+    kind = 'Video (motion photo)';
+  } else if (trailer[0] === 0xff && trailer[1] === 0xd8) {
+    kind = 'Additional JPEG image (depth map, preview or original)';
+  } else if (trailer.every((byte) => byte === 0)) {
+    kind = 'Padding';
+  }
+
+  return { offset: end, length: trailer.length, kind };
+}
+
+/**
+ * Read a CBOR text string (major type 3) at an offset
+ * @private
+ */
+function readCborText(bytes, offset) {
+  const initial = bytes[offset];
+  if (initial >> 5 !== 3) return null;
+
+  const info = initial & 0x1f;
+  let length = info;
+  let start = offset + 1;
+  if (info === 24) {
+    length = bytes[offset + 1];
+    start = offset + 2;
+  } else if (info === 25) {
+    length = (bytes[offset + 1] << 8) | bytes[offset + 2];
+    start = offset + 3;
+  } else if (info > 25) {
+    return null;
+  }
+
+  return new TextDecoder().decode(bytes.subarray(start, start + length));
+}
+
+/**
+ * Find C2PA/JUMBF content credential manifests
+ *
+ * Reads the label of every JUMBF description box ('jumd'), and the claim
+ * generator (the app or device that signed the manifest) when present.
+ *
+ * @param {Uint8Array} bytes - Image file
+ * @returns {{labels: string[], claimGenerator: string|null}|null} Manifest details, or null if there is none
+ */
+export function findContentCredentials(bytes) {
+  const labels = [];
+  let offset = findBytes(bytes, 'jumd');
+
+  while (offset >= 0) {
+    // Description box: type, 16-byte content UUID, toggles, then the label if toggle bit 1 is set
+    const toggles = bytes[offset + 20];
+    if (toggles & 0x02) {
+      const label = readCString(bytes, offset + 21, 256);
+      if (label && !labels.includes(label)) labels.push(label);
+    }
+    offset = findBytes(bytes, 'jumd', offset + 4);
+  }
+
+  if (labels.length === 0) return null;
+
+  const generatorKey = findBytes(bytes, 'claim_generator');
+  const claimGenerator = generatorKey >= 0
+    ? readCborText(bytes, generatorKey + 'claim_generator'.length)
+    : null;
+
+  return { labels, claimGenerator };
+}
+
+/**
+ * Read the signed GPS position ExifReader computes from the GPS tags
+ * @private
+ */
+function readGpsPosition(gps) {
+  if (!gps || !Number.isFinite(gps.Latitude) || !Number.isFinite(gps.Longitude)) return null;
+  return { latitude: gps.Latitude, longitude: gps.Longitude };
+}
+
+/**
+ * Build the grouped metadata report
+ *
+ * @param {Object} tags - ExifReader tags, loaded with { expanded: true }
+ * @param {Uint8Array} bytes - The image file
+ * @returns {{groups: Object[], thumbnail: Blob|null, gps: Object|null, fieldCount: number}} Non-empty groups ({id, label, description, entries}), the embedded thumbnail, the GPS position ({latitude, longitude}) and the total number of entries
+ */
+export function buildMetadataReport(tags, bytes) {
+  const groups = [];
+  const addGroup = (id, entries) => {
+    if (entries.length) {
+      groups.push({ id, ...SOURCES[id], entries });
+    }
+  };
+
+  const exif = tags.exif || {};
+  addGroup('exif', toEntries(exif, (name) => name !== 'MakerNote' && !SERIAL_NUMBER_TAGS.includes(name)));
+
+  const makerNotes = [
+    ...toEntries(exif, (name) => SERIAL_NUMBER_TAGS.includes(name)),
+    ...toEntries(tags.makerNotes),
+  ];
+  if (exif.MakerNote) {
+    const { value } = exif.MakerNote;
+    const size = value && value.length ? `${value.length} bytes of vendor data` : 'Vendor data';
+    makerNotes.push({ name: 'MakerNote', value: `${size} (may include serial numbers)` });
+  }
+  addGroup('makerNotes', makerNotes);
+
+  let thumbnail = null;
+  if (tags.Thumbnail && tags.Thumbnail.image) {
+    thumbnail = new Blob([tags.Thumbnail.image], { type: tags.Thumbnail.type || 'image/jpeg' });
+    addGroup('thumbnail', [
+      { name: 'Preview image', value: `${thumbnail.size} bytes, ${tags.Thumbnail.type || 'image/jpeg'}` },
+    ]);
+  }
+
+  // Edit history first: it is the most revealing part of XMP
+  const xmp = toEntries(tags.xmp);
+  addGroup('xmp', [
+    ...xmp.filter((entry) => entry.name === 'History'),
+    ...xmp.filter((entry) => entry.name !== 'History'),
+  ]);
+  addGroup('iptc', toEntries(tags.iptc));
+  addGroup('photoshop', toEntries(tags.photoshop));
+  addGroup('icc', toEntries(tags.icc, (name) => ICC_IDENTIFYING_TAGS.includes(name)));
+  addGroup('pngText', toEntries(tags.pngText));
+  addGroup('mpf', toEntries(tags.mpf));
+
+  const credentials = findContentCredentials(bytes);
+  if (credentials) {
+    addGroup('c2pa', [
+      ...(credentials.claimGenerator ? [{ name: 'Claim generator', value: credentials.claimGenerator }] : []),
+      { name: 'Manifest parts', value: credentials.labels.join(', ') },
+    ]);
+  }
+
+  const trailer = findTrailingData(bytes);
+  if (trailer) {
+    addGroup('trailer', [
+      { name: trailer.kind, value: `${trailer.length} bytes after byte ${trailer.offset}` },
+    ]);
+  }
+
+  return {
+    groups,
+    thumbnail,
+    gps: readGpsPosition(tags.gps),
+    fieldCount: groups.reduce((total, group) => total + group.entries.length, 0),
+  };
+}
+
+/**
+ * Inspect an image file for every kind of hidden metadata
+ *
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<{groups: Object[], thumbnail: Blob|null, gps: Object|null, fieldCount: number}>} See buildMetadataReport()
+ *
+ * @example
+ * const report = await inspectMetadata(file);
+ * report.groups.forEach((group) => console.log(group.label, group.entries.length));
+ */
+export async function inspectMetadata(file) {
+  const buffer = await file.arrayBuffer();
+  let tags = {};
+
+  try {
+    tags = ExifReader.load(buffer, { expanded: true });
+  } catch (error) {
+    // Not finding any tags is normal for many images (screenshots, edited photos)
+    if (error.name !== 'MetadataMissingError') {
+      console.info('Could not read metadata tags:', error.message || error);
+    }
+  }
+
+  return buildMetadataReport(tags, new Uint8Array(buffer));
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findJpegEnd,
+  findTrailingData,
+  findContentCredentials,
+  buildMetadataReport,
+} from './metadataInspector.js';
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+// SOI, a short APP0, SOS header, scan data with a stuffed FF00 and a restart marker, EOI
+const JPEG = [
+  0xff, 0xd8,
+  0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+  0xff, 0xda, 0x00, 0x04, 0x00, 0x00,
+  0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56,
+  0xff, 0xd9,
+];
+
+/**
+ * Build a JUMBF description box with a label
+ */
+function jumd(label) {
+  return [...ascii('jumd'), ...new Array(16).fill(0), 0x03, ...ascii(label), 0];
+}
+
+describe('Metadata Inspector', () => {
+  describe('findTrailingData', () => {
+    it('should find the end of the scan data, skipping stuffed bytes and restart markers', () => {
+      expect(findJpegEnd(new Uint8Array(JPEG))).toBe(JPEG.length);
+      expect(findTrailingData(new Uint8Array(JPEG))).toBeNull();
+    });
+
+    it('should identify a motion photo video after EOI', () => {
+      const video = [0, 0, 0, 0x18, ...ascii('ftypmp42'), 1, 2, 3];
+      const trailer = findTrailingData(new Uint8Array([...JPEG, ...video]));
+
+      expect(trailer).toEqual({ offset: JPEG.length, length: video.length, kind: 'Video (motion photo)' });
+    });
+
+    it('should identify a Samsung motion photo', () => {
+      const trailer = findTrailingData(new Uint8Array([...JPEG, ...ascii('MotionPhoto_Data'), 9]));
+      expect(trailer.kind).toBe('Samsung motion photo video');
+    });
+  });
+
+  describe('findContentCredentials', () => {
+    it('should read JUMBF labels and the claim generator', () => {
+      const generator = 'Phone Camera 2.0';
+      const bytes = new Uint8Array([
+        ...jumd('c2pa'),
+        ...jumd('c2pa.claim'),
+        ...ascii('claim_generator'), 0x60 + generator.length, ...ascii(generator),
+      ]);
+
+      expect(findContentCredentials(bytes)).toEqual({
+        labels: ['c2pa', 'c2pa.claim'],
+        claimGenerator: generator,
+      });
+    });
+
+    it('should return null without a manifest', () => {
+      expect(findContentCredentials(new Uint8Array(JPEG))).toBeNull();
+    });
+  });
+
+  describe('buildMetadataReport', () => {
+    it('should group tags by source and move serial numbers to the maker notes', () => {
+      const tags = {
+        exif: {
+          Model: { description: 'Pixel 8' },
+          BodySerialNumber: { description: 'ABC123' },
+          MakerNote: { value: [1, 2, 3, 4] },
+        },
+        xmp: {
+          CreatorTool: { description: 'Editor 1.0' },
+          History: { description: 'saved, converted' },
+        },
+        icc: {
+          'Device Model Number': { description: 'XYZ' },
+          'Rendering Intent': { description: 'Perceptual' },
+        },
+        Thumbnail: { image: new Uint8Array([0xff, 0xd8, 0xff, 0xd9]).buffer, type: 'image/jpeg' },
+      };
+
+      const report = buildMetadataReport(tags, new Uint8Array(JPEG));
+
+      expect(report.groups.map((group) => group.id)).toEqual(['exif', 'makerNotes', 'thumbnail', 'xmp', 'icc']);
+      expect(report.groups[0].entries).toEqual([{ name: 'Model', value: 'Pixel 8' }]);
+      expect(report.groups[1].entries.map((entry) => entry.name)).toEqual(['BodySerialNumber', 'MakerNote']);
+      expect(report.groups[3].entries[0].name).toBe('History');
+      expect(report.groups[4].entries).toEqual([{ name: 'Device Model Number', value: 'XYZ' }]);
+      expect(report.thumbnail.size).toBe(4);
+      expect(report.fieldCount).toBe(7);
+    });
+
+    it('should report the signed GPS position', () => {
+      const report = buildMetadataReport({ gps: { Latitude: -33.898, Longitude: 151.179 } }, new Uint8Array(JPEG));
+      expect(report.gps).toEqual({ latitude: -33.898, longitude: 151.179 });
+    });
+
+    it('should return no groups for a clean file', () => {
+      expect(buildMetadataReport({}, new Uint8Array(JPEG))).toEqual({ groups: [], thumbnail: null, gps: null, fieldCount: 0 });
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Metadata Risk Module
+ *
+ * Sorts the fields found by modules/metadataInspector into plain-language
+ * categories and ranks them by how much they could identify the person
+ * who took the photo. GPS coordinates and serial numbers come first;
+ * exposure settings shared by millions of photos come last.
+ *
+ * Risk levels:
+ * - 3 (high): identifies a place, a person or a specific device, or may
+ *   show the unedited picture
+ * - 2 (medium): narrows things down (time, timezone, phone model, apps)
+ * - 1 (low): ordinary camera settings
+ *
+ * @module modules/metadataRisk
+ */
+
+/**
+ * Categories, in display order
+ * @private
+ */
+const CATEGORIES = {
+  location: { label: 'Location', description: 'Where the photo was taken' },
+  identity: { label: 'Device & owner identity', description: 'Who took the photo and with which device' },
+  hidden: { label: 'Hidden images & video', description: 'Pictures and video stored alongside the photo' },
+  time: { label: 'Time & timezone', description: 'When the photo was taken or edited' },
+  software: { label: 'Software & editing', description: 'Apps that created or edited the photo' },
+  camera: { label: 'Camera settings', description: 'Ordinary exposure and image settings - low risk' },
+};
+
+/**
+ * Labels for each risk level
+ */
+export const RISK_LABELS = { 3: 'High', 2: 'Medium', 1: 'Low' };
+
+/**
+ * Typical accuracy of phone GPS when the file doesn't record one
+ * @private
+ */
+const DEFAULT_GPS_ACCURACY_M = 5;
+
+/**
+ * Describe how precisely GPS coordinates place the photo
+ * @private
+ */
+function describeGpsAccuracy(fields) {
+  const error = parseFloat(fields.GPSHPositioningError);
+  const metres = Number.isFinite(error) && error > 0 ? Math.round(error) : DEFAULT_GPS_ACCURACY_M;
+  return `GPS places this photo within ~${metres} m - enough to find the building it was taken in.`;
+}
+
+/**
+ * Classification rules, checked in order; the first match wins
+ *
+ * Each rule matches field names (exact list or pattern) and optionally a
+ * source group, and gives the category, risk and a plain-language
+ * explanation (a string, or a function of the matched entry and all fields
+ * by name).
+ * @private
+ */
+const RULES = [
+  // Whole groups
+  { sources: ['thumbnail'], category: 'hidden', risk: 3, explain: 'A small copy saved by the camera. It may show the photo before any crop or edit - including things you meant to hide.' },
+  {
+    sources: ['trailer'],
+    category: 'hidden',
+    risk: 3,
+    explain: (entry) => (/video|motion/i.test(entry.name)
+      ? 'A short hidden video of the moments around the photo. It can show faces, rooms or sounds the photo doesn\'t.'
+      : 'Extra data hidden after the picture. Image viewers don\'t show it, but anyone can extract it.'),
+  },
+  { sources: ['mpf'], category: 'hidden', risk: 2, explain: 'Describes extra images stored in the file, such as depth maps or previews.' },
+  { sources: ['c2pa'], category: 'software', risk: 2, explain: 'A signed record of the device and software that made or edited this photo. Some include the author\'s name.' },
+
+  // Location
+  { names: ['GPSLatitude', 'GPSLongitude', 'Latitude', 'Longitude'], category: 'location', risk: 3, explain: (entry, fields) => describeGpsAccuracy(fields) },
+  { names: ['GPSAltitude', 'Altitude'], category: 'location', risk: 3, explain: 'Height above sea level - can reveal which floor of a building you were on.' },
+  { names: ['GPSDateStamp', 'GPSTimeStamp'], category: 'time', risk: 2, explain: 'Exact time from GPS satellites, in UTC.' },
+  { pattern: /^GPS/, category: 'location', risk: 2, explain: 'Part of the GPS record (direction, speed or accuracy of the fix).' },
+  {
+    names: ['City', 'State', 'Country', 'CountryCode', 'Location', 'Sublocation', 'Sub-location', 'Province/State', 'Country/Primary Location Name', 'Country/Primary Location Code'],
+    category: 'location',
+    risk: 3,
+    explain: 'Names the place where the photo was taken.',
+  },
+
+  // Device & owner identity
+  { names: ['BodySerialNumber', 'CameraSerialNumber', 'SerialNumber', 'InternalSerialNumber'], category: 'identity', risk: 3, explain: (entry) => `${entry.name} uniquely identifies your phone or camera. Every photo it takes carries the same number.` },
+  { names: ['LensSerialNumber'], category: 'identity', risk: 3, explain: 'Uniquely identifies your lens, linking every photo taken with it.' },
+  { names: ['MakerNote'], category: 'identity', risk: 3, explain: 'Manufacturer data in a private format. It often contains the camera serial number.' },
+  { names: ['ImageUniqueID', 'DocumentID', 'OriginalDocumentID', 'InstanceID', 'DerivedFrom'], category: 'identity', risk: 3, explain: 'A unique ID that can link this file to the original photo and other copies of it.' },
+  {
+    names: ['Artist', 'Copyright', 'OwnerName', 'CameraOwnerName', 'By-line', 'By-line Title', 'creator', 'Creator', 'Credit', 'Writer/Editor', 'rights', 'Rights', 'Contact', 'CreatorContactInfo', 'Author', 'XPAuthor'],
+    category: 'identity',
+    risk: 3,
+    explain: 'Names a person - usually the photographer or the device owner.',
+  },
+  { pattern: /^Ci(Adr|Email|Tel|Url)/, category: 'identity', risk: 3, explain: 'Contact details (address, email, phone or website) of the creator.' },
+  { names: ['Make', 'Model', 'LensMake', 'LensModel', 'LensInfo', 'HostComputer', 'Device Manufacturer', 'Device Model Number', 'ICC Device Model Description', 'ICC Device Manufacturer for Display'], category: 'identity', risk: 2, explain: 'Narrows down which device took or displayed the photo.' },
+
+  // Time & timezone
+  { names: ['OffsetTime', 'OffsetTimeOriginal', 'OffsetTimeDigitized'], category: 'time', risk: 2, explain: 'Your timezone, which narrows down the region you were in.' },
+  { pattern: /(DateTime|Date$|^Date|CreateDate|ModifyDate|MetadataDate|SubSecTime|Time Created|Date Created)/, category: 'time', risk: 2, explain: 'When the photo was taken or edited - can be matched against your movements.' },
+
+  // Software & editing
+  { names: ['History'], category: 'software', risk: 2, explain: 'Edit history: lists each save, the apps used and when.' },
+  { names: ['Software', 'CreatorTool', 'ProcessingSoftware', 'Originating Program', 'Program Version'], category: 'software', risk: 2, explain: 'Shows which app or phone firmware produced or edited the photo.' },
+  { sources: ['pngText', 'photoshop', 'xmp', 'iptc'], category: 'software', risk: 2, explain: 'Text added by software. Check it for names, captions or notes.' },
+  { sources: ['icc'], category: 'software', risk: 1, explain: 'Colour profile details - identifies the profile vendor, rarely the person.' },
+];
+
+/**
+ * Fallback for fields no rule matches (exposure, focal length, ...)
+ * @private
+ */
+const DEFAULT_RULE = {
+  category: 'camera',
+  risk: 1,
+  explain: 'A camera setting shared by many photos - low risk on its own.',
+};
+
+/**
+ * Classify one metadata field
+ *
+ * @param {{name: string, value: string}} entry - Field from a metadata group
+ * @param {string} source - Group id the field came from (see modules/metadataInspector)
+ * @param {Object<string, string>} [fields] - All field values by name (for context, e.g. GPS accuracy)
+ * @returns {{category: string, risk: number, explanation: string}} Classification
+ *
+ * @example
+ * classifyField({ name: 'BodySerialNumber', value: 'A1B2' }, 'makerNotes');
+ * // { category: 'identity', risk: 3, explanation: 'BodySerialNumber uniquely identifies your phone or camera. ...' }
+ */
+export function classifyField(entry, source, fields = {}) {
+  const rule = RULES.find((candidate) => {
+    if (candidate.sources && !candidate.sources.includes(source)) return false;
+    if (candidate.names) return candidate.names.includes(entry.name);
+    if (candidate.pattern) return candidate.pattern.test(entry.name);
+    return true;
+  }) || DEFAULT_RULE;
+
+  return {
+    category: rule.category,
+    risk: rule.risk,
+    explanation: typeof rule.explain === 'function' ? rule.explain(entry, fields) : rule.explain,
+  };
+}
+
+/**
+ * Sort a metadata report into risk-ranked categories
+ *
+ * Categories are ordered by their highest risk field (ties keep the
+ * display order above); fields within a category by risk, then name.
+ *
+ * @param {{groups: Object[]}} report - Report from inspectMetadata()
+ * @returns {Object[]} Non-empty categories: {id, label, description, risk, fields: [{name, value, source, sourceId, risk, explanation}]}
+ *
+ * @example
+ * const [top] = rankMetadata(report);
+ * console.log(`${top.label}: ${RISK_LABELS[top.risk]} risk`);
+ */
+export function rankMetadata(report) {
+  const groups = report && Array.isArray(report.groups) ? report.groups : [];
+  const fields = {};
+  groups.forEach((group) => group.entries.forEach((entry) => {
+    fields[entry.name] = entry.value;
+  }));
+
+  const categories = Object.entries(CATEGORIES).map(([id, category]) => ({ id, ...category, risk: 0, fields: [] }));
+  const byId = Object.fromEntries(categories.map((category) => [category.id, category]));
+
+  groups.forEach((group) => {
+    group.entries.forEach((entry) => {
+      const { category, risk, explanation } = classifyField(entry, group.id, fields);
+      byId[category].fields.push({
+        ...entry,
+        source: group.label,
+        sourceId: group.id,
+        risk,
+        explanation,
+      });
+      byId[category].risk = Math.max(byId[category].risk, risk);
+    });
+  });
+
+  return categories
+    .filter((category) => category.fields.length > 0)
+    .map((category) => ({
+      ...category,
+      fields: [...category.fields].sort((a, b) => b.risk - a.risk || a.name.localeCompare(b.name)),
+    }))
+    .sort((a, b) => b.risk - a.risk);
+}
+
+/**
+ * Check whether a field matches a search query
+ *
+ * @param {Object} field - Ranked field from rankMetadata()
+ * @param {string} query - Text typed by the user
+ * @returns {boolean} True if the name, value, source or explanation contains the query (case-insensitive)
+ */
+export function fieldMatches(field, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [field.name, field.value, field.source, field.explanation]
+    .some((text) => String(text).toLowerCase().includes(needle));
+}
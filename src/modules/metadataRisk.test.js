@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { classifyField, rankMetadata, fieldMatches } from './metadataRisk.js';
+
+describe('Metadata Risk', () => {
+  describe('classifyField', () => {
+    it('should explain GPS precision using the recorded accuracy', () => {
+      const result = classifyField({ name: 'GPSLatitude', value: '51.5' }, 'exif', { GPSHPositioningError: '12.4 m' });
+
+      expect(result.category).toBe('location');
+      expect(result.risk).toBe(3);
+      expect(result.explanation).toContain('within ~12 m');
+    });
+
+    it('should flag serial numbers as high-risk identity', () => {
+      const result = classifyField({ name: 'BodySerialNumber', value: 'A1' }, 'makerNotes');
+
+      expect(result).toMatchObject({ category: 'identity', risk: 3 });
+      expect(result.explanation).toMatch(/^BodySerialNumber uniquely identifies your phone/);
+    });
+
+    it('should treat unknown camera settings as low risk', () => {
+      expect(classifyField({ name: 'ExposureTime', value: '1/60' }, 'exif')).toMatchObject({ category: 'camera', risk: 1 });
+    });
+  });
+
+  describe('rankMetadata', () => {
+    it('should put the riskiest categories and fields first', () => {
+      const report = {
+        groups: [
+          {
+            id: 'exif',
+            label: 'EXIF',
+            entries: [
+              { name: 'FNumber', value: 'f/1.8' },
+              { name: 'Make', value: 'Phone Co' },
+              { name: 'DateTimeOriginal', value: '2024:01:01 10:00:00' },
+              { name: 'GPSLatitude', value: '51.5' },
+              { name: 'BodySerialNumber', value: 'A1' },
+            ],
+          },
+        ],
+      };
+
+      const ranked = rankMetadata(report);
+
+      expect(ranked.map((category) => category.id)).toEqual(['location', 'identity', 'time', 'camera']);
+      expect(ranked[1].fields.map((field) => field.name)).toEqual(['BodySerialNumber', 'Make']);
+      expect(ranked[0].fields[0].source).toBe('EXIF');
+    });
+  });
+
+  describe('fieldMatches', () => {
+    it('should search names, values and explanations case-insensitively', () => {
+      const field = { name: 'GPSLatitude', value: '51.5', source: 'EXIF', explanation: 'GPS places this photo' };
+
+      expect(fieldMatches(field, 'gps')).toBe(true);
+      expect(fieldMatches(field, '51.5')).toBe(true);
+      expect(fieldMatches(field, '  ')).toBe(true);
+      expect(fieldMatches(field, 'serial')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Pixel Scramble Module
+ *
+ * The shuffle step of the blur pipeline: moves the colours of pixelated
+ * blocks around within small 2D neighbourhoods and adds noise, so the blocks
+ * no longer say which part of the image they came from.
+ *
+ * - Which pixels take part is selected by the alpha channel: every pixel
+ *   that isn't fully transparent. Black pixels are scrambled like any other.
+ *   Region shapes are applied later, when layers are composited, so the
+ *   whole area is selected in practice.
+ * - The image is cut into square tiles, with the grid shifted by a random
+ *   offset on every call, and the selected pixels of each tile are permuted
+ *   with a Fisher–Yates shuffle - every arrangement equally likely.
+ * - Noise is added to each colour channel separately, from a configurable
+ *   distribution (see NOISE_DISTRIBUTIONS).
+ *
+ * All randomness comes from the pooled CSPRNG in utils/crypto. This module
+ * has no DOM dependencies, so the shuffle workers import it too.
+ *
+ * @module modules/pixelScramble
+ */
+
+import { randomInt, randomCryptoNumber } from '../utils/crypto.js';
+import { SHUFFLE_TILE_SIZE, PIXEL_NOISE_RANGE, PIXEL_NOISE_DISTRIBUTION } from '../utils/constants.js';
+
+/**
+ * Noise distributions, by id
+ * - uniform: every offset in [-range, range] equally likely
+ * - triangular: offsets in [-range, range], most likely near 0
+ * - gaussian: normal, standard deviation range / 2, cut off at ±range
+ * @constant {string[]}
+ */
+export const NOISE_DISTRIBUTIONS = ['uniform', 'triangular', 'gaussian'];
+
+/**
+ * Create a noise source
+ *
+ * @param {string} distribution - One of NOISE_DISTRIBUTIONS
+ * @param {number} range - Largest offset, in colour levels
+ * @returns {Function} Returns a random integer offset on each call
+ * @throws {Error} If the distribution is unknown
+ *
+ * @example
+ * const noise = createNoise('gaussian', 3);
+ * red += noise();
+ */
+export function createNoise(distribution, range) {
+  const limit = Math.max(0, Math.round(range));
+  if (limit === 0) return () => 0;
+
+  switch (distribution) {
+    case 'uniform':
+      return () => randomInt(-limit, limit);
+    case 'triangular':
+      return () => randomInt(0, limit) - randomInt(0, limit);
+    case 'gaussian':
+      return () => {
+        // Box–Muller; 1 - u keeps the logarithm finite
+        const u = 1 - randomCryptoNumber();
+        const v = randomCryptoNumber();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return Math.max(-limit, Math.min(limit, Math.round((z * limit) / 2)));
+      };
+    default:
+      throw new Error(`createNoise(): unknown distribution "${distribution}"`);
+  }
+}
+
+/**
+ * Shuffle the first entries of an array in place (Fisher–Yates)
+ *
+ * @param {Array|TypedArray} array - Array to shuffle
+ * @param {number} [length] - Number of entries to shuffle, from the start
+ * @returns {Array|TypedArray} The same array
+ *
+ * @example
+ * permute([1, 2, 3, 4]); // e.g. [3, 1, 4, 2]
+ */
+export function permute(array, length = array.length) {
+  for (let i = length - 1; i > 0; i--) {
+    const j = randomInt(0, i);
+    const held = array[i];
+    array[i] = array[j];
+    array[j] = held;
+  }
+  return array;
+}
+
+/**
+ * Scramble pixel data in place
+ *
+ * The colours (RGB) of the selected pixels are permuted within randomly
+ * placed square tiles, then noise is added to every channel. Alpha and
+ * unselected pixels are left untouched.
+ *
+ * @param {Uint8ClampedArray} pixels - Pixel data (RGBA)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [options] - Scramble options
+ * @param {number} [options.tileSize=SHUFFLE_TILE_SIZE] - Neighbourhood edge length, in pixels
+ * @param {number} [options.noiseRange=PIXEL_NOISE_RANGE] - Largest noise offset per channel
+ * @param {string} [options.noiseDistribution=PIXEL_NOISE_DISTRIBUTION] - One of NOISE_DISTRIBUTIONS
+ * @param {Function} [options.onProgress] - Called with the fraction done, once per row of tiles
+ * @returns {Uint8ClampedArray} The same pixel data
+ * @throws {Error} If secure randomness is unavailable or the distribution is unknown
+ *
+ * @example
+ * const imageData = ctx.getImageData(0, 0, w, h);
+ * scramblePixels(imageData.data, w, h);
+ * ctx.putImageData(imageData, 0, 0);
+ */
+export function scramblePixels(pixels, width, height, {
+  tileSize = SHUFFLE_TILE_SIZE,
+  noiseRange = PIXEL_NOISE_RANGE,
+  noiseDistribution = PIXEL_NOISE_DISTRIBUTION,
+  onProgress = null,
+} = {}) {
+  const size = Math.max(1, Math.round(tileSize));
+  const noise = createNoise(noiseDistribution, noiseRange);
+  const positions = new Int32Array(size * size);
+
+  // Shift the grid so tile edges can't be predicted from the image
+  const offsetX = randomInt(0, size - 1);
+  const offsetY = randomInt(0, size - 1);
+
+  for (let tileY = -offsetY; tileY < height; tileY += size) {
+    const top = Math.max(0, tileY);
+    const bottom = Math.min(height, tileY + size);
+
+    for (let tileX = -offsetX; tileX < width; tileX += size) {
+      const left = Math.max(0, tileX);
+      const right = Math.min(width, tileX + size);
+
+      // Collect the selected pixels of the tile
+      let count = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+          const p = y * width + x;
+          if (pixels[p * 4 + 3] > 0) {
+            positions[count++] = p;
+          }
+        }
+      }
+      if (count === 0) continue;
+
+      // Pixel k takes the colour of pixel order[k]
+      const order = permute(positions.slice(0, count));
+      const colors = new Uint8ClampedArray(count * 3);
+      for (let k = 0; k < count; k++) {
+        const i = order[k] * 4;
+        colors[k * 3] = pixels[i];
+        colors[k * 3 + 1] = pixels[i + 1];
+        colors[k * 3 + 2] = pixels[i + 2];
+      }
+      for (let k = 0; k < count; k++) {
+        const i = positions[k] * 4;
+        pixels[i] = colors[k * 3] + noise();
+        pixels[i + 1] = colors[k * 3 + 1] + noise();
+        pixels[i + 2] = colors[k * 3 + 2] + noise();
+      }
+    }
+
+    if (typeof onProgress === 'function') {
+      onProgress(Math.min(1, bottom / height));
+    }
+  }
+
+  return pixels;
+}
@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import { NOISE_DISTRIBUTIONS, createNoise, permute, scramblePixels } from './pixelScramble.js';
+
+/** Pixel data with every pixel's colour drawn from `color(index)` */
+const makePixels = (count, color, alpha = 255) => {
+  const pixels = new Uint8ClampedArray(count * 4);
+  for (let p = 0; p < count; p++) {
+    const [r, g, b] = color(p);
+    pixels.set([r, g, b, alpha], p * 4);
+  }
+  return pixels;
+};
+
+const colorsOf = (pixels) => {
+  const colors = [];
+  for (let i = 0; i < pixels.length; i += 4) {
+    colors.push(`${pixels[i]},${pixels[i + 1]},${pixels[i + 2]}`);
+  }
+  return colors;
+};
+
+const correlation = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  let varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+    varY += (ys[i] - meanY) ** 2;
+  }
+  return cov / Math.sqrt(varX * varY);
+};
+
+describe('Pixel Scramble', () => {
+  describe('permute', () => {
+    it('should keep every entry', () => {
+      const result = permute([1, 2, 3, 4, 5, 6]);
+      expect([...result].sort()).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should make every arrangement about equally likely', () => {
+      const counts = new Map();
+      const iterations = 24000;
+      for (let i = 0; i < iterations; i++) {
+        const key = permute(['a', 'b', 'c', 'd']).join('');
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      expect(counts.size).toBe(24);
+
+      // Chi-squared with 23 degrees of freedom; p < 0.001 above ~49.7
+      const expected = iterations / 24;
+      let chiSquared = 0;
+      counts.forEach((count) => {
+        chiSquared += (count - expected) ** 2 / expected;
+      });
+      expect(chiSquared).toBeLessThan(49.7);
+    });
+  });
+
+  describe('scramblePixels', () => {
+    it('should only move colours around when there is no noise', () => {
+      const pixels = makePixels(64, (p) => [p, p * 2, 255 - p]);
+      const before = colorsOf(pixels);
+
+      scramblePixels(pixels, 8, 8, { tileSize: 4, noiseRange: 0 });
+
+      expect(colorsOf(pixels).sort()).toEqual(before.sort());
+      expect(colorsOf(pixels)).not.toEqual(colorsOf(makePixels(64, (p) => [p, p * 2, 255 - p])));
+    });
+
+    it('should scramble black pixels too', () => {
+      // Half black, half white: the old rule skipped black pixels entirely
+      const pixels = makePixels(256, (p) => (p % 2 ? [255, 255, 255] : [0, 0, 0]));
+      scramblePixels(pixels, 16, 16, { noiseRange: 0 });
+
+      let blackMoved = 0;
+      for (let p = 0; p < 256; p += 2) {
+        if (pixels[p * 4] !== 0) blackMoved++;
+      }
+      expect(blackMoved).toBeGreaterThan(0);
+    });
+
+    it('should leave alpha and unselected pixels untouched', () => {
+      // Left half transparent, so not selected
+      const pixels = makePixels(64, (p) => [p, p, p]);
+      for (let p = 0; p < 64; p++) {
+        if (p % 8 < 4) pixels[p * 4 + 3] = 0;
+      }
+      const before = new Uint8ClampedArray(pixels);
+
+      scramblePixels(pixels, 8, 8, { noiseRange: 5 });
+
+      for (let p = 0; p < 64; p++) {
+        expect(pixels[p * 4 + 3]).toBe(before[p * 4 + 3]);
+        if (p % 8 < 4) {
+          expect(Array.from(pixels.subarray(p * 4, p * 4 + 4))).toEqual(Array.from(before.subarray(p * 4, p * 4 + 4)));
+        }
+      }
+    });
+
+    it('should only move colours within a small neighbourhood', () => {
+      // Encode each pixel's position in its colour
+      const size = 32;
+      const pixels = makePixels(size * size, (p) => [p % size, Math.floor(p / size), 0]);
+      scramblePixels(pixels, size, size, { tileSize: 4, noiseRange: 0 });
+
+      for (let p = 0; p < size * size; p++) {
+        expect(Math.abs(pixels[p * 4] - (p % size))).toBeLessThan(4);
+        expect(Math.abs(pixels[p * 4 + 1] - Math.floor(p / size))).toBeLessThan(4);
+      }
+    });
+
+    it('should leave no correlation between a pixel and its new colour', () => {
+      // White noise in, so neighbours carry no information about each other
+      const size = 64;
+      const input = makePixels(size * size, () => [Math.floor(Math.random() * 256), 0, 0]);
+      const output = scramblePixels(new Uint8ClampedArray(input), size, size, { noiseRange: 0 });
+
+      const xs = [];
+      const ys = [];
+      for (let i = 0; i < input.length; i += 4) {
+        xs.push(input[i]);
+        ys.push(output[i]);
+      }
+      // ~1/36 of pixels keep their colour, so allow a little correlation
+      expect(Math.abs(correlation(xs, ys))).toBeLessThan(0.1);
+    });
+
+    it('should report progress up to 1', () => {
+      const progress = [];
+      scramblePixels(makePixels(100, () => [1, 2, 3]), 10, 10, { onProgress: (value) => progress.push(value) });
+      expect(progress.length).toBeGreaterThan(1);
+      expect(progress[progress.length - 1]).toBe(1);
+    });
+  });
+
+  describe('createNoise', () => {
+    NOISE_DISTRIBUTIONS.forEach((distribution) => {
+      it(`should draw ${distribution} noise centred on 0 within the range`, () => {
+        const noise = createNoise(distribution, 10);
+        const samples = Array.from({ length: 20000 }, () => noise());
+
+        expect(Math.min(...samples)).toBeGreaterThanOrEqual(-10);
+        expect(Math.max(...samples)).toBeLessThanOrEqual(10);
+        expect(Math.abs(samples.reduce((sum, s) => sum + s, 0) / samples.length)).toBeLessThan(0.3);
+      });
+    });
+
+    it('should add independent noise to each channel', () => {
+      // A flat grey image, so any difference between channels is noise
+      const pixels = makePixels(4096, () => [128, 128, 128]);
+      scramblePixels(pixels, 64, 64, { noiseRange: 10, noiseDistribution: 'gaussian' });
+
+      const reds = [];
+      const greens = [];
+      for (let i = 0; i < pixels.length; i += 4) {
+        reds.push(pixels[i]);
+        greens.push(pixels[i + 1]);
+      }
+      expect(new Set(reds).size).toBeGreaterThan(5);
+      expect(Math.abs(correlation(reds, greens))).toBeLessThan(0.1);
+    });
+
+    it('should return no noise for a zero range', () => {
+      expect(createNoise('uniform', 0)()).toBe(0);
+    });
+
+    it('should throw on an unknown distribution', () => {
+      expect(() => createNoise('cauchy', 5)).toThrow('unknown distribution');
+    });
+  });
+});
@@ -7,21 +7,22 @@
  * 
  * The algorithm:
  * 1. Downsamples the image to create pixelation effect
- * 2. Shuffles pixels within a local neighborhood using crypto-random positions (via Web Worker)
- * 3. Adds random noise to each pixel to prevent pixel-perfect reconstruction
+ * 2. Shuffles pixels within small 2D tiles using crypto-random permutations (via Web Worker)
+ * 3. Adds random noise to each channel to prevent pixel-perfect reconstruction
  * 
- * PERFORMANCE: Pixel shuffling is offloaded to a Web Worker to keep the UI responsive
- * during processing of large images.
+ * Steps 2 and 3 live in modules/pixelScramble, shared with the workers.
+ * 
+ * PERFORMANCE: Where OffscreenCanvas is available, the whole pipeline (pixelate,
+ * shuffle, blur) runs in a Web Worker (blurAreaAsync). Otherwise pixelateCanvas()
+ * runs on the main thread and only the shuffle is offloaded to a worker, with a
+ * synchronous fallback if that worker fails.
  * 
  * @module modules/pixelation
  * @see {@link https://en.wikipedia.org/wiki/Pixelization}
  */
 
-import {
-  randomCryptoNumber,
-  negativeOrPositive,
-  scale,
-} from '../utils/crypto.js';
+import { scale } from '../utils/crypto.js';
+import { scramblePixels } from './pixelScramble.js';
 
 import {
   PIXELATION_MIN_DIMENSION,
@@ -29,14 +30,19 @@ import {
   MIN_PIXELATION_SCALE,
   MAX_PIXELATION_SCALE,
   PIXEL_NOISE_RANGE,
-  SHUFFLE_RANGE_DIVISOR,
+  PIXEL_NOISE_DISTRIBUTION,
+  SHUFFLE_TILE_SIZE,
 } from '../utils/constants.js';
 
-// Import Web Worker for pixel shuffling
+// Import Web Workers for pixel shuffling and the whole blur pipeline
 import PixelShuffleWorker from '../workers/pixelShuffle.worker.js?worker';
+import BlurPipelineWorker from '../workers/blurPipeline.worker.js?worker';
 
-// Worker instance (reused across calls for efficiency)
+// Worker instances (reused across calls for efficiency)
 let shuffleWorker = null;
+let pipelineWorker = null;
+// Id of the next blur pipeline job (replies are matched by id)
+let nextPipelineJobId = 1;
 
 /**
  * Get or create the pixel shuffle worker instance
@@ -50,6 +56,135 @@ function getShuffleWorker() {
   return shuffleWorker;
 }
 
+/**
+ * Get or create the blur pipeline worker instance
+ * @returns {Worker} Worker instance
+ * @private
+ */
+function getPipelineWorker() {
+  if (!pipelineWorker) {
+    pipelineWorker = new BlurPipelineWorker();
+  }
+  return pipelineWorker;
+}
+
+/**
+ * Check whether the blur pipeline can run in a worker
+ * Needs OffscreenCanvas (with a 2D context) and ImageBitmap; without them,
+ * areas are processed with pixelateCanvas() and stackblur on the main thread.
+ *
+ * @returns {boolean} True if blurAreaAsync() can be used
+ */
+export function supportsBlurWorker() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function';
+}
+
+/**
+ * Run pixelate → shuffle → blur on an area of the image in a worker
+ *
+ * The area is sent as a transferred ImageBitmap, so the main thread never
+ * reads its pixels. The result can be masked to a set of rectangles, so
+ * padding processed only for context comes back transparent and the bitmap
+ * can be drawn straight over a layer.
+ *
+ * @param {HTMLCanvasElement} source - Whole original image
+ * @param {{x: number, y: number, width: number, height: number}} area - Area of source to process
+ * @param {number} blurAmount - Stackblur radius
+ * @param {Array<{x: number, y: number, width: number, height: number}>} [keep] - Rectangles to keep (image coordinates); all of the area if omitted
+ * @param {Object} [options] - Progress and cancel options
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker
+ * @param {Function} [options.onProgress] - Called with the fraction done
+ * @returns {Promise<ImageBitmap>} Processed area, the size of area
+ * @throws {Error} If the worker fails, or an AbortError if cancelled
+ *
+ * @example
+ * const bitmap = await blurAreaAsync(rotationCanvas, area, region.blurAmount);
+ * layerCtx.drawImage(bitmap, area.x, area.y);
+ */
+export async function blurAreaAsync(source, area, blurAmount, keep = null, { signal = null, onProgress = null } = {}) {
+  signal?.throwIfAborted();
+  const bitmap = await createImageBitmap(source, area.x, area.y, area.width, area.height);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      bitmap.close();
+      reject(signal.reason);
+      return;
+    }
+
+    const worker = getPipelineWorker();
+    const id = nextPipelineJobId++;
+
+    const cleanup = () => {
+      worker.removeEventListener('message', handleMessage);
+      worker.removeEventListener('error', handleError);
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    const handleMessage = (event) => {
+      if (event.data.id !== id) return;
+      if (event.data.type === 'progress') {
+        if (typeof onProgress === 'function') onProgress(event.data.progress);
+        return;
+      }
+      cleanup();
+      if (event.data.success) {
+        resolve(event.data.bitmap);
+      } else {
+        reject(new Error(event.data.error || 'Worker processing failed'));
+      }
+    };
+
+    const handleError = (error) => {
+      cleanup();
+      reject(new Error(`Worker error: ${error.message}`));
+    };
+
+    // The worker can't be interrupted mid-job, so it is replaced
+    const handleAbort = () => {
+      cleanup();
+      worker.terminate();
+      pipelineWorker = null;
+      reject(signal.reason);
+    };
+
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    signal?.addEventListener('abort', handleAbort);
+    worker.postMessage({
+      id,
+      bitmap,
+      keep: keep && keep.map((rect) => ({ ...rect, x: rect.x - area.x, y: rect.y - area.y })),
+      pixelationScale: getPixelationScale(source.width, source.height),
+      blurRadius: blurAmount,
+      tileSize: SHUFFLE_TILE_SIZE,
+      noiseRange: PIXEL_NOISE_RANGE,
+      noiseDistribution: PIXEL_NOISE_DISTRIBUTION
+    }, [bitmap]);
+  });
+}
+
+/**
+ * Get the pixelation scale for an image
+ * Larger images get smaller pixels for consistent visual effect; one block
+ * is 1 / scale image pixels wide.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} Downsampling factor between MIN_PIXELATION_SCALE and MAX_PIXELATION_SCALE
+ */
+export function getPixelationScale(width, height) {
+  return scale(
+    Math.max(width, height),
+    PIXELATION_MIN_DIMENSION,
+    PIXELATION_BASE_DIMENSION,
+    MAX_PIXELATION_SCALE,
+    MIN_PIXELATION_SCALE
+  );
+}
+
 /**
  * Pixelate and shuffle canvas pixels for enhanced privacy
  * 
@@ -65,9 +200,12 @@ function getShuffleWorker() {
  * @param {CanvasRenderingContext2D} inCtx - Context for the input canvas
  * @param {HTMLCanvasElement} offscreenCanvas - Temporary canvas for processing
  * @param {CanvasRenderingContext2D} offscreenCtx - Context for offscreen canvas
- * @param {HTMLCanvasElement} mainCanvas - Main canvas (used for dimension scaling)
+ * @param {HTMLCanvasElement} mainCanvas - Whole image (sets the pixel size)
+ * @param {Object} [options] - Progress and cancel options
+ * @param {AbortSignal} [options.signal] - Aborting stops the shuffle worker; inCanvas is then left half done
+ * @param {Function} [options.onProgress] - Called with the fraction of the shuffle done
  * @returns {Promise<void>} Resolves when pixelation is complete
- * @throws {Error} If canvas parameters are invalid or worker fails
+ * @throws {Error} If canvas parameters are invalid or worker fails, or an AbortError if cancelled
  * 
  * @example
  * await pixelateCanvas(blurredCanvas, blurredCtx, offscreenCanvas, offscreenCtx, mainCanvas);
@@ -77,7 +215,8 @@ export async function pixelateCanvas(
   inCtx,
   offscreenCanvas,
   offscreenCtx,
-  mainCanvas
+  mainCanvas,
+  { signal = null, onProgress = null } = {}
 ) {
   // TODO: Add input validation for all canvas parameters
   if (!inCanvas || !inCtx || !offscreenCanvas || !offscreenCtx || !mainCanvas) {
@@ -85,16 +224,11 @@ export async function pixelateCanvas(
     return;
   }
   
-  // Calculate pixelation size based on image dimensions
-  // Larger images get smaller pixels for consistent visual effect
-  const biggerDimension = Math.max(inCanvas.width, inCanvas.height);
-  const size = scale(
-    biggerDimension,
-    PIXELATION_MIN_DIMENSION,
-    PIXELATION_BASE_DIMENSION,
-    MAX_PIXELATION_SCALE,
-    MIN_PIXELATION_SCALE
-  );
+  // Pixel size comes from the whole image, so a piece of it (inCanvas may
+  // be just the area around a stroke) gets the same blocks as a full pass
+  // NOTE: Block edges line up with the piece, not the image, so they may
+  // shift by a few pixels between pieces; the blur that follows hides it
+  const size = getPixelationScale(mainCanvas.width, mainCanvas.height);
   
   // OPTIMIZE: Consider caching these calculations if dimensions don't change
   const w = Math.floor(inCanvas.width * size);
@@ -139,12 +273,13 @@ export async function pixelateCanvas(
   // We must use .set() to copy values into it rather than reassigning the property.
   try {
     // Shuffle pixels in Web Worker for better performance
-    const shuffledData = await shufflePixelsAsync(pixelArray.data, mainCanvas);
+    const shuffledData = await shufflePixelsAsync(pixelArray.data, w, h, { signal, onProgress });
     pixelArray.data.set(shuffledData);
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Pixel shuffling failed, falling back to synchronous:', error);
     // Fallback to synchronous shuffling if worker fails
-    const shuffledData = shufflePixelsSync(pixelArray.data, mainCanvas);
+    const shuffledData = shufflePixelsSync(pixelArray.data, w, h);
     pixelArray.data.set(shuffledData);
   }
 
@@ -173,23 +308,41 @@ export async function pixelateCanvas(
  * This is especially important for large images where shuffling can take 100ms+.
  * 
  * @param {Uint8ClampedArray} array - Raw pixel data (RGBA format, 4 bytes per pixel)
- * @param {HTMLCanvasElement} canvas - Reference canvas for dimension calculations
+ * @param {number} width - Width of the pixel data
+ * @param {number} height - Height of the pixel data
+ * @param {Object} [options] - Progress and cancel options
+ * @param {AbortSignal} [options.signal] - Aborting terminates the worker
+ * @param {Function} [options.onProgress] - Called with the fraction done
  * @returns {Promise<Uint8ClampedArray>} Modified pixel data with shuffled and noised pixels
- * @throws {Error} If worker fails to process the data
+ * @throws {Error} If worker fails to process the data, or an AbortError if cancelled
  * 
  * @private
  */
-async function shufflePixelsAsync(array, canvas) {
+async function shufflePixelsAsync(array, width, height, { signal = null, onProgress = null } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
     const worker = getShuffleWorker();
     
     // Create a copy of the pixel data to send to worker
     const pixelDataCopy = new Uint8ClampedArray(array);
     
-    // Handle worker response
-    const handleMessage = (event) => {
+    const cleanup = () => {
       worker.removeEventListener('message', handleMessage);
       worker.removeEventListener('error', handleError);
+      signal?.removeEventListener('abort', handleAbort);
+    };
+    
+    // Handle worker response
+    const handleMessage = (event) => {
+      if (event.data.type === 'progress') {
+        if (typeof onProgress === 'function') onProgress(event.data.progress);
+        return;
+      }
+      cleanup();
       
       if (event.data.success) {
         resolve(new Uint8ClampedArray(event.data.pixelData));
@@ -200,22 +353,31 @@ async function shufflePixelsAsync(array, canvas) {
     
     // Handle worker error
     const handleError = (error) => {
-      worker.removeEventListener('message', handleMessage);
-      worker.removeEventListener('error', handleError);
+      cleanup();
       reject(new Error(`Worker error: ${error.message}`));
     };
     
+    // The worker can't be interrupted mid-shuffle, so it is replaced
+    const handleAbort = () => {
+      cleanup();
+      worker.terminate();
+      shuffleWorker = null;
+      reject(signal.reason);
+    };
+    
     worker.addEventListener('message', handleMessage);
     worker.addEventListener('error', handleError);
+    signal?.addEventListener('abort', handleAbort);
     
     // Send data to worker
     worker.postMessage({
       pixelData: pixelDataCopy,
-      canvasWidth: canvas.width,
-      canvasHeight: canvas.height,
-      shuffleRangeDivisor: SHUFFLE_RANGE_DIVISOR,
-      pixelNoiseRange: PIXEL_NOISE_RANGE
-    });
+      width,
+      height,
+      tileSize: SHUFFLE_TILE_SIZE,
+      noiseRange: PIXEL_NOISE_RANGE,
+      noiseDistribution: PIXEL_NOISE_DISTRIBUTION
+    }, [pixelDataCopy.buffer]);
   });
 }
 
@@ -225,65 +387,20 @@ async function shufflePixelsAsync(array, canvas) {
  * Synchronous version of pixel shuffling for fallback when Web Worker fails.
  * This will block the main thread but ensures functionality.
  * 
- * NOTE: Only non-black pixels are shuffled (to preserve the blur mask)
+ * NOTE: Every pixel that isn't fully transparent is shuffled, black included
  * 
  * @param {Uint8ClampedArray} array - Raw pixel data (RGBA format, 4 bytes per pixel)
- * @param {HTMLCanvasElement} canvas - Reference canvas for dimension calculations
+ * @param {number} width - Width of the pixel data
+ * @param {number} height - Height of the pixel data
  * @returns {Uint8ClampedArray} Modified pixel data with shuffled and noised pixels
+ * @throws {Error} If secure randomness is unavailable
  * 
  * @private
  */
-function shufflePixelsSync(array, canvas) {
-  // OPTIMIZE: This function is performance-critical for large images
-  
-  const biggerDimension = Math.max(canvas.width, canvas.height);
-  const holderArray = [];
-
-  // Collect all non-black pixels (black pixels = untouched areas from the mask)
-  for (let i = 0, n = array.length; i < n; i += 4) {
-    const red = array[i];
-    const green = array[i + 1];
-    const blue = array[i + 2];
-    // Alpha is at i + 3, but we don't check it
-
-    // NOTE: We use red + green + blue !== 0 to identify "active" pixels
-    // This means pure black (#000000) in the original image will not be shuffled
-    // TODO: Consider using alpha channel instead for more reliable masking
-    if (red + green + blue !== 0) {
-      holderArray.push([i, array[i], array[i + 1], array[i + 2]]);
-    }
-  }
-
-  // Shuffle each pixel with a nearby pixel + add noise
-  for (let x = 0; x < holderArray.length; x++) {
-    // Calculate a random offset within a neighborhood
-    // Neighborhood size scales with image dimensions for consistent effect
-    const maxOffset = biggerDimension / SHUFFLE_RANGE_DIVISOR;
-    const randomOffset = Math.floor(
-      randomCryptoNumber() * maxOffset * negativeOrPositive()
-    );
-    
-    const randomElement = x + randomOffset;
-
-    // Bounds check - if out of range, use current element
-    const safeElement =
-      randomElement >= holderArray.length || randomElement < 0
-        ? x
-        : randomElement;
-
-    // Swap pixels and add cryptographic noise
-    // NOTE: Noise range is ±3 which is generally imperceptible but prevents reconstruction
-    array[holderArray[x][0]] =
-      holderArray[safeElement][1] +
-      Math.round(randomCryptoNumber() * negativeOrPositive() * PIXEL_NOISE_RANGE);
-    array[holderArray[x][0] + 1] =
-      holderArray[safeElement][2] +
-      Math.round(randomCryptoNumber() * negativeOrPositive() * PIXEL_NOISE_RANGE);
-    array[holderArray[x][0] + 2] =
-      holderArray[safeElement][3] +
-      Math.round(randomCryptoNumber() * negativeOrPositive() * PIXEL_NOISE_RANGE);
-    // Alpha channel (i + 3) is not modified
-  }
-
-  return array;
+function shufflePixelsSync(array, width, height) {
+  return scramblePixels(array, width, height, {
+    tileSize: SHUFFLE_TILE_SIZE,
+    noiseRange: PIXEL_NOISE_RANGE,
+    noiseDistribution: PIXEL_NOISE_DISTRIBUTION,
+  });
 }
@@ -0,0 +1,134 @@
+/**
+ * Queue Panel Module
+ *
+ * Renders the batch queue as a strip of thumbnails. Clicking a thumbnail
+ * opens that photo in the editor; the panel also offers saving every photo
+ * as separate files or as a single ZIP archive.
+ *
+ * @module modules/queuePanel
+ */
+
+/**
+ * Render the queue items into the queue panel
+ *
+ * @param {Object} queue - Queue from createBatchQueue()
+ *
+ * @example
+ * const queue = createBatchQueue({ onChange: () => renderQueuePanel(queue) });
+ */
+export function renderQueuePanel(queue) {
+  const panel = document.getElementById('queuePanel');
+  const list = document.getElementById('queueList');
+  const count = document.getElementById('queueCount');
+  const saveAllButton = document.getElementById('queueSaveAll');
+  const saveZipButton = document.getElementById('queueSaveZip');
+
+  if (!panel || !list || !queue) return;
+
+  const items = queue.getItems();
+  const active = queue.getActive();
+
+  // The panel is only useful once there is more than one photo
+  panel.hidden = items.length < 2;
+
+  list.innerHTML = '';
+  items.forEach((item, index) => {
+    list.appendChild(createQueueItem(item, index, active && active.id === item.id));
+  });
+
+  if (count) count.textContent = `${items.length} photo(s)`;
+  if (saveAllButton) saveAllButton.disabled = items.length === 0;
+  if (saveZipButton) saveZipButton.disabled = items.length === 0;
+}
+
+/**
+ * Create a single queue list item
+ *
+ * @param {Object} item - Queue item
+ * @param {number} index - Position in the queue
+ * @param {boolean} active - Whether the item is open in the editor
+ * @returns {HTMLLIElement} List item element
+ * @private
+ */
+function createQueueItem(item, index, active) {
+  const listItem = document.createElement('li');
+  listItem.className = 'queue-item';
+  if (active) listItem.classList.add('active');
+
+  const openButton = document.createElement('button');
+  openButton.type = 'button';
+  openButton.className = 'queue-open';
+  openButton.dataset.queueOpen = String(item.id);
+  openButton.setAttribute(
+    'aria-label',
+    `Photo ${index + 1}: ${item.file.name}${item.regions.length ? `, ${item.regions.length} redaction(s)` : ''}`
+  );
+  if (active) openButton.setAttribute('aria-current', 'true');
+
+  const thumbnail = document.createElement('img');
+  thumbnail.src = item.thumbnailUrl;
+  thumbnail.alt = '';
+  thumbnail.loading = 'lazy';
+  openButton.appendChild(thumbnail);
+
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.className = 'queue-remove';
+  removeButton.dataset.queueRemove = String(item.id);
+  removeButton.setAttribute('aria-label', `Remove ${item.file.name} from the queue`);
+  removeButton.textContent = '×';
+
+  listItem.appendChild(openButton);
+  listItem.appendChild(removeButton);
+  return listItem;
+}
+
+/**
+ * Attach click handlers to the queue panel controls
+ *
+ * @param {Object} queue - Queue from createBatchQueue()
+ * @param {Object} handlers - Panel callbacks
+ * @param {Function} handlers.onOpen - Called with an item id when a thumbnail is clicked
+ * @param {Function} handlers.onRemove - Called with an item id when its remove button is clicked
+ * @param {Function} handlers.onSaveAll - Called to save every photo as separate files
+ * @param {Function} handlers.onSaveZip - Called to save every photo as one ZIP archive
+ *
+ * @example
+ * setupQueuePanel(queue, { onOpen, onRemove, onSaveAll, onSaveZip });
+ */
+export function setupQueuePanel(queue, { onOpen, onRemove, onSaveAll, onSaveZip }) {
+  const list = document.getElementById('queueList');
+  const saveAllButton = document.getElementById('queueSaveAll');
+  const saveZipButton = document.getElementById('queueSaveZip');
+
+  if (!queue) {
+    console.error('setupQueuePanel: queue is required');
+    return;
+  }
+
+  if (list) {
+    // Event delegation: list items are re-rendered on every change
+    list.addEventListener('click', (e) => {
+      const removeButton = e.target.closest('[data-queue-remove]');
+      if (removeButton) {
+        onRemove(Number(removeButton.dataset.queueRemove));
+        return;
+      }
+
+      const openButton = e.target.closest('[data-queue-open]');
+      if (openButton) {
+        onOpen(Number(openButton.dataset.queueOpen));
+      }
+    });
+  }
+
+  if (saveAllButton) {
+    saveAllButton.addEventListener('click', () => onSaveAll());
+  }
+
+  if (saveZipButton) {
+    saveZipButton.addEventListener('click', () => onSaveZip());
+  }
+
+  renderQueuePanel(queue);
+}
@@ -0,0 +1,405 @@
+/**
+ * Redaction Audit Module
+ *
+ * Checks each new blur region for signs that what it hides could still be
+ * read or reconstructed - a low blur radius over large, high-contrast text
+ * is the usual case. The region is rendered as it will be saved and
+ * compared with the original in rotationCanvas on three measures:
+ *
+ * - Edge energy: how strong the original's edges are (nothing legible
+ *   without them) and how much of that energy the result kept
+ * - Local correlation: whether the result still follows the original's
+ *   light and dark shapes, window by window
+ * - High-frequency residue: the share of the original's fine detail
+ *   (pixel-to-pixel gradients) still present, in the same direction
+ *
+ * Shuffled and noisy results are uncorrelated with the original and pass;
+ * blurs and pixelation that keep shapes or letter edges are flagged, with a
+ * suggestion for something stronger, and highlighted on the canvas.
+ *
+ * A region is audited when it is added or edited, and again when the undo,
+ * paint or other flat regions stacked over it change: those restore or hide
+ * parts of it, and only what is left visible is measured.
+ *
+ * @module modules/redactionAudit
+ */
+
+import { fillCoverage } from './drawing.js';
+import { getCoverageBounds } from './redactionDocument.js';
+import { usesStyleLayer, getRegionStyle } from './redactionStyles.js';
+import { clampBounds, rectsOverlap } from '../utils/canvas.js';
+import {
+  REDACTION_STYLES,
+  AUDIT_MAX_SIZE,
+  AUDIT_WINDOW_SIZE,
+  AUDIT_MIN_EDGE_ENERGY,
+  AUDIT_MAX_RESIDUE,
+  AUDIT_MAX_CORRELATION,
+  AUDIT_MIN_EDGE_RETENTION,
+  AUDIT_HIGHLIGHT_COLOR,
+} from '../utils/constants.js';
+
+/**
+ * Mask color used when drawing region shapes (only the alpha matters)
+ * @private
+ */
+const MASK_COLOR = '#000000';
+
+/**
+ * Opacity of the highlight fill over flagged regions
+ * @private
+ */
+const HIGHLIGHT_ALPHA = 0.35;
+
+/**
+ * Whether a region changes what shows of the regions under it: undo
+ * regions restore the original, and flat regions (paint, average colour,
+ * content-aware fill) hide it completely
+ * @private
+ */
+function masksRegionsBelow(region) {
+  if (region.mode === 'undo' || region.mode === 'paint') return true;
+  return region.mode === 'blur' && (Boolean(region.fill) || getRegionStyle(region) === 'average');
+}
+
+/**
+ * Convert RGBA pixels to luminance (Rec. 601)
+ * @private
+ */
+function toLuminance(pixels) {
+  const luminance = new Float32Array(pixels.length / 4);
+  for (let p = 0; p < luminance.length; p++) {
+    const i = p * 4;
+    luminance[p] = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+  }
+  return luminance;
+}
+
+/**
+ * Correlation of two images over square windows, weighted by the
+ * original's variance in each window (detailed windows count more)
+ * A window whose result is flat counts as 0: nothing shows through.
+ * @private
+ */
+function measureLocalCorrelation(original, output, selected, width, height) {
+  let weighted = 0;
+  let totalWeight = 0;
+  const minCount = (AUDIT_WINDOW_SIZE * AUDIT_WINDOW_SIZE) / 2;
+
+  for (let top = 0; top < height; top += AUDIT_WINDOW_SIZE) {
+    for (let left = 0; left < width; left += AUDIT_WINDOW_SIZE) {
+      let count = 0;
+      let sumO = 0;
+      let sumP = 0;
+      let sumOO = 0;
+      let sumPP = 0;
+      let sumOP = 0;
+
+      for (let y = top; y < Math.min(height, top + AUDIT_WINDOW_SIZE); y++) {
+        for (let x = left; x < Math.min(width, left + AUDIT_WINDOW_SIZE); x++) {
+          const p = y * width + x;
+          if (!selected[p]) continue;
+          count++;
+          sumO += original[p];
+          sumP += output[p];
+          sumOO += original[p] * original[p];
+          sumPP += output[p] * output[p];
+          sumOP += original[p] * output[p];
+        }
+      }
+      if (count < minCount) continue;
+
+      const varO = sumOO / count - (sumO / count) ** 2;
+      const varP = sumPP / count - (sumP / count) ** 2;
+      const cov = sumOP / count - (sumO / count) * (sumP / count);
+      if (varO <= 1) continue;
+
+      const r = varP > 1 ? cov / Math.sqrt(varO * varP) : 0;
+      weighted += r * varO;
+      totalWeight += varO;
+    }
+  }
+
+  return totalWeight > 0 ? weighted / totalWeight : 0;
+}
+
+/**
+ * Measure how much of the original shows through a redacted area
+ *
+ * @param {Uint8ClampedArray} original - Original RGBA pixels
+ * @param {Uint8ClampedArray} output - Redacted RGBA pixels (same size)
+ * @param {Uint8ClampedArray} mask - RGBA mask; pixels with alpha > 0 are measured
+ * @param {number} width - Width of the area
+ * @param {number} height - Height of the area
+ * @returns {{pixels: number, edgeEnergy: number, edgeRetention: number, correlation: number, residue: number}}
+ *   Pixel count, RMS luminance gradient of the original, the result's edge
+ *   energy relative to it, local correlation (-1 to 1) and high-frequency residue (0 to 1)
+ *
+ * @example
+ * const measurement = measureRecoverability(before.data, after.data, mask.data, w, h);
+ * if (measurement.residue > 0.5) console.warn('Letter edges survived');
+ */
+export function measureRecoverability(original, output, mask, width, height) {
+  const selected = new Uint8Array(width * height);
+  let pixels = 0;
+  for (let p = 0; p < selected.length; p++) {
+    if (mask[p * 4 + 3] > 0) {
+      selected[p] = 1;
+      pixels++;
+    }
+  }
+  if (pixels === 0) {
+    return { pixels: 0, edgeEnergy: 0, edgeRetention: 0, correlation: 0, residue: 0 };
+  }
+
+  const lumO = toLuminance(original);
+  const lumP = toLuminance(output);
+
+  // Gradients between neighbouring selected pixels (first differences are a high-pass filter)
+  let gradients = 0;
+  let energyO = 0;
+  let energyP = 0;
+  let projection = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      if (!selected[p]) continue;
+
+      const neighbours = [];
+      if (x + 1 < width && selected[p + 1]) neighbours.push(p + 1);
+      if (y + 1 < height && selected[p + width]) neighbours.push(p + width);
+      neighbours.forEach((q) => {
+        const gradientO = lumO[q] - lumO[p];
+        const gradientP = lumP[q] - lumP[p];
+        energyO += gradientO * gradientO;
+        energyP += gradientP * gradientP;
+        projection += gradientO * gradientP;
+        gradients++;
+      });
+    }
+  }
+
+  return {
+    pixels,
+    edgeEnergy: gradients > 0 ? Math.sqrt(energyO / gradients) : 0,
+    edgeRetention: energyO > 0 ? Math.sqrt(energyP / energyO) : 0,
+    correlation: measureLocalCorrelation(lumO, lumP, selected, width, height),
+    residue: energyO > 0 ? Math.max(0, Math.min(1, projection / energyO)) : 0,
+  };
+}
+
+/**
+ * Decide whether a measured region could still be read
+ *
+ * @param {Object} measurement - Result of measureRecoverability()
+ * @returns {{weak: boolean, reasons: string[]}} Whether to flag the region, and why
+ */
+export function assessRecoverability({ pixels, edgeEnergy, edgeRetention, correlation, residue }) {
+  const reasons = [];
+
+  // Nothing legible underneath, so nothing to give away
+  if (pixels === 0 || edgeEnergy < AUDIT_MIN_EDGE_ENERGY) {
+    return { weak: false, reasons };
+  }
+
+  if (residue >= AUDIT_MAX_RESIDUE) {
+    reasons.push('fine detail such as letter edges survives');
+  }
+  if (correlation >= AUDIT_MAX_CORRELATION && edgeRetention >= AUDIT_MIN_EDGE_RETENTION) {
+    reasons.push('the shapes underneath still show through');
+  }
+
+  return { weak: reasons.length > 0, reasons };
+}
+
+/**
+ * Suggest a stronger redaction for a flagged region
+ *
+ * @param {Object} region - Blur region
+ * @returns {string} Suggestion for the user
+ */
+export function getAuditSuggestion(region) {
+  const style = getRegionStyle(region);
+  const { strengthLabel, max } = REDACTION_STYLES[style] || {};
+
+  if (style === 'solid' || !max || region.blurAmount >= max) {
+    return 'Use Paint, or a darker Solid fill, instead.';
+  }
+  return `Raise the ${strengthLabel} (up to ${max}), or use Solid fill or Paint instead.`;
+}
+
+/**
+ * Create the auditor for a redaction document
+ *
+ * @param {Object} options - Auditor options
+ * @param {HTMLCanvasElement} options.rotationCanvas - Original image
+ * @param {Object} options.redactionDocument - Document from createRedactionDocument()
+ * @param {Function} options.renderArea - Renders an area as it will be saved (see regionRenderer)
+ * @param {Function} [options.onFlag] - Called with (region, result) for each region found weak
+ * @param {Function} [options.onChange] - Called when highlights need redrawing
+ * @returns {Object} Auditor API (audit, drawOverlay, getFlagged)
+ *
+ * @example
+ * const auditor = createRedactionAuditor({ rotationCanvas, redactionDocument, renderArea: renderer.renderArea });
+ * await auditor.audit();
+ */
+export function createRedactionAuditor({
+  rotationCanvas,
+  redactionDocument,
+  renderArea,
+  onFlag = null,
+  onChange = null,
+}) {
+  // Region -> { weak, reasons, suggestion, above }
+  // Edits replace regions rather than mutating them, so an edited region is
+  // audited again; `above` lists the masking regions over it at the time
+  const results = new WeakMap();
+  let auditing = null;
+  let auditPending = false;
+
+  /**
+   * Render a region's area and measure it against the original
+   * @private
+   */
+  const auditRegion = async (region, above) => {
+    const { width, height } = rotationCanvas;
+    const rect = clampBounds(getCoverageBounds(region, width, height), width, height);
+    if (!rect) return { weak: false, reasons: [] };
+
+    const scale = Math.min(1, AUDIT_MAX_SIZE / Math.max(rect.width, rect.height));
+    const output = await renderArea(rect, scale);
+    const w = output.width;
+    const h = output.height;
+
+    const originalCanvas = document.createElement('canvas');
+    originalCanvas.width = w;
+    originalCanvas.height = h;
+    const originalCtx = originalCanvas.getContext('2d', { willReadFrequently: true });
+    originalCtx.drawImage(rotationCanvas, rect.x, rect.y, rect.width, rect.height, 0, 0, w, h);
+
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = w;
+    maskCanvas.height = h;
+    const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+    maskCtx.scale(scale, scale);
+    maskCtx.translate(-rect.x, -rect.y);
+    fillCoverage(maskCtx, region, MASK_COLOR, width, height);
+
+    // Later undo regions deliberately restore the original, and flat regions
+    // hide it completely, so skip the pixels under either
+    maskCtx.globalCompositeOperation = 'destination-out';
+    above.forEach((later) => fillCoverage(maskCtx, later, MASK_COLOR, width, height));
+
+    const measurement = measureRecoverability(
+      originalCtx.getImageData(0, 0, w, h).data,
+      output.getContext('2d').getImageData(0, 0, w, h).data,
+      maskCtx.getImageData(0, 0, w, h).data,
+      w,
+      h
+    );
+    const assessment = assessRecoverability(measurement);
+    return {
+      ...assessment,
+      suggestion: assessment.weak ? getAuditSuggestion(region) : '',
+    };
+  };
+
+  /**
+   * Masking regions stacked over a region that overlap it
+   * @private
+   */
+  const getRegionsAbove = (region, laterRegions) => {
+    const { width, height } = rotationCanvas;
+    const rect = clampBounds(getCoverageBounds(region, width, height), width, height);
+    return laterRegions.filter((later) => masksRegionsBelow(later) &&
+      rectsOverlap(clampBounds(getCoverageBounds(later, width, height), width, height), rect));
+  };
+
+  const auditOnce = async () => {
+    const regions = redactionDocument.getRegions();
+    let changed = false;
+
+    for (const [index, region] of regions.entries()) {
+      if (!usesStyleLayer(region)) continue;
+
+      const above = getRegionsAbove(region, regions.slice(index + 1));
+      const previous = results.get(region);
+      if (previous && previous.above.length === above.length &&
+        previous.above.every((later, i) => later === above[i])) continue;
+
+      let result;
+      try {
+        result = { ...(await auditRegion(region, above)), above };
+      } catch (error) {
+        console.error('Failed to audit region:', error);
+        result = { weak: false, reasons: [], above };
+      }
+      results.set(region, result);
+
+      // Skip regions removed or edited while they were measured
+      if (redactionDocument.getRegion(region.id) !== region) continue;
+      if (result.weak !== Boolean(previous?.weak)) {
+        changed = true;
+      }
+      if (result.weak && !previous?.weak && typeof onFlag === 'function') {
+        onFlag(region, result);
+      }
+    }
+
+    if (changed && typeof onChange === 'function') {
+      onChange();
+    }
+  };
+
+  /**
+   * Audit the regions added or edited since the last audit
+   * Calls made while an audit is running are coalesced into one extra pass.
+   * @returns {Promise<void>} Resolves once every current region is audited
+   */
+  const audit = () => {
+    if (auditing) {
+      auditPending = true;
+      return auditing;
+    }
+
+    auditing = (async () => {
+      try {
+        do {
+          auditPending = false;
+          await auditOnce();
+        } while (auditPending);
+      } finally {
+        auditing = null;
+      }
+    })();
+
+    return auditing;
+  };
+
+  /**
+   * Current regions flagged as possibly readable
+   * @returns {Object[]} Regions, in stacking order
+   */
+  const getFlagged = () => redactionDocument.getRegions().filter((region) => results.get(region)?.weak);
+
+  /**
+   * Highlight the flagged regions
+   * Called by the region renderer after every render.
+   * @param {CanvasRenderingContext2D} ctx - Visible canvas context
+   */
+  const drawOverlay = (ctx) => {
+    const { width, height } = rotationCanvas;
+    getFlagged().forEach((region) => {
+      ctx.save();
+      ctx.globalAlpha = HIGHLIGHT_ALPHA;
+      fillCoverage(ctx, region, AUDIT_HIGHLIGHT_COLOR, width, height);
+      ctx.restore();
+    });
+  };
+
+  return {
+    audit,
+    drawOverlay,
+    getFlagged,
+  };
+}
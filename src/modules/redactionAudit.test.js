@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { measureRecoverability, assessRecoverability, getAuditSuggestion } from './redactionAudit.js';
+
+const SIZE = 64;
+
+/** Grey image from a luminance function */
+const makeImage = (luminance) => {
+  const pixels = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const value = luminance(x, y);
+      pixels.set([value, value, value, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return pixels;
+};
+
+/** Dark "letters" on white: 4px strokes on a grid, like large text */
+const text = makeImage((x, y) => ((x % 12 < 4 || y % 16 < 4) ? 20 : 235));
+
+/** Box blur of the given radius */
+const boxBlur = (pixels, radius) => makeImage((x, y) => {
+  let sum = 0;
+  let count = 0;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const sx = Math.min(SIZE - 1, Math.max(0, x + dx));
+      const sy = Math.min(SIZE - 1, Math.max(0, y + dy));
+      sum += pixels[(sy * SIZE + sx) * 4];
+      count++;
+    }
+  }
+  return sum / count;
+});
+
+const fullMask = makeImage(() => 0);
+
+const audit = (original, output) => assessRecoverability(measureRecoverability(original, output, fullMask, SIZE, SIZE));
+
+describe('Redaction Audit', () => {
+  describe('measureRecoverability', () => {
+    it('should find everything recoverable when nothing changed', () => {
+      const measurement = measureRecoverability(text, text, fullMask, SIZE, SIZE);
+      expect(measurement.pixels).toBe(SIZE * SIZE);
+      expect(measurement.edgeRetention).toBeCloseTo(1);
+      expect(measurement.correlation).toBeCloseTo(1);
+      expect(measurement.residue).toBeCloseTo(1);
+    });
+
+    it('should find nothing left of the original in random noise', () => {
+      const noise = makeImage(() => Math.floor(Math.random() * 256));
+      const measurement = measureRecoverability(text, noise, fullMask, SIZE, SIZE);
+      expect(Math.abs(measurement.correlation)).toBeLessThan(0.2);
+      expect(measurement.residue).toBeLessThan(0.1);
+    });
+
+    it('should only measure pixels under the mask', () => {
+      // Only the left half is covered, and the left half is untouched
+      const mask = makeImage(() => 0);
+      for (let p = 0; p < SIZE * SIZE; p++) {
+        if (p % SIZE >= SIZE / 2) mask[p * 4 + 3] = 0;
+      }
+      const output = makeImage((x, y) => (x < SIZE / 2 ? text[(y * SIZE + x) * 4] : 128));
+
+      const measurement = measureRecoverability(text, output, mask, SIZE, SIZE);
+      expect(measurement.pixels).toBe(SIZE * SIZE / 2);
+      expect(measurement.residue).toBeCloseTo(1);
+    });
+  });
+
+  describe('assessRecoverability', () => {
+    it('should flag a light blur over large high-contrast text', () => {
+      const result = audit(text, boxBlur(text, 1));
+      expect(result.weak).toBe(true);
+      expect(result.reasons.length).toBeGreaterThan(0);
+    });
+
+    it('should pass a blur much wider than the strokes', () => {
+      expect(audit(text, boxBlur(text, 8)).weak).toBe(false);
+    });
+
+    it('should pass a flat fill and random noise', () => {
+      expect(audit(text, makeImage(() => 128)).weak).toBe(false);
+      expect(audit(text, makeImage(() => Math.floor(Math.random() * 256))).weak).toBe(false);
+    });
+
+    it('should not flag areas with nothing legible in them', () => {
+      const wall = makeImage((x) => 120 + (x % 2));
+      expect(audit(wall, wall).weak).toBe(false);
+    });
+  });
+
+  describe('getAuditSuggestion', () => {
+    it('should suggest a higher strength while there is room for one', () => {
+      expect(getAuditSuggestion({ mode: 'blur', style: 'gaussian', blurAmount: 10 })).toContain('Blur Radius (up to 150)');
+      expect(getAuditSuggestion({ mode: 'blur', blurAmount: 40 })).toContain('Blur Radius');
+    });
+
+    it('should suggest paint once the strength is maxed out', () => {
+      expect(getAuditSuggestion({ mode: 'blur', style: 'pixelate', blurAmount: 64 })).toMatch(/^Use Paint/);
+    });
+  });
+});
@@ -0,0 +1,658 @@
+/**
+ * Redaction Document Module
+ *
+ * Holds the non-destructive redaction model: an ordered list of regions that
+ * are rendered on top of the original image (rotationCanvas). Because strokes
+ * are no longer baked into the pixels of imageCanvas, any region can be
+ * selected, moved, resized or deleted after it has been drawn.
+ *
+ * Region shape:
+ * - `shape`: 'path' (freehand brush), 'rect' (rectangle tool), 'circle' (tap tool),
+ *   'polygon' (polygon and lasso tools), 'ellipse' (ellipse tool) or 'mask'
+ *   (magic wand and colour range tools)
+ * - `geometry`: shape specific coordinates in canvas pixels
+ *   - path: `{ points: [{x, y, r?}], radius }` - points drawn with stylus
+ *     pressure carry their own radius `r`, at most `radius`
+ *   - rect: `{ x, y, width, height }` (always positive width/height)
+ *   - circle: `{ x, y, radius }`
+ *   - polygon: `{ points: [{x, y}] }` (closed, filled with the nonzero rule)
+ *   - ellipse: `{ x, y, radiusX, radiusY }` (centre and radii)
+ *   - mask: `{ x, y, width, height, maskWidth, maskHeight, data }` - a
+ *     bitmap of maskWidth × maskHeight bytes (1 = covered), stretched over
+ *     the x/y/width/height box. The bitmap is shared between copies and
+ *     never modified in place.
+ * - `mode`: 'blur', 'paint' or 'undo' (restore original pixels)
+ * - `style` (optional, blur regions): redaction style, 'shuffle' when absent
+ *   (see modules/redactionStyles)
+ * - `blurAmount`: strength of the style used for blur regions (the blur
+ *   radius for the default shuffle style)
+ * - `color`: fill color used for paint regions, and the sampled colour of
+ *   'average' style blur regions
+ * - `fill` (optional, 'inpaint' style blur regions): the rebuilt pixels
+ *   `{ x, y, width, height, fillWidth, fillHeight, data }`, an RGBA bitmap
+ *   stretched over its box (see modules/inpainting). It moves, stretches
+ *   and rotates with the region.
+ * - `feather` (optional): width in canvas pixels of a soft outer edge
+ * - `invert` (optional): "keep inside" - the region covers everything
+ *   outside its shape instead of the shape itself
+ * - `margin` (optional, inverted regions): width in canvas pixels of the soft
+ *   edge around the kept shape
+ *
+ * Regions are treated as immutable: every edit replaces the region object,
+ * which keeps history entries simple (they just hold before/after copies).
+ *
+ * @module modules/redactionDocument
+ */
+
+/**
+ * Minimum width/height (canvas pixels) a region can be resized to
+ * @private
+ */
+const MIN_REGION_SIZE = 4;
+
+/**
+ * Create a redaction document
+ *
+ * @param {Object} [options] - Document options
+ * @param {Function} [options.onChange] - Called after every change to the region list
+ * @returns {Object} Document API
+ *
+ * @example
+ * const doc = createRedactionDocument({ onChange: () => renderer.requestRender() });
+ * const region = doc.add({ shape: 'rect', geometry: { x: 10, y: 10, width: 50, height: 50 }, mode: 'blur', blurAmount: 75 });
+ * doc.remove(region.id);
+ */
+export function createRedactionDocument({ onChange = null } = {}) {
+  let regions = [];
+  let nextId = 1;
+
+  const notify = () => {
+    if (typeof onChange === 'function') {
+      onChange();
+    }
+  };
+
+  /**
+   * Add a region to the top of the stack
+   * @param {Object} region - Region without an id
+   * @returns {Object} The stored region (with id)
+   */
+  const add = (region) => {
+    const stored = { ...region, id: region.id ?? nextId++ };
+    regions = [...regions, stored];
+    notify();
+    return stored;
+  };
+
+  /**
+   * Insert an existing region at a specific stacking position
+   * Used by history to restore deleted regions in their original order.
+   * @param {Object} region - Region (with id)
+   * @param {number} index - Stacking position
+   */
+  const insert = (region, index) => {
+    const position = Math.max(0, Math.min(index, regions.length));
+    regions = [...regions.slice(0, position), region, ...regions.slice(position)];
+    notify();
+  };
+
+  /**
+   * Remove a region
+   * @param {number} id - Region id
+   * @returns {{region: Object, index: number}|null} Removed region and its stacking position
+   */
+  const remove = (id) => {
+    const index = regions.findIndex((region) => region.id === id);
+    if (index === -1) return null;
+
+    const region = regions[index];
+    regions = regions.filter((item) => item.id !== id);
+    notify();
+    return { region, index };
+  };
+
+  /**
+   * Replace a region with an updated copy
+   * @param {Object} region - Updated region (matched by id)
+   * @param {boolean} [silent=false] - Skip the change notification (used for batched updates)
+   */
+  const replace = (region, silent = false) => {
+    regions = regions.map((item) => (item.id === region.id ? region : item));
+    if (!silent) notify();
+  };
+
+  /**
+   * Replace the whole region list (e.g. when restoring a rotation snapshot)
+   * @param {Object[]} newRegions - New region list
+   */
+  const replaceAll = (newRegions) => {
+    regions = [...newRegions];
+    notify();
+  };
+
+  const clear = () => {
+    regions = [];
+    notify();
+  };
+
+  /**
+   * Find the topmost region under a point
+   * @param {number} x - X coordinate in canvas pixels
+   * @param {number} y - Y coordinate in canvas pixels
+   * @returns {Object|null} Topmost region containing the point
+   */
+  const hitTest = (x, y) => {
+    for (let i = regions.length - 1; i >= 0; i--) {
+      if (regionContainsPoint(regions[i], x, y)) {
+        return regions[i];
+      }
+    }
+    return null;
+  };
+
+  return {
+    add,
+    insert,
+    remove,
+    replace,
+    replaceAll,
+    clear,
+    hitTest,
+    getRegions: () => regions,
+    getRegion: (id) => regions.find((region) => region.id === id) || null,
+  };
+}
+
+/**
+ * Get the bounding box of a region, including brush radius
+ *
+ * @param {Object} region - Region
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Region bounds
+ */
+export function getRegionBounds(region) {
+  const { geometry } = region;
+
+  switch (region.shape) {
+    case 'rect':
+    case 'mask':
+      return {
+        minX: geometry.x,
+        minY: geometry.y,
+        maxX: geometry.x + geometry.width,
+        maxY: geometry.y + geometry.height,
+      };
+    case 'circle':
+      return {
+        minX: geometry.x - geometry.radius,
+        minY: geometry.y - geometry.radius,
+        maxX: geometry.x + geometry.radius,
+        maxY: geometry.y + geometry.radius,
+      };
+    case 'ellipse':
+      return {
+        minX: geometry.x - geometry.radiusX,
+        minY: geometry.y - geometry.radiusY,
+        maxX: geometry.x + geometry.radiusX,
+        maxY: geometry.y + geometry.radiusY,
+      };
+    case 'path':
+    case 'polygon': {
+      const xs = geometry.points.map((point) => point.x);
+      const ys = geometry.points.map((point) => point.y);
+      const padding = geometry.radius || 0;
+      return {
+        minX: Math.min(...xs) - padding,
+        minY: Math.min(...ys) - padding,
+        maxX: Math.max(...xs) + padding,
+        maxY: Math.max(...ys) + padding,
+      };
+    }
+    default:
+      console.error('getRegionBounds: Unknown region shape:', region.shape);
+      return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  }
+}
+
+/**
+ * Get the part of the image a region changes
+ *
+ * The shape's bounds (widened by any soft edge) for normal regions; the
+ * whole image for inverted regions, which cover everything outside their
+ * shape.
+ *
+ * @param {Object} region - Region
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Covered bounds
+ */
+export function getCoverageBounds(region, width, height) {
+  if (region.invert) {
+    return { minX: 0, minY: 0, maxX: width, maxY: height };
+  }
+
+  const bounds = getRegionBounds(region);
+  // A soft edge is a blurred shadow, which fades out within about twice its width
+  const spread = (region.feather || 0) * 2;
+  return {
+    minX: bounds.minX - spread,
+    minY: bounds.minY - spread,
+    maxX: bounds.maxX + spread,
+    maxY: bounds.maxY + spread,
+  };
+}
+
+/**
+ * Distance from a point to a line segment
+ * @private
+ */
+function distanceToSegment(px, py, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSquared));
+  return Math.hypot(px - (a.x + t * dx), py - (a.y + t * dy));
+}
+
+/**
+ * Winding number of a closed polygon around a point
+ * Non-zero means inside, matching the canvas 'nonzero' fill rule.
+ * @private
+ */
+function windingNumber(px, py, points) {
+  let winding = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const side = (b.x - a.x) * (py - a.y) - (px - a.x) * (b.y - a.y);
+    if (a.y <= py && b.y > py && side > 0) winding++;
+    else if (a.y > py && b.y <= py && side < 0) winding--;
+  }
+  return winding;
+}
+
+/**
+ * Check whether a point lies inside a region's painted area
+ *
+ * @param {Object} region - Region
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} True if the point is inside the region
+ */
+export function regionContainsPoint(region, x, y) {
+  const { geometry } = region;
+
+  switch (region.shape) {
+    case 'rect':
+      return (
+        x >= geometry.x &&
+        x <= geometry.x + geometry.width &&
+        y >= geometry.y &&
+        y <= geometry.y + geometry.height
+      );
+    case 'circle':
+      return Math.hypot(x - geometry.x, y - geometry.y) <= geometry.radius;
+    case 'ellipse': {
+      const dx = (x - geometry.x) / Math.max(geometry.radiusX, 1e-6);
+      const dy = (y - geometry.y) / Math.max(geometry.radiusY, 1e-6);
+      return dx * dx + dy * dy <= 1;
+    }
+    case 'polygon':
+      return windingNumber(x, y, geometry.points) !== 0;
+    case 'mask': {
+      const col = Math.floor(((x - geometry.x) / geometry.width) * geometry.maskWidth);
+      const row = Math.floor(((y - geometry.y) / geometry.height) * geometry.maskHeight);
+      if (col < 0 || row < 0 || col >= geometry.maskWidth || row >= geometry.maskHeight) {
+        return false;
+      }
+      return geometry.data[row * geometry.maskWidth + col] !== 0;
+    }
+    case 'path': {
+      const { points, radius } = geometry;
+      for (let i = 0; i < points.length; i++) {
+        const next = points[Math.min(i + 1, points.length - 1)];
+        // Close enough for a tapered segment: the larger end's radius
+        const reach = Math.max(points[i].r ?? radius, next.r ?? radius);
+        if (distanceToSegment(x, y, points[i], next) <= reach) {
+          return true;
+        }
+      }
+      return false;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Move a path point, scaling its own radius if it has one
+ * @private
+ */
+function scalePathPoint(point, x, y, factor) {
+  return point.r === undefined ? { x, y } : { x, y, r: point.r * factor };
+}
+
+/**
+ * Return a copy of a region moved by (dx, dy)
+ *
+ * @param {Object} region - Region to move
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {Object} Moved region
+ */
+export function translateRegion(region, dx, dy) {
+  const { geometry } = region;
+
+  if (region.shape === 'path' || region.shape === 'polygon') {
+    return carryFill(region, {
+      ...region,
+      geometry: {
+        ...geometry,
+        points: geometry.points.map((point) => ({ ...point, x: point.x + dx, y: point.y + dy })),
+      },
+    });
+  }
+
+  return carryFill(region, {
+    ...region,
+    geometry: { ...geometry, x: geometry.x + dx, y: geometry.y + dy },
+  });
+}
+
+/**
+ * Return a copy of a region stretched to fit new bounds
+ *
+ * Rectangles, ellipses and masks take the new bounds directly (a mask's
+ * bitmap is stretched to fit), circles keep the
+ * largest circle that fits, and freehand paths and polygons are scaled
+ * point by point (a path's brush radius scales with the smaller of the two
+ * axes). A content-aware fill is stretched along with the shape.
+ *
+ * @param {Object} region - Region to resize
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - New bounds
+ * @returns {Object} Resized region
+ */
+export function resizeRegion(region, bounds) {
+  return carryFill(region, resizeGeometry(region, bounds));
+}
+
+/**
+ * Resize a region's geometry
+ * @private
+ */
+function resizeGeometry(region, bounds) {
+  const minX = Math.min(bounds.minX, bounds.maxX);
+  const minY = Math.min(bounds.minY, bounds.maxY);
+  const width = Math.max(MIN_REGION_SIZE, Math.abs(bounds.maxX - bounds.minX));
+  const height = Math.max(MIN_REGION_SIZE, Math.abs(bounds.maxY - bounds.minY));
+
+  switch (region.shape) {
+    case 'rect':
+      return { ...region, geometry: { x: minX, y: minY, width, height } };
+    case 'mask':
+      return { ...region, geometry: { ...region.geometry, x: minX, y: minY, width, height } };
+    case 'circle':
+      return {
+        ...region,
+        geometry: {
+          x: minX + width / 2,
+          y: minY + height / 2,
+          radius: Math.min(width, height) / 2,
+        },
+      };
+    case 'ellipse':
+      return {
+        ...region,
+        geometry: {
+          x: minX + width / 2,
+          y: minY + height / 2,
+          radiusX: width / 2,
+          radiusY: height / 2,
+        },
+      };
+    case 'polygon': {
+      const old = getRegionBounds(region);
+      const scaleX = width / Math.max(1, old.maxX - old.minX);
+      const scaleY = height / Math.max(1, old.maxY - old.minY);
+      return {
+        ...region,
+        geometry: {
+          points: region.geometry.points.map((point) => ({
+            x: minX + (point.x - old.minX) * scaleX,
+            y: minY + (point.y - old.minY) * scaleY,
+          })),
+        },
+      };
+    }
+    case 'path': {
+      const old = getRegionBounds(region);
+      const scaleX = width / Math.max(1, old.maxX - old.minX);
+      const scaleY = height / Math.max(1, old.maxY - old.minY);
+      return {
+        ...region,
+        geometry: {
+          radius: Math.max(1, region.geometry.radius * Math.min(scaleX, scaleY)),
+          points: region.geometry.points.map((point) => scalePathPoint(
+            point,
+            minX + (point.x - old.minX) * scaleX,
+            minY + (point.y - old.minY) * scaleY,
+            Math.min(scaleX, scaleY)
+          )),
+        },
+      };
+    }
+    default:
+      return region;
+  }
+}
+
+/**
+ * Move a region's fill so it keeps its place relative to the region's bounds
+ * Works for any change that moves or stretches the bounds along the axes
+ * (move, resize, scale).
+ * @private
+ */
+function carryFill(region, transformed) {
+  if (!region.fill) return transformed;
+
+  const { fill } = region;
+  const from = getRegionBounds(region);
+  const to = getRegionBounds(transformed);
+  const fromWidth = from.maxX - from.minX;
+  const fromHeight = from.maxY - from.minY;
+  const scaleX = fromWidth > 0 ? (to.maxX - to.minX) / fromWidth : 1;
+  const scaleY = fromHeight > 0 ? (to.maxY - to.minY) / fromHeight : 1;
+
+  return {
+    ...transformed,
+    fill: {
+      ...fill,
+      x: to.minX + (fill.x - from.minX) * scaleX,
+      y: to.minY + (fill.y - from.minY) * scaleY,
+      width: fill.width * scaleX,
+      height: fill.height * scaleY,
+    },
+  };
+}
+
+/**
+ * Rotate a bitmap 90° clockwise
+ * @param {Uint8Array|Uint8ClampedArray} data - Bitmap, `channels` bytes per pixel
+ * @private
+ */
+function rotateMaskData(data, maskWidth, maskHeight, channels = 1) {
+  const rotated = new data.constructor(data.length);
+  for (let row = 0; row < maskHeight; row++) {
+    for (let col = 0; col < maskWidth; col++) {
+      // (col, row) ends up at column (maskHeight - 1 - row), row col
+      const to = (col * maskHeight + (maskHeight - 1 - row)) * channels;
+      const from = (row * maskWidth + col) * channels;
+      for (let channel = 0; channel < channels; channel++) {
+        rotated[to + channel] = data[from + channel];
+      }
+    }
+  }
+  return rotated;
+}
+
+/**
+ * Return a copy of a region rotated 90° clockwise along with the image
+ *
+ * Matches rotateCanvas(): a point (x, y) on the old canvas ends up at
+ * (oldHeight - y, x) on the rotated canvas.
+ *
+ * @param {Object} region - Region to rotate
+ * @param {number} oldHeight - Canvas height before rotation
+ * @returns {Object} Rotated region
+ */
+export function rotateRegion(region, oldHeight) {
+  const rotated = rotateGeometry(region, oldHeight);
+  if (!region.fill) return rotated;
+
+  const { fill } = region;
+  return {
+    ...rotated,
+    fill: {
+      x: oldHeight - (fill.y + fill.height),
+      y: fill.x,
+      width: fill.height,
+      height: fill.width,
+      fillWidth: fill.fillHeight,
+      fillHeight: fill.fillWidth,
+      data: rotateMaskData(fill.data, fill.fillWidth, fill.fillHeight, 4),
+    },
+  };
+}
+
+/**
+ * Rotate a region's geometry
+ * @private
+ */
+function rotateGeometry(region, oldHeight) {
+  const rotatePoint = (point) => ({ x: oldHeight - point.y, y: point.x });
+  const { geometry } = region;
+
+  switch (region.shape) {
+    case 'rect':
+      return {
+        ...region,
+        geometry: {
+          x: oldHeight - (geometry.y + geometry.height),
+          y: geometry.x,
+          width: geometry.height,
+          height: geometry.width,
+        },
+      };
+    case 'mask':
+      return {
+        ...region,
+        geometry: {
+          x: oldHeight - (geometry.y + geometry.height),
+          y: geometry.x,
+          width: geometry.height,
+          height: geometry.width,
+          maskWidth: geometry.maskHeight,
+          maskHeight: geometry.maskWidth,
+          data: rotateMaskData(geometry.data, geometry.maskWidth, geometry.maskHeight),
+        },
+      };
+    case 'circle':
+      return { ...region, geometry: { ...geometry, ...rotatePoint(geometry) } };
+    case 'ellipse':
+      return {
+        ...region,
+        geometry: { ...rotatePoint(geometry), radiusX: geometry.radiusY, radiusY: geometry.radiusX },
+      };
+    case 'path':
+    case 'polygon':
+      return {
+        ...region,
+        geometry: { ...geometry, points: geometry.points.map((point) => ({ ...point, ...rotatePoint(point) })) },
+      };
+    default:
+      return region;
+  }
+}
+
+/**
+ * Return a copy of a region with all coordinates multiplied by a factor
+ *
+ * Used to replay regions drawn on the working copy onto a larger export.
+ * Soft edges and the margin of inverted regions scale too.
+ *
+ * @param {Object} region - Region to scale
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled region
+ */
+export function scaleRegion(region, factor) {
+  return {
+    ...carryFill(region, scaleGeometry(region, factor)),
+    ...(region.margin ? { margin: region.margin * factor } : {}),
+    ...(region.feather ? { feather: region.feather * factor } : {}),
+  };
+}
+
+/**
+ * Scale a region's geometry
+ * @private
+ */
+function scaleGeometry(region, factor) {
+  const { geometry } = region;
+
+  switch (region.shape) {
+    case 'rect':
+      return {
+        ...region,
+        geometry: {
+          x: geometry.x * factor,
+          y: geometry.y * factor,
+          width: geometry.width * factor,
+          height: geometry.height * factor,
+        },
+      };
+    case 'mask':
+      return {
+        ...region,
+        geometry: {
+          ...geometry,
+          x: geometry.x * factor,
+          y: geometry.y * factor,
+          width: geometry.width * factor,
+          height: geometry.height * factor,
+        },
+      };
+    case 'circle':
+      return {
+        ...region,
+        geometry: { x: geometry.x * factor, y: geometry.y * factor, radius: geometry.radius * factor },
+      };
+    case 'ellipse':
+      return {
+        ...region,
+        geometry: {
+          x: geometry.x * factor,
+          y: geometry.y * factor,
+          radiusX: geometry.radiusX * factor,
+          radiusY: geometry.radiusY * factor,
+        },
+      };
+    case 'polygon':
+      return {
+        ...region,
+        geometry: {
+          points: geometry.points.map((point) => ({ x: point.x * factor, y: point.y * factor })),
+        },
+      };
+    case 'path':
+      return {
+        ...region,
+        geometry: {
+          radius: geometry.radius * factor,
+          points: geometry.points.map((point) => scalePathPoint(point, point.x * factor, point.y * factor, factor)),
+        },
+      };
+    default:
+      return region;
+  }
+}
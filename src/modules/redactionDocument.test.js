@@ -0,0 +1,176 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createRedactionDocument,
+  getRegionBounds,
+  regionContainsPoint,
+  translateRegion,
+  resizeRegion,
+  rotateRegion,
+  scaleRegion,
+  getCoverageBounds,
+} from './redactionDocument.js';
+
+const rect = (x, y, width, height) => ({
+  shape: 'rect',
+  geometry: { x, y, width, height },
+  mode: 'blur',
+  blurAmount: 75,
+});
+
+describe('Redaction Document', () => {
+  describe('region list', () => {
+    it('should assign ids and notify on every change', () => {
+      const onChange = vi.fn();
+      const doc = createRedactionDocument({ onChange });
+
+      const a = doc.add(rect(0, 0, 10, 10));
+      const b = doc.add(rect(5, 5, 10, 10));
+      doc.remove(a.id);
+
+      expect(a.id).not.toBe(b.id);
+      expect(doc.getRegions()).toEqual([b]);
+      expect(onChange).toHaveBeenCalledTimes(3);
+    });
+
+    it('should restore a removed region at its stacking position', () => {
+      const doc = createRedactionDocument();
+      const a = doc.add(rect(0, 0, 10, 10));
+      const b = doc.add(rect(0, 0, 10, 10));
+
+      const removed = doc.remove(a.id);
+      doc.insert(removed.region, removed.index);
+
+      expect(doc.getRegions().map((region) => region.id)).toEqual([a.id, b.id]);
+    });
+
+    it('should hit-test the topmost region first', () => {
+      const doc = createRedactionDocument();
+      doc.add(rect(0, 0, 20, 20));
+      const top = doc.add(rect(10, 10, 20, 20));
+
+      expect(doc.hitTest(15, 15)).toBe(top);
+      expect(doc.hitTest(50, 50)).toBeNull();
+    });
+  });
+
+  describe('geometry', () => {
+    it('should include the brush radius in path bounds and hit tests', () => {
+      const path = {
+        shape: 'path',
+        geometry: { points: [{ x: 10, y: 10 }, { x: 30, y: 10 }], radius: 5 },
+      };
+
+      expect(getRegionBounds(path)).toEqual({ minX: 5, minY: 5, maxX: 35, maxY: 15 });
+      expect(regionContainsPoint(path, 20, 14)).toBe(true);
+      expect(regionContainsPoint(path, 20, 16)).toBe(false);
+    });
+
+    it('should move regions without mutating them', () => {
+      const original = rect(0, 0, 10, 10);
+      const moved = translateRegion(original, 5, -5);
+
+      expect(moved.geometry).toEqual({ x: 5, y: -5, width: 10, height: 10 });
+      expect(original.geometry.x).toBe(0);
+    });
+
+    it('should resize rectangles to the new bounds with a minimum size', () => {
+      const resized = resizeRegion(rect(0, 0, 10, 10), { minX: 20, minY: 0, maxX: 20, maxY: 30 });
+      expect(resized.geometry).toEqual({ x: 20, y: 0, width: 4, height: 30 });
+    });
+
+    it('should scale paths including their brush radius', () => {
+      const path = {
+        shape: 'path',
+        geometry: { points: [{ x: 10, y: 20 }], radius: 5 },
+      };
+      expect(scaleRegion(path, 3).geometry).toEqual({ points: [{ x: 30, y: 60 }], radius: 15 });
+    });
+
+    it('should keep the pressure radius of each path point through edits', () => {
+      const path = {
+        shape: 'path',
+        geometry: { points: [{ x: 10, y: 10, r: 2 }, { x: 30, y: 10, r: 4 }], radius: 8 },
+      };
+
+      // Hit tests use the points' own radii, not the full brush
+      expect(regionContainsPoint(path, 30, 13)).toBe(true);
+      expect(regionContainsPoint(path, 30, 15)).toBe(false);
+
+      expect(scaleRegion(path, 2).geometry.points).toEqual([{ x: 20, y: 20, r: 4 }, { x: 60, y: 20, r: 8 }]);
+      expect(translateRegion(path, 1, 1).geometry.points[1]).toEqual({ x: 31, y: 11, r: 4 });
+      expect(rotateRegion(path, 50).geometry.points[0]).toEqual({ x: 40, y: 10, r: 2 });
+    });
+
+    it('should hit-test polygons with the nonzero rule', () => {
+      // A bow-tie: left and right triangles meeting at (10, 10)
+      const polygon = {
+        shape: 'polygon',
+        geometry: { points: [{ x: 0, y: 0 }, { x: 20, y: 20 }, { x: 20, y: 0 }, { x: 0, y: 20 }] },
+      };
+
+      expect(getRegionBounds(polygon)).toEqual({ minX: 0, minY: 0, maxX: 20, maxY: 20 });
+      expect(regionContainsPoint(polygon, 2, 10)).toBe(true);
+      expect(regionContainsPoint(polygon, 18, 10)).toBe(true);
+      expect(regionContainsPoint(polygon, 10, 4)).toBe(false);
+    });
+
+    it('should resize and rotate ellipses', () => {
+      const ellipse = { shape: 'ellipse', geometry: { x: 20, y: 10, radiusX: 10, radiusY: 5 } };
+
+      expect(regionContainsPoint(ellipse, 29, 10)).toBe(true);
+      expect(regionContainsPoint(ellipse, 28, 14)).toBe(false);
+      expect(resizeRegion(ellipse, { minX: 0, minY: 0, maxX: 40, maxY: 20 }).geometry)
+        .toEqual({ x: 20, y: 10, radiusX: 20, radiusY: 10 });
+      expect(rotateRegion(ellipse, 50).geometry).toEqual({ x: 40, y: 20, radiusX: 5, radiusY: 10 });
+    });
+
+    it('should hit-test, stretch and rotate mask bitmaps', () => {
+      // Two pixels wide, the left one covered
+      const mask = {
+        shape: 'mask',
+        geometry: { x: 10, y: 20, width: 2, height: 1, maskWidth: 2, maskHeight: 1, data: new Uint8Array([1, 0]) },
+      };
+
+      expect(regionContainsPoint(mask, 10.5, 20.5)).toBe(true);
+      expect(regionContainsPoint(mask, 11.5, 20.5)).toBe(false);
+      expect(regionContainsPoint(resizeRegion(mask, { minX: 10, minY: 20, maxX: 30, maxY: 30 }), 19, 25)).toBe(true);
+
+      const rotated = rotateRegion(mask, 50);
+      expect(rotated.geometry).toMatchObject({ x: 29, y: 10, width: 1, height: 2, maskWidth: 1, maskHeight: 2 });
+      expect(Array.from(rotated.geometry.data)).toEqual([1, 0]);
+      expect(regionContainsPoint(rotated, 29.5, 10.5)).toBe(true);
+      expect(regionContainsPoint(rotated, 29.5, 11.5)).toBe(false);
+    });
+
+    it('should carry a content-aware fill along when moving, resizing, scaling and rotating', () => {
+      // Two red-then-blue pixels over the region's box
+      const filled = {
+        ...rect(10, 20, 2, 1),
+        fill: { x: 10, y: 20, width: 2, height: 1, fillWidth: 2, fillHeight: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255]) },
+      };
+
+      expect(translateRegion(filled, 5, -5).fill).toMatchObject({ x: 15, y: 15, width: 2, height: 1 });
+      expect(resizeRegion(filled, { minX: 0, minY: 0, maxX: 20, maxY: 10 }).fill).toMatchObject({ x: 0, y: 0, width: 20, height: 10 });
+      expect(scaleRegion(filled, 3).fill).toMatchObject({ x: 30, y: 60, width: 6, height: 3 });
+
+      const rotated = rotateRegion(filled, 50);
+      expect(rotated.fill).toMatchObject({ x: 29, y: 10, width: 1, height: 2, fillWidth: 1, fillHeight: 2 });
+      expect(Array.from(rotated.fill.data)).toEqual([255, 0, 0, 255, 0, 0, 255, 255]);
+      expect(rotated.fill.data).toBeInstanceOf(Uint8ClampedArray);
+    });
+
+    it('should treat inverted regions as covering the whole image', () => {
+      const kept = { ...rect(10, 10, 20, 20), invert: true, margin: 4 };
+
+      expect(getCoverageBounds(kept, 100, 50)).toEqual({ minX: 0, minY: 0, maxX: 100, maxY: 50 });
+      expect(getCoverageBounds(rect(10, 10, 20, 20), 100, 50)).toEqual({ minX: 10, minY: 10, maxX: 30, maxY: 30 });
+      expect(scaleRegion(kept, 2)).toMatchObject({ invert: true, margin: 8, geometry: { x: 20, width: 40 } });
+    });
+
+    it('should rotate regions 90° clockwise with the image', () => {
+      // 100x50 canvas becomes 50x100
+      const rotated = rotateRegion(rect(10, 5, 20, 10), 50);
+      expect(rotated.geometry).toEqual({ x: 35, y: 10, width: 10, height: 20 });
+    });
+  });
+});
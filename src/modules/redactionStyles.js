@@ -0,0 +1,324 @@
+/**
+ * Redaction Styles Module
+ *
+ * The looks a blur-mode region can take, besides the default shuffle + blur
+ * pipeline (see modules/pixelation):
+ *
+ * - pixelate: blocks of averaged colour (strength = block size)
+ * - gaussian: a plain blur (strength = radius)
+ * - solid: a flat grey fill (strength = darkness, 100 = black)
+ * - crosshatch: diagonal hatching over grey (strength = density)
+ * - noise: random coloured grain (strength = grain size)
+ * - average: the average colour of the region and its surroundings, so the
+ *   redaction blends in (strength = how far around the region to sample)
+ * - inpaint: content-aware fill, the area rebuilt from the texture around
+ *   it (strength = patch size; see modules/inpainting)
+ *
+ * Layer styles (all but 'average' and 'inpaint') are computed over the whole image once
+ * per style and strength, like the shuffle layer, then revealed through the
+ * region's shape. Block and hatch grids are aligned to image coordinates so
+ * full-resolution tiles line up without seams.
+ *
+ * The average colour and the content-aware fill depend on where the region
+ * is, so they are worked out when the region is drawn and stored on it (as
+ * its color and its fill).
+ *
+ * @module modules/redactionStyles
+ */
+
+import { canvasRGBA } from 'stackblur-canvas';
+import { fillCoverage, fillRegionSoft } from './drawing.js';
+import { getCoverageBounds } from './redactionDocument.js';
+import { clampBounds } from '../utils/canvas.js';
+import { getBlurPasses, getBlurReach } from '../utils/blur.js';
+import { randomUint32 } from '../utils/crypto.js';
+import { DEFAULT_REDACTION_STYLE } from '../utils/constants.js';
+
+/**
+ * Crosshatch line spacing (working-copy pixels) at the lowest and highest density
+ * @private
+ */
+const HATCH_SPACING_SPARSE = 40;
+const HATCH_SPACING_DENSE = 6;
+
+/**
+ * Get a blur-mode region's style
+ * @param {Object} region - Region
+ * @returns {string} Style id (regions drawn before styles existed use the default)
+ */
+export function getRegionStyle(region) {
+  return region.style || DEFAULT_REDACTION_STYLE;
+}
+
+/**
+ * Check whether a region is drawn from a precomputed layer
+ * @param {Object} region - Region
+ * @returns {boolean} True for blur regions other than the average colour and content-aware fill styles
+ */
+export function usesStyleLayer(region) {
+  const style = getRegionStyle(region);
+  return region.mode === 'blur' && style !== 'average' && style !== 'inpaint';
+}
+
+/**
+ * Cache key of the layer a region is drawn from
+ * @param {Object} region - Blur region
+ * @returns {string} Key, e.g. 'shuffle:75'
+ */
+export function getLayerKey(region) {
+  return `${getRegionStyle(region)}:${region.blurAmount}`;
+}
+
+/**
+ * Average pixels in blocks aligned to the image grid
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels, modified in place
+ * @param {number} width - Pixel width of data
+ * @param {number} height - Pixel height of data
+ * @param {number} blockSize - Block edge length in pixels
+ * @param {number} [originX=0] - Image X of the first column (for tiles)
+ * @param {number} [originY=0] - Image Y of the first row (for tiles)
+ */
+export function pixelateData(data, width, height, blockSize, originX = 0, originY = 0) {
+  const size = Math.max(1, Math.round(blockSize));
+  const startX = -(((originX % size) + size) % size);
+  const startY = -(((originY % size) + size) % size);
+
+  for (let by = startY; by < height; by += size) {
+    for (let bx = startX; bx < width; bx += size) {
+      const x0 = Math.max(0, bx);
+      const y0 = Math.max(0, by);
+      const x1 = Math.min(width, bx + size);
+      const y1 = Math.min(height, by + size);
+      const sum = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const offset = (y * width + x) * 4;
+          sum[0] += data[offset];
+          sum[1] += data[offset + 1];
+          sum[2] += data[offset + 2];
+          sum[3] += data[offset + 3];
+        }
+      }
+      const count = (x1 - x0) * (y1 - y0);
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const offset = (y * width + x) * 4;
+          for (let channel = 0; channel < 4; channel++) {
+            data[offset + channel] = Math.round(sum[channel] / count);
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Fill pixels with random opaque colours in square grains
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels, overwritten
+ * @param {number} width - Pixel width of data
+ * @param {number} height - Pixel height of data
+ * @param {number} grain - Grain edge length in pixels
+ * @param {number} [originX=0] - Image X of the first column (for tiles)
+ * @param {number} [originY=0] - Image Y of the first row (for tiles)
+ */
+export function fillNoise(data, width, height, grain, originX = 0, originY = 0) {
+  const size = Math.max(1, Math.round(grain));
+  const startX = -(((originX % size) + size) % size);
+  const startY = -(((originY % size) + size) % size);
+  const columns = Math.ceil((width - startX) / size);
+  const rows = Math.ceil((height - startY) / size);
+
+  // One random word per grain; its low three bytes are the colour
+  const colors = new Uint8Array(columns * rows * 3);
+  for (let color = 0; color < colors.length; color += 3) {
+    const word = randomUint32();
+    colors[color] = word & 0xff;
+    colors[color + 1] = (word >>> 8) & 0xff;
+    colors[color + 2] = (word >>> 16) & 0xff;
+  }
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor((y - startY) / size);
+    for (let x = 0; x < width; x++) {
+      const color = (row * columns + Math.floor((x - startX) / size)) * 3;
+      const offset = (y * width + x) * 4;
+      data[offset] = colors[color];
+      data[offset + 1] = colors[color + 1];
+      data[offset + 2] = colors[color + 2];
+      data[offset + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Weighted average colour of some pixels
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {Uint8ClampedArray} weights - RGBA mask of the same size; its alpha weights each pixel
+ * @returns {string|null} Hex colour, or null if every weight is zero
+ *
+ * @example
+ * averageColor(imageData.data, maskData.data); // '#7a6b5c'
+ */
+export function averageColor(data, weights) {
+  let total = 0;
+  const sum = [0, 0, 0];
+
+  for (let offset = 0; offset < data.length; offset += 4) {
+    // Transparent pixels have no meaningful colour
+    const weight = weights[offset + 3] * data[offset + 3];
+    if (!weight) continue;
+    sum[0] += data[offset] * weight;
+    sum[1] += data[offset + 1] * weight;
+    sum[2] += data[offset + 2] * weight;
+    total += weight;
+  }
+
+  if (!total) return null;
+  return `#${sum.map((channel) => Math.round(channel / total).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Sample the average colour a region should be filled with
+ *
+ * The region's covered area is weighted fully; a soft ring `margin` pixels
+ * wide around it adds the surroundings, so the fill matches the background
+ * rather than just the object being hidden.
+ *
+ * @param {HTMLCanvasElement} source - Original image
+ * @param {Object} region - Region (see modules/redactionDocument)
+ * @param {number} margin - Width of the surrounding ring to sample (canvas pixels)
+ * @returns {string|null} Hex colour, or null if the region is outside the image
+ */
+export function sampleAverageColor(source, region, margin) {
+  const { width, height } = source;
+  const bounds = getCoverageBounds(region, width, height);
+  const rect = clampBounds(
+    {
+      minX: bounds.minX - margin * 2,
+      minY: bounds.minY - margin * 2,
+      maxX: bounds.maxX + margin * 2,
+      maxY: bounds.maxY + margin * 2,
+    },
+    width,
+    height
+  );
+  if (!rect) return null;
+
+  const mask = document.createElement('canvas');
+  mask.width = rect.width;
+  mask.height = rect.height;
+  const maskCtx = mask.getContext('2d', { willReadFrequently: true });
+  maskCtx.translate(-rect.x, -rect.y);
+  if (region.invert) {
+    fillCoverage(maskCtx, region, '#000000', width, height);
+  } else {
+    fillRegionSoft(maskCtx, region, '#000000', margin);
+  }
+
+  const pixels = source.getContext('2d', { willReadFrequently: true })
+    .getImageData(rect.x, rect.y, rect.width, rect.height).data;
+  return averageColor(pixels, maskCtx.getImageData(0, 0, rect.width, rect.height).data);
+}
+
+/**
+ * How far outside a tile a layer style reads, so tiles can be padded
+ *
+ * @param {string} style - Style id
+ * @param {number} strength - Style strength (working-copy units)
+ * @param {number} factor - Scale from working copy to output
+ * @returns {number} Padding in output pixels
+ */
+export function getStylePadding(style, strength, factor) {
+  if (style === 'gaussian') return getBlurReach(strength * factor);
+  if (style === 'pixelate') return Math.ceil(strength * factor);
+  return 0;
+}
+
+/**
+ * Draw diagonal hatching over a grey background
+ * @private
+ */
+function drawCrosshatch(ctx, width, height, density, factor, originX, originY) {
+  const t = Math.min(1, Math.max(0, (density - 1) / 99));
+  const spacing = Math.max(2, (HATCH_SPACING_SPARSE + (HATCH_SPACING_DENSE - HATCH_SPACING_SPARSE) * t) * factor);
+
+  ctx.save();
+  ctx.fillStyle = '#808080';
+  ctx.fillRect(0, 0, width, height);
+  ctx.translate(-originX, -originY);
+  ctx.strokeStyle = '#000000';
+  ctx.lineWidth = Math.max(1, spacing / 3);
+  ctx.beginPath();
+
+  // Lines sit on the image grid (x ± y a multiple of the spacing) so tiles
+  // line up; only those crossing this layer are drawn
+  const top = originY;
+  const bottom = originY + height;
+  const firstBack = Math.floor((originX - bottom) / spacing) * spacing;
+  for (let c = firstBack; c <= originX + width - top; c += spacing) {
+    // Back-slanted lines: x - y = c
+    ctx.moveTo(c + top, top);
+    ctx.lineTo(c + bottom, bottom);
+  }
+  const firstForward = Math.floor((originX + top) / spacing) * spacing;
+  for (let d = firstForward; d <= originX + width + bottom; d += spacing) {
+    // Forward-slanted lines: x + y = d
+    ctx.moveTo(d - top, top);
+    ctx.lineTo(d - bottom, bottom);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Turn a copy of the image into a layer style, in place
+ *
+ * @param {HTMLCanvasElement} layer - Canvas holding a copy of the image (or a tile of it)
+ * @param {string} style - Layer style id ('pixelate', 'gaussian', 'solid', 'crosshatch' or 'noise')
+ * @param {number} strength - Style strength (working-copy units)
+ * @param {Object} [options] - Layer options
+ * @param {number} [options.factor=1] - Scale from working copy to this layer (full-resolution export)
+ * @param {number} [options.originX=0] - Image X of the layer's left edge (for tiles)
+ * @param {number} [options.originY=0] - Image Y of the layer's top edge (for tiles)
+ *
+ * @example
+ * layerCtx.drawImage(rotationCanvas, 0, 0);
+ * buildStyleLayer(layer, 'pixelate', 16);
+ */
+export function buildStyleLayer(layer, style, strength, { factor = 1, originX = 0, originY = 0 } = {}) {
+  const { width, height } = layer;
+  const layerCtx = layer.getContext('2d', { willReadFrequently: true });
+
+  switch (style) {
+    case 'pixelate':
+    case 'noise': {
+      const imageData = layerCtx.getImageData(0, 0, width, height);
+      const fill = style === 'pixelate' ? pixelateData : fillNoise;
+      fill(imageData.data, width, height, strength * factor, originX, originY);
+      layerCtx.putImageData(imageData, 0, 0);
+      break;
+    }
+    case 'gaussian': {
+      // Large exports need several passes (see utils/blur)
+      const { radius, passes } = getBlurPasses(strength * factor);
+      for (let pass = 0; pass < passes; pass++) {
+        canvasRGBA(layer, 0, 0, width, height, radius);
+      }
+      break;
+    }
+    case 'solid': {
+      const level = Math.round(255 * (1 - Math.min(100, Math.max(0, strength)) / 100));
+      layerCtx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+      layerCtx.fillRect(0, 0, width, height);
+      break;
+    }
+    case 'crosshatch':
+      drawCrosshatch(layerCtx, width, height, strength, factor, originX, originY);
+      break;
+    default:
+      console.error('buildStyleLayer: Unknown layer style:', style);
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { pixelateData, fillNoise, averageColor, getLayerKey, usesStyleLayer } from './redactionStyles.js';
+
+/**
+ * Build RGBA pixels from rows of grey levels
+ */
+function grey(rows) {
+  const data = new Uint8ClampedArray(rows.length * rows[0].length * 4);
+  rows.flat().forEach((level, index) => data.set([level, level, level, 255], index * 4));
+  return data;
+}
+
+describe('Redaction Styles', () => {
+  describe('pixelateData', () => {
+    it('should average blocks aligned to the image grid', () => {
+      const data = grey([[0, 10, 20, 30]]);
+
+      pixelateData(data, 4, 1, 2);
+      expect([data[0], data[4], data[8], data[12]]).toEqual([5, 5, 25, 25]);
+    });
+
+    it('should keep the grid when the data is a tile starting mid-block', () => {
+      // Tile starting at image x = 1: its first pixel ends a block
+      const data = grey([[10, 20, 30]]);
+
+      pixelateData(data, 3, 1, 2, 1, 0);
+      expect([data[0], data[4], data[8]]).toEqual([10, 25, 25]);
+    });
+  });
+
+  describe('fillNoise', () => {
+    it('should fill opaque grains of one colour each', () => {
+      const data = new Uint8ClampedArray(4 * 4 * 4);
+
+      fillNoise(data, 4, 4, 2);
+      const pixel = (x, y) => Array.from(data.subarray((y * 4 + x) * 4, (y * 4 + x) * 4 + 4));
+      expect(pixel(1, 1)).toEqual(pixel(0, 0));
+      expect(pixel(3, 2)).toEqual(pixel(2, 3));
+      expect(pixel(0, 0)[3]).toBe(255);
+    });
+  });
+
+  describe('averageColor', () => {
+    it('should weight pixels by the mask alpha', () => {
+      const data = new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255, 0, 255, 0, 255]);
+      const weights = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 0]);
+
+      expect(averageColor(data, weights)).toBe('#800080');
+      expect(averageColor(data, new Uint8ClampedArray(12))).toBeNull();
+    });
+  });
+
+  describe('layers', () => {
+    it('should key layers by style and strength, defaulting to shuffle', () => {
+      expect(getLayerKey({ mode: 'blur', blurAmount: 75 })).toBe('shuffle:75');
+      expect(getLayerKey({ mode: 'blur', style: 'pixelate', blurAmount: 16 })).toBe('pixelate:16');
+      expect(usesStyleLayer({ mode: 'blur', style: 'average' })).toBe(false);
+      expect(usesStyleLayer({ mode: 'paint' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,515 @@
+/**
+ * Region Renderer Module
+ *
+ * Renders the redaction document (see modules/redactionDocument) onto the
+ * visible canvas. The original image in rotationCanvas is drawn first, then
+ * each region is composited on top in order:
+ *
+ * - paint regions are filled with their color
+ * - blur regions reveal a pre-processed blur layer through the region's shape
+ * - undo regions reveal the original image through the region's shape
+ *
+ * Inverted ("keep inside") regions do the same through everything outside
+ * their shape: the mask is built on tempCanvas by filling the whole image
+ * and cutting the shape out of it (destination-out).
+ *
+ * Blur layers are the result of the region's redaction style applied to the
+ * whole original image - by default the pixelate → shuffle → stackblur
+ * pipeline, otherwise one of the styles in modules/redactionStyles. They are
+ * cached per style and strength, and processed lazily in tiles: a render
+ * only processes the tiles under its regions that aren't done yet (padded
+ * by the style's reach, so the result matches a whole-image pass), and
+ * re-rendering after a move or resize is cheap. A layer can also be
+ * processed completely ahead of time (prepareLayer) and then read straight
+ * away (getReadyLayer), so a stroke can preview the real effect while it
+ * is drawn. The default pipeline runs in a worker where OffscreenCanvas is
+ * available (see blurAreaAsync in modules/pixelation). 'average' style regions need no layer: they are
+ * filled with the colour sampled when they were drawn. Content-aware fill
+ * ('inpaint') regions need none either: they carry their own rebuilt pixels
+ * (see modules/inpainting).
+ *
+ * @module modules/regionRenderer
+ */
+
+import { canvasRGBA } from 'stackblur-canvas';
+import { pixelateCanvas, getPixelationScale, blurAreaAsync, supportsBlurWorker } from './pixelation.js';
+import { fillRegionSoft, fillCoverage } from './drawing.js';
+import { getLayerKey, getRegionStyle, usesStyleLayer, buildStyleLayer, getStylePadding } from './redactionStyles.js';
+import { getFillCanvas } from './inpainting.js';
+import { getCoverageBounds } from './redactionDocument.js';
+import { getTileGrid } from './fullResExport.js';
+import { clampBounds, rectsOverlap } from '../utils/canvas.js';
+import { isSecureRandomAvailable } from '../utils/crypto.js';
+import { BLUR_LAYER_CACHE_SIZE, LAYER_TILE_SIZE } from '../utils/constants.js';
+
+/**
+ * Mask color used when drawing region shapes (only the alpha matters)
+ * @private
+ */
+const MASK_COLOR = '#000000';
+
+/**
+ * Create a renderer for a redaction document
+ *
+ * @param {Object} canvases - Canvas objects from setupCanvases()
+ * @param {Object} redactionDocument - Document from createRedactionDocument()
+ * @param {Object} [options] - Renderer options
+ * @param {Function} [options.drawOverlay] - Draws UI overlays (e.g. selection handles) after each render
+ * @returns {Object} Renderer API (requestRender, invalidateLayers, renderToCanvas, renderArea, prepareLayer, getReadyLayer)
+ *
+ * @example
+ * const renderer = createRegionRenderer(canvases, redactionDocument);
+ * await renderer.requestRender();
+ */
+export function createRegionRenderer(canvases, redactionDocument, { drawOverlay = null } = {}) {
+  const { canvas, ctx, tempCanvas, tempCtx, rotationCanvas, offscreenCanvas, offscreenCtx } = canvases;
+
+  // layer key ('style:strength') -> { key, region, canvas, tiles, remaining, warming, pins }
+  // Layers are filled in lazily, one tile (see LAYER_TILE_SIZE) at a time.
+  // pins counts the renders holding an entry; those keep it even once evicted.
+  const layers = new Map();
+  // Tail of the layer processing queue; pieces are processed one at a time
+  let layerWork = Promise.resolve();
+  // Cleared for the rest of the session if the blur worker ever fails
+  let useBlurWorker = supportsBlurWorker();
+  let rendering = null;
+  let renderPending = false;
+
+  /**
+   * Get the cache entry for a region's style and strength
+   * New entries hold an unprocessed layer; tiles are filled by fillLayerArea().
+   * @param {Object} region - Blur region
+   * @returns {Object} Layer entry
+   * @private
+   */
+  const getLayerEntry = (region) => {
+    const key = getLayerKey(region);
+    if (layers.has(key)) {
+      return layers.get(key);
+    }
+
+    const { width, height } = rotationCanvas;
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+
+    const tiles = getTileGrid(width, height, LAYER_TILE_SIZE).map((tile) => ({ ...tile, done: false }));
+    const entry = {
+      key,
+      region: { mode: 'blur', style: getRegionStyle(region), blurAmount: region.blurAmount },
+      canvas: layer,
+      tiles,
+      remaining: tiles.length,
+      warming: false,
+      pins: 0,
+    };
+    layers.set(key, entry);
+
+    // Evict the oldest layer (Map keeps insertion order)
+    // NOTE: Evicted canvases are only dereferenced, not shrunk - a render that
+    // is still compositing may hold on to them, and a shrunken layer would
+    // leave its regions unredacted
+    if (layers.size > BLUR_LAYER_CACHE_SIZE) {
+      layers.delete(layers.keys().next().value);
+    }
+
+    return entry;
+  };
+
+  /**
+   * Tiles of a layer that overlap a rectangle
+   * @private
+   */
+  const getTilesUnder = (entry, rect) => entry.tiles.filter((tile) => rectsOverlap(tile, rect));
+
+  /**
+   * How far outside an area a layer's processing reads
+   * @private
+   */
+  const getLayerPadding = (region) => {
+    const style = getRegionStyle(region);
+    if (style !== 'shuffle') {
+      return getStylePadding(style, region.blurAmount, 1);
+    }
+    // One pixelation block, then the stackblur radius
+    const { width, height } = rotationCanvas;
+    return Math.ceil(1 / getPixelationScale(width, height)) + getStylePadding('gaussian', region.blurAmount, 1);
+  };
+
+  /**
+   * Run a region's style over one area of the original image, on the main thread
+   * @param {Object} region - Blur region
+   * @param {{x: number, y: number, width: number, height: number}} area - Area of rotationCanvas
+   * @param {Object} progress - signal and onProgress, see renderToCanvas()
+   * @returns {Promise<HTMLCanvasElement>} Processed area
+   * @private
+   */
+  const processArea = async (region, area, { signal, onProgress }) => {
+    const piece = document.createElement('canvas');
+    piece.width = area.width;
+    piece.height = area.height;
+    const pieceCtx = piece.getContext('2d');
+    pieceCtx.drawImage(rotationCanvas, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+
+    const style = getRegionStyle(region);
+    if (style !== 'shuffle') {
+      buildStyleLayer(piece, style, region.blurAmount, { originX: area.x, originY: area.y });
+      return piece;
+    }
+
+    try {
+      await pixelateCanvas(piece, pieceCtx, offscreenCanvas, offscreenCtx, rotationCanvas, { signal, onProgress });
+    } catch (error) {
+      // Never fall back to a weaker redaction for lack of secure randomness
+      if (signal?.aborted || !isSecureRandomAvailable()) throw error;
+      console.error('Pixelation failed:', error);
+      // Continue with blur even if pixelation fails
+    }
+
+    canvasRGBA(piece, 0, 0, area.width, area.height, region.blurAmount);
+    return piece;
+  };
+
+  /**
+   * Process the tiles of a layer under an area that aren't processed yet
+   *
+   * The missing tiles are processed together as one box, padded by the
+   * style's reach, so their pixels come out as they would from a pass over
+   * the whole image. Only the tiles themselves are kept.
+   *
+   * @param {Object} entry - Layer entry
+   * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Area needed
+   * @param {Object} [progress] - signal and onProgress, see renderToCanvas()
+   * @private
+   */
+  const fillLayerArea = async (entry, bounds, { signal = null, onProgress = null } = {}) => {
+    signal?.throwIfAborted();
+    // Skip layers dropped (evicted or invalidated) while queued, unless a
+    // render still holds them
+    if (layers.get(entry.key) !== entry && entry.pins === 0) return;
+
+    const { width, height } = rotationCanvas;
+    const rect = clampBounds(bounds, width, height);
+    if (!rect) return;
+
+    const missing = getTilesUnder(entry, rect).filter((tile) => !tile.done);
+    if (!missing.length) return;
+
+    const padding = getLayerPadding(entry.region);
+    const area = clampBounds({
+      minX: Math.min(...missing.map((tile) => tile.x)) - padding,
+      minY: Math.min(...missing.map((tile) => tile.y)) - padding,
+      maxX: Math.max(...missing.map((tile) => tile.x + tile.width)) + padding,
+      maxY: Math.max(...missing.map((tile) => tile.y + tile.height)) + padding,
+    }, width, height);
+
+    const layerCtx = entry.canvas.getContext('2d');
+    const markDone = () => {
+      missing.forEach((tile) => {
+        tile.done = true;
+      });
+      entry.remaining -= missing.length;
+    };
+
+    // The default pipeline runs in a worker where it can; the worker masks
+    // the padding away, so the bitmap goes straight over the layer
+    if (getRegionStyle(entry.region) === 'shuffle' && useBlurWorker) {
+      try {
+        const bitmap = await blurAreaAsync(rotationCanvas, area, entry.region.blurAmount, missing, { signal, onProgress });
+        layerCtx.drawImage(bitmap, area.x, area.y);
+        bitmap.close();
+        markDone();
+        return;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error('Blur worker failed, processing on the main thread instead:', error);
+        useBlurWorker = false;
+      }
+    }
+
+    const piece = await processArea(entry.region, area, { signal, onProgress });
+    missing.forEach((tile) => {
+      layerCtx.drawImage(
+        piece,
+        tile.x - area.x, tile.y - area.y, tile.width, tile.height,
+        tile.x, tile.y, tile.width, tile.height
+      );
+    });
+    markDone();
+
+    // Release the piece's pixel buffer now rather than at GC
+    piece.width = 0;
+    piece.height = 0;
+  };
+
+  /**
+   * Queue processing of the part of a layer under an area
+   * Pieces run one at a time: they share offscreenCanvas, and several
+   * at once would multiply peak memory use.
+   * @returns {Promise<void>} Resolves once the area is processed
+   * @private
+   */
+  const ensureLayerArea = (entry, bounds, progress) => {
+    const job = layerWork.then(() => fillLayerArea(entry, bounds, progress));
+    // Keep the queue going after a failed piece
+    layerWork = job.catch(() => {});
+    return job;
+  };
+
+  /**
+   * Drop all cached blur layers
+   * Must be called whenever the original image (rotationCanvas) changes.
+   */
+  const invalidateLayers = () => {
+    layers.clear();
+  };
+
+  /**
+   * Start processing the whole layer for a style and strength ahead of use
+   * The layer is queued one row of tiles at a time, so renders asked for
+   * meanwhile get their own areas processed in between.
+   * @param {Object} region - Blur region, or the settings a new one will get
+   * @returns {Promise<void>} Resolves once the layer is complete (or failed)
+   */
+  const prepareLayer = async (region) => {
+    if (!usesStyleLayer(region) || !rotationCanvas.width) return;
+
+    const entry = getLayerEntry(region);
+    if (entry.warming) return;
+    entry.warming = true;
+
+    const { width, height } = rotationCanvas;
+    try {
+      for (let y = 0; y < height && entry.remaining > 0; y += LAYER_TILE_SIZE) {
+        if (layers.get(entry.key) !== entry) return;
+        await ensureLayerArea(entry, { minX: 0, minY: y, maxX: width, maxY: y + LAYER_TILE_SIZE });
+      }
+    } catch (error) {
+      console.error('Failed to build blur layer:', error);
+    } finally {
+      entry.warming = false;
+    }
+  };
+
+  /**
+   * Get the layer for a style and strength if it is completely processed
+   * If it isn't, the rest of it starts being processed for next time.
+   * @param {Object} region - Blur region, or the settings a new one will get
+   * @returns {HTMLCanvasElement|null} Layer, or null while it isn't ready
+   */
+  const getReadyLayer = (region) => {
+    if (!usesStyleLayer(region)) return null;
+    const entry = layers.get(getLayerKey(region));
+    if (entry && entry.remaining === 0) {
+      return entry.canvas;
+    }
+    prepareLayer(region);
+    return null;
+  };
+
+  /**
+   * Process the parts of the blur layers the current regions cover
+   * @param {Object[]} regions - Regions to render
+   * @param {Object} [progress] - signal and onProgress, see renderToCanvas()
+   * @returns {Promise<Map<string, HTMLCanvasElement>>} Ready layers by layer key
+   * @throws {Error} If a layer is still missing tiles under a region
+   * @private
+   */
+  const prepareLayers = async (regions, { signal = null, onProgress = null } = {}) => {
+    const { width, height } = rotationCanvas;
+    const layerRegions = regions.filter(usesStyleLayer);
+
+    // Take every entry up front and pin it, so regions sharing a key share
+    // one entry even if it is evicted meanwhile (by this render's other
+    // keys or by prepareLayer), and its queued pieces still get processed
+    const ready = new Map();
+    layerRegions.forEach((region) => {
+      const key = getLayerKey(region);
+      if (!ready.has(key)) {
+        const entry = getLayerEntry(region);
+        entry.pins++;
+        ready.set(key, entry);
+      }
+    });
+
+    try {
+      for (const [index, region] of layerRegions.entries()) {
+        await ensureLayerArea(ready.get(getLayerKey(region)), getCoverageBounds(region, width, height), {
+          signal,
+          onProgress: onProgress && ((fraction) => onProgress((index + fraction) / layerRegions.length)),
+        });
+      }
+    } finally {
+      ready.forEach((entry) => {
+        entry.pins--;
+      });
+    }
+
+    // Never composite from a layer with holes: the region would be left unredacted
+    layerRegions.forEach((region) => {
+      const rect = clampBounds(getCoverageBounds(region, width, height), width, height);
+      if (rect && getTilesUnder(ready.get(getLayerKey(region)), rect).some((tile) => !tile.done)) {
+        throw new Error(`Blur layer ${getLayerKey(region)} is incomplete`);
+      }
+    });
+
+    return new Map([...ready].map(([key, entry]) => [key, entry.canvas]));
+  };
+
+  /**
+   * Composite the original image and all regions onto a target context
+   * @private
+   */
+  const composite = (targetCtx, regions, readyLayers) => {
+    const { width, height } = rotationCanvas;
+
+    targetCtx.save();
+    targetCtx.globalCompositeOperation = 'source-over';
+    targetCtx.clearRect(0, 0, width, height);
+    targetCtx.drawImage(rotationCanvas, 0, 0);
+
+    regions.forEach((region) => {
+      // Content-aware fill regions carry their own pixels; paint and
+      // 'average' regions are a flat color
+      const { fill } = region.mode === 'blur' ? region : {};
+      const isFill = !fill && (region.mode === 'paint' || (region.mode === 'blur' && !usesStyleLayer(region)));
+      if (isFill && !region.invert) {
+        fillRegionSoft(targetCtx, region, region.color, region.feather || 0);
+        return;
+      }
+
+      let source = rotationCanvas;
+      if (fill) {
+        source = getFillCanvas(fill);
+      } else if (region.mode === 'blur') {
+        source = readyLayers.get(getLayerKey(region));
+      }
+      const rect = clampBounds(getCoverageBounds(region, width, height), width, height);
+      if ((!isFill && !source) || !rect) return;
+
+      // Build the region mask on tempCanvas, then fill it with the source
+      // pixels (source-in) and draw the result over the target.
+      // Only the region's bounding box is touched to keep renders cheap.
+      // Inverted flat-color regions only need the mask, drawn in their color.
+      tempCtx.save();
+      tempCtx.clearRect(rect.x, rect.y, rect.width, rect.height);
+      fillCoverage(tempCtx, region, isFill ? region.color : MASK_COLOR, width, height);
+      if (fill) {
+        tempCtx.globalCompositeOperation = 'source-in';
+        tempCtx.drawImage(source, fill.x, fill.y, fill.width, fill.height);
+      } else if (!isFill) {
+        tempCtx.globalCompositeOperation = 'source-in';
+        tempCtx.drawImage(
+          source,
+          rect.x, rect.y, rect.width, rect.height,
+          rect.x, rect.y, rect.width, rect.height
+        );
+      }
+      tempCtx.restore();
+
+      targetCtx.drawImage(
+        tempCanvas,
+        rect.x, rect.y, rect.width, rect.height,
+        rect.x, rect.y, rect.width, rect.height
+      );
+    });
+
+    targetCtx.restore();
+    tempCtx.clearRect(0, 0, tempCanvas.width, tempCanvas.height);
+  };
+
+  const renderOnce = async () => {
+    const regions = redactionDocument.getRegions();
+    const readyLayers = await prepareLayers(regions);
+
+    // The region list may have changed while layers were being built;
+    // the loop in requestRender() picks that up on the next pass
+    composite(ctx, regions, readyLayers);
+
+    if (typeof drawOverlay === 'function') {
+      drawOverlay(ctx);
+    }
+  };
+
+  /**
+   * Re-render the visible canvas
+   * Calls made while a render is running are coalesced into one extra pass.
+   * @returns {Promise<void>} Resolves once the canvas is up to date
+   */
+  const requestRender = () => {
+    if (rendering) {
+      renderPending = true;
+      return rendering;
+    }
+
+    rendering = (async () => {
+      try {
+        do {
+          renderPending = false;
+          await renderOnce();
+        } while (renderPending);
+      } catch (error) {
+        console.error('Failed to render redactions:', error);
+      } finally {
+        rendering = null;
+      }
+    })();
+
+    return rendering;
+  };
+
+  /**
+   * Render the document into a fresh canvas for export (no UI overlays)
+   * Cancelling leaves the visible canvases untouched; only parts of the
+   * layer cache may have been filled in.
+   * @param {Object} [options] - Progress and cancel options
+   * @param {AbortSignal} [options.signal] - Aborts layer processing
+   * @param {Function} [options.onProgress] - Called with the fraction of layer processing done
+   * @returns {Promise<HTMLCanvasElement>} Canvas containing the final composite
+   * @throws {DOMException} AbortError if cancelled
+   */
+  const renderToCanvas = async ({ signal = null, onProgress = null } = {}) => {
+    const regions = redactionDocument.getRegions();
+    const readyLayers = await prepareLayers(regions, { signal, onProgress });
+
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+    composite(output.getContext('2d'), regions, readyLayers);
+    return output;
+  };
+
+  /**
+   * Render one area of the document into a fresh canvas (no UI overlays)
+   * Used by the redaction auditor to see a region as it will be saved.
+   * @param {{x: number, y: number, width: number, height: number}} rect - Area of the image
+   * @param {number} [scale=1] - Scale of the result
+   * @returns {Promise<HTMLCanvasElement>} Canvas of rect's size times scale
+   */
+  const renderArea = async (rect, scale = 1) => {
+    const { width, height } = rotationCanvas;
+    const regions = redactionDocument.getRegions();
+    // Only the layers of regions over the area are needed; the others
+    // draw nothing into it
+    const readyLayers = await prepareLayers(regions.filter((region) =>
+      rectsOverlap(clampBounds(getCoverageBounds(region, width, height), width, height), rect)));
+
+    const output = document.createElement('canvas');
+    output.width = Math.max(1, Math.round(rect.width * scale));
+    output.height = Math.max(1, Math.round(rect.height * scale));
+    const outputCtx = output.getContext('2d', { willReadFrequently: true });
+    outputCtx.scale(scale, scale);
+    outputCtx.translate(-rect.x, -rect.y);
+    composite(outputCtx, regions, readyLayers);
+    return output;
+  };
+
+  return {
+    requestRender,
+    invalidateLayers,
+    renderToCanvas,
+    renderArea,
+    prepareLayer,
+    getReadyLayer,
+  };
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRegionRenderer } from './regionRenderer.js';
+import { createRedactionDocument } from './redactionDocument.js';
+
+// Mark processed pieces instead of running the real styles on pixels
+vi.mock('./redactionStyles.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  buildStyleLayer: (piece) => {
+    piece.processed = true;
+  },
+}));
+
+// Canvas areas that processed pieces were drawn onto, by canvas
+let painted;
+// Layer areas composited onto tempCanvas that were never processed
+let holes;
+let composited;
+let canvases;
+
+/**
+ * Fake 2D context: drawing calls are no-ops, drawImage is recorded
+ */
+const createFakeContext = (canvas) => new Proxy({
+  canvas,
+  drawImage(source, ...args) {
+    const [dx, dy, dw, dh] = args.length === 8 ? args.slice(4) : [args[0], args[1], source.width, source.height];
+    if (source.processed) {
+      if (!painted.has(canvas)) painted.set(canvas, []);
+      painted.get(canvas).push({ x: dx, y: dy, width: dw, height: dh });
+    }
+    if (canvas === canvases.tempCanvas && source !== canvases.rotationCanvas) {
+      composited++;
+      const [sx, sy] = args;
+      const covered = (painted.get(source) || []).some((area) =>
+        sx >= area.x && sx < area.x + area.width && sy >= area.y && sy < area.y + area.height);
+      if (!covered) holes.push({ x: sx, y: sy });
+    }
+  },
+  getTransform: () => new DOMMatrix(),
+}, {
+  get: (target, prop) => (prop in target ? target[prop] : () => {}),
+});
+
+const makeCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return { canvas, ctx: canvas.getContext('2d') };
+};
+
+// Distinct layer keys: one per strength
+const region = (x, strength) => ({
+  shape: 'rect',
+  geometry: { x, y: 0, width: 10, height: 10 },
+  mode: 'blur',
+  style: 'solid',
+  blurAmount: strength,
+});
+
+describe('Region Renderer', () => {
+  beforeEach(() => {
+    painted = new Map();
+    holes = [];
+    composited = 0;
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function getContext() {
+      return createFakeContext(this);
+    });
+
+    // Three 512px layer tiles side by side
+    const visible = makeCanvas(1100, 20);
+    const temp = makeCanvas(1100, 20);
+    const rotation = makeCanvas(1100, 20);
+    const offscreen = makeCanvas(1100, 20);
+    canvases = {
+      canvas: visible.canvas,
+      ctx: visible.ctx,
+      tempCanvas: temp.canvas,
+      tempCtx: temp.ctx,
+      rotationCanvas: rotation.canvas,
+      offscreenCanvas: offscreen.canvas,
+      offscreenCtx: offscreen.ctx,
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should redact every region when it uses more layers than the cache holds', async () => {
+    const doc = createRedactionDocument();
+    // A, B, C, D, then A again in another tile: D evicts A's layer
+    doc.add(region(0, 10));
+    doc.add(region(100, 20));
+    doc.add(region(200, 30));
+    doc.add(region(300, 40));
+    doc.add(region(600, 10));
+
+    const renderer = createRegionRenderer(canvases, doc);
+    await renderer.requestRender();
+
+    expect(composited).toBe(5);
+    expect(holes).toEqual([]);
+  });
+
+  it('should finish a queued layer that is evicted before its turn', async () => {
+    const doc = createRedactionDocument();
+    doc.add(region(0, 10));
+    const renderer = createRegionRenderer(canvases, doc);
+
+    // The render's piece is queued; warming three other layers evicts its layer
+    const rendering = renderer.requestRender();
+    const warming = [20, 30, 40].map((strength) => renderer.prepareLayer(region(0, strength)));
+    await Promise.all([rendering, ...warming]);
+
+    expect(composited).toBe(1);
+    expect(holes).toEqual([]);
+  });
+
+  it('should only process the layers of regions over an area it renders', async () => {
+    const doc = createRedactionDocument();
+    doc.add(region(0, 10));
+    doc.add(region(600, 20));
+    const renderer = createRegionRenderer(canvases, doc);
+
+    await renderer.renderArea({ x: 0, y: 0, width: 20, height: 10 }, 0.5);
+
+    expect(painted.size).toBe(1);
+    expect(composited).toBe(1);
+    expect(holes).toEqual([]);
+  });
+});
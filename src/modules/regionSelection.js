@@ -0,0 +1,244 @@
+/**
+ * Region Selection Module
+ *
+ * Implements the Select tool: click a redaction region to select it, drag it
+ * to move it, drag one of its corner handles to resize it, or press Delete to
+ * remove it. Every finished edit is recorded in the undo/redo history.
+ *
+ * @module modules/regionSelection
+ */
+
+import {
+  getRegionBounds,
+  translateRegion,
+  resizeRegion,
+} from './redactionDocument.js';
+import {
+  createRemoveRegionEntry,
+  createUpdateRegionEntry,
+} from './history.js';
+import { REGION_HANDLE_SIZE } from '../utils/constants.js';
+
+/**
+ * Cursor shown when hovering each corner handle
+ * @private
+ */
+const HANDLE_CURSORS = {
+  nw: 'nwse-resize',
+  se: 'nwse-resize',
+  ne: 'nesw-resize',
+  sw: 'nesw-resize',
+};
+
+/**
+ * Create the selection controller for the Select tool
+ *
+ * @param {Object} options - Selection options
+ * @param {HTMLCanvasElement} options.canvas - Visible canvas
+ * @param {Object} options.redactionDocument - Document from createRedactionDocument()
+ * @param {Object} [options.history] - History stack from createHistory()
+ * @param {Function} options.requestRender - Re-renders the canvas (selection changes need a redraw)
+ * @returns {Object} Selection API
+ *
+ * @example
+ * const selection = createRegionSelection({ canvas, redactionDocument, history, requestRender });
+ * selection.pointerDown({ x: 120, y: 80 });
+ */
+export function createRegionSelection({
+  canvas,
+  redactionDocument,
+  history = null,
+  requestRender,
+}) {
+  let selectedId = null;
+  // Active drag: { type: 'move' | 'resize', handle, start, original }
+  let drag = null;
+
+  /**
+   * Handle size in canvas pixels, so handles look the same at any zoom level
+   * @private
+   */
+  const getHandleSize = () => {
+    const rect = canvas.getBoundingClientRect();
+    const scale = rect.width ? canvas.width / rect.width : 1;
+    return REGION_HANDLE_SIZE * scale;
+  };
+
+  /**
+   * Corner handle positions for a region
+   * @private
+   */
+  const getHandles = (region) => {
+    const bounds = getRegionBounds(region);
+    return {
+      nw: { x: bounds.minX, y: bounds.minY },
+      ne: { x: bounds.maxX, y: bounds.minY },
+      sw: { x: bounds.minX, y: bounds.maxY },
+      se: { x: bounds.maxX, y: bounds.maxY },
+    };
+  };
+
+  /**
+   * Find the handle of the selected region under a point
+   * @returns {string|null} Handle name ('nw', 'ne', 'sw', 'se')
+   * @private
+   */
+  const hitHandle = (pos) => {
+    const region = redactionDocument.getRegion(selectedId);
+    if (!region) return null;
+
+    const tolerance = getHandleSize();
+    const handles = getHandles(region);
+    return (
+      Object.keys(handles).find(
+        (name) =>
+          Math.abs(pos.x - handles[name].x) <= tolerance &&
+          Math.abs(pos.y - handles[name].y) <= tolerance
+      ) || null
+    );
+  };
+
+  const select = (id) => {
+    if (selectedId === id) return;
+    selectedId = id;
+    requestRender();
+  };
+
+  const pointerDown = (pos) => {
+    const handle = hitHandle(pos);
+    if (handle) {
+      drag = {
+        type: 'resize',
+        handle,
+        start: pos,
+        original: redactionDocument.getRegion(selectedId),
+      };
+      return;
+    }
+
+    const region = redactionDocument.hitTest(pos.x, pos.y);
+    select(region ? region.id : null);
+    drag = region ? { type: 'move', start: pos, original: region } : null;
+  };
+
+  /**
+   * Update the cursor for a hovered position
+   * @private
+   */
+  const updateCursor = (pos) => {
+    const handle = hitHandle(pos);
+    if (handle) {
+      canvas.style.cursor = HANDLE_CURSORS[handle];
+    } else if (redactionDocument.hitTest(pos.x, pos.y)) {
+      canvas.style.cursor = 'move';
+    } else {
+      canvas.style.cursor = 'default';
+    }
+  };
+
+  /**
+   * Handle pointer movement (hover or drag)
+   * @param {{x: number, y: number}} pos - Pointer position in canvas pixels
+   * @param {boolean} isDown - Whether a button/finger is pressed
+   */
+  const pointerMove = (pos, isDown) => {
+    if (!isDown || !drag) {
+      updateCursor(pos);
+      return;
+    }
+
+    const dx = pos.x - drag.start.x;
+    const dy = pos.y - drag.start.y;
+
+    if (drag.type === 'move') {
+      redactionDocument.replace(translateRegion(drag.original, dx, dy));
+      return;
+    }
+
+    // Resize: move the dragged corner, keep the opposite one in place
+    const bounds = { ...getRegionBounds(drag.original) };
+    if (drag.handle.includes('w')) bounds.minX += dx;
+    if (drag.handle.includes('e')) bounds.maxX += dx;
+    if (drag.handle.includes('n')) bounds.minY += dy;
+    if (drag.handle.includes('s')) bounds.maxY += dy;
+    redactionDocument.replace(resizeRegion(drag.original, bounds));
+  };
+
+  const pointerUp = () => {
+    if (!drag) return;
+
+    const { type, original } = drag;
+    drag = null;
+
+    const updated = redactionDocument.getRegion(original.id);
+    if (!updated || updated === original || !history) return;
+
+    const label = type === 'move' ? 'Move region' : 'Resize region';
+    history.push(createUpdateRegionEntry(redactionDocument, original, updated, label));
+  };
+
+  /**
+   * Delete the selected region
+   * @returns {boolean} True if a region was deleted
+   */
+  const deleteSelected = () => {
+    if (selectedId === null) return false;
+
+    const removed = redactionDocument.remove(selectedId);
+    selectedId = null;
+    drag = null;
+    if (!removed) return false;
+
+    if (history) {
+      history.push(
+        createRemoveRegionEntry(redactionDocument, removed.region, removed.index, 'Delete region')
+      );
+    }
+    return true;
+  };
+
+  const clearSelection = () => {
+    drag = null;
+    select(null);
+  };
+
+  /**
+   * Draw the selection outline and handles
+   * Called by the region renderer after every render.
+   * @param {CanvasRenderingContext2D} ctx - Visible canvas context
+   */
+  const drawOverlay = (ctx) => {
+    const region = redactionDocument.getRegion(selectedId);
+    if (!region) return;
+
+    const bounds = getRegionBounds(region);
+    const size = getHandleSize();
+
+    ctx.save();
+    ctx.lineWidth = Math.max(1, size / 4);
+    ctx.setLineDash([size, size / 2]);
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    ctx.lineDashOffset = size;
+    ctx.strokeStyle = '#000000';
+    ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#ffffff';
+    Object.values(getHandles(region)).forEach((handle) => {
+      ctx.fillRect(handle.x - size / 2, handle.y - size / 2, size, size);
+      ctx.strokeRect(handle.x - size / 2, handle.y - size / 2, size, size);
+    });
+    ctx.restore();
+  };
+
+  return {
+    pointerDown,
+    pointerMove,
+    pointerUp,
+    deleteSelected,
+    clearSelection,
+    drawOverlay,
+    getSelectedId: () => selectedId,
+  };
+}
@@ -45,23 +45,24 @@ let rotating = false;
  * @param {HTMLCanvasElement} canvases.blurredCanvas - Blur processing canvas
  * @param {CanvasRenderingContext2D} canvases.blurredCtx - Blur canvas context
  * @param {HTMLCanvasElement} canvases.holderCanvas - State holder canvas
+ * @returns {Promise<boolean>} Resolves true once rotated, or false if the rotation was skipped or failed
  * 
  * @example
- * rotateButton.addEventListener('click', () => {
- *   rotateCanvas(canvases);
+ * rotateButton.addEventListener('click', async () => {
+ *   await rotateCanvas(canvases);
  * });
  */
 export function rotateCanvas(canvases) {
   // Prevent concurrent rotations (causes visual glitches)
   if (rotating) {
     console.warn('Rotation already in progress, ignoring request');
-    return;
+    return Promise.resolve(false);
   }
 
   // TODO: Add validation for canvases parameter
   if (!canvases) {
     console.error('rotateCanvas: canvases parameter is required');
-    return;
+    return Promise.resolve(false);
   }
 
   const {
@@ -79,7 +80,7 @@ export function rotateCanvas(canvases) {
   // Validate all required canvases exist
   if (!canvas || !tempCanvas || !rotationCanvas || !blurredCanvas || !holderCanvas) {
     console.error('rotateCanvas: Missing required canvas elements');
-    return;
+    return Promise.resolve(false);
   }
 
   rotating = true;
@@ -101,71 +102,76 @@ export function rotateCanvas(canvases) {
   } catch (error) {
     console.error('Failed to create data URLs from canvases:', error);
     rotating = false;
-    return;
+    return Promise.resolve(false);
   }
 
   // Step 2: Wait for main image to load, then rotate all canvases
-  myImageData.onload = () => {
-    try {
-      // Swap dimensions for 90-degree rotation
-      const cw = canvas.height;  // New width = old height
-      const ch = canvas.width;   // New height = old width
-
-      // Resize all canvases (this clears their content)
-      const canvasElements = [canvas, tempCanvas, holderCanvas, rotationCanvas, blurredCanvas];
-      canvasElements.forEach(c => {
-        c.width = cw;
-        c.height = ch;
-      });
-
-      // Rotate and draw main canvas
-      // HACK: The translate() call uses `ch / cw` which seems incorrect
-      // Should probably be just `cw` or `0` for proper rotation
-      // XXX: Verify this math - it works but might not be the cleanest approach
-      ctx.save();
-      ctx.translate(cw, ch / cw);
-      ctx.rotate(ROTATION_ANGLE);
-      ctx.drawImage(myImageData, 0, 0);
-      ctx.restore();
-
-      // Rotate temp canvas (preserves partial edits)
-      tempCtx.save();
-      tempCtx.translate(cw, ch / cw);
-      tempCtx.rotate(ROTATION_ANGLE);
-      tempCtx.drawImage(tempImageData, 0, 0);
-      tempCtx.restore();
-
-      // Rotate rotation canvas (original unmodified image)
-      rotationCtx.save();
-      rotationCtx.translate(cw, ch / cw);
-      rotationCtx.rotate(ROTATION_ANGLE);
-      rotationCtx.drawImage(rotationImageData, 0, 0);
-      rotationCtx.restore();
-
-      // Rotate blurred canvas
-      // NOTE: Uses rotationImageData, not blurredImageData - is this intentional?
-      // FIXME: Should this use blurredImageData instead?
-      blurredCtx.save();
-      blurredCtx.translate(cw, ch / cw);
-      blurredCtx.rotate(ROTATION_ANGLE);
-      blurredCtx.drawImage(rotationImageData, 0, 0);
-      blurredCtx.restore();
-
-      // Release the lock
-      rotating = false;
-      
-      console.info(`Image rotated to ${cw}×${ch}`);
-    } catch (error) {
-      console.error('Error during rotation:', error);
+  return new Promise((resolve) => {
+    myImageData.onload = () => {
+      try {
+        // Swap dimensions for 90-degree rotation
+        const cw = canvas.height;  // New width = old height
+        const ch = canvas.width;   // New height = old width
+
+        // Resize all canvases (this clears their content)
+        const canvasElements = [canvas, tempCanvas, holderCanvas, rotationCanvas, blurredCanvas];
+        canvasElements.forEach(c => {
+          c.width = cw;
+          c.height = ch;
+        });
+
+        // Rotate and draw main canvas
+        // HACK: The translate() call uses `ch / cw` which seems incorrect
+        // Should probably be just `cw` or `0` for proper rotation
+        // XXX: Verify this math - it works but might not be the cleanest approach
+        ctx.save();
+        ctx.translate(cw, ch / cw);
+        ctx.rotate(ROTATION_ANGLE);
+        ctx.drawImage(myImageData, 0, 0);
+        ctx.restore();
+
+        // Rotate temp canvas (preserves partial edits)
+        tempCtx.save();
+        tempCtx.translate(cw, ch / cw);
+        tempCtx.rotate(ROTATION_ANGLE);
+        tempCtx.drawImage(tempImageData, 0, 0);
+        tempCtx.restore();
+
+        // Rotate rotation canvas (original unmodified image)
+        rotationCtx.save();
+        rotationCtx.translate(cw, ch / cw);
+        rotationCtx.rotate(ROTATION_ANGLE);
+        rotationCtx.drawImage(rotationImageData, 0, 0);
+        rotationCtx.restore();
+
+        // Rotate blurred canvas
+        // NOTE: Uses rotationImageData, not blurredImageData - is this intentional?
+        // FIXME: Should this use blurredImageData instead?
+        blurredCtx.save();
+        blurredCtx.translate(cw, ch / cw);
+        blurredCtx.rotate(ROTATION_ANGLE);
+        blurredCtx.drawImage(rotationImageData, 0, 0);
+        blurredCtx.restore();
+
+        // Release the lock
+        rotating = false;
+        
+        console.info(`Image rotated to ${cw}×${ch}`);
+        resolve(true);
+      } catch (error) {
+        console.error('Error during rotation:', error);
+        rotating = false;
+        resolve(false);
+      }
+    };
+
+    // Handle image load errors
+    myImageData.onerror = (error) => {
+      console.error('Failed to load canvas data for rotation:', error);
       rotating = false;
-    }
-  };
-
-  // Handle image load errors
-  myImageData.onerror = (error) => {
-    console.error('Failed to load canvas data for rotation:', error);
-    rotating = false;
-  };
+      resolve(false);
+    };
+  });
 }
 
 /**
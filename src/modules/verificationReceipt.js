@@ -0,0 +1,113 @@
+/**
+ * Verification Receipt Module
+ *
+ * Shows the result of modules/exportVerifier as a pass/fail receipt under
+ * the status banner, so users can see that the file they downloaded was
+ * checked - or why a download was blocked.
+ *
+ * @module modules/verificationReceipt
+ */
+
+/**
+ * Create the list of checks for one verified file
+ *
+ * @param {Object[]} checks - Checks from verifyExport()
+ * @returns {HTMLUListElement} Check list
+ * @private
+ */
+function createCheckList(checks) {
+  const list = document.createElement('ul');
+  list.className = 'receipt-checks';
+
+  checks.forEach((check) => {
+    const item = document.createElement('li');
+    item.className = check.passed ? 'receipt-pass' : 'receipt-fail';
+    item.textContent = `${check.passed ? '✓' : '✗'} ${check.label}`;
+
+    if (check.details.length) {
+      const details = document.createElement('ul');
+      check.details.forEach((detail) => {
+        const detailItem = document.createElement('li');
+        detailItem.textContent = detail;
+        details.appendChild(detailItem);
+      });
+      item.appendChild(details);
+    }
+
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Render the verification receipt
+ *
+ * A single file lists every check. For several files (batch export), files
+ * that passed get one line each and only failed files list their checks.
+ *
+ * @param {Array<{name: string, verification: Object}>} entries - Verified files and their verifyExport() results
+ *
+ * @example
+ * renderVerificationReceipt([{ name: 'pill_scrubbed.jpg', verification }]);
+ */
+export function renderVerificationReceipt(entries) {
+  const receipt = document.getElementById('verificationReceipt');
+  const title = document.getElementById('verificationReceiptTitle');
+  const body = document.getElementById('verificationReceiptBody');
+  if (!receipt || !title || !body) return;
+
+  const failed = entries.filter((entry) => !entry.verification.passed);
+  const passed = failed.length === 0;
+
+  receipt.classList.toggle('passed', passed);
+  receipt.classList.toggle('failed', !passed);
+
+  if (entries.length === 1) {
+    title.textContent = passed
+      ? `✓ Verified clean: ${entries[0].name}`
+      : `✗ Verification failed - ${entries[0].name} was not downloaded`;
+  } else {
+    title.textContent = passed
+      ? `✓ All ${entries.length} files verified clean`
+      : `✗ ${failed.length} of ${entries.length} files failed verification and were not saved`;
+  }
+
+  body.innerHTML = '';
+  if (entries.length === 1) {
+    body.appendChild(createCheckList(entries[0].verification.checks));
+  } else {
+    const list = document.createElement('ul');
+    list.className = 'receipt-files';
+    entries.forEach(({ name, verification }) => {
+      const item = document.createElement('li');
+      item.className = verification.passed ? 'receipt-pass' : 'receipt-fail';
+      item.textContent = `${verification.passed ? '✓' : '✗'} ${name}`;
+      if (!verification.passed) {
+        item.appendChild(createCheckList(verification.checks.filter((check) => !check.passed)));
+      }
+      list.appendChild(item);
+    });
+    body.appendChild(list);
+  }
+
+  receipt.hidden = false;
+}
+
+/**
+ * Hide the verification receipt
+ */
+export function hideVerificationReceipt() {
+  const receipt = document.getElementById('verificationReceipt');
+  if (receipt) receipt.hidden = true;
+}
+
+/**
+ * Attach the receipt's close button
+ */
+export function setupVerificationReceipt() {
+  const closeButton = document.getElementById('verificationReceiptClose');
+  if (closeButton) {
+    closeButton.addEventListener('click', hideVerificationReceipt);
+  }
+}
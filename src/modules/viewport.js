@@ -0,0 +1,421 @@
+/**
+ * Viewport Module
+ *
+ * Zooms and pans the visible canvas so small details (a tattoo, the text on
+ * a baggie) can be redacted precisely:
+ *
+ * - Mouse wheel (or trackpad pinch) zooms around the pointer
+ * - +/- zoom around the centre, 0 fits the image again, arrow keys pan
+ * - Space-drag (or middle-button drag) pans
+ * - Two fingers pan and pinch-zoom on touch screens
+ * - A minimap shows which part of the image is on screen; click or drag it
+ *   to jump there
+ *
+ * Zoom and pan are a CSS transform on the canvas, layered on the fit done
+ * by the stylesheet. The canvas keeps its pixel size, and
+ * getBoundingClientRect() includes the transform, so getMousePos() and
+ * everything else that maps screen to canvas pixels stays correct.
+ *
+ * Pointer events for pans and multi-touch gestures are handled in the
+ * capture phase and stopped there, so the drawing handlers only ever see
+ * single-finger strokes. Touches don't start a gesture while a pen is on
+ * the screen: they are the hand holding it.
+ *
+ * @module modules/viewport
+ */
+
+import {
+  ZOOM_MAX,
+  ZOOM_STEP,
+  ZOOM_WHEEL_SENSITIVITY,
+  MINIMAP_SIZE,
+} from '../utils/constants.js';
+
+/**
+ * Wheel deltas in lines (deltaMode 1) are converted to roughly this many pixels
+ * @private
+ */
+const WHEEL_LINE_HEIGHT = 33;
+
+/**
+ * Clamp a zoom level to the supported range
+ *
+ * @param {number} zoom - Zoom level (1 = fitted)
+ * @returns {number} Zoom between 1 and ZOOM_MAX
+ */
+export function clampZoom(zoom) {
+  return Math.min(ZOOM_MAX, Math.max(1, zoom));
+}
+
+/**
+ * Keep the pan within the image
+ * The image's edges can be moved up to the edges of its fitted frame, but
+ * no further, so some of it is always on screen.
+ *
+ * @param {{zoom: number, panX: number, panY: number}} view - Zoom and pan (screen pixels)
+ * @param {number} fitWidth - Width of the fitted (unzoomed) canvas on screen
+ * @param {number} fitHeight - Height of the fitted (unzoomed) canvas on screen
+ * @returns {{zoom: number, panX: number, panY: number}} Clamped view
+ */
+export function clampPan(view, fitWidth, fitHeight) {
+  const maxX = (fitWidth * (view.zoom - 1)) / 2;
+  const maxY = (fitHeight * (view.zoom - 1)) / 2;
+  return {
+    zoom: view.zoom,
+    panX: Math.min(maxX, Math.max(-maxX, view.panX)),
+    panY: Math.min(maxY, Math.max(-maxY, view.panY)),
+  };
+}
+
+/**
+ * Change the zoom while keeping one screen point over the same image pixel
+ *
+ * The canvas scales around its centre, so a pixel at offset d from the
+ * centre appears at centre + zoom × d.
+ *
+ * @param {{zoom: number, panX: number, panY: number}} view - Current view
+ * @param {number} zoom - New zoom level (clamped)
+ * @param {{x: number, y: number}} point - Screen point that should stay put
+ * @param {{x: number, y: number}} center - Current screen position of the canvas centre
+ * @returns {{zoom: number, panX: number, panY: number}} New view (pan not clamped)
+ *
+ * @example
+ * zoomAround({ zoom: 1, panX: 0, panY: 0 }, 2, { x: 150, y: 100 }, { x: 100, y: 100 });
+ * // { zoom: 2, panX: -50, panY: 0 }
+ */
+export function zoomAround(view, zoom, point, center) {
+  const next = clampZoom(zoom);
+  const ratio = next / view.zoom;
+  return {
+    zoom: next,
+    panX: view.panX + (point.x - center.x) * (1 - ratio),
+    panY: view.panY + (point.y - center.y) * (1 - ratio),
+  };
+}
+
+/**
+ * Work out which part of the canvas is on screen
+ *
+ * @param {{left: number, top: number, width: number, height: number}} rect - Canvas rect on screen
+ * @param {number} viewWidth - Window width
+ * @param {number} viewHeight - Window height
+ * @returns {{x: number, y: number, width: number, height: number}|null} Visible part as fractions of the canvas (0-1), or null if none is visible
+ */
+export function getVisibleArea(rect, viewWidth, viewHeight) {
+  if (!rect.width || !rect.height) return null;
+
+  const left = Math.max(0, -rect.left / rect.width);
+  const top = Math.max(0, -rect.top / rect.height);
+  const right = Math.min(1, (viewWidth - rect.left) / rect.width);
+  const bottom = Math.min(1, (viewHeight - rect.top) / rect.height);
+  if (right <= left || bottom <= top) return null;
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Distance and midpoint of the first two touch points
+ * @private
+ */
+function measureTouches(touches) {
+  const [a, b] = touches;
+  return {
+    distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+    mid: { x: (a.clientX + b.clientX) / 2, y: (a.clientY + b.clientY) / 2 },
+  };
+}
+
+/**
+ * Create the zoom and pan controller for the visible canvas
+ *
+ * @param {Object} options - Viewport options
+ * @param {HTMLCanvasElement} options.canvas - Visible canvas
+ * @param {HTMLElement} [options.minimap] - Minimap container (shown while zoomed in)
+ * @param {HTMLCanvasElement} [options.minimapCanvas] - Canvas inside the minimap
+ * @param {HTMLElement} [options.zoomLabel] - Element showing the zoom level
+ * @param {Function} [options.onChange] - Called with the view after every zoom or pan
+ * @param {Function} [options.onGestureStart] - Called when a two-finger gesture starts (the stroke the first finger began should be dropped)
+ * @returns {Object} Viewport API
+ *
+ * @example
+ * const viewport = createViewport({ canvas, onChange: () => setCursor(canvas, size, brush) });
+ * viewport.zoomBy(2);
+ */
+export function createViewport({
+  canvas,
+  minimap = null,
+  minimapCanvas = null,
+  zoomLabel = null,
+  onChange = null,
+  onGestureStart = null,
+}) {
+  let view = { zoom: 1, panX: 0, panY: 0 };
+  // Touch pointers on the canvas: pointerId -> { clientX, clientY }
+  const touches = new Map();
+  // Pens on the canvas, by pointerId
+  const pens = new Set();
+  // Two-finger gesture: { startView, startCenter, startDistance, startMid } once two fingers are down
+  let gesture = null;
+  // Pointer id and position while space- or middle-dragging
+  let panDrag = null;
+  let spaceHeld = false;
+  let savedCursor = '';
+
+  /**
+   * Current screen position of the canvas centre
+   * @private
+   */
+  const getCenter = () => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  };
+
+  /**
+   * Draw the image and the visible area onto the minimap
+   */
+  const updateMinimap = () => {
+    if (!minimap || !minimapCanvas) return;
+    if (minimap.hidden || !canvas.width || !canvas.height) {
+      // Don't keep a copy of the photo around while the minimap is hidden
+      minimapCanvas.width = 0;
+      minimapCanvas.height = 0;
+      return;
+    }
+
+    const scale = MINIMAP_SIZE / Math.max(canvas.width, canvas.height);
+    const width = Math.max(1, Math.round(canvas.width * scale));
+    const height = Math.max(1, Math.round(canvas.height * scale));
+    if (minimapCanvas.width !== width || minimapCanvas.height !== height) {
+      minimapCanvas.width = width;
+      minimapCanvas.height = height;
+    }
+
+    const minimapCtx = minimapCanvas.getContext('2d');
+    minimapCtx.clearRect(0, 0, width, height);
+    minimapCtx.drawImage(canvas, 0, 0, width, height);
+
+    const area = getVisibleArea(canvas.getBoundingClientRect(), window.innerWidth, window.innerHeight);
+    if (!area) return;
+    minimapCtx.save();
+    minimapCtx.lineWidth = 2;
+    minimapCtx.strokeStyle = '#ffffff';
+    minimapCtx.shadowColor = '#000000';
+    minimapCtx.shadowBlur = 2;
+    minimapCtx.strokeRect(area.x * width + 1, area.y * height + 1, area.width * width - 2, area.height * height - 2);
+    minimapCtx.restore();
+  };
+
+  /**
+   * Clamp the view and apply it to the canvas
+   * @private
+   */
+  const apply = (next) => {
+    // Undo the current zoom to find the fitted size
+    const rect = canvas.getBoundingClientRect();
+    view = clampPan(next, rect.width / view.zoom, rect.height / view.zoom);
+
+    if (view.zoom === 1) {
+      // Back to the stylesheet's centred fit
+      view = { zoom: 1, panX: 0, panY: 0 };
+      canvas.style.transform = '';
+    } else {
+      canvas.style.transform =
+        `translate(-50%, -50%) translate(${view.panX}px, ${view.panY}px) scale(${view.zoom})`;
+    }
+
+    if (zoomLabel) {
+      zoomLabel.textContent = `${Math.round(view.zoom * 100)}%`;
+    }
+    if (minimap) {
+      minimap.hidden = view.zoom === 1;
+    }
+    updateMinimap();
+
+    if (typeof onChange === 'function') {
+      onChange({ ...view });
+    }
+  };
+
+  /**
+   * Zoom in or out by a factor
+   * @param {number} factor - Multiplier for the zoom level (e.g. 1.25 or 0.8)
+   * @param {{x: number, y: number}} [point] - Screen point to zoom around (default: canvas centre)
+   */
+  const zoomBy = (factor, point = null) => {
+    const center = getCenter();
+    apply(zoomAround(view, view.zoom * factor, point || center, center));
+  };
+
+  /**
+   * Move the zoomed image
+   * @param {number} dx - Horizontal distance (screen pixels)
+   * @param {number} dy - Vertical distance (screen pixels)
+   */
+  const panBy = (dx, dy) => {
+    apply({ ...view, panX: view.panX + dx, panY: view.panY + dy });
+  };
+
+  /**
+   * Fit the image to the window again
+   * Call whenever the canvas size changes (new photo, rotation).
+   */
+  const reset = () => {
+    gesture = null;
+    panDrag = null;
+    apply({ zoom: 1, panX: 0, panY: 0 });
+  };
+
+  const handleWheel = (e) => {
+    e.preventDefault();
+    const delta = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY;
+    zoomBy(Math.exp(-delta * ZOOM_WHEEL_SENSITIVITY), { x: e.clientX, y: e.clientY });
+  };
+
+  /**
+   * Start (or restart, when fingers change) a gesture from the touches down now
+   * @private
+   */
+  const startGesture = () => {
+    const { distance, mid } = measureTouches([...touches.values()]);
+    gesture = { startView: view, startCenter: getCenter(), startDistance: distance || 1, startMid: mid };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'pen') {
+      pens.add(e.pointerId);
+      return;
+    }
+
+    if (e.pointerType === 'touch') {
+      touches.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+      if (touches.size < 2 || (pens.size && !gesture)) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      if (!gesture && typeof onGestureStart === 'function') {
+        onGestureStart();
+      }
+      canvas.setPointerCapture(e.pointerId);
+      startGesture();
+      return;
+    }
+
+    // Space-drag or middle-button drag pans instead of drawing
+    if (!spaceHeld && e.button !== 1) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    canvas.setPointerCapture(e.pointerId);
+    panDrag = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    canvas.style.cursor = 'grabbing';
+  };
+
+  const handlePointerMove = (e) => {
+    if (touches.has(e.pointerId)) {
+      touches.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+      if (!gesture) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (touches.size < 2) return;
+
+      const { startView, startCenter, startDistance, startMid } = gesture;
+      const { distance, mid } = measureTouches([...touches.values()]);
+      const zoomed = zoomAround(startView, (startView.zoom * distance) / startDistance, startMid, startCenter);
+      apply({ ...zoomed, panX: zoomed.panX + mid.x - startMid.x, panY: zoomed.panY + mid.y - startMid.y });
+      return;
+    }
+
+    if (!panDrag || e.pointerId !== panDrag.id) return;
+    e.stopImmediatePropagation();
+    panBy(e.clientX - panDrag.x, e.clientY - panDrag.y);
+    panDrag = { ...panDrag, x: e.clientX, y: e.clientY };
+  };
+
+  const handlePointerUp = (e) => {
+    pens.delete(e.pointerId);
+
+    if (touches.delete(e.pointerId)) {
+      if (!gesture) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      if (touches.size === 0) {
+        // Every finger is up: the next touch draws again
+        gesture = null;
+      } else if (touches.size >= 2) {
+        startGesture();
+      }
+      return;
+    }
+
+    if (!panDrag || e.pointerId !== panDrag.id) return;
+    e.stopImmediatePropagation();
+    panDrag = null;
+    canvas.style.cursor = spaceHeld ? 'grab' : savedCursor;
+  };
+
+  const handleKeyDown = (e) => {
+    // Only take the space bar when nothing else (a button, a radio) would use it
+    if (e.code !== 'Space' || (e.target !== document.body && e.target !== canvas)) return;
+    e.preventDefault();
+    if (spaceHeld) return;
+    spaceHeld = true;
+    savedCursor = canvas.style.cursor;
+    canvas.style.cursor = 'grab';
+  };
+
+  const handleKeyUp = (e) => {
+    if (e.code !== 'Space' || !spaceHeld) return;
+    spaceHeld = false;
+    if (!panDrag) {
+      canvas.style.cursor = savedCursor;
+    }
+  };
+
+  /**
+   * Centre the view on the minimap point under the pointer
+   * @private
+   */
+  const panToMinimapPoint = (e) => {
+    const mapRect = minimapCanvas.getBoundingClientRect();
+    if (!mapRect.width || !mapRect.height) return;
+    const fx = (e.clientX - mapRect.left) / mapRect.width;
+    const fy = (e.clientY - mapRect.top) / mapRect.height;
+    const rect = canvas.getBoundingClientRect();
+    panBy(
+      window.innerWidth / 2 - (rect.left + fx * rect.width),
+      window.innerHeight / 2 - (rect.top + fy * rect.height)
+    );
+  };
+
+  canvas.addEventListener('wheel', handleWheel, { passive: false });
+  canvas.addEventListener('pointerdown', handlePointerDown, { capture: true });
+  canvas.addEventListener('pointermove', handlePointerMove, { capture: true });
+  canvas.addEventListener('pointerup', handlePointerUp, { capture: true });
+  canvas.addEventListener('pointercancel', handlePointerUp, { capture: true });
+  document.addEventListener('keydown', handleKeyDown);
+  document.addEventListener('keyup', handleKeyUp);
+  window.addEventListener('resize', () => apply(view));
+
+  if (minimapCanvas) {
+    minimapCanvas.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      minimapCanvas.setPointerCapture(e.pointerId);
+      panToMinimapPoint(e);
+    });
+    minimapCanvas.addEventListener('pointermove', (e) => {
+      if (minimapCanvas.hasPointerCapture(e.pointerId)) {
+        panToMinimapPoint(e);
+      }
+    });
+  }
+
+  return {
+    zoomIn: () => zoomBy(ZOOM_STEP),
+    zoomOut: () => zoomBy(1 / ZOOM_STEP),
+    zoomBy,
+    panBy,
+    reset,
+    updateMinimap,
+    getZoom: () => view.zoom,
+  };
+}
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { clampZoom, clampPan, zoomAround, getVisibleArea } from './viewport.js';
+import { ZOOM_MAX } from '../utils/constants.js';
+
+describe('Viewport', () => {
+  it('should keep the zoom between fitted and the maximum', () => {
+    expect(clampZoom(0.5)).toBe(1);
+    expect(clampZoom(3)).toBe(3);
+    expect(clampZoom(ZOOM_MAX * 2)).toBe(ZOOM_MAX);
+  });
+
+  it('should keep the point under the pointer in place when zooming', () => {
+    const center = { x: 100, y: 100 };
+    const point = { x: 150, y: 80 };
+    const view = zoomAround({ zoom: 1, panX: 0, panY: 0 }, 2, point, center);
+
+    expect(view).toEqual({ zoom: 2, panX: -50, panY: 20 });
+
+    // The image pixel that was under the point (offset 50, -20 from the
+    // centre) is still under it
+    const newCenter = { x: center.x + view.panX, y: center.y + view.panY };
+    expect(newCenter.x + 50 * view.zoom).toBe(point.x);
+    expect(newCenter.y - 20 * view.zoom).toBe(point.y);
+  });
+
+  it('should stop panning at the edges of the fitted frame', () => {
+    expect(clampPan({ zoom: 1, panX: 30, panY: 30 }, 200, 100)).toEqual({ zoom: 1, panX: 0, panY: 0 });
+    expect(clampPan({ zoom: 3, panX: 500, panY: -20 }, 200, 100)).toEqual({ zoom: 3, panX: 200, panY: -20 });
+  });
+
+  it('should report the part of the canvas inside the window', () => {
+    // Canvas twice as wide as the window, scrolled to its right half
+    expect(getVisibleArea({ left: -400, top: 0, width: 800, height: 300 }, 400, 600))
+      .toEqual({ x: 0.5, y: 0, width: 0.5, height: 1 });
+    expect(getVisibleArea({ left: 500, top: 0, width: 100, height: 100 }, 400, 600)).toBeNull();
+  });
+});
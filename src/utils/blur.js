@@ -0,0 +1,58 @@
+/**
+ * Stack Blur Utilities
+ *
+ * stackblur's lookup tables stop at a radius of 254, which a full-resolution
+ * export of a large photo easily goes past (strength × export scale). Larger
+ * radii are split into several passes of a smaller radius: stack blur's
+ * triangular kernel of radius r has a variance of r(r + 2) / 6, and the
+ * variances of repeated passes add up, so the passes are at least as strong
+ * as the single blur the preview shows.
+ *
+ * @module utils/blur
+ */
+
+/**
+ * Largest radius supported by stackblur's lookup tables
+ */
+export const STACKBLUR_MAX_RADIUS = 254;
+
+/**
+ * Split a blur radius into stackblur passes
+ *
+ * @param {number} radius - Blur radius in pixels
+ * @returns {{radius: number, passes: number}} Radius of each pass and the number of passes
+ *
+ * @example
+ * getBlurPasses(20);  // { radius: 20, passes: 1 }
+ * getBlurPasses(500); // { radius: 250, passes: 4 }
+ */
+export function getBlurPasses(radius) {
+  const target = Math.max(0, Math.ceil(radius));
+  const spread = target * (target + 2);
+  const passes = Math.max(1, Math.ceil(spread / (STACKBLUR_MAX_RADIUS * (STACKBLUR_MAX_RADIUS + 2))));
+  // Smallest radius whose passes add up to the target's spread
+  let passRadius = Math.ceil(Math.sqrt(1 + spread / passes) - 1);
+  while (passes * passRadius * (passRadius + 2) < spread) passRadius++;
+  return { radius: Math.min(STACKBLUR_MAX_RADIUS, passRadius), passes };
+}
+
+/**
+ * Radius of the single blur that matches a set of passes
+ *
+ * @param {{radius: number, passes: number}} blur - Passes from getBlurPasses()
+ * @returns {number} Equivalent single-pass radius
+ */
+export function getEffectiveBlurRadius({ radius, passes }) {
+  return Math.sqrt(1 + passes * radius * (radius + 2)) - 1;
+}
+
+/**
+ * How far a blur reads from each pixel, so tiles can be padded
+ *
+ * @param {number} radius - Blur radius in pixels
+ * @returns {number} Reach in pixels
+ */
+export function getBlurReach(radius) {
+  const { radius: passRadius, passes } = getBlurPasses(radius);
+  return passRadius * passes;
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { STACKBLUR_MAX_RADIUS, getBlurPasses, getEffectiveBlurRadius, getBlurReach } from './blur.js';
+
+describe('Blur Utils', () => {
+  describe('getBlurPasses', () => {
+    it('should use a single pass up to the stackblur limit', () => {
+      expect(getBlurPasses(20)).toEqual({ radius: 20, passes: 1 });
+      expect(getBlurPasses(STACKBLUR_MAX_RADIUS)).toEqual({ radius: STACKBLUR_MAX_RADIUS, passes: 1 });
+    });
+
+    it('should never blur less than the requested radius', () => {
+      // Strengths up to 150 on a 48 MP photo exported from a 2500px working copy
+      for (let radius = 1; radius <= 150 * 3.2; radius += 0.7) {
+        const blur = getBlurPasses(radius);
+        expect(blur.radius).toBeLessThanOrEqual(STACKBLUR_MAX_RADIUS);
+        expect(getEffectiveBlurRadius(blur)).toBeGreaterThanOrEqual(radius);
+      }
+    });
+
+    it('should not blur much more than the requested radius', () => {
+      expect(getEffectiveBlurRadius(getBlurPasses(500))).toBeLessThan(505);
+    });
+  });
+
+  describe('getBlurReach', () => {
+    it('should cover every pass', () => {
+      expect(getBlurReach(100)).toBe(100);
+      expect(getBlurReach(500)).toBe(1000);
+    });
+  });
+});
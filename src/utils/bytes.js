@@ -0,0 +1,70 @@
+/**
+ * Byte Array Utilities
+ *
+ * Small helpers for reading image file structures (PNG chunks, JPEG
+ * segments, ISO boxes) straight from a Uint8Array.
+ *
+ * @module utils/bytes
+ */
+
+/**
+ * Read an ASCII string
+ *
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Offset of the first character
+ * @param {number} length - Number of characters
+ * @returns {string} Decoded string
+ *
+ * @example
+ * readAscii(bytes, 4, 4); // 'IHDR'
+ */
+export function readAscii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+/**
+ * Read a NUL-terminated ASCII string
+ *
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Offset of the first character
+ * @param {number} maxLength - Maximum number of characters to read
+ * @returns {string} Decoded string, without the terminator
+ */
+export function readCString(bytes, start, maxLength) {
+  let end = start;
+  while (end < bytes.length && end - start < maxLength && bytes[end] !== 0) {
+    end++;
+  }
+  return readAscii(bytes, start, end - start);
+}
+
+/**
+ * Find the first occurrence of a byte pattern
+ *
+ * @param {Uint8Array} bytes - Bytes to search
+ * @param {number[]|string} pattern - Bytes, or an ASCII string, to look for
+ * @param {number} [from=0] - Offset to start searching at
+ * @returns {number} Offset of the match, or -1 if not found
+ *
+ * @example
+ * findBytes(bytes, 'ftyp'); // offset of an MP4 header
+ */
+export function findBytes(bytes, pattern, from = 0) {
+  const needle = typeof pattern === 'string'
+    ? Array.from(pattern, (char) => char.charCodeAt(0))
+    : pattern;
+  const last = bytes.length - needle.length;
+
+  for (let i = Math.max(0, from); i <= last; i++) {
+    let match = true;
+    for (let j = 0; j < needle.length; j++) {
+      if (bytes[i + j] !== needle[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i;
+  }
+
+  return -1;
+}
@@ -165,3 +165,73 @@ export function clearCanvas(canvas, width = 1, height = 1) {
     ctx.clearRect(0, 0, width, height);
   }
 }
+
+/**
+ * Grow a bounding box so it contains a circle at (x, y) with radius r
+ * 
+ * Used to track the area touched by a brush stroke so that only that
+ * region needs to be snapshotted or reprocessed.
+ * 
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}|null} bounds - Existing bounds, or null to start new bounds
+ * @param {number} x - Center X coordinate
+ * @param {number} y - Center Y coordinate
+ * @param {number} [r=0] - Radius to pad the point by
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Expanded bounds
+ * 
+ * @example
+ * let bounds = null;
+ * bounds = expandBounds(bounds, 100, 100, 25);
+ * bounds = expandBounds(bounds, 200, 150, 25);
+ */
+export function expandBounds(bounds, x, y, r = 0) {
+  if (!bounds) {
+    return { minX: x - r, minY: y - r, maxX: x + r, maxY: y + r };
+  }
+
+  return {
+    minX: Math.min(bounds.minX, x - r),
+    minY: Math.min(bounds.minY, y - r),
+    maxX: Math.max(bounds.maxX, x + r),
+    maxY: Math.max(bounds.maxY, y + r),
+  };
+}
+
+/**
+ * Convert bounds to an integer rectangle clamped to the canvas size
+ * 
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}|null} bounds - Bounds to clamp
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number, width: number, height: number}|null} Clamped rectangle, or null if empty
+ * 
+ * @example
+ * const rect = clampBounds(bounds, canvas.width, canvas.height);
+ * if (rect) ctx.getImageData(rect.x, rect.y, rect.width, rect.height);
+ */
+export function clampBounds(bounds, width, height) {
+  if (!bounds) return null;
+
+  const x = Math.max(0, Math.floor(bounds.minX));
+  const y = Math.max(0, Math.floor(bounds.minY));
+  const right = Math.min(width, Math.ceil(bounds.maxX));
+  const bottom = Math.min(height, Math.ceil(bounds.maxY));
+
+  if (right <= x || bottom <= y) return null;
+
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Check whether two rectangles overlap
+ *
+ * @param {{x: number, y: number, width: number, height: number}|null} a - First rectangle
+ * @param {{x: number, y: number, width: number, height: number}|null} b - Second rectangle
+ * @returns {boolean} True if they share at least one pixel (false if either is null)
+ *
+ * @example
+ * const visible = rectsOverlap(clampBounds(bounds, width, height), viewRect);
+ */
+export function rectsOverlap(a, b) {
+  if (!a || !b) return false;
+  return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+}
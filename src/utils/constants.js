@@ -53,10 +53,24 @@ export const PIXELATION_MIN_DIMENSION = 10;
 export const PIXEL_NOISE_RANGE = 3;
 
 /**
- * Divisor for pixel shuffle range calculation
+ * Distribution of the pixel noise (see NOISE_DISTRIBUTIONS in modules/pixelScramble)
+ * @constant {string}
+ */
+export const PIXEL_NOISE_DISTRIBUTION = 'uniform';
+
+/**
+ * Edge length of the square neighbourhoods pixelated blocks are shuffled
+ * within, in blocks
+ * @constant {number}
+ */
+export const SHUFFLE_TILE_SIZE = 6;
+
+/**
+ * Number of 32-bit words fetched from the Web Crypto API at a time
+ * 16384 words is 64KB, the most getRandomValues() fills in one call.
  * @constant {number}
  */
-export const SHUFFLE_RANGE_DIVISOR = 100;
+export const RANDOM_POOL_SIZE = 16384;
 
 // ===================================
 // Default Values
@@ -116,6 +130,55 @@ export const BLUR_AMOUNT_SLIDER = {
   default: DEFAULT_BLUR_AMOUNT,
 };
 
+// ===================================
+// Redaction Styles
+// ===================================
+
+/**
+ * Redaction styles offered in blur mode, and what each style's strength means
+ *
+ * Strengths measured in pixels (radius, block, grain, margin) are in
+ * working-copy pixels and scale up with full-resolution exports.
+ * 'shuffle' is the original pixelate → shuffle → blur pipeline.
+ * @constant {Object}
+ */
+export const REDACTION_STYLES = {
+  shuffle: { label: 'Shuffle + blur', strengthLabel: 'Blur Radius', min: 40, max: 150, default: DEFAULT_BLUR_AMOUNT },
+  pixelate: { label: 'Pixelate', strengthLabel: 'Block Size', min: 4, max: 64, default: 16 },
+  gaussian: { label: 'Gaussian blur', strengthLabel: 'Blur Radius', min: 5, max: 150, default: 40 },
+  solid: { label: 'Solid fill', strengthLabel: 'Darkness', min: 0, max: 100, default: 100 },
+  crosshatch: { label: 'Crosshatch', strengthLabel: 'Density', min: 1, max: 100, default: 50 },
+  noise: { label: 'Random noise', strengthLabel: 'Grain Size', min: 1, max: 32, default: 4 },
+  average: { label: 'Average colour', strengthLabel: 'Sample Margin', min: 0, max: 50, default: 10 },
+  inpaint: { label: 'Content-aware fill', strengthLabel: 'Patch Size', min: 3, max: 15, default: 7 },
+};
+
+/**
+ * Default redaction style
+ * @constant {string}
+ */
+export const DEFAULT_REDACTION_STYLE = 'shuffle';
+
+/**
+ * Width of soft (feathered) edges, as a fraction of the image's bigger dimension
+ * @constant {number}
+ */
+export const FEATHER_SOFT_FRACTION = 0.01;
+
+/**
+ * How far around a region content-aware fill looks for texture to copy,
+ * as a fraction of the region's bigger side
+ * @constant {number}
+ */
+export const INPAINT_CONTEXT_FRACTION = 0.5;
+
+/**
+ * Smallest context around a region for content-aware fill, in patch sizes
+ * Keeps thin regions (a single brush stroke) from running out of texture.
+ * @constant {number}
+ */
+export const INPAINT_CONTEXT_MIN_PATCHES = 6;
+
 // ===================================
 // Painting Modes
 // ===================================
@@ -138,8 +201,43 @@ export const BRUSH_TYPES = {
   ROUND: 'round',
   AREA: 'area',
   TAP: 'tap',
+  POLYGON: 'polygon',
+  LASSO: 'lasso',
+  ELLIPSE: 'ellipse',
+  WAND: 'wand',
+  COLOR_RANGE: 'colorRange',
+  SELECT: 'select',
 };
 
+/**
+ * Distance (screen pixels) within which a polygon click closes the shape
+ * Clicking near the first point, or twice on the last one, finishes it.
+ * @constant {number}
+ */
+export const POLYGON_CLOSE_DISTANCE = 10;
+
+/**
+ * Minimum spacing between recorded lasso points (canvas pixels)
+ * Keeps freehand outlines from storing thousands of near-duplicate points.
+ * @constant {number}
+ */
+export const LASSO_MIN_POINT_SPACING = 3;
+
+/**
+ * Magic wand / colour range tolerance (largest per-channel difference, 0-255)
+ * Pixels within this distance of the clicked colour are selected.
+ * @constant {number}
+ */
+export const WAND_TOLERANCE_DEFAULT = 32;
+export const WAND_TOLERANCE_MAX = 128;
+
+/**
+ * Soft margin around the kept area in "keep inside" mode (slider units)
+ * Scaled to the image like the brush size (see BRUSH_ADJUSTMENT_FACTOR).
+ * @constant {number}
+ */
+export const INVERT_MARGIN_DEFAULT = 10;
+
 /**
  * Tap mode brush size multiplier
  * Makes tap mode more distinct with a larger brush size
@@ -147,6 +245,20 @@ export const BRUSH_TYPES = {
  */
 export const TAP_MODE_SIZE_MULTIPLIER = 1.5;
 
+/**
+ * Smallest brush radius with stylus pressure on, as a fraction of the brush size
+ * A light touch draws at this size, full pressure at the full brush size.
+ * @constant {number}
+ */
+export const PRESSURE_MIN_SCALE = 0.25;
+
+/**
+ * Time after a pen lifts during which new touches are ignored (milliseconds)
+ * A palm resting on the screen next to the pen shouldn't draw.
+ * @constant {number}
+ */
+export const PALM_REJECTION_DELAY = 500;
+
 // ===================================
 // File Handling
 // ===================================
@@ -170,17 +282,41 @@ export const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'i
 export const OUTPUT_FILE_SUFFIX = '_scrubbed';
 
 /**
- * Output image format
+ * Default output image format
  * @constant {string}
  */
 export const OUTPUT_IMAGE_FORMAT = 'image/png';
 
 /**
- * Output image quality (0-1)
+ * Default output image quality for lossy formats (0-1)
  * @constant {number}
  */
 export const OUTPUT_IMAGE_QUALITY = 0.8;
 
+/**
+ * Formats offered in the export dialog, keyed by MIME type
+ * Lossy formats support the quality slider and "fit under N KB".
+ * @constant {Object}
+ */
+export const OUTPUT_FORMATS = {
+  'image/png': { label: 'PNG', extension: 'png', lossy: false },
+  'image/jpeg': { label: 'JPEG', extension: 'jpg', lossy: true },
+  'image/webp': { label: 'WebP', extension: 'webp', lossy: true },
+};
+
+/**
+ * Lowest quality the "fit under N KB" search will go down to (0-1)
+ * @constant {number}
+ */
+export const OUTPUT_MIN_QUALITY = 0.1;
+
+/**
+ * Number of encode attempts used when searching for a quality that fits a target size
+ * Each attempt halves the search range, so 7 steps gives ~1% precision.
+ * @constant {number}
+ */
+export const OUTPUT_SIZE_SEARCH_STEPS = 7;
+
 // ===================================
 // UI & Animation
 // ===================================
@@ -204,12 +340,77 @@ export const CURSOR_SIZE_SCALE = 2;
  */
 export const CURSOR_BORDER_OFFSET = 2;
 
+/**
+ * Largest cursor image browsers will show (pixels)
+ * Bigger brush outlines (large brushes, or zoomed in) fall back to a crosshair.
+ * @constant {number}
+ */
+export const CURSOR_MAX_SIZE = 128;
+
 /**
  * Debounce delay for window resize events (milliseconds)
  * @constant {number}
  */
 export const RESIZE_DEBOUNCE_DELAY = 300;
 
+// ===================================
+// Zoom & Pan
+// ===================================
+
+/**
+ * Largest zoom level (1 = image fitted to the window)
+ * @constant {number}
+ */
+export const ZOOM_MAX = 16;
+
+/**
+ * Zoom factor of one keyboard step (+/-)
+ * @constant {number}
+ */
+export const ZOOM_STEP = 1.25;
+
+/**
+ * Zoom change per pixel of mouse wheel movement (exponential, so trackpads
+ * and wheels feel the same)
+ * @constant {number}
+ */
+export const ZOOM_WHEEL_SENSITIVITY = 0.002;
+
+/**
+ * Distance the arrow keys pan the zoomed image (screen pixels)
+ * @constant {number}
+ */
+export const PAN_KEY_STEP = 60;
+
+/**
+ * Longest side of the minimap (screen pixels)
+ * @constant {number}
+ */
+export const MINIMAP_SIZE = 160;
+
+// ===================================
+// Touch Loupe
+// ===================================
+
+/**
+ * Diameter of the magnifier shown while drawing with a finger (screen pixels)
+ * @constant {number}
+ */
+export const LOUPE_SIZE = 120;
+
+/**
+ * How much the loupe enlarges the image compared to the screen
+ * @constant {number}
+ */
+export const LOUPE_MAGNIFICATION = 2;
+
+/**
+ * Gap between the finger and the loupe (screen pixels), so the finger
+ * doesn't cover it
+ * @constant {number}
+ */
+export const LOUPE_OFFSET = 48;
+
 // ===================================
 // Rotation
 // ===================================
@@ -220,6 +421,208 @@ export const RESIZE_DEBOUNCE_DELAY = 300;
  */
 export const ROTATION_ANGLE = Math.PI / 2;
 
+// ===================================
+// Redaction Regions
+// ===================================
+
+/**
+ * Maximum number of pre-processed blur layers kept in memory
+ * One layer is cached per redaction style and strength in use (~25MB each at 2500×2500)
+ * @constant {number}
+ */
+export const BLUR_LAYER_CACHE_SIZE = 3;
+
+/**
+ * Size of the square tiles blur layers are processed in (pixels)
+ * A stroke only processes the tiles under it (plus the blur margin), not
+ * the whole image.
+ * @constant {number}
+ */
+export const LAYER_TILE_SIZE = 512;
+
+/**
+ * Size of region resize handles in screen pixels
+ * @constant {number}
+ */
+export const REGION_HANDLE_SIZE = 10;
+
+// ===================================
+// Full-Resolution Export
+// ===================================
+
+/**
+ * Size of the square tiles the export is processed in (pixels)
+ * Tiles are padded by the blur radius, so each one stays well under ~50MB.
+ * @constant {number}
+ */
+export const EXPORT_TILE_SIZE = 2048;
+
+/**
+ * Maximum number of pixels in an exported image (~67 megapixels)
+ * Larger originals are scaled down to fit; browsers refuse bigger canvases.
+ * @constant {number}
+ */
+export const EXPORT_MAX_PIXELS = 64 * 1024 * 1024;
+
+/**
+ * Maximum number of Web Workers used to process export tiles in parallel
+ * @constant {number}
+ */
+export const EXPORT_MAX_WORKERS = 4;
+
+// ===================================
+// Batch Export
+// ===================================
+
+/**
+ * Filename used when the whole queue is saved as one archive
+ * @constant {string}
+ */
+export const BATCH_ZIP_FILENAME = 'scrubbed_photos.zip';
+
+/**
+ * Delay between downloads when saving the queue as separate files
+ * Browsers drop (or ask about) downloads triggered in quick succession.
+ * @constant {number}
+ */
+export const BATCH_DOWNLOAD_DELAY_MS = 400;
+
+// ===================================
+// Export Verification
+// ===================================
+
+/**
+ * Mean per-channel difference (0-255) below which a redacted region
+ * counts as unchanged from the original
+ * Lossy re-encoding alone moves pixels by ~1-2 levels on average.
+ * @constant {number}
+ */
+export const VERIFY_MIN_PIXEL_DIFFERENCE = 3;
+
+/**
+ * Mean per-channel deviation (0-255) below which an original area is
+ * treated as featureless
+ * Blurring a plain wall or background changes nothing, and there is
+ * nothing in it to reveal, so such regions are not flagged.
+ * @constant {number}
+ */
+export const VERIFY_MIN_REGION_DETAIL = 6;
+
+// ===================================
+// Redaction Audit
+// ===================================
+
+/**
+ * Longest side (px) a region is scaled down to before it is audited
+ * Keeps the analysis quick on big regions; readable structure survives
+ * the downscale, as it would in a shared thumbnail.
+ * @constant {number}
+ */
+export const AUDIT_MAX_SIZE = 256;
+
+/**
+ * Edge length (px, after scaling) of the windows local correlation is measured in
+ * @constant {number}
+ */
+export const AUDIT_WINDOW_SIZE = 8;
+
+/**
+ * RMS luminance gradient (0-255) below which an original area is treated
+ * as having nothing legible in it (sky, walls, skin)
+ * @constant {number}
+ */
+export const AUDIT_MIN_EDGE_ENERGY = 6;
+
+/**
+ * Share of the original's fine detail (edges, in the direction they run)
+ * above which a region is flagged
+ * @constant {number}
+ */
+export const AUDIT_MAX_RESIDUE = 0.25;
+
+/**
+ * Local correlation with the original above which a region is flagged,
+ * provided its edges kept at least AUDIT_MIN_EDGE_RETENTION of their energy
+ * A light blur over large text scores ~0.8; shuffle + blur stays near 0.
+ * @constant {number}
+ */
+export const AUDIT_MAX_CORRELATION = 0.6;
+
+/**
+ * Edge energy, relative to the original, a correlated region must keep to
+ * be flagged; below it the shapes are too faint to make out
+ * @constant {number}
+ */
+export const AUDIT_MIN_EDGE_RETENTION = 0.1;
+
+/**
+ * Color of the highlight drawn over regions that may still be readable
+ * @constant {string}
+ */
+export const AUDIT_HIGHLIGHT_COLOR = '#ff8c00';
+
+// ===================================
+// Offline Place Names
+// ===================================
+
+/**
+ * Distance within which a photo is described as "near" a place (km)
+ * Further away it is "about N km from" the place instead.
+ * @constant {number}
+ */
+export const GAZETTEER_NEAR_KM = 25;
+
+/**
+ * Distance beyond which the nearest listed place is too far to be useful (km)
+ * @constant {number}
+ */
+export const GAZETTEER_MAX_KM = 500;
+
+// ===================================
+// Coarse Metadata (opt-in)
+// ===================================
+
+/**
+ * Grid sizes offered when rounding GPS to a rough region (degrees)
+ * One degree of latitude is about 111 km.
+ * @constant {Object[]}
+ */
+export const COARSE_GPS_GRIDS = [
+  { degrees: 0.1, label: '0.1° (about 10 km)' },
+  { degrees: 0.5, label: '0.5° (about 50 km)' },
+  { degrees: 1, label: '1° (about 100 km)' },
+];
+
+/**
+ * Default GPS grid size (degrees)
+ * @constant {number}
+ */
+export const COARSE_GPS_GRID_DEFAULT = 0.5;
+
+/**
+ * Maximum length of a typed region
+ * @constant {number}
+ */
+export const COARSE_REGION_MAX_LENGTH = 60;
+
+// ===================================
+// History (Undo/Redo)
+// ===================================
+
+/**
+ * Maximum number of entries kept in the undo history
+ * @constant {number}
+ */
+export const HISTORY_MAX_ENTRIES = 50;
+
+/**
+ * Memory budget for undo history snapshots (bytes) - 256MB
+ * Oldest entries are dropped once the stored pixel data exceeds this.
+ * A full snapshot of a 2500×2500 image is ~25MB per canvas.
+ * @constant {number}
+ */
+export const HISTORY_MEMORY_BUDGET = 256 * 1024 * 1024;
+
 // ===================================
 // Storage Keys
 // ===================================
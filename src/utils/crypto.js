@@ -5,46 +5,104 @@
  * for use in privacy-critical operations like pixel shuffling and blurring.
  * Uses the Web Crypto API for true cryptographic randomness.
  * 
+ * It works the same on the main thread and in Web Workers, which import it
+ * too, so every shuffle draws from the same kind of pooled generator. It
+ * refuses to run (throws) rather than fall back to Math.random().
+ * 
  * @module utils/crypto
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Crypto/getRandomValues}
  */
 
+import { RANDOM_POOL_SIZE } from './constants.js';
+
+/**
+ * Random words fetched ahead of use, and the index of the next unused one
+ * @private
+ */
+let pool = null;
+let poolIndex = 0;
+
+/**
+ * Get the Web Crypto API of the current context (window or worker)
+ * @private
+ */
+function getCrypto() {
+  const source = globalThis.crypto;
+  return source && typeof source.getRandomValues === 'function' ? source : null;
+}
+
+/**
+ * Check whether secure random numbers can be generated
+ * 
+ * Everything in this module throws without them, so callers can check first
+ * and tell the user instead of failing part way through.
+ * 
+ * @returns {boolean} True if the Web Crypto API is available
+ * 
+ * @example
+ * if (!isSecureRandomAvailable()) {
+ *   showError('Secure Randomness Unavailable', 'Blur cannot be used in this browser.');
+ * }
+ */
+export function isSecureRandomAvailable() {
+  return getCrypto() !== null;
+}
+
+/**
+ * Get a cryptographically secure random 32-bit unsigned integer
+ * 
+ * Words are taken from a pool that is refilled with getRandomValues() in
+ * batches of RANDOM_POOL_SIZE, so tight loops (pixel shuffling) don't pay
+ * for a Web Crypto call per number. Each word is used once.
+ * 
+ * NOTE: There is deliberately no Math.random() fallback - predictable
+ * shuffles and noise would make redactions reversible.
+ * 
+ * @returns {number} Integer in the range [0, 2^32)
+ * @throws {Error} If the Web Crypto API is not available
+ * 
+ * @example
+ * const word = randomUint32(); // 3141592653
+ */
+export function randomUint32() {
+  if (!pool || poolIndex >= pool.length) {
+    const source = getCrypto();
+    if (!source) {
+      throw new Error(
+        'Secure random number generation is not available in this browser. ' +
+        'Please use a modern browser (Chrome, Firefox, Edge, Safari).'
+      );
+    }
+    pool = pool || new Uint32Array(RANDOM_POOL_SIZE);
+    source.getRandomValues(pool);
+    poolIndex = 0;
+  }
+
+  const word = pool[poolIndex];
+  // Don't leave used randomness lying around in memory
+  pool[poolIndex] = 0;
+  poolIndex++;
+  return word;
+}
+
 /**
  * Generate a cryptographically secure random number between 0 and 1
  * 
- * Uses window.crypto.getRandomValues() to generate truly random values
- * suitable for security-sensitive operations. This is superior to Math.random()
- * which is not cryptographically secure.
+ * Built from 53 random bits (two pooled words), the full precision of a
+ * double, so every representable step in [0, 1) at that resolution is
+ * equally likely.
  * 
  * @returns {number} Random number in the range [0, 1)
- * @throws {Error} If window.crypto is not available (very old browsers)
+ * @throws {Error} If the Web Crypto API is not available
  * 
  * @example
  * const random = randomCryptoNumber(); // 0.4563892...
  * const percentage = random * 100; // 45.63892...
  */
 export function randomCryptoNumber() {
-  // OPTIMIZE: Could use a larger buffer and cache values for better performance
-  // if this function is called repeatedly in tight loops
-  if (!window.crypto || !window.crypto.getRandomValues) {
-    // Show critical warning to user - crypto is essential for privacy
-    const warningMessage = 'CRITICAL: Secure random number generation is not available in your browser. ' +
-                         'Privacy features may be compromised. Please use a modern browser (Chrome, Firefox, Edge, Safari).';
-    console.error(warningMessage);
-    
-    // Try to show warning to user
-    if (typeof alert !== 'undefined') {
-      alert(warningMessage);
-    }
-    
-    // Still fallback to Math.random() to allow app to function
-    // but user has been warned
-    return Math.random();
-  }
-  
-  const buf = new Uint8Array(1);
-  window.crypto.getRandomValues(buf);
-  return buf[0] / 255;
+  const high = randomUint32() >>> 5; // 27 bits
+  const low = randomUint32() >>> 6; // 26 bits
+  return (high * 67108864 + low) / 9007199254740992; // (high * 2^26 + low) / 2^53
 }
 
 /**
@@ -54,13 +112,13 @@ export function randomCryptoNumber() {
  * Uses cryptographically secure randomness.
  * 
  * @returns {number} Either -1 or 1
+ * @throws {Error} If the Web Crypto API is not available
  * 
  * @example
  * const offset = 5 * negativeOrPositive(); // Either -5 or 5
- * const variation = baseValue + (Math.random() * 10 * negativeOrPositive());
  */
 export function negativeOrPositive() {
-  return randomCryptoNumber() < 0.5 ? -1 : 1;
+  return randomUint32() & 1 ? 1 : -1;
 }
 
 /**
@@ -107,15 +165,30 @@ export function scale(num, inMin, inMax, outMin, outMax) {
 }
 
 /**
- * Generate a random integer in a specified range
+ * Generate a cryptographically secure random integer in a specified range
+ * 
+ * Uses rejection sampling: words from the top of the 32-bit range that would
+ * make some results more likely than others (modulo bias) are drawn again.
  * 
  * @param {number} min - Minimum value (inclusive)
- * @param {number} max - Maximum value (inclusive)
+ * @param {number} max - Maximum value (inclusive); max - min must be below 2^32
  * @returns {number} Random integer between min and max
+ * @throws {Error} If the range is invalid or the Web Crypto API is not available
  * 
  * @example
  * const randomDice = randomInt(1, 6); // 1, 2, 3, 4, 5, or 6
  */
 export function randomInt(min, max) {
-  return Math.floor(randomCryptoNumber() * (max - min + 1)) + min;
+  const range = max - min + 1;
+  if (!Number.isInteger(min) || !Number.isInteger(max) || range < 1 || range > 0x100000000) {
+    throw new Error(`randomInt(): invalid range [${min}, ${max}]`);
+  }
+
+  // Largest multiple of range that fits in 32 bits
+  const limit = 0x100000000 - (0x100000000 % range);
+  let word = randomUint32();
+  while (word >= limit) {
+    word = randomUint32();
+  }
+  return min + (word % range);
 }
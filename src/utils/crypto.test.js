@@ -1,5 +1,13 @@
-import { describe, it, expect } from 'vitest';
-import { randomCryptoNumber, negativeOrPositive, scale } from './crypto.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  randomCryptoNumber,
+  negativeOrPositive,
+  scale,
+  randomUint32,
+  randomInt,
+  isSecureRandomAvailable,
+} from './crypto.js';
+import { RANDOM_POOL_SIZE } from './constants.js';
 
 describe('Crypto Utils', () => {
   describe('randomCryptoNumber', () => {
@@ -17,6 +25,71 @@ describe('Crypto Utils', () => {
       // Should have many unique values (cryptographically random)
       expect(results.size).toBeGreaterThan(50);
     });
+
+    it('should have far more than 256 possible values', () => {
+      const results = new Set();
+      for (let i = 0; i < 10000; i++) {
+        results.add(randomCryptoNumber());
+      }
+      // 53-bit floats: collisions among 10000 draws are practically impossible
+      expect(results.size).toBe(10000);
+    });
+  });
+
+  describe('randomUint32', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should refill the pool in batches', () => {
+      const spy = vi.spyOn(globalThis.crypto, 'getRandomValues');
+      for (let i = 0; i < RANDOM_POOL_SIZE * 2; i++) {
+        randomUint32();
+      }
+      expect(spy.mock.calls.length).toBeLessThanOrEqual(3);
+      spy.mockRestore();
+    });
+
+    it('should refuse to run without the Web Crypto API', () => {
+      vi.stubGlobal('crypto', undefined);
+      expect(isSecureRandomAvailable()).toBe(false);
+      // Drain whatever is left in the pool; the refill must throw
+      expect(() => {
+        for (let i = 0; i <= RANDOM_POOL_SIZE; i++) {
+          randomUint32();
+        }
+      }).toThrow(/not available/);
+    });
+  });
+
+  describe('randomInt', () => {
+    it('should stay within the range, inclusive', () => {
+      const results = new Set();
+      for (let i = 0; i < 1000; i++) {
+        const result = randomInt(-3, 3);
+        expect(result).toBeGreaterThanOrEqual(-3);
+        expect(result).toBeLessThanOrEqual(3);
+        results.add(result);
+      }
+      expect(results.size).toBe(7);
+    });
+
+    it('should be unbiased across a range that does not divide 2^32', () => {
+      // Chi-squared test over 6 buckets; 20.5 is the 0.1% critical value for 5 degrees of freedom
+      const draws = 60000;
+      const counts = new Array(6).fill(0);
+      for (let i = 0; i < draws; i++) {
+        counts[randomInt(1, 6) - 1]++;
+      }
+      const expected = draws / 6;
+      const chiSquared = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+      expect(chiSquared).toBeLessThan(20.5);
+    });
+
+    it('should reject invalid ranges', () => {
+      expect(() => randomInt(5, 1)).toThrow();
+      expect(() => randomInt(0, 1.5)).toThrow();
+    });
   });
 
   describe('negativeOrPositive', () => {
@@ -13,14 +13,24 @@
  * Displays a loading indicator to inform users that an operation is in progress.
  * The loading overlay blocks interaction to prevent conflicting operations.
  * 
+ * Long operations can show how far along they are, and offer a Cancel
+ * button. Each call sets both again, so a step without them hides them.
+ * 
  * @param {string} [message='Loading...'] - Message to display
+ * @param {Object} [options] - Progress and cancel options
+ * @param {number|null} [options.progress=null] - Fraction done (0-1); null hides the progress bar
+ * @param {Function|null} [options.onCancel=null] - Called when Cancel is pressed; null hides the button
  * 
  * @example
  * showLoading('Processing image...');
  * await longOperation();
  * hideLoading();
+ * 
+ * @example
+ * const controller = new AbortController();
+ * showLoading('Saving...', { progress: 0.5, onCancel: () => controller.abort() });
  */
-export function showLoading(message = 'Loading...') {
+export function showLoading(message = 'Loading...', { progress = null, onCancel = null } = {}) {
   let overlay = document.getElementById('loadingOverlay');
   
   // Create overlay if it doesn't exist
@@ -30,23 +40,67 @@ export function showLoading(message = 'Loading...') {
     overlay.className = 'loading-overlay';
     overlay.innerHTML = `
       <div class="loading-spinner"></div>
-      <div id="loadingMessage" class="loading-message">${message}</div>
+      <div id="loadingMessage" class="loading-message"></div>
+      <progress id="loadingProgress" class="loading-progress" max="1" aria-label="Progress" hidden></progress>
+      <button type="button" id="loadingCancel" class="loading-cancel" hidden>Cancel</button>
     `;
     overlay.setAttribute('role', 'alert');
     overlay.setAttribute('aria-live', 'assertive');
-    overlay.setAttribute('aria-busy', 'true');
     document.body.appendChild(overlay);
-  } else {
-    // Update message if overlay exists
-    const messageEl = document.getElementById('loadingMessage');
-    if (messageEl) {
-      messageEl.textContent = message;
+  }
+  
+  const messageEl = document.getElementById('loadingMessage');
+  if (messageEl) {
+    messageEl.textContent = message;
+  }
+  
+  const progressEl = document.getElementById('loadingProgress');
+  if (progressEl) {
+    progressEl.hidden = progress === null;
+    if (progress !== null) {
+      progressEl.value = Math.min(1, Math.max(0, progress));
+    }
+  }
+  
+  const cancelButton = document.getElementById('loadingCancel');
+  if (cancelButton) {
+    const wasHidden = cancelButton.hidden;
+    cancelButton.hidden = !onCancel;
+    cancelButton.disabled = false;
+    cancelButton.onclick = onCancel
+      ? () => {
+        // Only the first press counts; the operation stops at its next step
+        cancelButton.disabled = true;
+        onCancel();
+      }
+      : null;
+    // Give keyboard users a way out as soon as it appears
+    if (onCancel && wasHidden) {
+      cancelButton.focus();
     }
   }
   
+  overlay.setAttribute('aria-busy', 'true');
   overlay.style.display = 'flex';
 }
 
+/**
+ * Check whether an error comes from cancelling an operation
+ * 
+ * @param {*} error - Caught error
+ * @returns {boolean} True if the operation was aborted (AbortController)
+ * 
+ * @example
+ * try {
+ *   await renderFullResolution({ ..., signal });
+ * } catch (error) {
+ *   if (isAbortError(error)) return;
+ * }
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
 /**
  * Hide loading overlay
  * 
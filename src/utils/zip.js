@@ -0,0 +1,174 @@
+/**
+ * Minimal ZIP Archive Writer
+ *
+ * Builds a ZIP file in memory so batches of scrubbed photos can be
+ * downloaded in one go without sending anything to a server or pulling in a
+ * third-party library.
+ *
+ * Files are stored without compression: PNG, JPEG and WebP are already
+ * compressed, so deflating them again would cost time for almost no gain.
+ * All entries get the same fixed timestamp (1980-01-01) so the archive
+ * doesn't reveal when the photos were processed.
+ *
+ * Limitations: no ZIP64, so the archive must stay under 4GB and 65535 files.
+ *
+ * @module utils/zip
+ * @see {@link https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT}
+ */
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320)
+ * @private
+ */
+let crcTable = null;
+
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+/**
+ * Compute the CRC-32 checksum of a byte array
+ *
+ * @param {Uint8Array} data - Bytes to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ *
+ * @example
+ * crc32(new TextEncoder().encode('hello')); // 0x3610a686
+ */
+export function crc32(data) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date for 1980-01-01 and time 00:00:00 (the earliest representable)
+ * @private
+ */
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+const DOS_TIME = 0;
+
+/**
+ * General purpose flag: file names are UTF-8
+ * @private
+ */
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Build a ZIP archive from a list of files
+ *
+ * @param {Array<{name: string, data: Uint8Array}>} files - Files to store
+ * @returns {Uint8Array} The ZIP archive bytes
+ * @throws {Error} If the archive would exceed ZIP (non-ZIP64) limits
+ *
+ * @example
+ * const zip = createZip([{ name: 'photo_scrubbed.jpg', data: jpegBytes }]);
+ * const blob = new Blob([zip], { type: 'application/zip' });
+ */
+export function createZip(files) {
+  if (!Array.isArray(files)) {
+    throw new Error('createZip: files must be an array');
+  }
+  if (files.length > 0xffff) {
+    throw new Error('Too many files for a ZIP archive');
+  }
+
+  const encoder = new TextEncoder();
+  const entries = files.map((file) => ({
+    name: encoder.encode(file.name),
+    data: file.data,
+    crc: crc32(file.data),
+  }));
+
+  const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+  const totalSize = localSize + centralSize + 22;
+
+  if (totalSize > 0xffffffff) {
+    throw new Error('ZIP archive would be larger than 4GB');
+  }
+
+  const buffer = new Uint8Array(totalSize);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+
+  const writeUint16 = (value) => {
+    view.setUint16(offset, value, true);
+    offset += 2;
+  };
+  const writeUint32 = (value) => {
+    view.setUint32(offset, value, true);
+    offset += 4;
+  };
+  const writeBytes = (bytes) => {
+    buffer.set(bytes, offset);
+    offset += bytes.length;
+  };
+
+  // Local file headers followed by the file data
+  const localOffsets = entries.map((entry) => {
+    const headerOffset = offset;
+    writeUint32(0x04034b50); // Local file header signature
+    writeUint16(20); // Version needed to extract (2.0)
+    writeUint16(UTF8_FLAG);
+    writeUint16(0); // Compression method: stored
+    writeUint16(DOS_TIME);
+    writeUint16(DOS_DATE);
+    writeUint32(entry.crc);
+    writeUint32(entry.data.length); // Compressed size
+    writeUint32(entry.data.length); // Uncompressed size
+    writeUint16(entry.name.length);
+    writeUint16(0); // Extra field length
+    writeBytes(entry.name);
+    writeBytes(entry.data);
+    return headerOffset;
+  });
+
+  // Central directory
+  const centralOffset = offset;
+  entries.forEach((entry, index) => {
+    writeUint32(0x02014b50); // Central directory header signature
+    writeUint16(20); // Version made by
+    writeUint16(20); // Version needed to extract
+    writeUint16(UTF8_FLAG);
+    writeUint16(0); // Compression method: stored
+    writeUint16(DOS_TIME);
+    writeUint16(DOS_DATE);
+    writeUint32(entry.crc);
+    writeUint32(entry.data.length);
+    writeUint32(entry.data.length);
+    writeUint16(entry.name.length);
+    writeUint16(0); // Extra field length
+    writeUint16(0); // File comment length
+    writeUint16(0); // Disk number start
+    writeUint16(0); // Internal file attributes
+    writeUint32(0); // External file attributes
+    writeUint32(localOffsets[index]);
+    writeBytes(entry.name);
+  });
+
+  // End of central directory record
+  writeUint32(0x06054b50);
+  writeUint16(0); // Number of this disk
+  writeUint16(0); // Disk where central directory starts
+  writeUint16(entries.length); // Entries on this disk
+  writeUint16(entries.length); // Total entries
+  writeUint32(centralSize);
+  writeUint32(centralOffset);
+  writeUint16(0); // Comment length
+
+  return buffer;
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from './zip.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+describe('ZIP Writer', () => {
+  describe('crc32', () => {
+    it('should match known checksums', () => {
+      expect(crc32(encode(''))).toBe(0);
+      expect(crc32(encode('hello'))).toBe(0x3610a686);
+    });
+  });
+
+  describe('createZip', () => {
+    it('should write local headers, data and a central directory', () => {
+      const zip = createZip([
+        { name: 'a_scrubbed.png', data: encode('first') },
+        { name: 'b_scrubbed.jpg', data: encode('second file') },
+      ]);
+      const view = new DataView(zip.buffer);
+
+      // Archive starts with a local file header containing the stored data
+      expect(view.getUint32(0, true)).toBe(0x04034b50);
+      expect(new TextDecoder().decode(zip.slice(30, 44))).toBe('a_scrubbed.png');
+      expect(new TextDecoder().decode(zip.slice(44, 49))).toBe('first');
+
+      // End of central directory record is the last 22 bytes
+      const eocd = zip.length - 22;
+      expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+      expect(view.getUint16(eocd + 10, true)).toBe(2);
+
+      const centralOffset = view.getUint32(eocd + 16, true);
+      expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+      expect(view.getUint32(centralOffset + 16, true)).toBe(crc32(encode('first')));
+    });
+
+    it('should use a fixed timestamp so the archive does not reveal processing time', () => {
+      const zip = createZip([{ name: 'x.png', data: encode('x') }]);
+      const view = new DataView(zip.buffer);
+
+      expect(view.getUint16(10, true)).toBe(0); // time
+      expect(view.getUint16(12, true)).toBe(0x21); // 1980-01-01
+    });
+  });
+});
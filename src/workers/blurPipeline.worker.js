@@ -0,0 +1,110 @@
+/**
+ * Web Worker for the Blur Pipeline
+ *
+ * Runs the whole default redaction pipeline on one area of the image, off
+ * the main thread, with OffscreenCanvas:
+ * 1. Pixelate - downsample the area with drawImage
+ * 2. Shuffle - scramble the pixelated pixels within small tiles and add noise
+ *    (see modules/pixelScramble)
+ * 3. Blur - stackblur the enlarged result
+ * 4. Mask - keep only the given rectangles, the rest comes back transparent
+ *
+ * The area arrives as a transferred ImageBitmap and the result goes back the
+ * same way, so no pixel buffers are copied on the main thread. While it works
+ * it posts { id, type: 'progress', progress } messages. The steps match
+ * pixelateCanvas() followed by canvasRGBA() (see modules/pixelation), which
+ * remain the fallback for browsers without OffscreenCanvas.
+ */
+
+import { imageDataRGBA } from 'stackblur-canvas';
+import { scramblePixels } from '../modules/pixelScramble.js';
+
+/**
+ * Share of the work done once the area is pixelated and shuffled; the blur
+ * is the rest
+ */
+const SHUFFLE_SHARE = 0.5;
+
+/**
+ * Pixelate and shuffle a canvas in place
+ *
+ * @param {OffscreenCanvas} canvas - Area to pixelate
+ * @param {number} pixelationScale - Downsampling factor (see getPixelationScale)
+ * @param {Object} options - Scramble options (tileSize, noiseRange, noiseDistribution, onProgress)
+ */
+function pixelate(canvas, pixelationScale, options) {
+  const w = Math.floor(canvas.width * pixelationScale);
+  const h = Math.floor(canvas.height * pixelationScale);
+  if (w < 1 || h < 1) return;
+
+  const ctx = canvas.getContext('2d');
+  const small = new OffscreenCanvas(w, h);
+  const smallCtx = small.getContext('2d', { willReadFrequently: true });
+
+  // Downsample, and enlarge back (as pixelateCanvas does before shuffling)
+  smallCtx.drawImage(canvas, 0, 0, w, h);
+  ctx.drawImage(small, 0, 0, w, h, 0, 0, canvas.width, canvas.height);
+
+  const pixelArray = smallCtx.getImageData(0, 0, w, h);
+  scramblePixels(pixelArray.data, w, h, options);
+  smallCtx.putImageData(pixelArray, 0, 0);
+
+  ctx.drawImage(small, 0, 0, w, h, 0, 0, canvas.width, canvas.height);
+}
+
+// Listen for messages from main thread
+self.addEventListener('message', (event) => {
+  const {
+    id,
+    bitmap,
+    keep,
+    pixelationScale,
+    blurRadius,
+    tileSize,
+    noiseRange,
+    noiseDistribution,
+  } = event.data;
+
+  try {
+    const { width, height } = bitmap;
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const postProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+    pixelate(canvas, pixelationScale, {
+      tileSize,
+      noiseRange,
+      noiseDistribution,
+      onProgress: (progress) => postProgress(progress * SHUFFLE_SHARE),
+    });
+    postProgress(SHUFFLE_SHARE);
+
+    const imageData = ctx.getImageData(0, 0, width, height);
+    imageDataRGBA(imageData, 0, 0, width, height, blurRadius);
+    ctx.putImageData(imageData, 0, 0);
+
+    // Cut away everything outside the rectangles to keep
+    if (keep) {
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.beginPath();
+      keep.forEach((rect) => ctx.rect(rect.x, rect.y, rect.width, rect.height));
+      ctx.fill();
+    }
+
+    const result = canvas.transferToImageBitmap();
+    self.postMessage({
+      id,
+      success: true,
+      bitmap: result
+    }, [result]); // Transfer ownership for better performance
+
+  } catch (error) {
+    self.postMessage({
+      id,
+      success: false,
+      error: error.message || 'Unknown error in worker'
+    });
+  }
+});
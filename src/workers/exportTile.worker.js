@@ -0,0 +1,114 @@
+/**
+ * Web Worker for Full-Resolution Export Tiles
+ *
+ * Builds the blur layer for one tile of a full-resolution export: the tile is
+ * pixelated, its blocks are shuffled with cryptographic randomness and noise,
+ * and the result is stack-blurred. This is the same pipeline the editor runs
+ * on the 2500px working copy (see modules/pixelation), applied to tile-sized
+ * pixel buffers so memory stays bounded for very large photos.
+ *
+ * Pixelation blocks are aligned to the full image (not the tile), so adjacent
+ * tiles agree on block boundaries.
+ */
+
+import { imageDataRGBA } from 'stackblur-canvas';
+import { scramblePixels } from '../modules/pixelScramble.js';
+import { getBlurPasses } from '../utils/blur.js';
+
+/**
+ * Pixelate, shuffle and add noise to a tile in place
+ *
+ * @param {Uint8ClampedArray} pixels - Tile pixel data (RGBA)
+ * @param {number} width - Tile width
+ * @param {number} height - Tile height
+ * @param {number} originX - Tile position in the full image (for block alignment)
+ * @param {number} originY - Tile position in the full image (for block alignment)
+ * @param {number} blockSize - Pixelation block size in pixels
+ * @param {Object} scrambleOptions - tileSize (in blocks), noiseRange and noiseDistribution (see modules/pixelScramble)
+ */
+function pixelateTile(pixels, width, height, originX, originY, blockSize, scrambleOptions) {
+  const firstBlockX = Math.floor(originX / blockSize);
+  const firstBlockY = Math.floor(originY / blockSize);
+  const blocksX = Math.floor((originX + width - 1) / blockSize) - firstBlockX + 1;
+  const blocksY = Math.floor((originY + height - 1) / blockSize) - firstBlockY + 1;
+  const blockCount = blocksX * blocksY;
+
+  // Step 1: Average each block (alpha too, so transparent blocks stay out of the shuffle)
+  const sums = new Float64Array(blockCount * 5);
+  for (let y = 0; y < height; y++) {
+    const row = (Math.floor((originY + y) / blockSize) - firstBlockY) * blocksX;
+    for (let x = 0; x < width; x++) {
+      const block = (row + Math.floor((originX + x) / blockSize) - firstBlockX) * 5;
+      const i = (y * width + x) * 4;
+      sums[block] += pixels[i];
+      sums[block + 1] += pixels[i + 1];
+      sums[block + 2] += pixels[i + 2];
+      sums[block + 3] += pixels[i + 3];
+      sums[block + 4] += 1;
+    }
+  }
+
+  const blocks = new Uint8ClampedArray(blockCount * 4);
+  for (let b = 0; b < blockCount; b++) {
+    const count = sums[b * 5 + 4] || 1;
+    for (let c = 0; c < 4; c++) {
+      blocks[b * 4 + c] = sums[b * 5 + c] / count;
+    }
+  }
+
+  // Step 2: Shuffle the blocks within small tiles and add noise
+  scramblePixels(blocks, blocksX, blocksY, scrambleOptions);
+
+  // Step 3: Paint the blocks back (alpha is left untouched)
+  for (let y = 0; y < height; y++) {
+    const row = (Math.floor((originY + y) / blockSize) - firstBlockY) * blocksX;
+    for (let x = 0; x < width; x++) {
+      const block = (row + Math.floor((originX + x) / blockSize) - firstBlockX) * 4;
+      const i = (y * width + x) * 4;
+      pixels[i] = blocks[block];
+      pixels[i + 1] = blocks[block + 1];
+      pixels[i + 2] = blocks[block + 2];
+    }
+  }
+}
+
+// Listen for messages from main thread
+self.addEventListener('message', (event) => {
+  const {
+    id,
+    pixelData,
+    width,
+    height,
+    originX,
+    originY,
+    blockSize,
+    blurRadius,
+    tileSize,
+    noiseRange,
+    noiseDistribution,
+  } = event.data;
+
+  try {
+    pixelateTile(pixelData, width, height, originX, originY, blockSize, { tileSize, noiseRange, noiseDistribution });
+
+    const imageData = new ImageData(pixelData, width, height);
+    // Radii past stackblur's limit are split into passes (see utils/blur)
+    const { radius, passes } = getBlurPasses(blurRadius);
+    for (let pass = 0; pass < passes; pass++) {
+      imageDataRGBA(imageData, 0, 0, width, height, radius);
+    }
+
+    self.postMessage({
+      id,
+      success: true,
+      pixelData: imageData.data
+    }, [imageData.data.buffer]); // Transfer ownership for better performance
+
+  } catch (error) {
+    self.postMessage({
+      id,
+      success: false,
+      error: error.message || 'Unknown error in worker'
+    });
+  }
+});
@@ -0,0 +1,259 @@
+/**
+ * Web Worker for Content-Aware Fill
+ *
+ * Reconstructs the masked part of an image from the texture around it, so
+ * an object (a hand, the edge of a card) can be removed from a plain
+ * surface instead of being blurred.
+ *
+ * Patch-based synthesis, filled from the outside in (onion peel):
+ * 1. Every unknown pixel next to a known one is queued; each pixel filled
+ *    queues its unknown neighbours, so the hole shrinks ring by ring
+ * 2. For each queued pixel, the known pixels around it are compared with
+ *    candidate source patches that lie entirely in the known area
+ * 3. The centre of the best match is copied in
+ *
+ * Candidates are a few random source patches plus the continuation of the
+ * patches already copied next to the pixel, which keeps lines and grain
+ * running on across the hole.
+ *
+ * Pixels can also be excluded: they are neither filled nor copied or
+ * compared, so the original pixels under other redactions never leak into
+ * the fill.
+ *
+ * NOTE: The random choice only affects which visible pixels are copied, so
+ * a small seeded generator is used instead of crypto: the same region gives
+ * the same result every time it is rendered.
+ */
+
+/**
+ * Random source patches tried for every pixel
+ */
+const RANDOM_CANDIDATES = 40;
+
+/**
+ * Seed for the candidate generator
+ */
+const RANDOM_SEED = 0x9e3779b9;
+
+/**
+ * Values of the `known` mask
+ */
+const KNOWN = 1;
+const EXCLUDED = 2;
+
+/**
+ * Create a small seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Find the centres of patches that lie entirely in the known area
+ *
+ * @param {Uint8Array} known - One byte per pixel (1 = known)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Patch radius
+ * @returns {Int32Array} Pixel indexes of the centres
+ */
+function findSourcePatches(known, width, height, radius) {
+  // Summed-area table of unknown pixels, so each patch is checked in O(1)
+  const stride = width + 1;
+  const holes = new Int32Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += known[y * width + x] === KNOWN ? 0 : 1;
+      holes[(y + 1) * stride + x + 1] = holes[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const centres = [];
+  for (let y = radius; y < height - radius; y++) {
+    for (let x = radius; x < width - radius; x++) {
+      const top = y - radius;
+      const left = x - radius;
+      const bottom = y + radius + 1;
+      const right = x + radius + 1;
+      const count =
+        holes[bottom * stride + right] - holes[top * stride + right] -
+        holes[bottom * stride + left] + holes[top * stride + left];
+      if (count === 0) centres.push(y * width + x);
+    }
+  }
+  return Int32Array.from(centres);
+}
+
+/**
+ * Sum of squared differences between the filled pixels around a target and
+ * the same offsets around a source
+ * Stops early once the sum exceeds `limit`.
+ */
+function patchDistance(data, filled, width, height, radius, target, source, limit) {
+  const tx = target % width;
+  const ty = (target - tx) / width;
+  const offset = source - target;
+  let sum = 0;
+
+  for (let dy = -radius; dy <= radius; dy++) {
+    const y = ty + dy;
+    if (y < 0 || y >= height) continue;
+    for (let dx = -radius; dx <= radius; dx++) {
+      const x = tx + dx;
+      if (x < 0 || x >= width) continue;
+      const index = y * width + x;
+      if (!filled[index]) continue;
+
+      const a = index * 4;
+      const b = (index + offset) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        const diff = data[a + channel] - data[b + channel];
+        sum += diff * diff;
+      }
+      if (sum >= limit) return sum;
+    }
+  }
+  return sum;
+}
+
+/**
+ * Fill the unknown pixels of an image from its known pixels
+ *
+ * @param {Uint8ClampedArray} data - RGBA pixels, modified in place
+ * @param {Uint8Array} known - One byte per pixel (1 = known, 0 = to fill, 2 = excluded)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} patchRadius - Half the edge length of the compared patches
+ * @returns {Uint8ClampedArray} The filled pixels (same array as data)
+ */
+export function inpaintPixels(data, known, width, height, patchRadius) {
+  // Small known areas may not fit a full patch; try smaller ones
+  let radius = Math.max(0, Math.floor(patchRadius));
+  let sources = findSourcePatches(known, width, height, radius);
+  while (!sources.length && radius > 0) {
+    radius--;
+    sources = findSourcePatches(known, width, height, radius);
+  }
+  // Nothing known at all: there is no texture to copy
+  if (!sources.length) return data;
+
+  const pixelCount = width * height;
+  const isSource = new Uint8Array(pixelCount);
+  sources.forEach((index) => {
+    isSource[index] = 1;
+  });
+
+  const filled = known.map((value) => (value === KNOWN ? 1 : 0));
+  const sourceOf = new Int32Array(pixelCount).fill(-1);
+  const queued = new Uint8Array(pixelCount);
+  const queue = new Int32Array(pixelCount);
+  let head = 0;
+  let tail = 0;
+
+  const enqueueNeighbours = (index) => {
+    const x = index % width;
+    const y = (index - x) / width;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const next = ny * width + nx;
+        if (!filled[next] && !queued[next] && known[next] !== EXCLUDED) {
+          queued[next] = 1;
+          queue[tail++] = next;
+        }
+      }
+    }
+  };
+
+  for (let index = 0; index < pixelCount; index++) {
+    if (known[index] === KNOWN) {
+      sourceOf[index] = index;
+      enqueueNeighbours(index);
+    }
+  }
+
+  const random = createRandom(RANDOM_SEED);
+
+  while (head < tail) {
+    const target = queue[head++];
+    const tx = target % width;
+    const ty = (target - tx) / width;
+    let best = -1;
+    let bestDistance = Infinity;
+
+    const consider = (candidate) => {
+      if (candidate < 0 || candidate >= pixelCount || !isSource[candidate]) return;
+      const distance = patchDistance(data, filled, width, height, radius, target, candidate, bestDistance);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = candidate;
+      }
+    };
+
+    // Continue the patches copied next to this pixel
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = tx + dx;
+        const ny = ty + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const neighbour = sourceOf[ny * width + nx];
+        if (neighbour < 0 || neighbour === ny * width + nx) continue;
+        const sx = (neighbour % width) - dx;
+        if (sx < 0 || sx >= width) continue;
+        consider(neighbour - dy * width - dx);
+      }
+    }
+
+    for (let i = 0; i < RANDOM_CANDIDATES; i++) {
+      consider(sources[Math.floor(random() * sources.length)]);
+    }
+
+    // Nudge the winner by a pixel in case a neighbour fits better
+    const bx = best % width;
+    if (bx > 0) consider(best - 1);
+    if (bx < width - 1) consider(best + 1);
+    consider(best - width);
+    consider(best + width);
+
+    data.set(data.subarray(best * 4, best * 4 + 4), target * 4);
+    filled[target] = 1;
+    sourceOf[target] = best;
+    enqueueNeighbours(target);
+  }
+
+  return data;
+}
+
+// Listen for messages from main thread
+self.addEventListener('message', (event) => {
+  const { id, pixelData, mask, width, height, patchRadius } = event.data;
+
+  try {
+    const result = inpaintPixels(pixelData, mask, width, height, patchRadius);
+
+    self.postMessage({
+      id,
+      success: true,
+      pixelData: result
+    }, [result.buffer]); // Transfer ownership for better performance
+
+  } catch (error) {
+    self.postMessage({
+      id,
+      success: false,
+      error: error.message || 'Unknown error in worker'
+    });
+  }
+});
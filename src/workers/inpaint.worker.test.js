@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { inpaintPixels } from './inpaint.worker.js';
+
+/**
+ * Build RGBA pixels from rows of grey levels
+ */
+function grey(rows) {
+  const data = new Uint8ClampedArray(rows.length * rows[0].length * 4);
+  rows.flat().forEach((level, index) => data.set([level, level, level, 255], index * 4));
+  return data;
+}
+
+/**
+ * Mark a rectangle of pixels as unknown
+ */
+function hole(width, height, x0, y0, x1, y1) {
+  const known = new Uint8Array(width * height).fill(1);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      known[y * width + x] = 0;
+    }
+  }
+  return known;
+}
+
+describe('Content-aware fill', () => {
+  it('should fill a hole in a plain surface with the surface colour', () => {
+    const size = 16;
+    const data = grey(Array.from({ length: size }, () => new Array(size).fill(120)));
+    // An object in the middle
+    for (let y = 5; y < 10; y++) {
+      for (let x = 5; x < 10; x++) {
+        data.set([255, 0, 0, 255], (y * size + x) * 4);
+      }
+    }
+
+    inpaintPixels(data, hole(size, size, 5, 5, 10, 10), size, size, 2);
+
+    for (let offset = 0; offset < data.length; offset += 4) {
+      expect(Array.from(data.subarray(offset, offset + 4))).toEqual([120, 120, 120, 255]);
+    }
+  });
+
+  it('should continue stripes across the hole', () => {
+    // Vertical stripes two pixels wide
+    const size = 20;
+    const rows = Array.from({ length: size }, () =>
+      Array.from({ length: size }, (_, x) => (Math.floor(x / 2) % 2 ? 200 : 40))
+    );
+    const expected = grey(rows);
+    const data = grey(rows);
+
+    inpaintPixels(data, hole(size, size, 8, 8, 12, 12), size, size, 2);
+    expect(Array.from(data)).toEqual(Array.from(expected));
+  });
+
+  it('should never copy excluded pixels into the hole', () => {
+    // A red object, already redacted, right next to the hole
+    const size = 16;
+    const data = grey(Array.from({ length: size }, () => new Array(size).fill(120)));
+    const known = hole(size, size, 8, 4, 12, 12);
+    for (let y = 4; y < 12; y++) {
+      for (let x = 0; x < 8; x++) {
+        data.set([255, 0, 0, 255], (y * size + x) * 4);
+        known[y * size + x] = 2;
+      }
+    }
+
+    inpaintPixels(data, known, size, size, 2);
+
+    for (let y = 4; y < 12; y++) {
+      for (let x = 0; x < 12; x++) {
+        const pixel = Array.from(data.subarray((y * size + x) * 4, (y * size + x) * 4 + 4));
+        expect(pixel).toEqual(x < 8 ? [255, 0, 0, 255] : [120, 120, 120, 255]);
+      }
+    }
+  });
+
+  it('should leave the pixels alone when nothing is known', () => {
+    const data = grey([[1, 2], [3, 4]]);
+
+    inpaintPixels(data, new Uint8Array(4), 2, 2, 1);
+    expect(Array.from(data)).toEqual(Array.from(grey([[1, 2], [3, 4]])));
+  });
+});